@@ -3,6 +3,12 @@ import Pusher from 'pusher';
 import { Storage } from '@google-cloud/storage';
 import busboy from 'busboy';
 import bcrypt from 'bcrypt';
+import { normalizeHealthProfile, validateHealthProfile } from '../../src/services/patientSafety.js';
+import { normalizePolicy, validatePolicy } from '../../src/services/escalationPolicy.js';
+import { LANGUAGE_CODES, getLanguage, isSupportedLanguage } from '../../src/services/languages.js';
+import { normalizeGlossaryEntry, validateGlossaryEntry } from '../../src/services/glossary.js';
+import { parsePageQuery } from '../../src/services/chatHistory.js';
+import { createChatStore, createUrlSigner } from '../../lib/chatStore.js';
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -42,6 +48,8 @@ try {
 
 const bucketName = 'fir-project-vercel';
 const bucket = storage.bucket(bucketName);
+const chatStore = createChatStore({ db });
+const urlSigner = createUrlSigner({ bucket });
 
 // Initialize Pusher
 let pusher;
@@ -99,22 +107,6 @@ const validateSender = (sender) => {
   }
 };
 
-// Generate a signed URL for accessing GCS files
-const generateSignedUrl = async (filePath) => {
-  try {
-    const file = bucket.file(filePath);
-    const [url] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 1000 * 60 * 60, // 1 hour expiry
-    });
-    console.log(`Generated signed URL for ${filePath}`);
-    return url;
-  } catch (error) {
-    console.error(`Error generating signed URL for ${filePath}:`, error.message);
-    throw error;
-  }
-};
-
 // Chat endpoint handler
 const handleChatRequest = async (req, res, patientId, doctorId, userId) => {
   if (req.method === 'GET') {
@@ -144,31 +136,16 @@ const handleChatRequest = async (req, res, patientId, doctorId, userId) => {
         return res.status(404).json({ success: false, message: 'No chat assignment found' });
       }
 
-      const chatFile = bucket.file(`chats/${patientId}-${doctorId}/messages.json`);
-      const [exists] = await chatFile.exists();
-      if (!exists) {
-        console.log(`No messages found for chat between patient ${patientId} and doctor ${doctorId}`);
-        return res.json({ success: true, messages: [], userRole });
+      const page = parsePageQuery(req.query);
+      if (page.error) {
+        return res.status(400).json({ success: false, message: page.error });
       }
 
-      const [contents] = await chatFile.download();
-      const data = JSON.parse(contents.toString('utf8'));
-
-      const messagesWithUrls = await Promise.all(
-        (data.messages || []).map(async (message) => {
-          const updatedMessage = { ...message };
-          if (message.audioPath) {
-            updatedMessage.audioUrl = await generateSignedUrl(message.audioPath);
-          }
-          if (message.imagePath) {
-            updatedMessage.imageUrl = await generateSignedUrl(message.imagePath);
-          }
-          return updatedMessage;
-        })
-      );
+      const { messages, nextCursor } = await chatStore.listMessages(patientId, doctorId, page);
+      const messagesWithUrls = await urlSigner.signMessages(messages);
 
       console.log(`Fetched ${messagesWithUrls.length} messages for chat between patient ${patientId} and doctor ${doctorId}`);
-      return res.json({ success: true, messages: messagesWithUrls, userRole });
+      return res.json({ success: true, messages: messagesWithUrls, nextCursor, userRole });
     } catch (error) {
       console.error(`Error fetching chat for patient ${patientId} and doctor ${doctorId}:`, error.message);
       return res.status(500).json({ success: false, message: 'Failed to fetch messages', details: error.message });
@@ -238,15 +215,7 @@ const handleChatRequest = async (req, res, patientId, doctorId, userId) => {
           }
 
           const chatDir = `chats/${patientId}-${doctorId}`;
-          const chatFile = bucket.file(`${chatDir}/messages.json`);
-          let chatData = { messages: [] };
-          const [exists] = await chatFile.exists();
-          if (exists) {
-            const [contents] = await chatFile.download();
-            chatData = JSON.parse(contents.toString('utf8')) || { messages: [] };
-          }
-
-          const newMessage = {
+          const chatMessage = {
             text: message.text || '',
             timestamp: message.timestamp || new Date().toISOString(),
             sender: message.sender,
@@ -256,17 +225,17 @@ const handleChatRequest = async (req, res, patientId, doctorId, userId) => {
           if (audioFileBuffer && audioFileName) {
             const audioFile = bucket.file(`${chatDir}/audio/${audioFileName}`);
             await uploadWithRetry(audioFile, audioFileBuffer, { contentType: 'audio/mpeg' });
-            newMessage.audioPath = `${chatDir}/audio/${audioFileName}`;
+            chatMessage.audioPath = `${chatDir}/audio/${audioFileName}`;
           }
 
           if (imageFileBuffer && imageFileName) {
             const imageFile = bucket.file(`${chatDir}/images/${imageFileName}`);
             await uploadWithRetry(imageFile, imageFileBuffer, { contentType: 'image/jpeg' });
-            newMessage.imagePath = `${chatDir}/images/${imageFileName}`;
+            chatMessage.imagePath = `${chatDir}/images/${imageFileName}`;
           }
 
-          chatData.messages.push(newMessage);
-          await uploadWithRetry(chatFile, JSON.stringify(chatData), { contentType: 'application/json' });
+          const { message: savedMessage } = await chatStore.appendMessage(patientId, doctorId, chatMessage);
+          const newMessage = await urlSigner.signMessage(savedMessage);
 
           await pusher.trigger(`chat-${patientId}-${doctorId}`, 'new-message', newMessage);
           console.log(`Pusher event 'new-message' triggered on channel chat-${patientId}-${doctorId}`);
@@ -280,7 +249,8 @@ const handleChatRequest = async (req, res, patientId, doctorId, userId) => {
 
       req.pipe(bb);
     } else {
-      const { message, append } = req.body;
+      // History is append-only, so an old client's append flag is ignored
+      const { message } = req.body;
       if (!message || typeof message !== 'object') {
         return res.status(400).json({ success: false, message: 'Message object is required' });
       }
@@ -315,27 +285,12 @@ const handleChatRequest = async (req, res, patientId, doctorId, userId) => {
           return res.status(404).json({ success: false, message: 'No chat assignment found' });
         }
 
-        const chatFile = bucket.file(`chats/${patientId}-${doctorId}/messages.json`);
-        let chatData = { messages: [] };
-        const [exists] = await chatFile.exists();
-        if (exists) {
-          const [contents] = await chatFile.download();
-          chatData = JSON.parse(contents.toString('utf8')) || { messages: [] };
-        }
-
-        const newMessage = {
-          ...message,
+        const { id, seq, status, deliveredAt, readAt, ...fields } = message;
+        const { message: newMessage } = await chatStore.appendMessage(patientId, doctorId, {
+          ...fields,
           timestamp: message.timestamp || new Date().toISOString(),
           senderId: userId,
-        };
-
-        if (append) {
-          chatData.messages.push(newMessage);
-        } else {
-          chatData.messages = [newMessage];
-        }
-
-        await uploadWithRetry(chatFile, JSON.stringify(chatData), { contentType: 'application/json' });
+        });
 
         await pusher.trigger(`chat-${patientId}-${doctorId}`, 'new-message', newMessage);
         console.log(`Pusher event 'new-message' triggered on channel chat-${patientId}-${doctorId}`);
@@ -395,7 +350,8 @@ const handleMissedDoseAlertsRequest = async (req, res, patientId, doctorId, user
   }
 };
 
-// Handler for admin notifications
+// Handler for a doctor flagging a consultation to the admin. Patients cannot post here: prescription
+// problems are flagged by the server when the record is stored (see lib/prescriptionRecords.js).
 const handleAdminNotifyRequest = async (req, res, userId) => {
   console.log(`[DEBUG] Entering handleAdminNotifyRequest with method: ${req.method}, URL: ${req.url}`);
   console.log(`[DEBUG] Request headers: ${JSON.stringify(req.headers)}`);
@@ -410,22 +366,19 @@ const handleAdminNotifyRequest = async (req, res, userId) => {
         return res.status(400).json({ success: false, message: 'patientId, doctorId, and message are required' });
       }
 
-      // Verify the user is authorized (either patient or doctor)
-      const patientQuery = await db.collection('patients').where('uid', '==', userId).get();
+      // Only the patient's assigned doctor may notify the admin
       const doctorQuery = await db.collection('doctors').where('uid', '==', userId).get();
-      let isAuthorized = false;
-
-      if (!patientQuery.empty && patientQuery.docs[0].data().patientId === patientId) {
-        isAuthorized = true;
-        console.log(`[DEBUG] User ${userId} authorized as patient ${patientId}`);
-      } else if (!doctorQuery.empty && doctorQuery.docs[0].data().doctorId === doctorId) {
-        isAuthorized = true;
-        console.log(`[DEBUG] User ${userId} authorized as doctor ${doctorId}`);
+      if (doctorQuery.empty || doctorQuery.docs[0].data().doctorId !== doctorId) {
+        console.log(`[DEBUG] User ${userId} is not doctor ${doctorId}`);
+        return res.status(403).json({ success: false, message: 'Only the patient\'s doctor can send this notification' });
       }
-
-      if (!isAuthorized) {
-        console.log(`[DEBUG] User ${userId} not authorized for patient ${patientId} or doctor ${doctorId}`);
-        return res.status(403).json({ success: false, message: 'You are not authorized to send this notification' });
+      const assignmentQuery = await db.collection('doctor_assignments')
+        .where('patientId', '==', patientId)
+        .where('doctorId', '==', doctorId)
+        .get();
+      if (assignmentQuery.empty) {
+        console.log(`[DEBUG] Doctor ${doctorId} is not assigned to patient ${patientId}`);
+        return res.status(403).json({ success: false, message: 'Only the patient\'s doctor can send this notification' });
       }
 
       // Store the notification in Firestore
@@ -561,6 +514,8 @@ const handleDeleteDoctorRequest = async (req, res, userId) => {
         await Promise.all(files.map((file) => deleteWithRetry(file)));
       }
       console.log(`Deleted GCS chat files for doctor ${doctorId}`);
+      await chatStore.deleteChats('doctorId', doctorId);
+      console.log(`Deleted chat history for doctor ${doctorId}`);
 
       return res.status(200).json({ success: true, message: 'Doctor deleted successfully' });
     } catch (error) {
@@ -609,6 +564,8 @@ const handleDeletePatientRequest = async (req, res, userId) => {
         await Promise.all(files.map((file) => deleteWithRetry(file)));
       }
       console.log(`Deleted GCS chat files for patient ${patientId}`);
+      await chatStore.deleteChats('patientId', patientId);
+      console.log(`Deleted chat history for patient ${patientId}`);
 
       // Remove any assignments related to this patient
       const assignmentsQuery = await db.collection('doctor_assignments')
@@ -758,6 +715,164 @@ const handleInvalidPrescriptionsRequest = async (req, res, userId) => {
   }
 };
 
+// Handler for interaction warnings that doctors acknowledged and overrode
+const handleInteractionOverridesRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ success: false, message: `Method ${req.method} Not Allowed for /admin/interaction-overrides` });
+  }
+
+  try {
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can fetch interaction overrides' });
+    }
+
+    const overridesSnapshot = await db.collection('notifications')
+      .where('type', '==', 'interaction-override')
+      .get();
+    const overrides = overridesSnapshot.docs
+      .map((doc) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          doctorId: data.doctorId || 'N/A',
+          patientId: data.patientId || 'N/A',
+          prescription: data.prescription || null,
+          reason: data.reason || '',
+          warnings: data.warnings || [],
+          timestamp: data.timestamp || null,
+        };
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    console.log(`Fetched ${overrides.length} interaction overrides for admin ${userId}`);
+    return res.status(200).json({ success: true, overrides });
+  } catch (error) {
+    console.error(`Error fetching interaction overrides for user ${userId}:`, error.message);
+    return res.status(500).json({ success: false, message: 'Failed to fetch interaction overrides', details: error.message });
+  }
+};
+
+// Handler for the missed-dose escalation policies the reminder cron applies
+const handleEscalationPoliciesRequest = async (req, res, userId) => {
+  try {
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can manage escalation policies' });
+    }
+
+    const policiesRef = db.collection('escalation_policies');
+
+    if (req.method === 'GET') {
+      const policiesSnapshot = await policiesRef.get();
+      const policies = policiesSnapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.priority - a.priority || a.name.localeCompare(b.name));
+      console.log(`Fetched ${policies.length} escalation policies for admin ${userId}`);
+      return res.status(200).json({ success: true, policies });
+    }
+
+    if (req.method === 'POST') {
+      const { id, ...fields } = req.body || {};
+      const errors = validatePolicy(fields);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.join(' ') });
+      }
+
+      const policyRef = id ? policiesRef.doc(id) : policiesRef.doc();
+      const policy = {
+        ...normalizePolicy(fields),
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId,
+      };
+      await policyRef.set(policy);
+      console.log(`Escalation policy ${policyRef.id} saved by admin ${userId}`);
+      return res.status(200).json({ success: true, policy: { id: policyRef.id, ...policy } });
+    }
+
+    if (req.method === 'DELETE') {
+      const { id } = req.query;
+      if (!id) {
+        return res.status(400).json({ success: false, message: 'id is required' });
+      }
+      await policiesRef.doc(id).delete();
+      console.log(`Escalation policy ${id} deleted by admin ${userId}`);
+      return res.status(200).json({ success: true });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).json({ success: false, message: `Method ${req.method} Not Allowed for /admin/escalation-policies` });
+  } catch (error) {
+    console.error(`Error managing escalation policies for user ${userId}:`, error.message);
+    return res.status(500).json({ success: false, message: 'Failed to manage escalation policies', details: error.message });
+  }
+};
+
+// Handler for the clinic's translation glossary: terms machine translation must keep as-is
+// (or always render with the given translation). Drug names from the medicine table are
+// protected automatically; these are the clinic's additions.
+const handleGlossaryRequest = async (req, res, userId) => {
+  try {
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can manage the translation glossary' });
+    }
+
+    const glossaryRef = db.collection('translation_glossary');
+
+    if (req.method === 'GET') {
+      const glossarySnapshot = await glossaryRef.get();
+      const entries = glossarySnapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.term.localeCompare(b.term));
+      console.log(`Fetched ${entries.length} glossary entries for admin ${userId}`);
+      return res.status(200).json({ success: true, entries });
+    }
+
+    if (req.method === 'POST') {
+      const { id, ...fields } = req.body || {};
+      const entry = normalizeGlossaryEntry(fields);
+      const errors = validateGlossaryEntry(entry);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.join(' ') });
+      }
+
+      const duplicateSnapshot = await glossaryRef.where('termKey', '==', entry.term.toLowerCase()).get();
+      if (duplicateSnapshot.docs.some((doc) => doc.id !== id)) {
+        return res.status(409).json({ success: false, message: `"${entry.term}" is already in the glossary` });
+      }
+
+      const entryRef = id ? glossaryRef.doc(id) : glossaryRef.doc();
+      const stored = {
+        ...entry,
+        termKey: entry.term.toLowerCase(),
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId,
+      };
+      await entryRef.set(stored);
+      console.log(`Glossary entry ${entryRef.id} ("${entry.term}") saved by admin ${userId}`);
+      return res.status(200).json({ success: true, entry: { id: entryRef.id, ...stored } });
+    }
+
+    if (req.method === 'DELETE') {
+      const { id } = req.query;
+      if (!id) {
+        return res.status(400).json({ success: false, message: 'id is required' });
+      }
+      await glossaryRef.doc(id).delete();
+      console.log(`Glossary entry ${id} deleted by admin ${userId}`);
+      return res.status(200).json({ success: true });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).json({ success: false, message: `Method ${req.method} Not Allowed for /admin/glossary` });
+  } catch (error) {
+    console.error(`Error managing the translation glossary for user ${userId}:`, error.message);
+    return res.status(500).json({ success: false, message: 'Failed to manage the translation glossary', details: error.message });
+  }
+};
+
 // Handler for registering a patient (admin-initiated)
 const handleRegisterPatientRequest = async (req, res, userId) => {
   if (req.method === 'POST') {
@@ -777,6 +892,10 @@ const handleRegisterPatientRequest = async (req, res, userId) => {
         return res.status(400).json({ error: { code: 400, message: 'All fields are required' } });
       }
 
+      if (!isSupportedLanguage(languagePreference)) {
+        return res.status(400).json({ error: { code: 400, message: `Unsupported language preference. Use one of: ${LANGUAGE_CODES.join(', ')}` } });
+      }
+
       const aadhaarRegex = /^\d{12}$/;
       if (!aadhaarRegex.test(aadhaarNumber)) {
         return res.status(400).json({ error: { code: 400, message: 'Invalid Aadhaar number (must be 12 digits)' } });
@@ -791,6 +910,11 @@ const handleRegisterPatientRequest = async (req, res, userId) => {
         return res.status(400).json({ error: { code: 400, message: 'Password must be at least 6 characters long' } });
       }
 
+      const healthErrors = validateHealthProfile(req.body);
+      if (healthErrors.length > 0) {
+        return res.status(400).json({ error: { code: 400, message: healthErrors.join(' ') } });
+      }
+
       // Check if email is already registered
       const emailQuery = await db.collection('users')
         .where('email', '==', email)
@@ -850,10 +974,11 @@ const handleRegisterPatientRequest = async (req, res, userId) => {
         email,
         dateOfBirth,
         age: parseInt(age),
-        languagePreference,
+        languagePreference: getLanguage(languagePreference).code,
         password: hashedPassword,
         aadhaarNumber,
         phoneNumber,
+        ...normalizeHealthProfile(req.body),
         createdAt: new Date().toISOString(),
       };
 
@@ -894,6 +1019,13 @@ const handleRegisterPatientNotificationRequest = async (req, res, userId) => {
         return res.status(403).json({ success: false, message: 'You are not authorized to send this notification' });
       }
 
+      // Self-registration writes the patient document from the browser; store the health fields normalized
+      const healthErrors = validateHealthProfile(req.body);
+      if (healthErrors.length > 0) {
+        return res.status(400).json({ success: false, message: healthErrors.join(' ') });
+      }
+      await patientQuery.docs[0].ref.set(normalizeHealthProfile(req.body), { merge: true });
+
       // Store the notification in Firestore
       const notificationRef = db.collection('notifications').doc();
       const notificationData = {
@@ -1039,6 +1171,15 @@ export default async function handler(req, res) {
     } else if (req.url.includes('/invalid-prescriptions')) {
       console.log('[DEBUG] Routing to handleInvalidPrescriptionsRequest');
       return handleInvalidPrescriptionsRequest(req, res, userId);
+    } else if (req.url.includes('/interaction-overrides')) {
+      console.log('[DEBUG] Routing to handleInteractionOverridesRequest');
+      return handleInteractionOverridesRequest(req, res, userId);
+    } else if (req.url.includes('/escalation-policies')) {
+      console.log('[DEBUG] Routing to handleEscalationPoliciesRequest');
+      return handleEscalationPoliciesRequest(req, res, userId);
+    } else if (req.url.includes('/glossary')) {
+      console.log('[DEBUG] Routing to handleGlossaryRequest');
+      return handleGlossaryRequest(req, res, userId);
     } else if (req.url.includes('/register-patient')) {
       console.log('[DEBUG] Routing to handleRegisterPatientNotificationRequest');
       return handleRegisterPatientNotificationRequest(req, res, userId);
@@ -0,0 +1,433 @@
+import admin from 'firebase-admin';
+import {
+  BOOKING_WINDOW_DAYS,
+  normalizeAvailability,
+  validateAvailability,
+  generateSlots,
+  findSlot,
+  slotLockId,
+  slotsOverlap,
+} from '../../src/services/appointments.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+    console.log('Firebase Admin initialized successfully in api/appointments/index.js');
+  } catch (error) {
+    console.error('Firebase Admin initialization failed in api/appointments/index.js:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+
+// Retry logic
+async function operationWithRetry(operation, retries = 3, backoff = 1000) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.warn(`Retry ${attempt}/${retries} failed: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, backoff * attempt));
+    }
+  }
+}
+
+// Thrown inside transactions to turn a conflict into a 4xx response
+class BookingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const getProfile = async (collectionName, userId) => {
+  const profileQuery = await operationWithRetry(() => db.collection(collectionName).where('uid', '==', userId).get());
+  return profileQuery.empty ? null : profileQuery.docs[0].data();
+};
+
+const getAvailability = async (doctorId) => {
+  const availabilityDoc = await operationWithRetry(() => db.collection('doctor_availability').doc(doctorId).get());
+  return availabilityDoc.exists ? availabilityDoc.data() : null;
+};
+
+const isOpen = (appointment) => appointment.status === 'booked';
+
+// Handler for reading (anyone signed in) and publishing (the doctor) weekly availability
+const handleAvailabilityRequest = async (req, res, userId) => {
+  try {
+    if (req.method === 'GET') {
+      const { doctorId } = req.query || {};
+      if (!doctorId) {
+        return res.status(400).json({ error: { code: 400, message: 'doctorId is required' } });
+      }
+      const availability = await getAvailability(doctorId);
+      return res.status(200).json({ success: true, availability: availability ? normalizeAvailability(availability) : null });
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', ['GET', 'POST']);
+      return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+    }
+
+    const doctor = await getProfile('doctors', userId);
+    if (!doctor) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only doctors can publish availability' } });
+    }
+
+    const errors = validateAvailability(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: { code: 400, message: 'Invalid availability', details: errors.join(' ') } });
+    }
+
+    // Published hours only shape future slots; appointments already booked are kept
+    const availability = { ...normalizeAvailability(req.body), updatedAt: new Date().toISOString() };
+    await operationWithRetry(() => db.collection('doctor_availability').doc(doctor.doctorId).set(availability));
+    console.log(`Availability updated for doctor ${doctor.doctorId}`);
+    return res.status(200).json({ success: true, availability });
+  } catch (error) {
+    console.error(`Error handling availability for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler listing a doctor's free slots for the next few days
+const handleSlotsRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, from } = req.query || {};
+    const days = Math.min(parseInt(req.query?.days, 10) || 7, BOOKING_WINDOW_DAYS);
+    if (!doctorId) {
+      return res.status(400).json({ error: { code: 400, message: 'doctorId is required' } });
+    }
+
+    const availability = await getAvailability(doctorId);
+    if (!availability) {
+      return res.status(200).json({ success: true, slots: [], timeZone: null, message: 'This doctor has not published availability yet' });
+    }
+
+    const now = new Date();
+    const slots = generateSlots(availability, { from: from ? new Date(from) : now, days, now });
+    if (slots.length === 0) {
+      return res.status(200).json({ success: true, slots: [], timeZone: availability.timeZone });
+    }
+
+    // Bookings made under another slot length or other hours can overlap a slot without sharing its start
+    const bookedSnapshot = await operationWithRetry(() =>
+      db.collection('appointment_slots')
+        .where('doctorId', '==', doctorId)
+        .where('start', '<', slots[slots.length - 1].end)
+        .where('end', '>', slots[0].start)
+        .get()
+    );
+    const booked = bookedSnapshot.docs.map((doc) => doc.data());
+
+    return res.status(200).json({
+      success: true,
+      timeZone: availability.timeZone,
+      slotMinutes: availability.slotMinutes,
+      slots: slots.filter((slot) => !booked.some((lock) => slotsOverlap(slot, lock))),
+    });
+  } catch (error) {
+    console.error(`Error listing slots for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Reads the doctor's slot locks that overlap the slot inside a transaction; fails if another
+// booking holds one (the appointment being moved, if any, does not count). Transactions need
+// every read before any write, so the caller writes the lock.
+const checkSlotFree = async (transaction, doctorId, slot, { appointmentId } = {}) => {
+  const overlapping = await transaction.get(
+    db.collection('appointment_slots')
+      .where('doctorId', '==', doctorId)
+      .where('start', '<', slot.end)
+      .where('end', '>', slot.start)
+  );
+  if (overlapping.docs.some((lock) => lock.data().appointmentId !== appointmentId)) {
+    throw new BookingError(409, 'This slot has just been booked. Please pick another time.');
+  }
+  return db.collection('appointment_slots').doc(slotLockId(doctorId, slot.start));
+};
+
+// Handler for a patient booking a slot. The slot lock and the appointment are written in one
+// transaction, so concurrent requests for the same slot cannot both succeed.
+const handleBookRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, start, reason } = req.body || {};
+    if (!doctorId || !start) {
+      return res.status(400).json({ error: { code: 400, message: 'doctorId and start are required' } });
+    }
+
+    const patient = await getProfile('patients', userId);
+    if (!patient) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only patients can book appointments' } });
+    }
+
+    const [availability, doctorQuery] = await Promise.all([
+      getAvailability(doctorId),
+      operationWithRetry(() => db.collection('doctors').where('doctorId', '==', doctorId).get()),
+    ]);
+    if (doctorQuery.empty) {
+      return res.status(404).json({ error: { code: 404, message: `Doctor not found with doctorId: ${doctorId}` } });
+    }
+    const slot = availability ? findSlot(availability, start) : null;
+    if (!slot) {
+      return res.status(400).json({ error: { code: 400, message: 'The doctor does not offer this slot' } });
+    }
+
+    const doctor = doctorQuery.docs[0].data();
+    const appointmentRef = db.collection('appointments').doc();
+    const appointment = {
+      doctorId,
+      patientId: patient.patientId,
+      doctorName: doctor.name || null,
+      patientName: patient.name || `Patient ${patient.patientId}`,
+      start: slot.start,
+      end: slot.end,
+      timeZone: availability.timeZone,
+      reason: String(reason || '').trim().slice(0, 300) || null,
+      status: 'booked',
+      remindersSent: [],
+      createdAt: new Date().toISOString(),
+      history: [],
+    };
+
+    await db.runTransaction(async (transaction) => {
+      const lockRef = await checkSlotFree(transaction, doctorId, slot);
+      transaction.set(lockRef, { doctorId, patientId: patient.patientId, appointmentId: appointmentRef.id, start: slot.start, end: slot.end });
+      transaction.set(appointmentRef, appointment);
+    });
+
+    // Booking also assigns the doctor, which puts the patient in the doctor's chat list
+    const assignmentId = `${patient.patientId}_${doctorId}`;
+    await operationWithRetry(() =>
+      db.collection('doctor_assignments').doc(assignmentId).set({
+        patientId: patient.patientId,
+        doctorId,
+        timestamp: new Date().toISOString(),
+        patientName: patient.name || `Patient ${patient.patientId}`,
+        age: patient.age || null,
+        sex: patient.sex || null,
+      }, { merge: true })
+    );
+
+    console.log(`Appointment ${appointmentRef.id} booked with doctor ${doctorId} at ${slot.start}`);
+    return res.status(201).json({ success: true, appointment: { id: appointmentRef.id, ...appointment } });
+  } catch (error) {
+    if (error instanceof BookingError) {
+      return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+    }
+    console.error(`Error booking appointment for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Loads an appointment for its patient (or, for cancellations, its doctor)
+const getOwnAppointment = async (transaction, appointmentId, userId, { allowDoctor }) => {
+  const appointmentRef = db.collection('appointments').doc(appointmentId);
+  const appointmentDoc = await transaction.get(appointmentRef);
+  if (!appointmentDoc.exists) throw new BookingError(404, 'Appointment not found');
+
+  const appointment = appointmentDoc.data();
+  const [patient, doctor] = await Promise.all([getProfile('patients', userId), allowDoctor ? getProfile('doctors', userId) : null]);
+  const isPatient = patient?.patientId === appointment.patientId;
+  const isDoctor = doctor?.doctorId === appointment.doctorId;
+  if (!isPatient && !isDoctor) throw new BookingError(403, 'Forbidden: This is not your appointment');
+  if (!isOpen(appointment)) throw new BookingError(409, `Appointment is already ${appointment.status}`);
+  return { appointmentRef, appointment, by: isPatient ? 'patient' : 'doctor' };
+};
+
+// Handler for moving a booking to another slot; the old lock is released in the same transaction
+const handleRescheduleRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { appointmentId, start } = req.body || {};
+    if (!appointmentId || !start) {
+      return res.status(400).json({ error: { code: 400, message: 'appointmentId and start are required' } });
+    }
+
+    const updated = await db.runTransaction(async (transaction) => {
+      const { appointmentRef, appointment } = await getOwnAppointment(transaction, appointmentId, userId, { allowDoctor: false });
+      const availability = await getAvailability(appointment.doctorId);
+      const slot = availability ? findSlot(availability, start) : null;
+      if (!slot) throw new BookingError(400, 'The doctor does not offer this slot');
+      if (slot.start === appointment.start) throw new BookingError(400, 'The appointment is already at this time');
+
+      const lockRef = await checkSlotFree(transaction, appointment.doctorId, slot, { appointmentId });
+      const now = new Date().toISOString();
+      const update = {
+        start: slot.start,
+        end: slot.end,
+        timeZone: availability.timeZone,
+        remindersSent: [],
+        updatedAt: now,
+        history: [...(appointment.history || []), { action: 'rescheduled', from: appointment.start, to: slot.start, at: now }],
+      };
+      transaction.set(lockRef, {
+        doctorId: appointment.doctorId,
+        patientId: appointment.patientId,
+        appointmentId,
+        start: slot.start,
+        end: slot.end,
+      });
+      transaction.delete(db.collection('appointment_slots').doc(slotLockId(appointment.doctorId, appointment.start)));
+      transaction.update(appointmentRef, update);
+      return { ...appointment, ...update };
+    });
+
+    console.log(`Appointment ${appointmentId} rescheduled to ${updated.start}`);
+    return res.status(200).json({ success: true, appointment: { id: appointmentId, ...updated } });
+  } catch (error) {
+    if (error instanceof BookingError) {
+      return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+    }
+    console.error(`Error rescheduling appointment for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for cancelling a booking (patient or doctor); frees the slot for others
+const handleCancelRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { appointmentId } = req.body || {};
+    if (!appointmentId) {
+      return res.status(400).json({ error: { code: 400, message: 'appointmentId is required' } });
+    }
+
+    const updated = await db.runTransaction(async (transaction) => {
+      const { appointmentRef, appointment, by } = await getOwnAppointment(transaction, appointmentId, userId, { allowDoctor: true });
+      const now = new Date().toISOString();
+      const update = {
+        status: 'cancelled',
+        cancelledBy: by,
+        cancelledAt: now,
+        history: [...(appointment.history || []), { action: 'cancelled', by, at: now }],
+      };
+      transaction.delete(db.collection('appointment_slots').doc(slotLockId(appointment.doctorId, appointment.start)));
+      transaction.update(appointmentRef, update);
+      return { ...appointment, ...update };
+    });
+
+    console.log(`Appointment ${appointmentId} cancelled by ${updated.cancelledBy}`);
+    return res.status(200).json({ success: true, appointment: { id: appointmentId, ...updated } });
+  } catch (error) {
+    if (error instanceof BookingError) {
+      return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+    }
+    console.error(`Error cancelling appointment for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler listing the caller's upcoming bookings, as patient or doctor
+const handleMineRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const [patient, doctor] = await Promise.all([getProfile('patients', userId), getProfile('doctors', userId)]);
+    if (!patient && !doctor) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only patients and doctors have appointments' } });
+    }
+
+    const field = doctor ? 'doctorId' : 'patientId';
+    const appointmentsSnapshot = await operationWithRetry(() =>
+      db.collection('appointments').where(field, '==', doctor ? doctor.doctorId : patient.patientId).get()
+    );
+    const now = Date.now();
+    const appointments = appointmentsSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((appointment) => isOpen(appointment) && new Date(appointment.end).getTime() > now)
+      .sort((a, b) => a.start.localeCompare(b.start));
+
+    return res.status(200).json({ success: true, appointments });
+  } catch (error) {
+    console.error(`Error listing appointments for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, x-user-uid, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const userId = req.headers['x-user-uid'];
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
+    if (req.url.includes('/availability')) {
+      return handleAvailabilityRequest(req, res, userId);
+    } else if (req.url.includes('/slots')) {
+      return handleSlotsRequest(req, res, userId);
+    } else if (req.url.includes('/book')) {
+      return handleBookRequest(req, res, userId);
+    } else if (req.url.includes('/reschedule')) {
+      return handleRescheduleRequest(req, res, userId);
+    } else if (req.url.includes('/cancel')) {
+      return handleCancelRequest(req, res, userId);
+    } else if (req.url.includes('/mine')) {
+      return handleMineRequest(req, res, userId);
+    }
+
+    return res.status(404).json({ error: { code: 404, message: `Unknown appointments route: ${req.url}` } });
+  } catch (error) {
+    console.error(`Error in /api/appointments: ${error.message}`);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
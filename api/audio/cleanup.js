@@ -0,0 +1,69 @@
+import { Storage } from '@google-cloud/storage';
+import admin from 'firebase-admin';
+import { runStorageCleanup } from '../../lib/storageCleanup.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    const privateKey = process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+    if (!process.env.FIREBASE_PROJECT_ID || !privateKey || !process.env.FIREBASE_CLIENT_EMAIL) {
+      throw new Error('Missing Firebase credentials');
+    }
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey,
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+  } catch (error) {
+    console.error('Failed to initialize Firebase Admin:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+
+// Same bucket and credentials as the other /api/audio functions
+const getBucket = () => {
+  if (!process.env.GCS_SERVICE_ACCOUNT_KEY) {
+    throw new Error('GCS_SERVICE_ACCOUNT_KEY environment variable is not set');
+  }
+  const credentials = JSON.parse(Buffer.from(process.env.GCS_SERVICE_ACCOUNT_KEY, 'base64').toString());
+  return new Storage({ credentials }).bucket(process.env.GCS_BUCKET_NAME || 'fir-project-vercel');
+};
+
+// Cron handler purging orphaned read-aloud and chat audio from the bucket (see lib/storageCleanup.js).
+// ?dryRun=true reports what would be deleted.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  // Vercel Cron sends the project's CRON_SECRET as a bearer token
+  if (!process.env.CRON_SECRET || req.headers['authorization'] !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: { code: 401, message: 'Unauthorized' } });
+  }
+
+  try {
+    const bucket = getBucket();
+    const summary = await runStorageCleanup({
+      db,
+      bucket,
+      bucketName: bucket.name,
+      dryRun: req.query?.dryRun === 'true',
+    });
+    console.log(
+      `Storage cleanup${summary.dryRun ? ' (dry run)' : ''}: ${summary.chats} chats scanned, ` +
+      `${summary.candidates} audio objects, ${summary.orphaned} orphaned, ${summary.deleted} deleted, ` +
+      `${summary.cacheEntriesRemoved} TTS cache entries removed, ${summary.cacheEntriesRecounted} recounted`
+    );
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Error running storage cleanup:', error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
@@ -1,8 +1,10 @@
 import { Storage } from '@google-cloud/storage';
-import { SpeechClient } from '@google-cloud/speech';
-import { v2 } from '@google-cloud/translate';
 import admin from 'firebase-admin';
 import multer from 'multer';
+import { DEFAULT_LANGUAGE, findLanguage, getLanguage, isDefaultLanguage } from '../../src/services/languages.js';
+import { getVoiceProviders } from '../../lib/voice/index.js';
+import { createGlossaryLoader } from '../../lib/glossary.js';
+import { createTranslationMemory } from '../../lib/translationMemory.js';
 
 console.log('Loading /api/audio/index.js');
 
@@ -87,40 +89,6 @@ const initStorage = async () => {
   }
 };
 
-// Lazy initialization of Google Cloud clients
-let speechClient = null, translateClient = null;
-const initSpeechClient = async () => {
-  console.log('Attempting to initialize Speech-to-Text client...');
-  if (!speechClient) {
-    try {
-      speechClient = new SpeechClient({ credentials: await getServiceAccountKey() });
-      console.log('Google Speech-to-Text client initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Speech-to-Text client:', error.message, error.stack);
-      speechClient = null;
-    }
-  } else {
-    console.log('Speech-to-Text client already initialized');
-  }
-  return !!speechClient;
-};
-
-const initTranslateClient = async () => {
-  console.log('Attempting to initialize Translate client...');
-  if (!translateClient) {
-    try {
-      translateClient = new v2.Translate({ credentials: await getServiceAccountKey() });
-      console.log('Google Translate v2 client initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Translate client:', error.message, error.stack);
-      translateClient = null;
-    }
-  } else {
-    console.log('Translate client already initialized');
-  }
-  return !!translateClient;
-};
-
 const getServiceAccountKey = async () => {
   console.log('Retrieving service account key...');
   if (!process.env.GCS_SERVICE_ACCOUNT_KEY) {
@@ -145,6 +113,16 @@ const getServiceAccountKey = async () => {
   }
 };
 
+// Speech-to-text and translation go through the configured voice providers (VOICE_PROVIDER, see lib/voice).
+// Translations keep drug names, doses and times intact via the admin-maintained glossary, and reuse
+// clinician-corrected translations from the translation memory.
+const voice = getVoiceProviders({
+  google: { getCredentials: getServiceAccountKey },
+  glossary: createGlossaryLoader({ db }),
+  memory: createTranslationMemory({ db }),
+});
+console.log('Voice providers:', JSON.stringify(voice.names));
+
 // Multer configuration for audio uploads
 console.log('Configuring Multer for audio uploads...');
 const uploadAudio = multer({
@@ -283,11 +261,17 @@ export default async function handler(req, res) {
       await runMulter(req, res, uploadAudio.single('audio'));
 
       console.log('Parsing request body...');
-      const language = req.body.language || 'en-US';
+      const requestedLanguage = findLanguage(req.body.language || getLanguage().bcp47);
       const uid = req.body.uid;
-      console.log('Request body - language:', language);
+      console.log('Request body - language:', req.body.language);
       console.log('Request body - uid:', uid);
 
+      if (!requestedLanguage) {
+        console.error('Unsupported recording language:', req.body.language);
+        return res.status(400).json({ error: { code: 400, message: `Unsupported language: ${req.body.language}` } });
+      }
+      const language = requestedLanguage.sttCode;
+
       if (!uid) {
         console.error('User ID (uid) missing in body');
         return res.status(400).json({ error: { code: 400, message: 'User ID (uid) is required in body' } });
@@ -314,39 +298,31 @@ export default async function handler(req, res) {
       const audioUrl = `https://storage.googleapis.com/${bucketName}/${fileName}`;
       console.log(`Audio uploaded to GCS: ${audioUrl}`);
 
-      console.log('Initializing Speech-to-Text client...');
-      let transcriptionText = 'Transcription unavailable';
-      let detectedLanguage = language.split('-')[0];
-      if (await initSpeechClient()) {
-        console.log('Speech-to-Text client available, performing transcription...');
-        const config = { encoding: 'WEBM_OPUS', sampleRateHertz: 48000, languageCode: language, enableAutomaticLanguageDetection: true };
-        const request = { audio: { content: req.file.buffer.toString('base64') }, config };
-        console.log('Sending transcription request:', JSON.stringify(config));
-        const [response] = await speechClient.recognize(request).catch((error) => {
+      console.log(`Transcribing with the ${voice.names.transcriber} provider...`);
+      const transcription = await voice.transcriber
+        .transcribe({ audio: req.file.buffer, mimeType: req.file.mimetype, languageCode: requestedLanguage.code })
+        .catch((error) => {
           console.error('Speech recognition failed:', error.message, error.stack);
           throw new Error(`Speech recognition failed: ${error.message}`);
         });
-        console.log('Transcription response:', JSON.stringify(response));
-        transcriptionText = response.results?.length > 0 ? response.results.map((result) => result.alternatives[0].transcript).join('\n') : 'No transcription available';
-        detectedLanguage = response.results?.[0]?.languageCode || language.split('-')[0];
-        console.log('Transcription result:', transcriptionText);
-        console.log('Detected language:', detectedLanguage);
-      } else {
-        console.warn('Speech-to-Text client unavailable, skipping transcription');
-      }
+      const transcriptionText = transcription.transcript || 'No transcription available';
+      const detectedLanguage = transcription.languageCode;
+      console.log('Transcription result:', transcriptionText);
+      console.log('Detected language:', detectedLanguage);
 
-      console.log('Initializing Translate client...');
       let translatedText = transcriptionText;
-      if (await initTranslateClient() && detectedLanguage !== 'en') {
-        console.log('Translate client available, translating to English...');
-        const [translation] = await translateClient.translate(transcriptionText, { from: detectedLanguage, to: 'en' }).catch((error) => {
-          console.error('Translation failed:', error.message, error.stack);
-          throw new Error(`Translation failed: ${error.message}`);
-        });
-        translatedText = translation;
+      if (!isDefaultLanguage(detectedLanguage)) {
+        console.log(`Translating to English with the ${voice.names.translator} provider...`);
+        const translation = await voice.translator
+          .translate({ text: transcriptionText, from: detectedLanguage, to: DEFAULT_LANGUAGE })
+          .catch((error) => {
+            console.error('Translation failed:', error.message, error.stack);
+            throw new Error(`Translation failed: ${error.message}`);
+          });
+        translatedText = translation.translatedText;
         console.log('Translated text:', translatedText);
       } else {
-        console.warn('Translate client unavailable or same language, skipping translation');
+        console.log('Recording is already in English, skipping translation');
       }
 
       console.log('Sending response for /api/audio...');
@@ -356,7 +332,6 @@ export default async function handler(req, res) {
         languageCode: language,
         detectedLanguage: detectedLanguage,
         audioUrl,
-        warning: !speechClient ? 'Speech-to-Text service unavailable' : undefined,
       });
     }
 
@@ -386,18 +361,16 @@ export default async function handler(req, res) {
         return res.status(200).json({ translatedText: text });
       }
 
-      console.log('Initializing Translate client...');
-      if (await initTranslateClient()) {
-        console.log(`Translating text from ${sourceLanguageCode} to ${targetLanguageCode}`);
-        const [translation] = await translateClient.translate(text, { from: sourceLanguageCode, to: targetLanguageCode });
-        console.log('Translation result:', translation);
+      console.log(`Translating text from ${sourceLanguageCode} to ${targetLanguageCode} with the ${voice.names.translator} provider`);
+      const { translatedText, detectedSourceLanguage } = await voice.translator.translate({
+        text,
+        from: sourceLanguageCode,
+        to: targetLanguageCode,
+      });
+      console.log('Translation result:', translatedText);
 
-        console.log('Sending response for /api/audio/translate...');
-        return res.status(200).json({ translatedText: translation });
-      } else {
-        console.error('Translate service unavailable');
-        return res.status(503).json({ error: { code: 503, message: 'Translate service unavailable' } });
-      }
+      console.log('Sending response for /api/audio/translate...');
+      return res.status(200).json({ translatedText, detectedSourceLanguage });
     }
 
     console.error(`Sub-endpoint not found: /${endpoint}/${subEndpoint}`);
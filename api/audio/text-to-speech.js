@@ -1,6 +1,7 @@
 import { Storage } from '@google-cloud/storage';
-import { TextToSpeechClient } from '@google-cloud/text-to-speech';
 import admin from 'firebase-admin';
+import { getVoiceProviders } from '../../lib/voice/index.js';
+import { createTtsCache } from '../../lib/ttsCache.js';
 
 console.log('Loading /api/audio/text-to-speech.js');
 
@@ -81,47 +82,13 @@ const initStorage = async () => {
   }
 };
 
-// Initialize Text-to-Speech Client
-let ttsClient = null;
-const initTtsClient = async () => {
-  console.log('Attempting to initialize Text-to-Speech client...');
-  if (!ttsClient) {
-    try {
-      const decodedKey = Buffer.from(process.env.GCS_SERVICE_ACCOUNT_KEY, 'base64').toString();
-      const serviceAccountKey = JSON.parse(decodedKey);
-      ttsClient = new TextToSpeechClient({ credentials: serviceAccountKey });
-      console.log('Google Text-to-Speech client initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Text-to-Speech client:', error.message, error.stack);
-      ttsClient = null;
-    }
-  } else {
-    console.log('Text-to-Speech client already initialized');
-  }
-  return !!ttsClient;
-};
-
-// Utility function for GCS upload with retry
-const uploadWithRetry = async (file, buffer, metadata, retries = 3, backoff = 1000) => {
-  console.log(`Starting uploadWithRetry for file: ${file.name}`);
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      console.log(`Upload attempt ${attempt} for ${file.name}`);
-      await file.save(buffer, { metadata });
-      console.log(`Upload successful on attempt ${attempt} for ${file.name}`);
-      return true;
-    } catch (error) {
-      console.error(`Upload attempt ${attempt} failed for ${file.name}:`, error.message, error.stack);
-      if (attempt === retries) {
-        console.error('All upload attempts failed for:', file.name);
-        throw error;
-      }
-      const delay = backoff * Math.pow(2, attempt - 1);
-      console.log(`Retrying upload for ${file.name} in ${delay}ms...`);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
-  }
-};
+// Speech is synthesized by the configured voice provider (VOICE_PROVIDER / TTS_PROVIDER, see lib/voice)
+// and cached by text, language and voice, so a phrase is only synthesized once (see lib/ttsCache.js)
+const voice = getVoiceProviders({
+  google: {
+    getCredentials: async () => JSON.parse(Buffer.from(process.env.GCS_SERVICE_ACCOUNT_KEY, 'base64').toString()),
+  },
+});
 
 export default async function handler(req, res) {
   console.log('Handler invoked for request:', req.method, req.url);
@@ -185,31 +152,14 @@ export default async function handler(req, res) {
     console.log('Text-to-speech request - text:', text);
     console.log('Text-to-speech request - language:', language);
 
-    console.log('Initializing Text-to-Speech client...');
-    if (await initTtsClient()) {
-      const normalizedLanguageCode = language.toLowerCase().startsWith('kn') ? 'kn-IN' : 'en-US';
-      console.log(`Synthesizing speech with text: "${text}" in language: ${normalizedLanguageCode}`);
-      const [response] = await ttsClient.synthesizeSpeech({
-        input: { text },
-        voice: { languageCode: normalizedLanguageCode, ssmlGender: 'NEUTRAL' },
-        audioConfig: { audioEncoding: 'MP3' },
-      });
-      console.log('Text-to-Speech synthesis successful, response length:', response.audioContent.length);
-
-      console.log('Uploading synthesized audio to GCS...');
-      const fileName = `tts/${userId}/${Date.now()}-speech.mp3`;
-      const file = bucket.file(fileName);
-      await uploadWithRetry(file, response.audioContent, { contentType: 'audio/mp3' });
-      const bucketName = process.env.GCS_BUCKET_NAME || 'fir-project-vercel';
-      const audioUrl = `https://storage.googleapis.com/${bucketName}/${fileName}`;
-      console.log(`Text-to-speech audio uploaded to GCS: ${audioUrl}`);
-
-      console.log('Sending response for /api/audio/text-to-speech...');
-      return res.status(200).json({ audioUrl });
-    } else {
-      console.error('Text-to-Speech client unavailable');
-      return res.status(503).json({ error: { code: 503, message: 'Text-to-Speech service unavailable' } });
-    }
+    console.log(`Synthesizing speech with the ${voice.names.synthesizer} provider: "${text}"`);
+    const bucketName = process.env.GCS_BUCKET_NAME || 'fir-project-vercel';
+    const ttsCache = createTtsCache({ db: admin.firestore(), bucket, bucketName });
+    const { audioUrl, cached } = await ttsCache.synthesize(voice.synthesizer, { text, languageCode: language });
+    console.log(`Text-to-speech audio ${cached ? 'served from cache' : 'synthesized and cached'}: ${audioUrl}`);
+
+    console.log('Sending response for /api/audio/text-to-speech...');
+    return res.status(200).json({ audioUrl, cached });
   } catch (error) {
     console.error('Error in /api/audio/text-to-speech:', error.message, error.stack);
     return res.status(500).json({ error: { code: 500, message: 'Failed to process request', details: error.message } });
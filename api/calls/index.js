@@ -0,0 +1,360 @@
+import admin from 'firebase-admin';
+import Pusher from 'pusher';
+import { SIGNAL_TYPES, isCallActive, getCallOutcome, formatCallSummary } from '../../src/services/calls.js';
+import {
+  MAX_CAPTION_LENGTH,
+  normalizeCaptionLanguage,
+  getRecognitionLanguage,
+  getCaptionLanguages,
+} from '../../src/services/captions.js';
+import { getVoiceProviders } from '../../lib/voice/index.js';
+import { createGlossaryLoader } from '../../lib/glossary.js';
+import { createTranslationMemory } from '../../lib/translationMemory.js';
+import { createChatStore } from '../../lib/chatStore.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+    console.log('Firebase Admin initialized successfully in api/calls/index.js');
+  } catch (error) {
+    console.error('Firebase Admin initialization failed in api/calls/index.js:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+
+const gcsCredentials = {
+  client_email: process.env.GCS_CLIENT_EMAIL,
+  private_key: process.env.GCS_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+};
+
+// Call summaries and final captions are added to the chat history (see lib/chatStore.js)
+const chatStore = createChatStore({ db });
+const voice = getVoiceProviders({
+  google: { projectId: process.env.GCS_PROJECT_ID, getCredentials: async () => gcsCredentials },
+  glossary: createGlossaryLoader({ db }),
+  memory: createTranslationMemory({ db }),
+});
+
+// Initialize Pusher
+let pusher;
+try {
+  pusher = new Pusher({
+    appId: process.env.PUSHER_APP_ID,
+    key: process.env.PUSHER_KEY,
+    secret: process.env.PUSHER_SECRET,
+    cluster: process.env.PUSHER_CLUSTER,
+    useTLS: true,
+  });
+} catch (error) {
+  console.error('Pusher initialization failed in api/calls/index.js:', error.message);
+  throw new Error(`Pusher initialization failed: ${error.message}`);
+}
+
+// Retry logic
+async function operationWithRetry(operation, retries = 3, backoff = 1000) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.warn(`Retry ${attempt}/${retries} failed: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, backoff * attempt));
+    }
+  }
+}
+
+// The caller's side of the chat: the patient themself, or a doctor assigned to the patient
+const getChatRole = async (userId, patientId, doctorId) => {
+  const userDoc = await operationWithRetry(() => db.collection('users').doc(userId).get());
+  if (!userDoc.exists) return null;
+  const userData = userDoc.data();
+  if (userData.role === 'patient' && userData.patientId === patientId) return 'patient';
+  if (userData.role === 'doctor' && userData.doctorId === doctorId) {
+    const assignment = await operationWithRetry(() =>
+      db.collection('doctor_assignments').doc(`${patientId}_${doctorId}`).get()
+    );
+    return assignment.exists ? 'doctor' : null;
+  }
+  return null;
+};
+
+// Loads a call and checks the caller is one of its two parties
+const getCallForUser = async (callId, userId) => {
+  const callRef = db.collection('calls').doc(callId);
+  const callDoc = await operationWithRetry(() => callRef.get());
+  if (!callDoc.exists) return { error: { status: 404, message: 'Call not found' } };
+  const call = callDoc.data();
+  const role = await getChatRole(userId, call.patientId, call.doctorId);
+  if (!role) return { error: { status: 403, message: 'Forbidden: You are not part of this call' } };
+  return { callRef, call, role };
+};
+
+const triggerSignal = (call, signal) =>
+  pusher.trigger(`chat-${call.patientId}-${call.doctorId}`, 'call-signal', signal);
+
+// Appends a message to the chat history and pushes it like any other message
+const appendChatMessage = async (call, message) => {
+  const { message: savedMessage } = await operationWithRetry(() =>
+    chatStore.appendMessage(call.patientId, call.doctorId, message)
+  );
+  await pusher.trigger(`chat-${call.patientId}-${call.doctorId}`, 'new-message', savedMessage);
+  return savedMessage;
+};
+
+const appendCallMessage = (callId, call) =>
+  appendChatMessage(call, {
+    text: formatCallSummary(call),
+    timestamp: call.endedAt,
+    sender: 'system',
+    messageType: 'call',
+    patientId: call.patientId,
+    doctorId: call.doctorId,
+    call: {
+      callId,
+      video: call.video,
+      status: call.status,
+      startedBy: call.startedBy,
+      startedAt: call.startedAt,
+      acceptedAt: call.acceptedAt || null,
+      endedAt: call.endedAt,
+      durationSeconds: call.durationSeconds,
+    },
+  });
+
+// Each side's preferred caption language, fixed when the call is accepted
+const getCallLanguages = async (patientId, doctorId) => {
+  const [patientDoc, doctorQuery] = await Promise.all([
+    operationWithRetry(() => db.collection('patients').doc(patientId).get()),
+    operationWithRetry(() => db.collection('doctors').where('doctorId', '==', doctorId).limit(1).get()),
+  ]);
+  return {
+    patient: normalizeCaptionLanguage(patientDoc.exists ? patientDoc.data().languagePreference : null),
+    doctor: normalizeCaptionLanguage(doctorQuery.empty ? null : doctorQuery.docs[0].data().languagePreference),
+  };
+};
+
+// Handler for placing a call: records it as ringing and rings the other side
+const handleStartRequest = async (req, res, userId) => {
+  const { patientId, doctorId, video } = req.body || {};
+  if (!patientId || !doctorId) {
+    return res.status(400).json({ error: { code: 400, message: 'patientId and doctorId are required' } });
+  }
+
+  const role = await getChatRole(userId, patientId, doctorId);
+  if (!role) {
+    return res.status(403).json({ error: { code: 403, message: 'Forbidden: You are not part of this chat' } });
+  }
+
+  const pairId = `${patientId}_${doctorId}`;
+  const callsSnapshot = await operationWithRetry(() => db.collection('calls').where('pairId', '==', pairId).get());
+  if (callsSnapshot.docs.some((callDoc) => isCallActive(callDoc.data()))) {
+    return res.status(409).json({ error: { code: 409, message: 'A call is already in progress in this chat' } });
+  }
+
+  const callRef = db.collection('calls').doc();
+  const call = {
+    pairId,
+    patientId,
+    doctorId,
+    video: Boolean(video),
+    startedBy: role,
+    startedByUid: userId,
+    status: 'ringing',
+    startedAt: new Date().toISOString(),
+  };
+  await operationWithRetry(() => callRef.set(call));
+  await triggerSignal(call, { callId: callRef.id, type: 'ring', from: role, video: call.video });
+  console.log(`Call ${callRef.id} started by ${role} in chat ${pairId}`);
+  return res.status(201).json({ success: true, callId: callRef.id, call });
+};
+
+// Handler for the callee picking up
+const handleAcceptRequest = async (req, res, userId) => {
+  const { callId } = req.body || {};
+  if (!callId) {
+    return res.status(400).json({ error: { code: 400, message: 'callId is required' } });
+  }
+
+  const { callRef, call, role, error } = await getCallForUser(callId, userId);
+  if (error) return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+  if (role === call.startedBy) {
+    return res.status(400).json({ error: { code: 400, message: 'The caller cannot accept their own call' } });
+  }
+  if (call.status !== 'ringing' || !isCallActive(call)) {
+    return res.status(409).json({ error: { code: 409, message: 'This call is no longer ringing' } });
+  }
+
+  const acceptedAt = new Date().toISOString();
+  const languages = await getCallLanguages(call.patientId, call.doctorId);
+  await operationWithRetry(() => callRef.update({ status: 'accepted', acceptedAt, languages }));
+  await triggerSignal(call, { callId, type: 'accept', from: role, languages });
+  console.log(`Call ${callId} accepted by ${role}`);
+  return res.status(200).json({ success: true, call: { ...call, status: 'accepted', acceptedAt, languages } });
+};
+
+// Handler relaying an SDP offer/answer or ICE candidate to the other peer
+const handleSignalRequest = async (req, res, userId) => {
+  const { callId, type, payload } = req.body || {};
+  if (!callId || !SIGNAL_TYPES.includes(type) || !payload) {
+    return res.status(400).json({ error: { code: 400, message: `callId, payload and a type of ${SIGNAL_TYPES.join('/')} are required` } });
+  }
+
+  const { call, role, error } = await getCallForUser(callId, userId);
+  if (error) return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+  if (!isCallActive(call)) {
+    return res.status(409).json({ error: { code: 409, message: 'This call has ended' } });
+  }
+
+  await triggerSignal(call, { callId, type, from: role, payload });
+  return res.status(200).json({ success: true });
+};
+
+// Handler for a live caption segment: translates it for the listener, relays it and saves
+// finalized segments into the chat as the speaker's message
+const handleCaptionRequest = async (req, res, userId) => {
+  const { callId, segmentId, text, final } = req.body || {};
+  if (!callId || segmentId === undefined || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: { code: 400, message: 'callId, segmentId and text are required' } });
+  }
+  if (text.length > MAX_CAPTION_LENGTH) {
+    return res.status(400).json({ error: { code: 400, message: `Captions are limited to ${MAX_CAPTION_LENGTH} characters` } });
+  }
+
+  const { call, role, error } = await getCallForUser(callId, userId);
+  if (error) return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+  if (call.status !== 'accepted' || !isCallActive(call)) {
+    return res.status(409).json({ error: { code: 409, message: 'Captions are only available during a connected call' } });
+  }
+
+  const languages = getCaptionLanguages(call.languages, role);
+  const original = text.trim();
+  let translatedText = null;
+  if (languages.listener !== languages.speaker) {
+    try {
+      ({ translatedText } = await voice.translator.translate({
+        text: original,
+        from: languages.speaker,
+        to: languages.listener,
+      }));
+    } catch (translateError) {
+      console.error(`Failed to translate caption for call ${callId}:`, translateError.message);
+    }
+  }
+
+  const caption = {
+    callId,
+    type: 'caption',
+    from: role,
+    segmentId,
+    text: original,
+    language: languages.speaker,
+    translatedText,
+    translatedLanguage: languages.listener,
+    final: Boolean(final),
+  };
+  await triggerSignal(call, caption);
+
+  let message = null;
+  if (caption.final) {
+    try {
+      message = await appendChatMessage(call, {
+        text: original,
+        translatedText,
+        recordingLanguage: getRecognitionLanguage(languages.speaker),
+        timestamp: new Date().toISOString(),
+        sender: role,
+        messageType: 'caption',
+        callId,
+        patientId: call.patientId,
+        doctorId: call.doctorId,
+      });
+    } catch (appendError) {
+      console.error(`Failed to add caption from call ${callId} to the chat history:`, appendError.message);
+    }
+  }
+  return res.status(200).json({ success: true, caption, message });
+};
+
+// Handler for hanging up, declining or giving up on a call; idempotent
+const handleEndRequest = async (req, res, userId) => {
+  const { callId } = req.body || {};
+  if (!callId) {
+    return res.status(400).json({ error: { code: 400, message: 'callId is required' } });
+  }
+
+  const { callRef, call, role, error } = await getCallForUser(callId, userId);
+  if (error) return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+  if (!['ringing', 'accepted'].includes(call.status)) {
+    return res.status(200).json({ success: true, call });
+  }
+
+  const outcome = getCallOutcome(call, role);
+  const endedCall = { ...call, ...outcome };
+  await operationWithRetry(() => callRef.update(outcome));
+  await triggerSignal(call, { callId, type: 'end', from: role, status: outcome.status });
+
+  let message = null;
+  try {
+    message = await appendCallMessage(callId, endedCall);
+  } catch (appendError) {
+    console.error(`Failed to add call ${callId} to the chat history:`, appendError.message);
+  }
+  console.log(`Call ${callId} ${outcome.status} by ${role} after ${outcome.durationSeconds}s`);
+  return res.status(200).json({ success: true, call: endedCall, message });
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, x-user-uid, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  const userId = req.headers['x-user-uid'];
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
+    if (req.url.includes('/start')) {
+      return await handleStartRequest(req, res, userId);
+    } else if (req.url.includes('/accept')) {
+      return await handleAcceptRequest(req, res, userId);
+    } else if (req.url.includes('/signal')) {
+      return await handleSignalRequest(req, res, userId);
+    } else if (req.url.includes('/caption')) {
+      return await handleCaptionRequest(req, res, userId);
+    } else if (req.url.includes('/end')) {
+      return await handleEndRequest(req, res, userId);
+    }
+
+    return res.status(404).json({ error: { code: 404, message: `Unknown calls route: ${req.url}` } });
+  } catch (error) {
+    console.error(`Error in /api/calls for user ${userId}: ${error.message}`);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
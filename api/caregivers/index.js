@@ -0,0 +1,361 @@
+import admin from 'firebase-admin';
+import { summarizeAdherence } from '../../src/services/adherence.js';
+import { normalizePatientSchedule } from '../../src/services/patientRoutine.js';
+import { EARLY_CONFIRM_MINUTES } from '../../src/services/reminders.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+    console.log('Firebase Admin initialized successfully in api/caregivers/index.js');
+  } catch (error) {
+    console.error('Firebase Admin initialization failed in api/caregivers/index.js:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+
+// Retry logic
+async function operationWithRetry(operation, retries = 3, backoff = 1000) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.warn(`Retry ${attempt}/${retries} failed: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, backoff * attempt));
+    }
+  }
+}
+
+// Links live in caregiver_links/{patientId}_{caregiverId}: pending until the patient consents,
+// then active until either side revokes them
+const linkRef = (patientId, caregiverId) => db.collection('caregiver_links').doc(`${patientId}_${caregiverId}`);
+
+const getCaregiver = async (userId) => {
+  const caregiverQuery = await operationWithRetry(() => db.collection('caregivers').where('uid', '==', userId).get());
+  return caregiverQuery.empty ? null : { ref: caregiverQuery.docs[0].ref, ...caregiverQuery.docs[0].data() };
+};
+
+const getPatient = async (userId) => {
+  const patientQuery = await operationWithRetry(() => db.collection('patients').where('uid', '==', userId).get());
+  return patientQuery.empty ? null : { ref: patientQuery.docs[0].ref, ...patientQuery.docs[0].data() };
+};
+
+// The caller's caregiver profile, if they hold an active link to the patient
+const getLinkedCaregiver = async (userId, patientId) => {
+  const caregiver = await getCaregiver(userId);
+  if (!caregiver || !patientId) return null;
+  const link = await operationWithRetry(() => linkRef(patientId, caregiver.caregiverId).get());
+  return link.exists && link.data().status === 'active' ? caregiver : null;
+};
+
+// Handler for a caregiver asking to be linked to a patient
+const handleLinkRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, relationship } = req.body || {};
+    if (!patientId || typeof patientId !== 'string' || patientId.includes('/')) {
+      return res.status(400).json({ error: { code: 400, message: 'patientId is required' } });
+    }
+
+    const caregiver = await getCaregiver(userId);
+    if (!caregiver) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only caregivers can request a link' } });
+    }
+
+    // Whether the patient exists is not checked, so the response cannot be used to probe patient
+    // IDs; a request for an unknown ID stays pending, since no patient can approve it
+    const ref = linkRef(patientId, caregiver.caregiverId);
+    const existing = await operationWithRetry(() => ref.get());
+    if (existing.exists && existing.data().status !== 'revoked') {
+      return res.status(409).json({ error: { code: 409, message: `A link to this patient is already ${existing.data().status}` } });
+    }
+
+    const link = {
+      patientId,
+      caregiverId: caregiver.caregiverId,
+      caregiverUid: userId,
+      caregiverName: caregiver.name || 'Caregiver',
+      relationship: String(relationship || '').trim().slice(0, 50) || null,
+      status: 'pending',
+      requestedAt: new Date().toISOString(),
+      consentedAt: null,
+      revokedAt: null,
+    };
+    await operationWithRetry(() => ref.set(link));
+    console.log(`Caregiver ${caregiver.caregiverId} requested a link to patient ${patientId}`);
+    return res.status(200).json({ success: true, link: { id: ref.id, ...link } });
+  } catch (error) {
+    console.error(`Error requesting caregiver link for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for the patient's consent: approve a pending link, or decline/revoke any link.
+// Caregivers may also revoke their own link.
+const handleLinkResponse = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, caregiverId, approve } = req.body || {};
+    if (!patientId || !caregiverId) {
+      return res.status(400).json({ error: { code: 400, message: 'patientId and caregiverId are required' } });
+    }
+
+    const [patient, caregiver] = await Promise.all([getPatient(userId), getCaregiver(userId)]);
+    const isPatient = patient?.patientId === patientId;
+    const isCaregiver = caregiver?.caregiverId === caregiverId;
+    if (!isPatient && !(isCaregiver && !approve)) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only the patient can approve a caregiver' } });
+    }
+
+    const ref = linkRef(patientId, caregiverId);
+    const existing = await operationWithRetry(() => ref.get());
+    if (!existing.exists) {
+      return res.status(404).json({ error: { code: 404, message: 'Link request not found' } });
+    }
+    if (approve && existing.data().status !== 'pending') {
+      return res.status(409).json({ error: { code: 409, message: `Link is ${existing.data().status}, not pending` } });
+    }
+
+    const now = new Date().toISOString();
+    const update = approve
+      ? { status: 'active', consentedAt: now }
+      : { status: 'revoked', revokedAt: now, revokedBy: isPatient ? 'patient' : 'caregiver' };
+    await operationWithRetry(() => ref.update(update));
+    console.log(`Caregiver link ${ref.id} is now ${update.status}`);
+    return res.status(200).json({ success: true, link: { id: ref.id, ...existing.data(), ...update } });
+  } catch (error) {
+    console.error(`Error responding to caregiver link for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler listing the caller's links: a caregiver's patients, or a patient's caregivers
+const handleLinksRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const [patient, caregiver] = await Promise.all([getPatient(userId), getCaregiver(userId)]);
+    if (!patient && !caregiver) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only patients and caregivers have links' } });
+    }
+
+    const linksSnapshot = await operationWithRetry(() =>
+      caregiver
+        ? db.collection('caregiver_links').where('caregiverId', '==', caregiver.caregiverId).get()
+        : db.collection('caregiver_links').where('patientId', '==', patient.patientId).get()
+    );
+    const links = linksSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((link) => link.status !== 'revoked');
+
+    // Caregivers see the patient's name only once the link is active
+    if (caregiver) {
+      const patientDocs = await Promise.all(
+        links.map((link) => operationWithRetry(() => db.collection('patients').doc(link.patientId).get()))
+      );
+      patientDocs.forEach((patientDoc, index) => {
+        links[index].patientName = links[index].status === 'active' && patientDoc.exists ? patientDoc.data().name || null : null;
+      });
+    }
+
+    return res.status(200).json({ success: true, role: caregiver ? 'caregiver' : 'patient', links });
+  } catch (error) {
+    console.error(`Error fetching caregiver links for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for a linked caregiver's read access to the patient's reminders and adherence
+const handlePatientOverviewRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId } = req.query || {};
+    const caregiver = await getLinkedCaregiver(userId, patientId);
+    if (!caregiver) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: No active link to this patient' } });
+    }
+
+    const [patientDoc, remindersSnapshot, alertsSnapshot] = await Promise.all([
+      operationWithRetry(() => db.collection('patients').doc(patientId).get()),
+      operationWithRetry(() => db.collection('patients').doc(patientId).collection('reminders').get()),
+      operationWithRetry(() =>
+        db.collection('caregiver_alerts')
+          .where('caregiverId', '==', caregiver.caregiverId)
+          .where('patientId', '==', patientId)
+          .get()
+      ),
+    ]);
+    const reminders = remindersSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
+    const alerts = alertsSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return res.status(200).json({
+      success: true,
+      patientId,
+      reminders,
+      adherence: summarizeAdherence(reminders, {
+        timeZone: normalizePatientSchedule(patientDoc.exists ? patientDoc.data() : {}, process.env.DEFAULT_PATIENT_TIMEZONE).timeZone,
+      }),
+      alerts,
+    });
+  } catch (error) {
+    console.error(`Error fetching patient overview for caregiver ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for a caregiver confirming a dose on the patient's behalf
+const handleConfirmDoseRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, reminderId } = req.body || {};
+    if (!patientId || !reminderId) {
+      return res.status(400).json({ error: { code: 400, message: 'patientId and reminderId are required' } });
+    }
+
+    const caregiver = await getLinkedCaregiver(userId, patientId);
+    if (!caregiver) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: No active link to this patient' } });
+    }
+
+    const reminderRef = db.collection('patients').doc(patientId).collection('reminders').doc(reminderId);
+    const reminderDoc = await operationWithRetry(() => reminderRef.get());
+    if (!reminderDoc.exists) {
+      return res.status(404).json({ error: { code: 404, message: 'Reminder not found' } });
+    }
+    if (reminderDoc.data().status === 'taken') {
+      return res.status(409).json({ error: { code: 409, message: 'Dose is already confirmed' } });
+    }
+    if (new Date(reminderDoc.data().scheduledTime).getTime() > Date.now() + EARLY_CONFIRM_MINUTES * 60 * 1000) {
+      return res.status(409).json({ error: { code: 409, message: 'Dose is not due yet' } });
+    }
+
+    const update = {
+      status: 'taken',
+      confirmedAt: new Date().toISOString(),
+      confirmedBy: { role: 'caregiver', uid: userId, caregiverId: caregiver.caregiverId, name: caregiver.name || null },
+    };
+    await operationWithRetry(() => reminderRef.update(update));
+    console.log(`Caregiver ${caregiver.caregiverId} confirmed reminder ${reminderId} for patient ${patientId}`);
+    return res.status(200).json({ success: true, reminder: { id: reminderId, ...reminderDoc.data(), ...update } });
+  } catch (error) {
+    console.error(`Error confirming dose for caregiver ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for storing the FCM token of a caregiver's browser, used for missed-dose escalations
+const handleRegisterTokenRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: { code: 400, message: 'token is required' } });
+    }
+
+    const caregiver = await getCaregiver(userId);
+    if (!caregiver) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only caregivers can register here' } });
+    }
+
+    await operationWithRetry(() =>
+      caregiver.ref.update({ fcmTokens: admin.firestore.FieldValue.arrayUnion(token) })
+    );
+    console.log(`Registered FCM token for caregiver ${caregiver.caregiverId}`);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error(`Error registering FCM token for caregiver ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, x-user-uid, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const userId = req.headers['x-user-uid'];
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
+    if (req.url.includes('/link-request')) {
+      return handleLinkRequest(req, res, userId);
+    } else if (req.url.includes('/link-response')) {
+      return handleLinkResponse(req, res, userId);
+    } else if (req.url.includes('/links')) {
+      return handleLinksRequest(req, res, userId);
+    } else if (req.url.includes('/patient-overview')) {
+      return handlePatientOverviewRequest(req, res, userId);
+    } else if (req.url.includes('/confirm-dose')) {
+      return handleConfirmDoseRequest(req, res, userId);
+    } else if (req.url.includes('/register-token')) {
+      return handleRegisterTokenRequest(req, res, userId);
+    }
+
+    return res.status(404).json({ error: { code: 404, message: `Unknown caregivers route: ${req.url}` } });
+  } catch (error) {
+    console.error(`Error in /api/caregivers: ${error.message}`);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
@@ -4,6 +4,20 @@ import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { Storage } from '@google-cloud/storage';
 import Pusher from 'pusher';
 import busboy from 'busboy';
+import { createTtsCache } from '../../../lib/ttsCache.js';
+import { createChatStore, createUrlSigner } from '../../../lib/chatStore.js';
+import { getVoiceProviders } from '../../../lib/voice/index.js';
+import { createGlossaryLoader } from '../../../lib/glossary.js';
+import { createTranslationMemory } from '../../../lib/translationMemory.js';
+import { findLanguage } from '../../../src/services/languages.js';
+import { parsePageQuery } from '../../../src/services/chatHistory.js';
+import { CHAT_ACTIVITIES, validateReceipt } from '../../../src/services/messageReceipts.js';
+import {
+  MAX_VOICE_NOTE_BYTES,
+  VOICE_NOTE_CHUNK_SIZE,
+  getChunkCount,
+  isValidUploadId,
+} from '../../../src/services/voiceNoteUpload.js';
 
 // Initialize Firebase Admin
 let app;
@@ -51,6 +65,13 @@ try {
 const bucketName = process.env.GCS_BUCKET_NAME || 'fir-project-vercel';
 const bucket = storage.bucket(bucketName);
 
+// Messages keeping cached read-aloud audio count as references to it (see lib/ttsCache.js)
+const ttsCache = createTtsCache({ db, bucket, bucketName });
+
+// One document per message; audio and image URLs are signed only for the page being read
+const chatStore = createChatStore({ db });
+const urlSigner = createUrlSigner({ bucket });
+
 // Initialize Pusher
 let pusher;
 try {
@@ -71,6 +92,19 @@ try {
   throw new Error(`Pusher initialization failed: ${error.message}`);
 }
 
+// Voice notes are transcribed here once all their chunks have arrived (see handleVoiceNoteRequest)
+const voice = getVoiceProviders({
+  google: {
+    projectId: process.env.GCS_PROJECT_ID,
+    getCredentials: async () => ({
+      client_email: process.env.GCS_CLIENT_EMAIL,
+      private_key: process.env.GCS_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    }),
+  },
+  glossary: createGlossaryLoader({ db }),
+  memory: createTranslationMemory({ db }),
+});
+
 // Utility function for GCS upload with retry logic
 const uploadWithRetry = async (file, buffer, metadata, retries = 3, backoff = 1000) => {
   for (let attempt = 1; attempt <= retries; attempt++) {
@@ -95,23 +129,6 @@ const validateSender = sender => {
   }
 };
 
-// Generate a signed URL for accessing GCS files
-const generateSignedUrl = async filePath => {
-  try {
-    const file = bucket.file(filePath);
-    const [url] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 1000 * 60 * 60, // 1 hour expiry
-      responseDisposition: 'inline',
-    });
-    console.log(`Generated signed URL for ${filePath}: ${url}`);
-    return url;
-  } catch (error) {
-    console.error(`Error generating signed URL for ${filePath}:`, error.message);
-    throw error;
-  }
-};
-
 // Initialize doctor assignment in Firestore (optional)
 const initializeDoctorAssignment = async (patientId, doctorId) => {
   const assignmentId = `${patientId}_${doctorId}`;
@@ -142,6 +159,185 @@ const isDoctorAssignedToPatient = async (doctorId, patientId) => {
   }
 };
 
+// Reads one multipart file field into a buffer; rejects files over maxBytes
+const readMultipartFile = (req, fieldName, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const bb = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes } });
+    let buffer = null;
+    let truncated = false;
+    bb.on('file', (name, file) => {
+      const chunks = [];
+      file.on('data', (data) => chunks.push(data));
+      file.on('limit', () => {
+        truncated = true;
+      });
+      file.on('end', () => {
+        if (name === fieldName) buffer = Buffer.concat(chunks);
+      });
+    });
+    bb.on('error', reject);
+    bb.on('finish', () => {
+      if (truncated) reject(new Error(`File is larger than ${maxBytes} bytes`));
+      else resolve(buffer);
+    });
+    req.pipe(bb);
+  });
+
+// Transcript of a voice note, plus its translation when one was asked for. A failure leaves the
+// note without text rather than losing it.
+const transcribeVoiceNote = async (audio, mimeType, recordingLanguage, translateTo) => {
+  let text = 'Transcription failed';
+  let translatedText = '';
+  try {
+    const { transcript } = await voice.transcriber.transcribe({ audio, mimeType, languageCode: recordingLanguage.code });
+    text = transcript || 'Transcription failed';
+    if (transcript && translateTo && translateTo.code !== recordingLanguage.code) {
+      ({ translatedText } = await voice.translator.translate({ text: transcript, from: recordingLanguage.code, to: translateTo.code }));
+    }
+  } catch (error) {
+    console.error(`Voice note transcription failed with the ${voice.names.transcriber} provider:`, error.message);
+  }
+  return { text, translatedText };
+};
+
+// Handler for receipts and activity (see src/services/messageReceipts.js), posted as JSON:
+//   { receipt: { status: 'delivered'|'read', upTo } } - saved on the messages, pushed as 'message-status'
+//   { activity: 'typing'|'recording'|'idle' }        - only pushed, as 'chat-activity'
+const handleChatStatusRequest = async (req, res, { chatId, patientId, doctorId, userRole }) => {
+  const { receipt, activity } = req.body;
+  const channelName = `chat-${patientId}-${doctorId}`;
+
+  if (activity !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(CHAT_ACTIVITIES, activity)) {
+      return res.status(400).json({ error: `activity must be one of ${Object.keys(CHAT_ACTIVITIES).join(', ')}` });
+    }
+    await pusher.trigger(channelName, 'chat-activity', { role: userRole, activity, at: new Date().toISOString() });
+    return res.status(200).json({ activity });
+  }
+
+  const receiptError = validateReceipt(receipt);
+  if (receiptError) {
+    return res.status(400).json({ error: receiptError });
+  }
+  const result = await chatStore.markMessages(patientId, doctorId, userRole, receipt.status, receipt.upTo);
+  if (result) {
+    await pusher.trigger(channelName, 'message-status', { reader: userRole, status: receipt.status, upTo: result.upTo, at: result.at });
+    console.log(`Chat ${chatId}: ${result.updated} messages ${receipt.status} by ${userRole} up to ${result.upTo}`);
+  }
+  return res.status(200).json({ receipt: result });
+};
+
+// Handler for resumable voice-note uploads (see src/services/voiceNoteUpload.js):
+//   GET  ?uploadId=      - chunks received so far, or the message if the note was already saved
+//   POST ?uploadId=&chunk=n    - one chunk as multipart field 'chunk'
+//   POST ?uploadId=&complete=true - joins the chunks and saves the message; safe to repeat
+const handleVoiceNoteRequest = async (req, res, { chatId, patientId, doctorId, userId, userRole }) => {
+  const { uploadId, chunk, complete } = req.query;
+  if (!isValidUploadId(uploadId)) {
+    return res.status(400).json({ error: 'Invalid uploadId' });
+  }
+  const uploadDir = `chats/${chatId}/uploads/${uploadId}`;
+  const findSavedMessage = () => chatStore.findMessage(patientId, doctorId, 'voiceNoteId', uploadId);
+
+  if (req.method === 'GET') {
+    const saved = await findSavedMessage();
+    if (saved) return res.status(200).json({ message: await urlSigner.signMessage(saved) });
+    const [files] = await bucket.getFiles({ prefix: `${uploadDir}/` });
+    return res.status(200).json({ received: files.map(({ name }) => Number(name.split('/').pop())).filter(Number.isInteger) });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (chunk !== undefined) {
+    const index = Number(chunk);
+    if (!Number.isInteger(index) || index < 0 || index >= getChunkCount(MAX_VOICE_NOTE_BYTES)) {
+      return res.status(400).json({ error: 'Invalid chunk index' });
+    }
+    let buffer;
+    try {
+      buffer = await readMultipartFile(req, 'chunk', VOICE_NOTE_CHUNK_SIZE);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid chunk', details: error.message });
+    }
+    if (!buffer || buffer.length === 0) {
+      return res.status(400).json({ error: 'Chunk is empty' });
+    }
+    await uploadWithRetry(bucket.file(`${uploadDir}/${index}`), buffer, { contentType: 'application/octet-stream' });
+    return res.status(200).json({ received: index });
+  }
+
+  if (complete !== 'true') {
+    return res.status(400).json({ error: 'Either chunk or complete is required' });
+  }
+
+  const saved = await findSavedMessage();
+  if (saved) {
+    return res.status(200).json({ message: 'Message saved successfully', newMessage: await urlSigner.signMessage(saved) });
+  }
+
+  const { size, mimeType = 'audio/webm', recordingLanguage: recordingTag, translateTo: translateTag, recordedAt } = req.body || {};
+  const recordingLanguage = findLanguage(recordingTag);
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_VOICE_NOTE_BYTES) {
+    return res.status(400).json({ error: `Voice notes must be between 1 byte and ${MAX_VOICE_NOTE_BYTES} bytes` });
+  }
+  if (!recordingLanguage) {
+    return res.status(400).json({ error: `Unsupported recording language: ${recordingTag}` });
+  }
+
+  const [files] = await bucket.getFiles({ prefix: `${uploadDir}/` });
+  const chunkFiles = files
+    .map((file) => ({ file, index: Number(file.name.split('/').pop()) }))
+    .filter(({ index }) => Number.isInteger(index))
+    .sort((a, b) => a.index - b.index);
+  const received = chunkFiles.reduce((total, { file }) => total + Number(file.metadata.size), 0);
+  if (chunkFiles.length !== getChunkCount(size) || chunkFiles.some(({ index }, position) => index !== position) || received !== size) {
+    return res.status(409).json({ error: 'Voice note is incomplete', details: `Received ${received} of ${size} bytes` });
+  }
+
+  const audioPath = `chats/${chatId}/audio/${uploadId}.webm`;
+  const audioFile = bucket.file(audioPath);
+  await bucket.combine(chunkFiles.map(({ file }) => file), audioFile);
+  await audioFile.setMetadata({ contentType: mimeType.split(';')[0] });
+  const [audio] = await audioFile.download();
+
+  const { text, translatedText } = await transcribeVoiceNote(audio, mimeType, recordingLanguage, translateTag ? findLanguage(translateTag) : null);
+
+  // A repeated completion may have saved the note during transcription; the first one wins
+  const { message: newMessage, created } = await chatStore.appendMessage(
+    patientId,
+    doctorId,
+    {
+      text,
+      translatedText,
+      timestamp: new Date().toISOString(),
+      sender: userRole,
+      senderId: userId,
+      language: recordingLanguage.bcp47,
+      recordingLanguage: recordingLanguage.bcp47,
+      doctorId,
+      patientId,
+      messageType: 'audio',
+      audioPath,
+      voiceNoteId: uploadId,
+      recordedAt: recordedAt || null,
+    },
+    { dedupeBy: 'voiceNoteId' }
+  );
+  if (!created) {
+    return res.status(200).json({ message: 'Message saved successfully', newMessage: await urlSigner.signMessage(newMessage) });
+  }
+  await bucket.deleteFiles({ prefix: `${uploadDir}/` }).catch((error) => {
+    console.warn(`Failed to delete voice note chunks under ${uploadDir}:`, error.message);
+  });
+
+  const sentMessage = await urlSigner.signMessage(newMessage);
+  await pusher.trigger(`chat-${patientId}-${doctorId}`, 'new-message', sentMessage);
+  console.log(`Voice note ${uploadId} saved to chat ${chatId} (${size} bytes, ${recordingLanguage.name})`);
+  return res.status(200).json({ message: 'Message saved successfully', newMessage: sentMessage });
+};
+
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', 'https://healthcare-app-vercel.vercel.app');
@@ -215,33 +411,23 @@ export default async function handler(req, res) {
     await initializeDoctorAssignment(patientId, doctorId);
 
     const chatId = `${patientId}-${doctorId}`;
-    const chatFile = bucket.file(`chats/${chatId}/messages.json`);
+
+    if (req.query.uploadId) {
+      return handleVoiceNoteRequest(req, res, { chatId, patientId, doctorId, userId, userRole });
+    }
 
     if (req.method === 'GET') {
-      // Fetch messages from GCS
-      const [exists] = await chatFile.exists();
-      if (!exists) {
-        console.log(`No messages found for chat ${chatId}`);
-        return res.status(200).json({ messages: [], userRole });
+      // Newest page by default; ?before=<message id> pages back through the history
+      const page = parsePageQuery(req.query);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
       }
 
-      const [contents] = await chatFile.download();
-      const data = JSON.parse(contents.toString('utf8'));
-      const messagesWithUrls = await Promise.all(
-        (data.messages || []).map(async message => {
-          const updatedMessage = { ...message };
-          if (message.audioPath) {
-            updatedMessage.audioUrl = await generateSignedUrl(message.audioPath);
-          }
-          if (message.imagePath) {
-            updatedMessage.imageUrl = await generateSignedUrl(message.imagePath);
-          }
-          return updatedMessage;
-        })
-      );
+      const { messages, nextCursor } = await chatStore.listMessages(patientId, doctorId, page);
+      const messagesWithUrls = await urlSigner.signMessages(messages);
 
-      console.log(`Fetched ${messagesWithUrls.length} messages for chat ${chatId}`);
-      return res.status(200).json({ messages: messagesWithUrls, userRole });
+      console.log(`Fetched ${messagesWithUrls.length} messages for chat ${chatId}${page.before ? ` before ${page.before}` : ''}`);
+      return res.status(200).json({ messages: messagesWithUrls, nextCursor, userRole });
     } else if (req.method === 'POST') {
       const contentType = req.headers['content-type'];
       if (contentType && contentType.includes('multipart/form-data')) {
@@ -296,14 +482,7 @@ export default async function handler(req, res) {
             }
 
             const chatDir = `chats/${chatId}`;
-            let chatData = { messages: [] };
-            const [exists] = await chatFile.exists();
-            if (exists) {
-              const [contents] = await chatFile.download();
-              chatData = JSON.parse(contents.toString('utf8')) || { messages: [] };
-            }
-
-            const newMessage = {
+            const chatMessage = {
               text: message.text || '',
               timestamp: new Date().toISOString(),
               sender: effectiveSender,
@@ -319,8 +498,7 @@ export default async function handler(req, res) {
             if (audioFileBuffer && audioFileName) {
               const audioFile = bucket.file(`${chatDir}/audio/${audioFileName}`);
               await uploadWithRetry(audioFile, audioFileBuffer, { contentType: 'audio/webm' });
-              newMessage.audioPath = `${chatDir}/audio/${audioFileName}`;
-              newMessage.audioUrl = await generateSignedUrl(newMessage.audioPath);
+              chatMessage.audioPath = `${chatDir}/audio/${audioFileName}`;
             }
 
             if (imageFileBuffer && imageFileName) {
@@ -328,12 +506,11 @@ export default async function handler(req, res) {
               await uploadWithRetry(imageFile, imageFileBuffer, {
                 contentType: imageFileName.endsWith('.png') ? 'image/png' : 'image/jpeg',
               });
-              newMessage.imagePath = `${chatDir}/images/${imageFileName}`;
-              newMessage.imageUrl = await generateSignedUrl(newMessage.imagePath);
+              chatMessage.imagePath = `${chatDir}/images/${imageFileName}`;
             }
 
-            chatData.messages.push(newMessage);
-            await uploadWithRetry(chatFile, JSON.stringify(chatData), { contentType: 'application/json' });
+            const { message: savedMessage } = await chatStore.appendMessage(patientId, doctorId, chatMessage);
+            const newMessage = await urlSigner.signMessage(savedMessage);
 
             // Trigger Pusher event with the correct event name and channel name
             const channelName = `chat-${patientId}-${doctorId}`;
@@ -349,6 +526,10 @@ export default async function handler(req, res) {
 
         req.pipe(bb);
       } else {
+        if (req.body?.receipt || req.body?.activity !== undefined) {
+          return handleChatStatusRequest(req, res, { chatId, patientId, doctorId, userRole });
+        }
+
         const { message } = req.body;
         if (!message || typeof message !== 'object') {
           console.error('Invalid POST request body:', req.body);
@@ -363,22 +544,29 @@ export default async function handler(req, res) {
           return res.status(403).json({ error: `You are not authorized to send messages as this ${message.sender}` });
         }
 
-        let chatData = { messages: [] };
-        const [exists] = await chatFile.exists();
-        if (exists) {
-          const [contents] = await chatFile.download();
-          chatData = JSON.parse(contents.toString('utf8')) || { messages: [] };
+        if (message.clientMessageId !== undefined && !isValidUploadId(message.clientMessageId)) {
+          return res.status(400).json({ error: 'Invalid clientMessageId' });
         }
 
-        const newMessage = {
-          ...message,
-          timestamp: new Date().toISOString(),
-          senderId: userId,
-          patientId: patientId, // Ensure patientId is included in the message
-        };
-
-        chatData.messages.push(newMessage);
-        await uploadWithRetry(chatFile, JSON.stringify(chatData), { contentType: 'application/json' });
+        // IDs and delivery states are set by the store
+        const { id, seq, status, deliveredAt, readAt, ...fields } = message;
+
+        // Messages queued offline are resent until a response gets through; the first save wins
+        const { message: newMessage, created } = await chatStore.appendMessage(
+          patientId,
+          doctorId,
+          {
+            ...fields,
+            timestamp: new Date().toISOString(),
+            senderId: userId,
+            patientId: patientId, // Ensure patientId is included in the message
+          },
+          { dedupeBy: 'clientMessageId' }
+        );
+        if (!created) {
+          return res.status(200).json({ message: 'Message already saved', newMessage });
+        }
+        await ttsCache.addReferences(newMessage);
 
         // Trigger Pusher event with the correct event name and channel name
         const channelName = `chat-${patientId}-${doctorId}`;
@@ -1,4 +1,12 @@
 import admin from 'firebase-admin';
+import Pusher from 'pusher';
+import { normalizePrescription, validatePrescriptionFields } from '../../src/services/prescription.js';
+import { checkPatientSafety } from '../../src/services/patientSafety.js';
+import { MIN_OVERRIDE_REASON_LENGTH, checkDrugInteractions } from '../../src/services/drugInteractions.js';
+import { DEFAULT_TIME_ZONE } from '../../src/services/reminders.js';
+import { createReminderScheduler } from '../../lib/reminderSchedule.js';
+import { createChatStore } from '../../lib/chatStore.js';
+import { checkPrescription, getValidationFields, createPrescriptionRecords } from '../../lib/prescriptionRecords.js';
 
 if (!admin.apps.length) {
   try {
@@ -32,6 +40,25 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+// Initialize Pusher
+let pusher;
+try {
+  pusher = new Pusher({
+    appId: process.env.PUSHER_APP_ID,
+    key: process.env.PUSHER_KEY,
+    secret: process.env.PUSHER_SECRET,
+    cluster: process.env.PUSHER_CLUSTER,
+    useTLS: true,
+  });
+} catch (error) {
+  console.error('Pusher initialization failed in api/doctors/index.js:', error.message);
+  throw new Error(`Pusher initialization failed: ${error.message}`);
+}
+
+const reminderScheduler = createReminderScheduler({ db, defaultTimeZone: process.env.DEFAULT_PATIENT_TIMEZONE || DEFAULT_TIME_ZONE });
+const prescriptionRecords = createPrescriptionRecords({ db, pusher, reminderScheduler });
+const chatStore = createChatStore({ db });
+
 // Retry logic
 async function operationWithRetry(operation, retries = 3, backoff = 1000) {
   for (let attempt = 1; attempt <= retries; attempt++) {
@@ -49,7 +76,16 @@ async function operationWithRetry(operation, retries = 3, backoff = 1000) {
 const handleRecordsRequest = async (req, res, userId) => {
   if (req.method === 'POST' || req.method === 'PUT') {
     try {
-      const { doctorId, patientId, diagnosis, prescription } = req.body;
+      const {
+        doctorId,
+        patientId,
+        diagnosis,
+        prescription,
+        overrideReason,
+        translatedDiagnosis,
+        translatedPrescription,
+        tempMessageId,
+      } = req.body;
 
       // Validate request body
       if (!doctorId || !patientId || (!diagnosis && !prescription)) {
@@ -58,6 +94,17 @@ const handleRecordsRequest = async (req, res, userId) => {
         });
       }
 
+      // Prescriptions are stored in the structured form; legacy shapes are normalized first
+      const structuredPrescription = prescription ? normalizePrescription(prescription) : null;
+      if (structuredPrescription) {
+        const prescriptionErrors = validatePrescriptionFields(structuredPrescription);
+        if (prescriptionErrors.length > 0) {
+          return res.status(400).json({
+            error: { code: 400, message: 'Invalid prescription', details: prescriptionErrors.join(' ') }
+          });
+        }
+      }
+
       // Verify user role and doctorId
       const userDoc = await operationWithRetry(() => db.collection('users').doc(userId).get());
       if (!userDoc.exists || userDoc.data().role !== 'doctor') {
@@ -83,12 +130,67 @@ const handleRecordsRequest = async (req, res, userId) => {
         });
       }
 
+      // The record is sent to the patient's chat, so the doctor must be assigned to them
+      const assignmentQuery = await operationWithRetry(() =>
+        db.collection('doctor_assignments')
+          .where('patientId', '==', patientId)
+          .where('doctorId', '==', doctorId)
+          .get()
+      );
+      if (assignmentQuery.empty) {
+        return res.status(403).json({
+          error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+        });
+      }
+
+      // Documented allergies block the prescription; contraindications are recorded with it
+      const safety = structuredPrescription
+        ? checkPatientSafety(structuredPrescription.drug, patientDoc.data())
+        : { blocks: [], warnings: [] };
+      if (safety.blocks.length > 0) {
+        return res.status(422).json({
+          error: {
+            code: 422,
+            message: 'Prescription blocked by a documented allergy',
+            details: safety.blocks.map((block) => block.message).join(' '),
+          }
+        });
+      }
+
+      // Interactions with the patient's other prescriptions need the doctor's reason, which the admin is sent
+      const interactionWarnings = structuredPrescription
+        ? checkDrugInteractions(
+          structuredPrescription.drug,
+          await operationWithRetry(() => prescriptionRecords.getActivePrescriptions(patientId))
+        )
+        : [];
+      const reason = typeof overrideReason === 'string' ? overrideReason.trim() : '';
+      if (interactionWarnings.length > 0 && reason.length < MIN_OVERRIDE_REASON_LENGTH) {
+        return res.status(409).json({
+          error: {
+            code: 409,
+            message: `Prescription conflicts with the patient's active prescriptions; a reason of at least ${MIN_OVERRIDE_REASON_LENGTH} characters is required to override`,
+            details: interactionWarnings.map((warning) => warning.message).join(' '),
+            warnings: interactionWarnings,
+          }
+        });
+      }
+
+      // The prescription is checked here, before the record exists, so no record is ever left unchecked
+      const timestamp = new Date().toISOString();
+      const interactionOverride = interactionWarnings.length > 0
+        ? { reason, warnings: interactionWarnings, acknowledgedAt: timestamp, acknowledgedBy: userId }
+        : null;
+      const validation = structuredPrescription ? checkPrescription(diagnosis || '', structuredPrescription) : null;
+
       // Prepare the record entry
       const recordEntry = {
         diagnosis: diagnosis || null,
-        prescription: prescription || null,
-        timestamp: new Date().toISOString(),
-        valid: true, // Default to true; validation process updates this
+        prescription: structuredPrescription,
+        timestamp,
+        ...(validation ? getValidationFields(validation, timestamp) : { valid: true }),
+        ...(structuredPrescription ? { safetyWarnings: safety.warnings } : {}),
+        ...(interactionOverride ? { interactionOverride } : {}),
       };
 
       // Store or update the record in Firestore
@@ -115,9 +217,61 @@ const handleRecordsRequest = async (req, res, userId) => {
       }
 
       console.log(`Record stored successfully for doctor ${doctorId} and patient ${patientId}`);
+
+      // Only a stored record reaches the patient's chat; a blocked or failed write sends nothing
+      const { message: sentMessage } = await operationWithRetry(() =>
+        chatStore.appendMessage(patientId, doctorId, {
+          sender: 'doctor',
+          senderId: userId,
+          ...(diagnosis ? { diagnosis } : {}),
+          ...(structuredPrescription ? { prescription: structuredPrescription } : {}),
+          ...(translatedDiagnosis || translatedPrescription
+            ? { translatedDiagnosis: translatedDiagnosis || null, translatedPrescription: translatedPrescription || null }
+            : {}),
+          timestamp,
+          doctorId,
+          patientId,
+          ...(typeof tempMessageId === 'string' && tempMessageId ? { tempMessageId } : {}),
+          // Stable across retries, so a retry after a commit that timed out does not post twice
+          clientMessageId: `record-${Date.parse(timestamp)}`,
+        }, { dedupeBy: 'clientMessageId' })
+      );
+      await pusher.trigger(`chat-${patientId}-${doctorId}`, 'new-message', sentMessage);
+
+      // The chat message the record was sent as, so amending or retracting it finds the record
+      recordEntry.messageId = sentMessage.id;
+      await operationWithRetry(async () => {
+        const storedDoc = await recordRef.get();
+        const records = (storedDoc.data().records || []).map((record) =>
+          record.timestamp === timestamp && !record.messageId ? { ...record, messageId: sentMessage.id } : record
+        );
+        await recordRef.update({ records });
+      });
+
+      if (interactionOverride) {
+        await operationWithRetry(() =>
+          prescriptionRecords.notifyAdminOfInteractionOverride(doctorId, patientId, structuredPrescription, timestamp, interactionOverride)
+        );
+      }
+
+      let remindersScheduled = 0;
+      let adminNotified = false;
+      if (validation?.valid) {
+        remindersScheduled = await operationWithRetry(() => prescriptionRecords.scheduleReminders(doctorId, patientId));
+      } else if (validation) {
+        adminNotified = await operationWithRetry(() =>
+          prescriptionRecords.notifyAdminOfInvalidPrescription(doctorId, patientId, diagnosis || '', structuredPrescription, validation, userId)
+        );
+      }
+
       return res.status(req.method === 'POST' ? 201 : 200).json({
         success: true,
         message: `Record ${req.method === 'POST' ? 'created' : 'updated'} successfully`,
+        record: recordEntry,
+        newMessage: sentMessage,
+        validation: validation ? { valid: validation.valid, reason: validation.reason, message: validation.message } : null,
+        remindersScheduled,
+        adminNotified,
       });
     } catch (error) {
       console.error(`Error storing record for user ${userId}:`, error.message);
@@ -182,13 +336,17 @@ export default async function handler(req, res) {
   }
 
   const userId = req.headers['x-user-uid'];
-  if (!userId) {
-    return res.status(401).json({
-      error: { code: 401, message: 'Unauthorized: Missing x-user-uid header' }
-    });
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
   }
 
   try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
     // Handle /api/doctors/records route
     if (req.url.includes('/records')) {
       return handleRecordsRequest(req, res, userId);
@@ -1,4 +1,5 @@
 import admin from 'firebase-admin';
+import { normalizePrescription, validatePrescriptionFields } from '../../../src/services/prescription.js';
 
 if (!admin.apps.length) {
   try {
@@ -76,21 +77,15 @@ export default async function handler(req, res) {
       }
 
       if (prescription) {
-        if (typeof prescription === 'string') {
-          const regex = /(.+?),\s*(\d+mg),\s*(\d{1,2}[:.]\d{2}\s*(?:AM|PM))\s*and\s*(\d{1,2}[:.]\d{2}\s*(?:AM|PM)),\s*(\d+)\s*days?/i;
-          if (!regex.test(prescription)) {
-            console.error('Invalid prescription string format:', prescription);
-            return res.status(400).json({ error: { code: 400, message: 'Prescription string format invalid. Expected: "Medicine, dosage, time1 and time2, duration days"' } });
-          }
-        } else if (typeof prescription === 'object') {
-          if (!prescription.medicine || !prescription.dosage || !prescription.frequency || !prescription.duration) {
-            console.error('Invalid prescription object format:', prescription);
-            return res.status(400).json({ error: { code: 400, message: 'Prescription object must include medicine, dosage, frequency, and duration' } });
-          }
-        } else {
+        if (typeof prescription !== 'string' && typeof prescription !== 'object') {
           console.error('Invalid prescription type:', typeof prescription);
           return res.status(400).json({ error: { code: 400, message: 'Prescription must be a string or an object' } });
         }
+        const prescriptionErrors = validatePrescriptionFields(prescription);
+        if (prescriptionErrors.length > 0) {
+          console.error('Invalid prescription:', prescription, prescriptionErrors);
+          return res.status(400).json({ error: { code: 400, message: `Invalid prescription: ${prescriptionErrors.join(' ')}` } });
+        }
       }
 
       const patientRef = db.collection('patients').doc(patientId);
@@ -102,7 +97,7 @@ export default async function handler(req, res) {
 
       const updateData = {};
       if (diagnosis) updateData.diagnosis = diagnosis.trim();
-      if (prescription) updateData.prescription = prescription;
+      if (prescription) updateData.prescription = normalizePrescription(prescription);
 
       await patientRef.set(updateData, { merge: true });
       console.log(`Successfully updated patient ${patientId} with data:`, updateData);
@@ -0,0 +1,812 @@
+import admin from 'firebase-admin';
+import Pusher from 'pusher';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { normalizePrescription, formatPrescription } from '../../src/services/prescription.js';
+import { MATCH_THRESHOLD, BRAND_GENERICS, normalizeName } from '../../src/services/medicineMatcher.js';
+import { MIN_OVERRIDE_REASON_LENGTH, checkDrugInteractions } from '../../src/services/drugInteractions.js';
+import { checkPatientSafety, normalizeHealthProfile } from '../../src/services/patientSafety.js';
+import { DEFAULT_TIME_ZONE } from '../../src/services/reminders.js';
+import { validateRevision, buildRevision, buildRevisionNotice, findRecordIndex } from '../../src/services/messageRevisions.js';
+import { listMedications, validateMedicationChange, applyMedicationChange, buildMedicationNotice } from '../../src/services/medications.js';
+import { createChatStore } from '../../lib/chatStore.js';
+import { createReminderScheduler } from '../../lib/reminderSchedule.js';
+import { getMedicineMatcher, createPrescriptionRecords } from '../../lib/prescriptionRecords.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+    console.log('Firebase Admin initialized successfully in api/prescriptions/index.js');
+  } catch (error) {
+    console.error('Firebase Admin initialization failed in api/prescriptions/index.js:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+const chatStore = createChatStore({ db });
+const reminderScheduler = createReminderScheduler({ db, defaultTimeZone: process.env.DEFAULT_PATIENT_TIMEZONE || DEFAULT_TIME_ZONE });
+
+// Initialize Pusher
+let pusher;
+try {
+  pusher = new Pusher({
+    appId: process.env.PUSHER_APP_ID,
+    key: process.env.PUSHER_KEY,
+    secret: process.env.PUSHER_SECRET,
+    cluster: process.env.PUSHER_CLUSTER,
+    useTLS: true,
+  });
+} catch (error) {
+  console.error('Pusher initialization failed in api/prescriptions/index.js:', error.message);
+  throw new Error(`Pusher initialization failed: ${error.message}`);
+}
+
+const prescriptionRecords = createPrescriptionRecords({ db, pusher, reminderScheduler });
+
+// Built by `npm run ingest-drug-info` from the drugs.com spreadsheet
+const DRUG_INFO_PATH = fileURLToPath(new URL('../../public/data/drug_info.json', import.meta.url));
+
+let drugInfoTable = null;
+
+const loadDrugInfoTable = () => {
+  if (!drugInfoTable) {
+    drugInfoTable = JSON.parse(readFileSync(DRUG_INFO_PATH, 'utf8'));
+    console.log(`Loaded ${Object.keys(drugInfoTable.drugs || {}).length} drugs from drug_info.json`);
+  }
+  return drugInfoTable;
+};
+
+// FDA pregnancy categories as listed on drugs.com
+const PREGNANCY_CATEGORY_NOTES = {
+  A: 'Adequate studies have not shown a risk to the fetus.',
+  B: 'No evidence of risk to the fetus in animal studies; human data is limited.',
+  C: 'Risk to the fetus cannot be ruled out; use only if the benefit justifies it.',
+  D: 'There is evidence of risk to the fetus; avoid in pregnancy unless essential.',
+  X: 'Must not be used during pregnancy.',
+  N: 'Pregnancy risk has not been classified.',
+};
+
+// Looks a drug up by its name, its generic, or any brand of that generic
+const findDrugInfo = (drug) => {
+  const { drugs = {} } = loadDrugInfoTable();
+  const name = normalizeName(drug);
+  const generic = BRAND_GENERICS[name] || name;
+  const brands = Object.keys(BRAND_GENERICS).filter((brand) => BRAND_GENERICS[brand] === generic);
+  const key = [name, generic, ...brands].find((candidate) => drugs[candidate]);
+  if (!key) return null;
+
+  const entry = drugs[key];
+  return {
+    key,
+    name: entry.name,
+    genericName: entry.genericName || null,
+    brandNames: entry.brandNames || [],
+    conditions: entry.conditions || [],
+    drugClasses: entry.drugClasses || [],
+    sideEffects: entry.sideEffects || null,
+    keySideEffects: entry.keySideEffects || [],
+    rxOtc: entry.rxOtc || null,
+    pregnancyCategory: entry.pregnancyCategory || null,
+    csaSchedule: entry.csaSchedule || null,
+    alcoholInteraction: !!entry.alcoholInteraction,
+    rating: entry.rating ?? null,
+    reviewCount: entry.reviewCount ?? null,
+  };
+};
+
+// Short English lines shown to doctors and patients; the client translates them
+const buildDrugWarnings = (info) => {
+  const warnings = [];
+  if (info.keySideEffects.length > 0) {
+    warnings.push(`Common side effects: ${info.keySideEffects.join(', ')}.`);
+  }
+  if (info.pregnancyCategory && PREGNANCY_CATEGORY_NOTES[info.pregnancyCategory]) {
+    warnings.push(`Pregnancy category ${info.pregnancyCategory}: ${PREGNANCY_CATEGORY_NOTES[info.pregnancyCategory]}`);
+  }
+  if (info.csaSchedule && !['N', 'U'].includes(info.csaSchedule)) {
+    warnings.push(`Controlled substance (schedule ${info.csaSchedule}); may be habit-forming.`);
+  }
+  if (info.alcoholInteraction) {
+    warnings.push('Avoid alcohol while taking this medicine.');
+  }
+  return warnings;
+};
+
+// Retry logic
+async function operationWithRetry(operation, retries = 3, backoff = 1000) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.warn(`Retry ${attempt}/${retries} failed: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, backoff * attempt));
+    }
+  }
+}
+
+// Confirms the caller is the given doctor and is assigned to the patient
+const verifyAssignedDoctor = async (userId, doctorId, patientId) => {
+  const doctorQuery = await operationWithRetry(() => db.collection('doctors').where('uid', '==', userId).get());
+  if (doctorQuery.empty || doctorQuery.docs[0].data().doctorId !== doctorId) return false;
+
+  const assignmentQuery = await operationWithRetry(() =>
+    db.collection('doctor_assignments')
+      .where('patientId', '==', patientId)
+      .where('doctorId', '==', doctorId)
+      .get()
+  );
+  return !assignmentQuery.empty;
+};
+
+// Whether the caller is the patient or one of their assigned doctors
+const canViewPatient = async (userId, patientId) => {
+  const [patientQuery, doctorQuery] = await Promise.all([
+    operationWithRetry(() => db.collection('patients').where('uid', '==', userId).get()),
+    operationWithRetry(() => db.collection('doctors').where('uid', '==', userId).get()),
+  ]);
+  if (!patientQuery.empty && patientQuery.docs[0].data().patientId === patientId) return true;
+  if (doctorQuery.empty) return false;
+  const assignmentQuery = await operationWithRetry(() =>
+    db.collection('doctor_assignments')
+      .where('patientId', '==', patientId)
+      .where('doctorId', '==', doctorQuery.docs[0].data().doctorId)
+      .get()
+  );
+  return !assignmentQuery.empty;
+};
+
+// Handler for the outcome of the server's check of a stored prescription (GET, for the patient
+// or an assigned doctor) and for the prescribing doctor asking for a recheck (POST). The check
+// runs on the record as stored; api/doctors runs it when the record is written.
+const handleValidateRequest = async (req, res, userId) => {
+  if (req.method === 'GET') {
+    try {
+      const { doctorId, patientId, messageId } = req.query || {};
+      if (!doctorId || !patientId || !messageId) {
+        return res.status(400).json({ error: { code: 400, message: 'doctorId, patientId, and messageId are required' } });
+      }
+      if (!(await canViewPatient(userId, patientId))) {
+        return res.status(403).json({
+          error: { code: 403, message: 'Forbidden: You are not part of this patient\'s care' }
+        });
+      }
+
+      const [message, recordDoc] = await Promise.all([
+        operationWithRetry(() => chatStore.getMessage(patientId, doctorId, messageId)),
+        operationWithRetry(() => db.collection('doctor_patient_records').doc(`${doctorId}_${patientId}`).get()),
+      ]);
+      const records = recordDoc.exists ? recordDoc.data().records || [] : [];
+      const record = message ? records[findRecordIndex(records, message)] : null;
+      if (!record?.prescription) {
+        return res.status(404).json({ error: { code: 404, message: 'Prescription record not found' } });
+      }
+
+      return res.status(200).json({
+        success: true,
+        valid: record.valid ?? null,
+        message: record.validationMessage || (record.valid === true ? 'Prescription is valid.' : 'Prescription has not been checked yet.'),
+        recordTimestamp: record.timestamp,
+        remindersScheduled: record.reminderCount || 0,
+        prescriptionText: formatPrescription(record.prescription),
+      });
+    } catch (error) {
+      console.error(`Error reading prescription validation for user ${userId}:`, error.message);
+      return res.status(500).json({
+        error: { code: 500, message: 'Server error', details: error.message }
+      });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, patientId, recordTimestamp } = req.body || {};
+    if (!doctorId || !patientId || !recordTimestamp) {
+      return res.status(400).json({
+        error: { code: 400, message: 'doctorId, patientId, and recordTimestamp are required' }
+      });
+    }
+
+    // Only the prescribing doctor may have a record rechecked
+    if (!(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+      });
+    }
+
+    const checked = await operationWithRetry(() =>
+      prescriptionRecords.validateRecord(doctorId, patientId, recordTimestamp, { userId })
+    );
+    if (!checked) {
+      return res.status(404).json({ error: { code: 404, message: 'Prescription record not found' } });
+    }
+    const { record, result, remindersScheduled, adminNotified } = checked;
+    console.log(`Prescription recheck for doctor ${doctorId}, patient ${patientId}:`, result.message);
+
+    return res.status(200).json({
+      success: true,
+      valid: result.valid,
+      reason: result.reason,
+      message: result.message,
+      confidence: result.confidence ?? null,
+      matchedDisease: result.matchedDisease ?? null,
+      matchedDrug: result.matchedDrug ?? null,
+      genericName: result.genericName ?? null,
+      prescription: normalizePrescription(record.prescription),
+      prescriptionText: formatPrescription(record.prescription),
+      remindersScheduled,
+      adminNotified,
+    });
+  } catch (error) {
+    console.error(`Error validating prescription for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for the doctor's pre-send check; no side effects, just matches and suggestions
+const handleMatchRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { diagnosis, drug } = req.body || {};
+    if (!diagnosis || !drug) {
+      return res.status(400).json({
+        error: { code: 400, message: 'diagnosis and drug are required' }
+      });
+    }
+
+    const userDoc = await operationWithRetry(() => db.collection('users').doc(userId).get());
+    if (!userDoc.exists || userDoc.data().role !== 'doctor') {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: Only doctors can check prescriptions' }
+      });
+    }
+
+    const match = getMedicineMatcher().match(diagnosis, drug);
+    return res.status(200).json({ success: true, threshold: MATCH_THRESHOLD, ...match });
+  } catch (error) {
+    console.error(`Error matching prescription for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for the pre-send interaction check against the patient's active prescriptions
+const handleInteractionsRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, patientId, prescription } = req.body || {};
+    const structuredPrescription = normalizePrescription(prescription);
+    if (!doctorId || !patientId || !structuredPrescription?.drug) {
+      return res.status(400).json({
+        error: { code: 400, message: 'doctorId, patientId, and a prescription with a drug are required' }
+      });
+    }
+
+    if (!(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+      });
+    }
+
+    const activePrescriptions = await operationWithRetry(() => prescriptionRecords.getActivePrescriptions(patientId));
+    const warnings = checkDrugInteractions(structuredPrescription.drug, activePrescriptions);
+    console.log(`Interaction check for patient ${patientId}: ${warnings.length} warning(s) against ${activePrescriptions.length} active prescription(s)`);
+
+    return res.status(200).json({ success: true, warnings, activePrescriptions });
+  } catch (error) {
+    console.error(`Error checking interactions for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for the pre-send allergy and contraindication check against the patient profile
+const handleSafetyRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, patientId, prescription } = req.body || {};
+    const structuredPrescription = normalizePrescription(prescription);
+    if (!doctorId || !patientId || !structuredPrescription?.drug) {
+      return res.status(400).json({
+        error: { code: 400, message: 'doctorId, patientId, and a prescription with a drug are required' }
+      });
+    }
+
+    if (!(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+      });
+    }
+
+    const patientDoc = await operationWithRetry(() => db.collection('patients').doc(patientId).get());
+    if (!patientDoc.exists) {
+      return res.status(404).json({ error: { code: 404, message: 'Patient not found' } });
+    }
+
+    const { blocks, warnings } = checkPatientSafety(structuredPrescription.drug, patientDoc.data());
+    console.log(`Safety check for patient ${patientId}: ${blocks.length} block(s), ${warnings.length} warning(s)`);
+
+    return res.status(200).json({
+      success: true,
+      blocked: blocks.length > 0,
+      blocks,
+      warnings,
+      profile: normalizeHealthProfile(patientDoc.data()),
+    });
+  } catch (error) {
+    console.error(`Error checking patient safety for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Applies a revised chat message to the doctor_patient_records entry it was stored as. An amended
+// prescription goes back to unvalidated with no reminders scheduled, as if it had just been sent,
+// and carries the interaction override given for it, if any.
+const reviseRecord = async (doctorId, patientId, previous, revised, interactionOverride = null) => {
+  const recordRef = db.collection('doctor_patient_records').doc(`${doctorId}_${patientId}`);
+  const recordDoc = await operationWithRetry(() => recordRef.get());
+  if (!recordDoc.exists) return null;
+
+  const records = recordDoc.data().records || [];
+  const index = findRecordIndex(records, previous);
+  if (index === -1) return null;
+
+  const revision = { messageId: previous.id, version: revised.version, revisionReason: revised.revisionReason };
+  let record;
+  if (revised.retractedAt) {
+    record = { ...records[index], ...revision, retractedAt: revised.retractedAt };
+  } else {
+    const { remindersScheduledAt, reminderCount, validatedAt, interactionOverride: previousOverride, ...unscheduled } = records[index];
+    record = {
+      ...(revised.prescription ? unscheduled : records[index]),
+      ...revision,
+      amendedAt: revised.amendedAt,
+      ...(previous.diagnosis ? { diagnosis: revised.diagnosis } : {}),
+      ...(revised.prescription ? { prescription: revised.prescription, valid: null } : {}),
+      ...(revised.prescription && interactionOverride ? { interactionOverride } : {}),
+    };
+  }
+  const updated = records.map((entry, i) => (i === index ? record : entry));
+  await operationWithRetry(() => recordRef.update({ records: updated }));
+  return record;
+};
+
+// Handler for amending or retracting a diagnosis or prescription already sent in the chat (POST),
+// and for the versions it went through (GET)
+const handleRevisionsRequest = async (req, res, userId) => {
+  if (req.method === 'GET') {
+    try {
+      const { doctorId, patientId, messageId } = req.query || {};
+      if (!doctorId || !patientId || !messageId) {
+        return res.status(400).json({
+          error: { code: 400, message: 'doctorId, patientId, and messageId are required' }
+        });
+      }
+
+      const patientQuery = await operationWithRetry(() => db.collection('patients').where('uid', '==', userId).get());
+      const isPatient = !patientQuery.empty && patientQuery.docs[0].data().patientId === patientId;
+      if (!isPatient && !(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+        return res.status(403).json({
+          error: { code: 403, message: 'Forbidden: You are not part of this consultation' }
+        });
+      }
+
+      const versions = await operationWithRetry(() => chatStore.listVersions(patientId, doctorId, messageId));
+      return res.status(200).json({ success: true, versions });
+    } catch (error) {
+      console.error(`Error listing message versions for user ${userId}:`, error.message);
+      return res.status(500).json({
+        error: { code: 500, message: 'Server error', details: error.message }
+      });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, patientId, messageId, translatedNotice, overrideReason, ...revision } = req.body || {};
+    if (!doctorId || !patientId || !messageId || !revision.action) {
+      return res.status(400).json({
+        error: { code: 400, message: 'doctorId, patientId, messageId, and action are required' }
+      });
+    }
+
+    if (!(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+      });
+    }
+
+    // Documented allergies block an amended prescription as they block a new one
+    const amendedPrescription = revision.action === 'amend' ? normalizePrescription(revision.prescription) : null;
+    if (amendedPrescription?.drug) {
+      const patientDoc = await operationWithRetry(() => db.collection('patients').doc(patientId).get());
+      const { blocks } = patientDoc.exists ? checkPatientSafety(amendedPrescription.drug, patientDoc.data()) : { blocks: [] };
+      if (blocks.length > 0) {
+        return res.status(422).json({
+          error: {
+            code: 422,
+            message: 'Prescription blocked by a documented allergy',
+            details: blocks.map((block) => block.message).join(' '),
+          }
+        });
+      }
+    }
+
+    // So do interactions with the patient's other prescriptions, unless the doctor gives a reason;
+    // the prescription being amended is not one of them
+    const at = new Date().toISOString();
+    let interactionOverride = null;
+    if (amendedPrescription?.drug) {
+      const [stored, recordDoc, activePrescriptions] = await Promise.all([
+        operationWithRetry(() => chatStore.getMessage(patientId, doctorId, messageId)),
+        operationWithRetry(() => db.collection('doctor_patient_records').doc(`${doctorId}_${patientId}`).get()),
+        operationWithRetry(() => prescriptionRecords.getActivePrescriptions(patientId)),
+      ]);
+      const records = recordDoc.exists ? recordDoc.data().records || [] : [];
+      const amended = stored ? records[findRecordIndex(records, stored)] : null;
+      const interactionWarnings = checkDrugInteractions(
+        amendedPrescription.drug,
+        activePrescriptions.filter((active) => !(amended && active.doctorId === doctorId && active.timestamp === amended.timestamp))
+      );
+      const reason = typeof overrideReason === 'string' ? overrideReason.trim() : '';
+      if (interactionWarnings.length > 0 && reason.length < MIN_OVERRIDE_REASON_LENGTH) {
+        return res.status(409).json({
+          error: {
+            code: 409,
+            message: `Prescription conflicts with the patient's active prescriptions; a reason of at least ${MIN_OVERRIDE_REASON_LENGTH} characters is required to override`,
+            details: interactionWarnings.map((warning) => warning.message).join(' '),
+            warnings: interactionWarnings,
+          }
+        });
+      }
+      if (interactionWarnings.length > 0) {
+        interactionOverride = { reason, warnings: interactionWarnings, acknowledgedAt: at, acknowledgedBy: userId };
+      }
+    }
+
+    const result = await operationWithRetry(() =>
+      chatStore.reviseMessage(patientId, doctorId, messageId, (stored) => {
+        const error = validateRevision(stored, revision);
+        return error ? { error } : buildRevision(stored, revision, { at, by: userId });
+      })
+    );
+    if (!result) {
+      return res.status(404).json({ error: { code: 404, message: 'Message not found' } });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: { code: 400, message: result.error } });
+    }
+    const { message: revised, previous, changes } = result;
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'message-revised', { id: messageId, changes });
+
+    if (interactionOverride) interactionOverride.version = revised.version;
+    const record = await reviseRecord(doctorId, patientId, previous, revised, interactionOverride);
+    if (record && interactionOverride) {
+      await operationWithRetry(() =>
+        prescriptionRecords.notifyAdminOfInteractionOverride(doctorId, patientId, record.prescription, record.timestamp, interactionOverride)
+      );
+    }
+    let remindersCancelled = 0;
+    let remindersScheduled = 0;
+    let validation = null;
+    let adminNotified = false;
+    if (record && previous.prescription) {
+      ({ cancelled: remindersCancelled } = await operationWithRetry(() =>
+        reminderScheduler.cancelReminders(doctorId, patientId, record.timestamp)
+      ));
+      if (revised.amendedAt) {
+        const checked = await operationWithRetry(() =>
+          prescriptionRecords.validateRecord(doctorId, patientId, record.timestamp, { userId })
+        );
+        if (checked) {
+          ({ result: validation, remindersScheduled, adminNotified } = checked);
+        }
+      }
+    } else if (!record) {
+      console.warn(`No record found for revised message ${messageId} of doctor ${doctorId}, patient ${patientId}`);
+    }
+
+    // The patient is told in the chat, in their language when the doctor's app translated it
+    const { message: notice } = await operationWithRetry(() =>
+      chatStore.appendMessage(patientId, doctorId, {
+        sender: 'doctor',
+        text: buildRevisionNotice(previous, revision),
+        translatedText: typeof translatedNotice === 'string' && translatedNotice.trim() ? translatedNotice : null,
+        language: 'en-US',
+        timestamp: at,
+        doctorId,
+        patientId,
+        messageType: 'revision',
+        revisionOf: messageId,
+      })
+    );
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'new-message', notice);
+    console.log(`Message ${messageId} ${revision.action === 'retract' ? 'retracted' : 'amended'} by doctor ${doctorId}: ${remindersCancelled} reminders cancelled, ${remindersScheduled} scheduled`);
+
+    return res.status(200).json({
+      success: true,
+      message: revised,
+      notice,
+      recordUpdated: !!record,
+      remindersCancelled,
+      remindersScheduled,
+      valid: validation ? validation.valid : null,
+      validationMessage: validation ? validation.message : null,
+      adminNotified,
+    });
+  } catch (error) {
+    console.error(`Error revising message for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for a patient's medications and their change history (GET), and for a doctor
+// discontinuing or changing one of theirs (POST). Doses still to come are replaced to match.
+const handleMedicationsRequest = async (req, res, userId) => {
+  if (req.method === 'GET') {
+    try {
+      const { patientId, doctorId } = req.query || {};
+      if (!patientId) {
+        return res.status(400).json({ error: { code: 400, message: 'patientId is required' } });
+      }
+      if (!(await canViewPatient(userId, patientId))) {
+        return res.status(403).json({
+          error: { code: 403, message: 'Forbidden: You are not part of this patient\'s care' }
+        });
+      }
+      const { timeZone } = await operationWithRetry(() => reminderScheduler.getPatientSchedule(patientId));
+
+      let recordsQuery = db.collection('doctor_patient_records').where('patientId', '==', patientId);
+      let historyQuery = db.collection('patients').doc(patientId).collection('medication_changes');
+      if (doctorId) {
+        recordsQuery = recordsQuery.where('doctorId', '==', doctorId);
+        historyQuery = historyQuery.where('doctorId', '==', doctorId);
+      }
+      const [recordsSnapshot, historySnapshot] = await Promise.all([
+        operationWithRetry(() => recordsQuery.get()),
+        operationWithRetry(() => historyQuery.get()),
+      ]);
+
+      const medications = recordsSnapshot.docs.flatMap((recordDoc) =>
+        listMedications(recordDoc.data().records || [], { timeZone }).map((medication) => ({
+          ...medication,
+          doctorId: recordDoc.data().doctorId,
+        }))
+      );
+      const history = historySnapshot.docs
+        .map((change) => ({ id: change.id, ...change.data() }))
+        .sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+
+      const doctorIds = [...new Set([...medications, ...history].map((item) => item.doctorId).filter(Boolean))];
+      const doctorDocs = await Promise.all(
+        doctorIds.map((id) => operationWithRetry(() => db.collection('doctors').doc(id).get()))
+      );
+      const doctorNames = doctorDocs.reduce((names, doctorDoc) => {
+        if (doctorDoc.exists) names[doctorDoc.id] = doctorDoc.data().name || null;
+        return names;
+      }, {});
+      const withDoctorName = (item) => ({ ...item, doctorName: doctorNames[item.doctorId] || null });
+
+      return res.status(200).json({
+        success: true,
+        medications: medications.sort((a, b) => b.prescribedAt.localeCompare(a.prescribedAt)).map(withDoctorName),
+        history: history.map(withDoctorName),
+      });
+    } catch (error) {
+      console.error(`Error listing medications for user ${userId}:`, error.message);
+      return res.status(500).json({
+        error: { code: 500, message: 'Server error', details: error.message }
+      });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { doctorId, patientId, medicationId, change, translatedNotice } = req.body || {};
+    if (!doctorId || !patientId || !medicationId || !change) {
+      return res.status(400).json({
+        error: { code: 400, message: 'doctorId, patientId, medicationId, and change are required' }
+      });
+    }
+
+    if (!(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+      });
+    }
+
+    const schedule = await operationWithRetry(() => reminderScheduler.getPatientSchedule(patientId));
+    const { timeZone } = schedule;
+
+    // The record and its history entry are written together, so the history never misses a change
+    const recordRef = db.collection('doctor_patient_records').doc(`${doctorId}_${patientId}`);
+    const changeRef = db.collection('patients').doc(patientId).collection('medication_changes').doc();
+    const now = new Date();
+    const at = now.toISOString();
+    const result = await operationWithRetry(() =>
+      db.runTransaction(async (transaction) => {
+        const recordDoc = await transaction.get(recordRef);
+        const records = recordDoc.exists ? recordDoc.data().records || [] : [];
+        const index = records.findIndex((record) => record.timestamp === medicationId);
+        if (index === -1) return null;
+
+        const error = validateMedicationChange(records[index], change, { now, timeZone });
+        if (error) return { error };
+        const { record, entry } = applyMedicationChange(records[index], change, { at, by: userId });
+        transaction.update(recordRef, { records: records.map((item, i) => (i === index ? record : item)) });
+        transaction.set(changeRef, { ...entry, doctorId, patientId });
+        return { record, entry };
+      })
+    );
+    if (!result) {
+      return res.status(404).json({ error: { code: 404, message: 'Medication not found' } });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: { code: 400, message: result.error } });
+    }
+    const { record, entry } = result;
+
+    // Doses already due stay as they are; the ones to come follow the changed prescription
+    const { cancelled: remindersCancelled, kept } = await operationWithRetry(() =>
+      reminderScheduler.cancelReminders(doctorId, patientId, record.timestamp, { after: at })
+    );
+    let remindersScheduled = 0;
+    if (record.valid === true && !record.discontinuedAt && !record.retractedAt) {
+      remindersScheduled = await operationWithRetry(() =>
+        reminderScheduler.scheduleReminders(doctorId, patientId, record, { schedule, now, kept })
+      );
+    }
+
+    const { message: notice } = await operationWithRetry(() =>
+      chatStore.appendMessage(patientId, doctorId, {
+        sender: 'doctor',
+        text: buildMedicationNotice(entry),
+        translatedText: typeof translatedNotice === 'string' && translatedNotice.trim() ? translatedNotice : null,
+        language: 'en-US',
+        timestamp: at,
+        doctorId,
+        patientId,
+        messageType: 'medication-change',
+      })
+    );
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'new-message', notice);
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'medication-changed', { id: changeRef.id, ...entry, doctorId });
+    console.log(`Medication ${medicationId} of patient ${patientId}: ${entry.summary}; ${remindersCancelled} reminders cancelled, ${remindersScheduled} scheduled`);
+
+    return res.status(200).json({
+      success: true,
+      medication: listMedications([record], { timeZone, now })[0],
+      change: { id: changeRef.id, ...entry, doctorId },
+      remindersCancelled,
+      remindersScheduled,
+    });
+  } catch (error) {
+    console.error(`Error changing medication for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for the side-effect and warning lookup; any signed-in user may read it
+const handleDrugInfoRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { name } = req.query || {};
+    if (!name || !normalizeName(name)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'name is required' }
+      });
+    }
+
+    const { hasSideEffectData } = loadDrugInfoTable();
+    const info = findDrugInfo(name);
+    if (!info) {
+      return res.status(404).json({
+        error: { code: 404, message: `No drug information found for "${name}"` }
+      });
+    }
+
+    const warnings = buildDrugWarnings(info);
+    if (!hasSideEffectData && warnings.length === 0) {
+      warnings.push('No side-effect data is available for this medicine yet.');
+    }
+
+    return res.status(200).json({ success: true, drug: info, warnings, hasSideEffectData });
+  } catch (error) {
+    console.error(`Error looking up drug info for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, x-user-uid, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const userId = req.headers['x-user-uid'];
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
+    if (req.url.includes('/medications')) {
+      return handleMedicationsRequest(req, res, userId);
+    } else if (req.url.includes('/revisions')) {
+      return handleRevisionsRequest(req, res, userId);
+    } else if (req.url.includes('/validate')) {
+      return handleValidateRequest(req, res, userId);
+    } else if (req.url.includes('/match')) {
+      return handleMatchRequest(req, res, userId);
+    } else if (req.url.includes('/safety')) {
+      return handleSafetyRequest(req, res, userId);
+    } else if (req.url.includes('/interactions')) {
+      return handleInteractionsRequest(req, res, userId);
+    } else if (req.url.includes('/drug-info')) {
+      return handleDrugInfoRequest(req, res, userId);
+    }
+
+    return res.status(404).json({ error: { code: 404, message: `Unknown prescriptions route: ${req.url}` } });
+  } catch (error) {
+    console.error(`Error in /api/prescriptions: ${error.message}`);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
@@ -0,0 +1,725 @@
+import admin from 'firebase-admin';
+import Pusher from 'pusher';
+import {
+  DEFAULT_TIME_ZONE,
+  MISSED_GRACE_MINUTES,
+  OPEN_STATUSES,
+  REMINDER_CONFLICTS,
+  isPastGrace,
+  getMissedStreak,
+  formatReminderNotification,
+  buildReminderAction,
+  resolveReminderAction,
+} from '../../src/services/reminders.js';
+import { summarizeAdherence } from '../../src/services/adherence.js';
+import { DEFAULT_POLICY, ESCALATION_TARGETS, findPolicy, getDueSteps } from '../../src/services/escalationPolicy.js';
+import { APPOINTMENT_REMINDERS, getDueAppointmentReminders, formatAppointmentReminder } from '../../src/services/appointments.js';
+import { normalizePatientSchedule, validatePatientSchedule } from '../../src/services/patientRoutine.js';
+import { createReminderScheduler } from '../../lib/reminderSchedule.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+    console.log('Firebase Admin initialized successfully in api/reminders/index.js');
+  } catch (error) {
+    console.error('Firebase Admin initialization failed in api/reminders/index.js:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+const reminderScheduler = createReminderScheduler({ db, defaultTimeZone: process.env.DEFAULT_PATIENT_TIMEZONE || DEFAULT_TIME_ZONE });
+
+// Initialize Pusher
+let pusher;
+try {
+  pusher = new Pusher({
+    appId: process.env.PUSHER_APP_ID,
+    key: process.env.PUSHER_KEY,
+    secret: process.env.PUSHER_SECRET,
+    cluster: process.env.PUSHER_CLUSTER,
+    useTLS: true,
+  });
+} catch (error) {
+  console.error('Pusher initialization failed in api/reminders/index.js:', error.message);
+  throw new Error(`Pusher initialization failed: ${error.message}`);
+}
+
+// Due reminders handled per cron run; the rest are picked up five minutes later
+const BATCH_LIMIT = 300;
+
+// FCM errors after which a token is dropped from the patient
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Retry logic
+async function operationWithRetry(operation, retries = 3, backoff = 1000) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.warn(`Retry ${attempt}/${retries} failed: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, backoff * attempt));
+    }
+  }
+}
+
+// Sends a push to every device on the owner's fcmTokens and drops tokens FCM has retired;
+// returns the number delivered
+const sendPush = async (ownerRef, tokens, { title, body }, data) => {
+  if (tokens.length === 0) return 0;
+
+  const response = await admin.messaging().sendEachForMulticast({
+    tokens,
+    notification: { title, body },
+    data,
+    // public/firebase-messaging-sw.js opens data.url on click
+    webpush: {
+      notification: { tag: `${data.type}-${data.reminderId || data.escalationId || data.appointmentId}`, requireInteraction: true },
+    },
+  });
+
+  const staleTokens = tokens.filter((token, index) => {
+    const error = response.responses[index].error;
+    return error && STALE_TOKEN_ERRORS.includes(error.code);
+  });
+  if (staleTokens.length > 0) {
+    await operationWithRetry(() =>
+      ownerRef.update({ fcmTokens: admin.firestore.FieldValue.arrayRemove(...staleTokens) })
+    );
+    console.log(`Removed ${staleTokens.length} stale FCM tokens from ${ownerRef.path}`);
+  }
+  return response.successCount;
+};
+
+const sendReminderPush = (patientRef, tokens, reminder) =>
+  sendPush(patientRef, tokens, formatReminderNotification(reminder), {
+    type: 'medication-reminder',
+    reminderId: reminder.id,
+    patientId: reminder.patientId,
+    doctorId: reminder.doctorId || '',
+    url: `/patient/chat/${reminder.patientId}/${reminder.doctorId}`,
+  });
+
+const getPatientReminders = async (patientId, doctorId, medicine) => {
+  const remindersSnapshot = await operationWithRetry(() =>
+    db.collection('patients').doc(patientId).collection('reminders').where('doctorId', '==', doctorId).get()
+  );
+  return remindersSnapshot.docs
+    .map((reminderDoc) => ({ id: reminderDoc.id, ...reminderDoc.data() }))
+    .filter((reminder) => reminder.medicine === medicine);
+};
+
+// Opens an escalation when a medicine's missed streak reaches its policy's threshold. One
+// escalation per streak: the ID is derived from the streak's first dose.
+const startEscalation = async (patientId, doctorId, medicine, policies, now) => {
+  const reminders = await getPatientReminders(patientId, doctorId, medicine);
+  const streak = getMissedStreak(reminders);
+  if (streak.count === 0) return false;
+
+  const firstMissed = reminders.find((reminder) => reminder.id === streak.firstId);
+  const policy = findPolicy(policies, { medicine, diagnosis: firstMissed.diagnosis });
+  if (streak.count < policy.consecutiveMissed) return false;
+
+  const escalationRef = db.collection('missed_dose_escalations').doc(`${patientId}_${doctorId}_${streak.firstId}`);
+  try {
+    await operationWithRetry(() =>
+      escalationRef.create({
+        patientId,
+        doctorId,
+        medicine,
+        diagnosis: firstMissed.diagnosis || null,
+        missedCount: streak.count,
+        firstMissedReminderId: streak.firstId,
+        streakStartTime: firstMissed.scheduledTime,
+        timeZone: firstMissed.timeZone || DEFAULT_TIME_ZONE,
+        policyId: policy.id,
+        policyName: policy.name,
+        status: 'open',
+        startedAt: now.toISOString(),
+        completedSteps: [],
+        stepLog: [],
+      })
+    );
+  } catch (error) {
+    // ALREADY_EXISTS: this streak is already escalating
+    if (error.code === 6) return false;
+    throw error;
+  }
+  console.log(`Escalation ${escalationRef.id} opened under policy "${policy.name}"`);
+  return true;
+};
+
+// Runs one policy step; returns a short outcome for the step log
+const runEscalationStep = async (target, escalationId, escalation, patientData) => {
+  const { patientId, doctorId, medicine, missedCount } = escalation;
+  const patientName = patientData.name || 'Unknown Patient';
+  const timestamp = new Date().toISOString();
+
+  if (target === 'patient') {
+    const delivered = await sendPush(
+      db.collection('patients').doc(patientId),
+      patientData.fcmTokens || [],
+      {
+        title: 'Missed medication',
+        body: `You have missed ${missedCount} dose${missedCount === 1 ? '' : 's'} of ${medicine}. Please take it as prescribed or message your doctor.`,
+      },
+      { type: 'missed-dose-nudge', escalationId, patientId, doctorId, url: `/patient/chat/${patientId}/${doctorId}` }
+    );
+    return delivered > 0 ? `push delivered to ${delivered} device(s)` : 'no patient device registered';
+  }
+
+  const message = `${patientName} has missed ${missedCount} consecutive dose${missedCount === 1 ? '' : 's'} of ${medicine} (as of ${timestamp}).`;
+
+  if (target === 'caregiver') {
+    // Only caregivers the patient has consented to (see api/caregivers)
+    const linksSnapshot = await operationWithRetry(() =>
+      db.collection('caregiver_links').where('patientId', '==', patientId).where('status', '==', 'active').get()
+    );
+    if (linksSnapshot.empty) return 'skipped: no caregiver linked to this patient';
+
+    let delivered = 0;
+    for (const linkDoc of linksSnapshot.docs) {
+      const { caregiverId } = linkDoc.data();
+      await operationWithRetry(() =>
+        db.collection('caregiver_alerts').doc(`${escalationId}_${caregiverId}`).set({
+          caregiverId,
+          patientId,
+          doctorId,
+          medicine,
+          message,
+          missedCount,
+          escalationId,
+          timestamp,
+        })
+      );
+      const caregiverRef = db.collection('caregivers').doc(caregiverId);
+      const caregiverDoc = await operationWithRetry(() => caregiverRef.get());
+      if (!caregiverDoc.exists) continue;
+      try {
+        delivered += await sendPush(
+          caregiverRef,
+          caregiverDoc.data().fcmTokens || [],
+          { title: 'Missed medication', body: message },
+          { type: 'missed-dose-caregiver', escalationId, patientId, doctorId, url: '/caregiver' }
+        );
+      } catch (error) {
+        console.error(`Failed to push escalation ${escalationId} to caregiver ${caregiverId}:`, error.message);
+      }
+    }
+    return `alert stored for ${linksSnapshot.size} caregiver(s), pushed to ${delivered} device(s)`;
+  }
+
+  if (target === 'doctor') {
+    // missed_dose_alerts is what the doctor's chat lists under "Missed Dose Alerts"
+    await operationWithRetry(() =>
+      db.collection('missed_dose_alerts').doc(escalationId).set({
+        patientId,
+        doctorId,
+        medicine,
+        message,
+        missedCount,
+        escalationId,
+        timestamp,
+      })
+    );
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'admin-notification', {
+      id: escalationId,
+      patientId,
+      doctorId,
+      message,
+      timestamp,
+    });
+
+    const doctorQuery = await operationWithRetry(() => db.collection('doctors').where('doctorId', '==', doctorId).get());
+    const fcmToken = doctorQuery.empty ? null : doctorQuery.docs[0].data().fcmToken;
+    if (fcmToken) {
+      try {
+        await admin.messaging().send({ token: fcmToken, notification: { title: 'Missed Dose Alert', body: message } });
+      } catch (error) {
+        console.error(`Failed to send FCM notification to doctor ${doctorId}:`, error.message);
+      }
+    }
+    return fcmToken ? 'alert shown in chat and pushed' : 'alert shown in chat';
+  }
+
+  await operationWithRetry(() =>
+    db.collection('notifications').doc(`escalation_${escalationId}`).set({
+      patientId,
+      doctorId,
+      message,
+      type: 'missed-doses',
+      escalationId,
+      policyName: escalation.policyName,
+      timestamp,
+    })
+  );
+  return 'admin notification stored';
+};
+
+// Runs the due steps of every open escalation; a dose taken after the streak began closes it
+const advanceEscalations = async (policies, now) => {
+  const openSnapshot = await operationWithRetry(() =>
+    db.collection('missed_dose_escalations').where('status', '==', 'open').get()
+  );
+
+  let stepsRun = 0;
+  for (const escalationDoc of openSnapshot.docs) {
+    const escalation = escalationDoc.data();
+    try {
+      const reminders = await getPatientReminders(escalation.patientId, escalation.doctorId, escalation.medicine);
+      const resumed = reminders.some(
+        (reminder) => reminder.status === 'taken' && reminder.scheduledTime > escalation.streakStartTime
+      );
+      if (resumed) {
+        await operationWithRetry(() => escalationDoc.ref.update({ status: 'resolved', resolvedAt: now.toISOString() }));
+        continue;
+      }
+
+      // Policies edited mid-escalation apply from the next step; deleted ones fall back to the default
+      const policy = policies.find((item) => item.id === escalation.policyId) || DEFAULT_POLICY;
+      const dueSteps = getDueSteps(policy, escalation, now, escalation.timeZone);
+      if (dueSteps.length === 0) continue;
+
+      const patientDoc = await operationWithRetry(() => db.collection('patients').doc(escalation.patientId).get());
+      const patientData = patientDoc.exists ? patientDoc.data() : {};
+      const stepLog = [];
+      for (const index of dueSteps) {
+        const { target } = policy.steps[index];
+        const outcome = await runEscalationStep(target, escalationDoc.id, escalation, patientData);
+        stepLog.push({ step: index, target, label: ESCALATION_TARGETS[target], outcome, at: now.toISOString() });
+        stepsRun++;
+      }
+
+      const completedSteps = [...(escalation.completedSteps || []), ...dueSteps];
+      await operationWithRetry(() =>
+        escalationDoc.ref.update({
+          completedSteps,
+          stepLog: [...(escalation.stepLog || []), ...stepLog],
+          status: completedSteps.length >= policy.steps.length ? 'completed' : 'open',
+        })
+      );
+    } catch (error) {
+      console.error(`Error advancing escalation ${escalationDoc.id}:`, error.message);
+    }
+  }
+  return stepsRun;
+};
+
+// Confirms the caller is the given doctor and is assigned to the patient
+const verifyAssignedDoctor = async (userId, doctorId, patientId) => {
+  const doctorQuery = await operationWithRetry(() => db.collection('doctors').where('uid', '==', userId).get());
+  if (doctorQuery.empty || doctorQuery.docs[0].data().doctorId !== doctorId) return false;
+
+  const assignmentQuery = await operationWithRetry(() =>
+    db.collection('doctor_assignments')
+      .where('patientId', '==', patientId)
+      .where('doctorId', '==', doctorId)
+      .get()
+  );
+  return !assignmentQuery.empty;
+};
+
+// Handler for the doctor's adherence panel; aggregates here so the client never reads raw reminders
+const handleAdherenceRequest = async (req, res, userId) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, doctorId } = req.query || {};
+    if (!patientId || !doctorId) {
+      return res.status(400).json({ error: { code: 400, message: 'patientId and doctorId are required' } });
+    }
+    if (!(await verifyAssignedDoctor(userId, doctorId, patientId))) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Forbidden: You are not assigned to this patient' }
+      });
+    }
+
+    const [remindersSnapshot, recordDoc, schedule] = await Promise.all([
+      operationWithRetry(() => db.collection('patients').doc(patientId).collection('reminders').get()),
+      operationWithRetry(() => db.collection('doctor_patient_records').doc(`${doctorId}_${patientId}`).get()),
+      operationWithRetry(() => reminderScheduler.getPatientSchedule(patientId)),
+    ]);
+
+    // The trend compares doses before and after this doctor's latest prescription
+    const lastPrescription = (recordDoc.exists ? recordDoc.data().records || [] : [])
+      .filter((record) => record.prescription && record.timestamp)
+      .map((record) => record.timestamp)
+      .sort()
+      .pop() || null;
+
+    const reminders = remindersSnapshot.docs.map((reminderDoc) => ({ id: reminderDoc.id, ...reminderDoc.data() }));
+    const summary = summarizeAdherence(reminders, {
+      since: lastPrescription,
+      timeZone: schedule.timeZone,
+    });
+
+    console.log(`Adherence summary for patient ${patientId} from ${reminders.length} reminders`);
+    return res.status(200).json({ success: true, patientId, lastPrescription, ...summary });
+  } catch (error) {
+    console.error(`Error summarizing adherence for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Pushes appointment reminders to patient and doctor (see api/appointments); returns the count reminded
+const sendAppointmentReminders = async (now) => {
+  const horizon = new Date(now.getTime() + Math.max(...APPOINTMENT_REMINDERS.map(({ minutesBefore }) => minutesBefore)) * 60 * 1000);
+  const upcomingSnapshot = await operationWithRetry(() =>
+    db.collection('appointments')
+      .where('status', '==', 'booked')
+      .where('start', '>', now.toISOString())
+      .where('start', '<=', horizon.toISOString())
+      .get()
+  );
+
+  let reminded = 0;
+  for (const appointmentDoc of upcomingSnapshot.docs) {
+    const appointment = { id: appointmentDoc.id, ...appointmentDoc.data() };
+    const due = getDueAppointmentReminders(appointment, now);
+    if (due.length === 0) continue;
+
+    const reminder = due[due.length - 1];
+    const data = { type: 'appointment-reminder', appointmentId: appointment.id, patientId: appointment.patientId, doctorId: appointment.doctorId };
+    try {
+      const patientRef = db.collection('patients').doc(appointment.patientId);
+      const patientDoc = await operationWithRetry(() => patientRef.get());
+      await sendPush(
+        patientRef,
+        patientDoc.exists ? patientDoc.data().fcmTokens || [] : [],
+        formatAppointmentReminder(appointment, reminder, 'patient'),
+        { ...data, url: `/patient/chat/${appointment.patientId}/${appointment.doctorId}` }
+      );
+
+      const doctorQuery = await operationWithRetry(() => db.collection('doctors').where('doctorId', '==', appointment.doctorId).get());
+      const fcmToken = doctorQuery.empty ? null : doctorQuery.docs[0].data().fcmToken;
+      if (fcmToken) {
+        try {
+          await admin.messaging().send({ token: fcmToken, notification: formatAppointmentReminder(appointment, reminder, 'doctor') });
+        } catch (error) {
+          console.error(`Failed to send appointment reminder to doctor ${appointment.doctorId}:`, error.message);
+        }
+      }
+
+      await operationWithRetry(() =>
+        appointmentDoc.ref.update({ remindersSent: admin.firestore.FieldValue.arrayUnion(...due.map(({ key }) => key)) })
+      );
+      reminded++;
+    } catch (error) {
+      console.error(`Error sending reminder for appointment ${appointment.id}:`, error.message);
+    }
+  }
+  return reminded;
+};
+
+// Handler for the reminder cron: pushes due doses, marks expired ones missed and runs escalation policies
+const handleRunRequest = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  // Vercel Cron sends the project's CRON_SECRET as a bearer token
+  if (!process.env.CRON_SECRET || req.headers['authorization'] !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: { code: 401, message: 'Unauthorized' } });
+  }
+
+  try {
+    const now = new Date();
+    const graceStart = new Date(now.getTime() - MISSED_GRACE_MINUTES * 60 * 1000);
+    // Doses still to notify and doses past their grace window are read separately, so notified
+    // doses waiting out their grace window never fill the batch and hold back new ones
+    const [notifySnapshot, missedSnapshot] = await Promise.all([
+      operationWithRetry(() =>
+        db.collectionGroup('reminders')
+          .where('status', 'in', OPEN_STATUSES)
+          .where('notifiedAt', '==', null)
+          .where('scheduledTime', '<=', now.toISOString())
+          .orderBy('scheduledTime')
+          .limit(BATCH_LIMIT)
+          .get()
+      ),
+      operationWithRetry(() =>
+        db.collectionGroup('reminders')
+          .where('status', 'in', OPEN_STATUSES)
+          .where('scheduledTime', '<=', graceStart.toISOString())
+          .orderBy('scheduledTime')
+          .limit(BATCH_LIMIT)
+          .get()
+      ),
+    ]);
+    // A dose never notified before its grace window ended is in both; it is only marked missed
+    const dueDocs = [
+      ...missedSnapshot.docs,
+      ...notifySnapshot.docs.filter((reminderDoc) => !missedSnapshot.docs.some((other) => other.ref.path === reminderDoc.ref.path)),
+    ];
+
+    const patients = new Map();
+    const missedStreaks = new Map();
+    let notified = 0;
+    let missed = 0;
+
+    for (const reminderDoc of dueDocs) {
+      const reminder = { id: reminderDoc.id, ...reminderDoc.data() };
+      const patientRef = reminderDoc.ref.parent.parent;
+      reminder.patientId = reminder.patientId || patientRef.id;
+
+      try {
+        if (isPastGrace(reminder, now)) {
+          await operationWithRetry(() => reminderDoc.ref.update({ status: 'missed', missedAt: now.toISOString() }));
+          missed++;
+          if (reminder.doctorId) {
+            missedStreaks.set(
+              `${reminder.patientId}_${reminder.doctorId}_${reminder.medicine}`,
+              [reminder.patientId, reminder.doctorId, reminder.medicine]
+            );
+          }
+          continue;
+        }
+        if (reminder.notifiedAt) continue;
+
+        if (!patients.has(patientRef.id)) {
+          const patientDoc = await operationWithRetry(() => patientRef.get());
+          patients.set(patientRef.id, patientDoc.exists ? patientDoc.data().fcmTokens || [] : []);
+        }
+        const delivered = await sendReminderPush(patientRef, patients.get(patientRef.id), reminder);
+        await operationWithRetry(() => reminderDoc.ref.update({ notifiedAt: now.toISOString(), pushDelivered: delivered }));
+        notified++;
+      } catch (error) {
+        console.error(`Error processing reminder ${reminderDoc.ref.path}:`, error.message);
+      }
+    }
+
+    const policiesSnapshot = await operationWithRetry(() => db.collection('escalation_policies').get());
+    const policies = policiesSnapshot.docs.map((policyDoc) => ({ id: policyDoc.id, ...policyDoc.data() }));
+
+    let escalations = 0;
+    for (const [patientId, doctorId, medicine] of missedStreaks.values()) {
+      try {
+        if (await startEscalation(patientId, doctorId, medicine, policies, now)) escalations++;
+      } catch (error) {
+        console.error(`Error escalating missed doses for patient ${patientId} and doctor ${doctorId}:`, error.message);
+      }
+    }
+    const escalationSteps = await advanceEscalations(policies, now);
+    const appointmentsReminded = await sendAppointmentReminders(now);
+
+    console.log(
+      `Reminder run: ${dueDocs.length} due, ${notified} notified, ${missed} missed, ` +
+      `${escalations} escalations opened, ${escalationSteps} escalation steps run, ` +
+      `${appointmentsReminded} appointments reminded`
+    );
+    return res.status(200).json({
+      success: true,
+      due: dueDocs.length,
+      notified,
+      missed,
+      escalations,
+      escalationSteps,
+      appointmentsReminded,
+    });
+  } catch (error) {
+    console.error('Error running reminder cron:', error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for storing the FCM token of a patient's browser
+const handleRegisterTokenRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, token } = req.body || {};
+    if (!patientId || !token || typeof token !== 'string') {
+      return res.status(400).json({ error: { code: 400, message: 'patientId and token are required' } });
+    }
+
+    const patientRef = db.collection('patients').doc(patientId);
+    const patientDoc = await operationWithRetry(() => patientRef.get());
+    if (!patientDoc.exists || patientDoc.data().uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: You can only register your own device' } });
+    }
+
+    await operationWithRetry(() =>
+      patientRef.update({ fcmTokens: admin.firestore.FieldValue.arrayUnion(token) })
+    );
+    console.log(`Registered FCM token for patient ${patientId}`);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error(`Error registering FCM token for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for a patient's confirm or snooze of a dose, sent straight away or from the offline
+// outbox (src/services/offlineQueue.js). The update is rebuilt here from the stored reminder;
+// only the action's type, reminder and baseline come from the client.
+const handleActionRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, action } = req.body || {};
+    if (
+      !patientId ||
+      !['taken', 'snoozed'].includes(action?.type) ||
+      typeof action.reminderId !== 'string' ||
+      !action.reminderId ||
+      action.reminderId.includes('/') ||
+      typeof action.baseline?.scheduledTime !== 'string'
+    ) {
+      return res.status(400).json({
+        error: { code: 400, message: 'patientId and an action with type (taken or snoozed), reminderId and baseline are required' }
+      });
+    }
+
+    const patientRef = db.collection('patients').doc(patientId);
+    const patientDoc = await operationWithRetry(() => patientRef.get());
+    if (!patientDoc.exists || patientDoc.data().uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: You can only update your own reminders' } });
+    }
+
+    // Queued actions keep the time the patient acted, but never one in the future
+    const now = new Date();
+    const actedAt = new Date(Math.min(Date.parse(action.createdAt) || now.getTime(), now.getTime()));
+    const reminderRef = patientRef.collection('reminders').doc(action.reminderId);
+    const result = await operationWithRetry(() =>
+      db.runTransaction(async (transaction) => {
+        const reminderDoc = await transaction.get(reminderRef);
+        const current = reminderDoc.exists ? reminderDoc.data() : null;
+        const verdict = resolveReminderAction(action, current);
+        if (verdict.conflict) return verdict;
+
+        const { changes } = buildReminderAction(action.type, { id: reminderDoc.id, ...current }, { role: 'patient', uid: userId }, actedAt);
+        transaction.update(reminderRef, changes);
+        return { changes, reminder: { id: reminderDoc.id, ...current, ...changes } };
+      })
+    );
+
+    if (result.conflict) {
+      console.log(`Reminder ${action.reminderId} of patient ${patientId} not updated: ${result.conflict}`);
+      return res.status(409).json({
+        error: { code: 409, message: REMINDER_CONFLICTS[result.conflict], conflict: result.conflict }
+      });
+    }
+    console.log(`Reminder ${action.reminderId} of patient ${patientId} marked ${action.type}`);
+    return res.status(200).json({ success: true, reminder: result.reminder });
+  } catch (error) {
+    console.error(`Error updating reminder for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+// Handler for a patient setting their time zone and daily routine; the doses still to come of
+// every current prescription move to match
+const handleRoutineRequest = async (req, res, userId) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+  }
+
+  try {
+    const { patientId, timeZone, routine } = req.body || {};
+    if (!patientId || !timeZone || !routine) {
+      return res.status(400).json({ error: { code: 400, message: 'patientId, timeZone, and routine are required' } });
+    }
+    const errors = validatePatientSchedule({ timeZone, routine });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: { code: 400, message: 'Invalid routine', details: errors.join(' ') } });
+    }
+
+    const patientRef = db.collection('patients').doc(patientId);
+    const patientDoc = await operationWithRetry(() => patientRef.get());
+    if (!patientDoc.exists || patientDoc.data().uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Forbidden: You can only set your own routine' } });
+    }
+
+    const schedule = normalizePatientSchedule({ timeZone, routine });
+    await operationWithRetry(() =>
+      patientRef.update({ ...schedule, routineUpdatedAt: new Date().toISOString() })
+    );
+    const result = await operationWithRetry(() => reminderScheduler.reschedulePatient(patientId));
+    console.log(
+      `Routine of patient ${patientId} set; ${result.cancelled} reminders of ${result.records} prescriptions replaced by ${result.scheduled}`
+    );
+    return res.status(200).json({
+      success: true,
+      ...schedule,
+      remindersCancelled: result.cancelled,
+      remindersScheduled: result.scheduled,
+    });
+  } catch (error) {
+    console.error(`Error setting routine for user ${userId}:`, error.message);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, x-user-uid, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // The cron authenticates with CRON_SECRET instead of a user token
+  if (req.url.includes('/run')) {
+    return handleRunRequest(req, res);
+  }
+
+  const userId = req.headers['x-user-uid'];
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
+    if (req.url.includes('/register-token')) {
+      return handleRegisterTokenRequest(req, res, userId);
+    } else if (req.url.includes('/adherence')) {
+      return handleAdherenceRequest(req, res, userId);
+    } else if (req.url.includes('/routine')) {
+      return handleRoutineRequest(req, res, userId);
+    } else if (req.url.includes('/actions')) {
+      return handleActionRequest(req, res, userId);
+    }
+
+    return res.status(404).json({ error: { code: 404, message: `Unknown reminders route: ${req.url}` } });
+  } catch (error) {
+    console.error(`Error in /api/reminders: ${error.message}`);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
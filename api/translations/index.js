@@ -0,0 +1,338 @@
+import admin from 'firebase-admin';
+import Pusher from 'pusher';
+import {
+  TRANSLATED_FIELDS,
+  REVIEW_STATUSES,
+  getTranslationSource,
+  getTranslationLanguages,
+  getTranslationReview,
+  applyTranslationReview,
+  validateCorrection,
+  getReviewId,
+} from '../../src/services/translationReview.js';
+import { createTranslationMemory } from '../../lib/translationMemory.js';
+import { createChatStore } from '../../lib/chatStore.js';
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      }),
+    });
+    console.log('Firebase Admin initialized successfully in api/translations/index.js');
+  } catch (error) {
+    console.error('Firebase Admin initialization failed in api/translations/index.js:', error.message);
+    throw new Error('Firebase Admin initialization failed');
+  }
+}
+
+const db = admin.firestore();
+const memory = createTranslationMemory({ db });
+
+// Corrections are written back into the chat message (see lib/chatStore.js)
+const chatStore = createChatStore({ db });
+
+// Initialize Pusher
+let pusher;
+try {
+  pusher = new Pusher({
+    appId: process.env.PUSHER_APP_ID,
+    key: process.env.PUSHER_KEY,
+    secret: process.env.PUSHER_SECRET,
+    cluster: process.env.PUSHER_CLUSTER,
+    useTLS: true,
+  });
+} catch (error) {
+  console.error('Pusher initialization failed in api/translations/index.js:', error.message);
+  throw new Error(`Pusher initialization failed: ${error.message}`);
+}
+
+const MAX_REVIEWS = 200;
+
+// Retry logic
+async function operationWithRetry(operation, retries = 3, backoff = 1000) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.warn(`Retry ${attempt}/${retries} failed: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, backoff * attempt));
+    }
+  }
+}
+
+// The caller's role in a chat: the patient themself, a doctor assigned to the patient, or an admin
+const getReviewerRole = async (userId, patientId, doctorId) => {
+  const userDoc = await operationWithRetry(() => db.collection('users').doc(userId).get());
+  if (!userDoc.exists) return null;
+  const userData = userDoc.data();
+  if (userData.role === 'admin') return 'admin';
+  if (!patientId || !doctorId) return null;
+  if (userData.role === 'patient' && userData.patientId === patientId) return 'patient';
+  if (userData.role === 'doctor' && userData.doctorId === doctorId) {
+    const assignment = await operationWithRetry(() =>
+      db.collection('doctor_assignments').doc(`${patientId}_${doctorId}`).get()
+    );
+    return assignment.exists ? 'doctor' : null;
+  }
+  return null;
+};
+
+// Records a review on the chat message and tells both sides which translation to show now
+const saveMessageReview = async (patientId, doctorId, timestamp, field, review) => {
+  const message = await operationWithRetry(() => chatStore.findMessage(patientId, doctorId, 'timestamp', timestamp));
+  if (!message) return null;
+
+  const updated = await operationWithRetry(() =>
+    chatStore.updateMessage(patientId, doctorId, message.id, (stored) => {
+      const reviewed = applyTranslationReview(stored, field, review);
+      return { [field]: reviewed[field], translationReviews: reviewed.translationReviews };
+    })
+  );
+  if (!updated) return null;
+  await pusher.trigger(`chat-${patientId}-${doctorId}`, 'message-updated', {
+    timestamp,
+    field,
+    value: updated[field],
+    review: updated.translationReviews[field],
+  });
+  return updated;
+};
+
+// Finds the message and works out what was translated, from which language into which
+const getTranslatedMessage = async (patientId, doctorId, timestamp, field) => {
+  if (!TRANSLATED_FIELDS[field]) {
+    return { error: { status: 400, message: `field must be one of: ${Object.keys(TRANSLATED_FIELDS).join(', ')}` } };
+  }
+  const [message, patientDoc] = await Promise.all([
+    operationWithRetry(() => chatStore.findMessage(patientId, doctorId, 'timestamp', timestamp)),
+    operationWithRetry(() => db.collection('patients').doc(patientId).get()),
+  ]);
+  if (!message) return { error: { status: 404, message: 'Message not found' } };
+  const sourceText = getTranslationSource(message, field);
+  if (!sourceText) return { error: { status: 400, message: 'This message has no translated content for that field' } };
+  const languages = getTranslationLanguages(message, field, patientDoc.exists ? patientDoc.data().languagePreference : null);
+  return { message, sourceText, languages };
+};
+
+// Review records are what the admin works through; the message only keeps the outcome
+const toMessageReview = (review, reviewId) => ({
+  reviewId,
+  status: review.status,
+  machineText: review.machineText,
+  correctedText: review.correctedText || null,
+  correctedByRole: review.correctedByRole || null,
+  updatedAt: review.updatedAt,
+});
+
+// Handler for "translation looks wrong" from anyone in the chat
+const handleFlagRequest = async (req, res, userId) => {
+  const { patientId, doctorId, timestamp, field, reason = '', machineText } = req.body || {};
+  if (!patientId || !doctorId || !timestamp || !field) {
+    return res.status(400).json({ error: { code: 400, message: 'patientId, doctorId, timestamp and field are required' } });
+  }
+  const role = await getReviewerRole(userId, patientId, doctorId);
+  if (!role) return res.status(403).json({ error: { code: 403, message: 'Forbidden: You are not part of this chat' } });
+
+  const { message, sourceText, languages, error } = await getTranslatedMessage(patientId, doctorId, timestamp, field);
+  if (error) return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+
+  const reviewId = getReviewId(patientId, doctorId, timestamp, field);
+  const reviewRef = db.collection('translation_reviews').doc(reviewId);
+  const now = new Date().toISOString();
+  const existing = await operationWithRetry(() => reviewRef.get());
+  const review = {
+    ...(existing.exists ? existing.data() : {}),
+    patientId,
+    doctorId,
+    messageTimestamp: timestamp,
+    field,
+    sender: message.sender,
+    sourceText,
+    sourceLanguage: languages.from,
+    targetLanguage: languages.to,
+    machineText: getTranslationReview(message, field)?.machineText ?? message[field] ?? machineText ?? null,
+    status: 'flagged',
+    reason: String(reason).trim().slice(0, 500),
+    flaggedBy: userId,
+    flaggedByRole: role,
+    flaggedAt: now,
+    updatedAt: now,
+  };
+  await operationWithRetry(() => reviewRef.set(review));
+  await saveMessageReview(patientId, doctorId, timestamp, field, toMessageReview(review, reviewId));
+  console.log(`Translation ${field} of message ${timestamp} flagged by ${role} ${userId}`);
+  return res.status(200).json({ success: true, review: { id: reviewId, ...review } });
+};
+
+// Handler for a bilingual doctor's or admin's corrected translation. An admin's correction is
+// accepted straight away; a doctor's is shown immediately and waits for an admin.
+const handleCorrectRequest = async (req, res, userId) => {
+  const { patientId, doctorId, timestamp, field, correctedText, machineText } = req.body || {};
+  if (!patientId || !doctorId || !timestamp || !field) {
+    return res.status(400).json({ error: { code: 400, message: 'patientId, doctorId, timestamp and field are required' } });
+  }
+  const errors = validateCorrection(correctedText);
+  if (errors.length > 0) return res.status(400).json({ error: { code: 400, message: errors.join(' ') } });
+
+  const role = await getReviewerRole(userId, patientId, doctorId);
+  if (role !== 'doctor' && role !== 'admin') {
+    return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only the assigned doctor or an admin can correct translations' } });
+  }
+
+  const { message, sourceText, languages, error } = await getTranslatedMessage(patientId, doctorId, timestamp, field);
+  if (error) return res.status(error.status).json({ error: { code: error.status, message: error.message } });
+
+  const reviewId = getReviewId(patientId, doctorId, timestamp, field);
+  const reviewRef = db.collection('translation_reviews').doc(reviewId);
+  const now = new Date().toISOString();
+  const existing = await operationWithRetry(() => reviewRef.get());
+  const review = {
+    ...(existing.exists ? existing.data() : {}),
+    patientId,
+    doctorId,
+    messageTimestamp: timestamp,
+    field,
+    sender: message.sender,
+    sourceText,
+    sourceLanguage: languages.from,
+    targetLanguage: languages.to,
+    machineText: getTranslationReview(message, field)?.machineText ?? message[field] ?? machineText ?? null,
+    correctedText: correctedText.trim(),
+    correctedBy: userId,
+    correctedByRole: role,
+    correctedAt: now,
+    status: role === 'admin' ? 'accepted' : 'corrected',
+    updatedAt: now,
+  };
+  if (review.status === 'accepted') {
+    review.reviewedBy = userId;
+    review.reviewedAt = now;
+    review.memoryKey = await memory.remember({
+      sourceText,
+      from: languages.from,
+      to: languages.to,
+      translatedText: review.correctedText,
+      machineText: review.machineText,
+      acceptedBy: userId,
+      reviewId,
+    });
+  }
+  await operationWithRetry(() => reviewRef.set(review));
+  await saveMessageReview(patientId, doctorId, timestamp, field, toMessageReview(review, reviewId));
+  console.log(`Translation ${field} of message ${timestamp} corrected by ${role} ${userId} (${review.status})`);
+  return res.status(200).json({ success: true, review: { id: reviewId, ...review } });
+};
+
+// Handler for the admin's review queue
+const handleReviewsRequest = async (req, res, userId) => {
+  if ((await getReviewerRole(userId)) !== 'admin') {
+    return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only admins can review translations' } });
+  }
+  const { status } = req.query;
+  if (status && !REVIEW_STATUSES[status]) {
+    return res.status(400).json({ error: { code: 400, message: `status must be one of: ${Object.keys(REVIEW_STATUSES).join(', ')}` } });
+  }
+  let reviewsQuery = db.collection('translation_reviews');
+  if (status) reviewsQuery = reviewsQuery.where('status', '==', status);
+  const snapshot = await operationWithRetry(() => reviewsQuery.get());
+  const reviews = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, MAX_REVIEWS);
+  return res.status(200).json({ success: true, reviews });
+};
+
+// Handler for an admin accepting (optionally after editing) or rejecting a correction
+const handleDecisionRequest = async (req, res, userId, decision) => {
+  if ((await getReviewerRole(userId)) !== 'admin') {
+    return res.status(403).json({ error: { code: 403, message: 'Forbidden: Only admins can review translations' } });
+  }
+  const { reviewId, correctedText } = req.body || {};
+  if (!reviewId) return res.status(400).json({ error: { code: 400, message: 'reviewId is required' } });
+
+  const reviewRef = db.collection('translation_reviews').doc(reviewId);
+  const reviewDoc = await operationWithRetry(() => reviewRef.get());
+  if (!reviewDoc.exists) return res.status(404).json({ error: { code: 404, message: 'Review not found' } });
+
+  const now = new Date().toISOString();
+  const review = { ...reviewDoc.data(), status: decision, reviewedBy: userId, reviewedAt: now, updatedAt: now };
+  if (decision === 'accepted') {
+    const finalText = correctedText ?? review.correctedText;
+    const errors = validateCorrection(finalText);
+    if (errors.length > 0) return res.status(400).json({ error: { code: 400, message: errors.join(' ') } });
+    if (finalText.trim() !== review.correctedText) {
+      review.correctedText = finalText.trim();
+      review.correctedBy = userId;
+      review.correctedByRole = 'admin';
+      review.correctedAt = now;
+    }
+    review.memoryKey = await memory.remember({
+      sourceText: review.sourceText,
+      from: review.sourceLanguage,
+      to: review.targetLanguage,
+      translatedText: review.correctedText,
+      machineText: review.machineText,
+      acceptedBy: userId,
+      reviewId,
+    });
+  }
+
+  await operationWithRetry(() => reviewRef.set(review));
+  await saveMessageReview(review.patientId, review.doctorId, review.messageTimestamp, review.field, toMessageReview(review, reviewId));
+  console.log(`Translation review ${reviewId} ${decision} by admin ${userId}`);
+  return res.status(200).json({ success: true, review: { id: reviewId, ...review } });
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, x-user-uid, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const userId = req.headers['x-user-uid'];
+  const authHeader = req.headers['authorization'];
+  if (!userId || !authHeader) {
+    return res.status(401).json({ error: { code: 401, message: 'Authentication headers missing' } });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+    if (decodedToken.uid !== userId) {
+      return res.status(403).json({ error: { code: 403, message: 'Unauthorized: Token does not match user' } });
+    }
+
+    if (req.method === 'GET' && req.url.includes('/reviews')) {
+      return await handleReviewsRequest(req, res, userId);
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', ['GET', 'POST']);
+      return res.status(405).json({ error: { code: 405, message: `Method ${req.method} not allowed` } });
+    }
+
+    if (req.url.includes('/flag')) {
+      return await handleFlagRequest(req, res, userId);
+    } else if (req.url.includes('/correct')) {
+      return await handleCorrectRequest(req, res, userId);
+    } else if (req.url.includes('/accept')) {
+      return await handleDecisionRequest(req, res, userId, 'accepted');
+    } else if (req.url.includes('/reject')) {
+      return await handleDecisionRequest(req, res, userId, 'rejected');
+    }
+
+    return res.status(404).json({ error: { code: 404, message: `Unknown translations route: ${req.url}` } });
+  } catch (error) {
+    console.error(`Error in /api/translations for user ${userId}: ${error.message}`);
+    return res.status(500).json({
+      error: { code: 500, message: 'Server error', details: error.message }
+    });
+  }
+}
@@ -66,7 +66,7 @@ async function operationWithRetry(operation, retries = 3, backoff = 1000) {
   }
 }
 
-// Generate unique ID (for doctorId or patientId)
+// Generate unique ID (for doctorId, patientId or caregiverId)
 async function generateUniqueId(collectionName, fieldName) {
   const characters = 'abcdefghijklmnopqrstuvwxyz0123456789';
   let generatedId = '';
@@ -134,7 +134,7 @@ export default async function handler(req, res) {
     const { role, email, password, name, age, sex, experience, specialty, qualification, address, contactNumber } = req.body;
 
     // Validate role
-    if (!['doctor', 'patient', 'admin'].includes(role)) {
+    if (!['doctor', 'patient', 'caregiver', 'admin'].includes(role)) {
       console.error(`Invalid role specified in api/users/index.js: ${role}`);
       return res.status(400).json({ error: { code: 400, message: 'Invalid role specified' } });
     }
@@ -211,6 +211,26 @@ export default async function handler(req, res) {
       };
       collectionName = 'patients';
       idField = 'patientId';
+    } else if (role === 'caregiver') {
+      // Caregivers see patients only once a patient approves their link request (api/caregivers)
+      if (!name || !contactNumber) {
+        console.error('Missing required caregiver fields in api/users/index.js');
+        return res.status(400).json({ error: { code: 400, message: 'Missing required caregiver fields' } });
+      }
+      if (!/^\d{10}$/.test(contactNumber)) {
+        console.error(`Invalid contact number in api/users/index.js: ${contactNumber}`);
+        return res.status(400).json({ error: { code: 400, message: 'Invalid 10-digit contact number' } });
+      }
+
+      uniqueId = await generateUniqueId('caregivers', 'caregiverId');
+      userData = {
+        ...userData,
+        name,
+        contactNumber,
+        caregiverId: uniqueId,
+      };
+      collectionName = 'caregivers';
+      idField = 'caregiverId';
     } else if (role === 'admin') {
       userData = { ...userData };
       collectionName = null;
@@ -11,6 +11,15 @@ const storage = new Storage();
 const bucketName = 'healthcare-app-d8997-audio';
 const bucket = storage.bucket(bucketName);
 
+// The language registry is shared with the web app (src/services/languages.js). It is an ES
+// module, committed here as languages.mjs so every deploy has it; src/services/languages.test.js
+// checks the copy is up to date.
+let languagesModule = null;
+const loadLanguages = async () => {
+  if (!languagesModule) languagesModule = await import('./languages.mjs');
+  return languagesModule;
+};
+
 exports.translateToEnglish = functions.https.onCall(async (data, context) => {
   console.log('translateToEnglish: Received raw data:', data);
   const { text, language } = data;
@@ -19,22 +28,25 @@ exports.translateToEnglish = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('invalid-argument', 'Text and language are required.');
   }
 
-  if (language === 'en') {
+  const { findLanguage, getLanguage, isDefaultLanguage } = await loadLanguages();
+  const source = findLanguage(language);
+
+  if (source && isDefaultLanguage(source.code)) {
     console.log('translateToEnglish: Language is English, no translation needed');
     return { translatedText: text };
   }
 
-  if (language !== 'kn') {
-    console.log('translateToEnglish: Only Kannada (kn) to English translation is supported');
+  if (!source) {
+    console.log(`translateToEnglish: Language "${language}" is not in the language registry`);
     return { translatedText: text };
   }
 
   try {
     const [translation] = await translateClient.translate(text, {
-      from: 'kn',
-      to: 'en',
+      from: source.translateCode,
+      to: getLanguage().translateCode,
     });
-    console.log('translateToEnglish: Translated from Kannada to English:', translation);
+    console.log(`translateToEnglish: Translated from ${source.name} to English:`, translation);
     return { translatedText: translation };
   } catch (error) {
     console.error('translateToEnglish: Error:', error);
@@ -54,12 +66,10 @@ exports.textToSpeech = functions.https.onCall(async (data, context) => {
   }
 
   try {
+    const { getLanguage } = await loadLanguages();
     const request = {
       input: { text },
-      voice: {
-        languageCode: languageCode === 'kn' ? 'kn-IN' : 'en-US',
-        name: languageCode === 'kn' ? 'kn-IN-Standard-A' : 'en-US-Standard-C',
-      },
+      voice: getLanguage(languageCode).ttsVoice,
       audioConfig: {
         audioEncoding: 'MP3',
       },
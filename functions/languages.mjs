@@ -0,0 +1,168 @@
+// Central registry of the languages patients can choose. Speech-to-text, translation,
+// text-to-speech and the chat screens all read from here, so rolling out a language is one
+// entry below (plus checking Google's voice list for its TTS voice).
+// No imports: functions/languages.mjs is a committed copy of this file. Copy it over after
+// changing it; languages.test.js fails while the two differ.
+
+/**
+ * @typedef {Object} Language
+ * @property {string} code - Preference code stored on patients.languagePreference (ISO 639-1).
+ * @property {string} bcp47 - BCP-47 tag used by the browser and the client APIs.
+ * @property {string} name - English display name.
+ * @property {string} nativeName - Name in the language itself.
+ * @property {string} sttCode - Google Speech-to-Text / Web Speech recognition code.
+ * @property {string} translateCode - Google Translate code.
+ * @property {{languageCode: string, name: string}} ttsVoice - Google Text-to-Speech voice.
+ * @property {string} espeakVoice - eSpeak NG voice for the on-prem synthesizer (lib/voice/local.js).
+ * @property {'ltr'|'rtl'} direction - Script direction.
+ */
+
+/** @type {Language[]} */
+const LANGUAGES = [
+  {
+    code: 'en',
+    bcp47: 'en-US',
+    name: 'English',
+    nativeName: 'English',
+    sttCode: 'en-US',
+    translateCode: 'en',
+    ttsVoice: { languageCode: 'en-US', name: 'en-US-Standard-C' },
+    espeakVoice: 'en-us',
+    direction: 'ltr',
+  },
+  {
+    code: 'kn',
+    bcp47: 'kn-IN',
+    name: 'Kannada',
+    nativeName: 'ಕನ್ನಡ',
+    sttCode: 'kn-IN',
+    translateCode: 'kn',
+    ttsVoice: { languageCode: 'kn-IN', name: 'kn-IN-Standard-A' },
+    espeakVoice: 'kn',
+    direction: 'ltr',
+  },
+  {
+    code: 'hi',
+    bcp47: 'hi-IN',
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    sttCode: 'hi-IN',
+    translateCode: 'hi',
+    ttsVoice: { languageCode: 'hi-IN', name: 'hi-IN-Standard-A' },
+    espeakVoice: 'hi',
+    direction: 'ltr',
+  },
+  {
+    code: 'ta',
+    bcp47: 'ta-IN',
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    sttCode: 'ta-IN',
+    translateCode: 'ta',
+    ttsVoice: { languageCode: 'ta-IN', name: 'ta-IN-Standard-A' },
+    espeakVoice: 'ta',
+    direction: 'ltr',
+  },
+  {
+    code: 'te',
+    bcp47: 'te-IN',
+    name: 'Telugu',
+    nativeName: 'తెలుగు',
+    sttCode: 'te-IN',
+    translateCode: 'te',
+    ttsVoice: { languageCode: 'te-IN', name: 'te-IN-Standard-A' },
+    espeakVoice: 'te',
+    direction: 'ltr',
+  },
+  {
+    code: 'mr',
+    bcp47: 'mr-IN',
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    sttCode: 'mr-IN',
+    translateCode: 'mr',
+    ttsVoice: { languageCode: 'mr-IN', name: 'mr-IN-Standard-A' },
+    espeakVoice: 'mr',
+    direction: 'ltr',
+  },
+];
+
+// Doctors, translations shown to doctors and anything without a preference use this
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_CODES = LANGUAGES.map((language) => language.code);
+
+/**
+ * Finds a registered language by preference code or any of its tags ('kn', 'kn-IN', 'KN-in').
+ * @param {string} [codeOrTag]
+ * @returns {Language|null}
+ */
+const findLanguage = (codeOrTag) => {
+  if (!codeOrTag || typeof codeOrTag !== 'string') return null;
+  const tag = codeOrTag.trim().toLowerCase();
+  const base = tag.split(/[-_]/)[0];
+  return (
+    LANGUAGES.find((language) =>
+      [language.code, language.bcp47, language.sttCode].some((value) => value.toLowerCase() === tag)
+    ) ||
+    LANGUAGES.find((language) => language.code === base) ||
+    null
+  );
+};
+
+/**
+ * Like findLanguage, but falls back to the default language.
+ * @param {string} [codeOrTag]
+ * @returns {Language}
+ */
+const getLanguage = (codeOrTag) =>
+  findLanguage(codeOrTag) || LANGUAGES.find((language) => language.code === DEFAULT_LANGUAGE);
+
+/**
+ * Whether a code or tag belongs to a registered language.
+ * @param {string} [codeOrTag]
+ * @returns {boolean}
+ */
+const isSupportedLanguage = (codeOrTag) => Boolean(findLanguage(codeOrTag));
+
+/**
+ * Whether a code or tag is the default (English) language, i.e. needs no translation for doctors.
+ * @param {string} [codeOrTag]
+ * @returns {boolean}
+ */
+const isDefaultLanguage = (codeOrTag) => getLanguage(codeOrTag).code === DEFAULT_LANGUAGE;
+
+/**
+ * English display name for a preference code, e.g. 'Kannada'.
+ * @param {string} [codeOrTag]
+ * @returns {string}
+ */
+const getLanguageName = (codeOrTag) => getLanguage(codeOrTag).name;
+
+/**
+ * Normalizes a preference code or tag to its BCP-47 tag, e.g. 'kn' → 'kn-IN'.
+ * @param {string} [codeOrTag]
+ * @returns {string}
+ */
+const toBcp47 = (codeOrTag) => getLanguage(codeOrTag).bcp47;
+
+/**
+ * Google Translate code for a preference code or tag. Unregistered codes pass through so the
+ * Translate API can still handle them.
+ * @param {string} codeOrTag
+ * @returns {string}
+ */
+const toTranslateCode = (codeOrTag) => findLanguage(codeOrTag)?.translateCode || codeOrTag;
+
+export {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_CODES,
+  findLanguage,
+  getLanguage,
+  isSupportedLanguage,
+  isDefaultLanguage,
+  getLanguageName,
+  toBcp47,
+  toTranslateCode,
+};
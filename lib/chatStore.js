@@ -0,0 +1,327 @@
+// Chat history in Firestore, one document per message under chats/{patientId-doctorId}/messages,
+// replacing the chats/{chatId}/messages.json blob in the bucket (src/scripts/migrateChatMessages.js
+// moves old chats over). A message's ID comes from the chat document's lastSeq, raised in the same
+// transaction that writes the message, so concurrent sends never overwrite each other and IDs
+// sort in the order messages were saved; being milliseconds, they also sort after anything
+// migrated. The chat document also keeps each party's unread count and how far their receipts
+// have got (see src/services/messageReceipts.js). A revised diagnosis or prescription keeps what
+// it said before under messages/{id}/versions (see src/services/messageRevisions.js). Audio and images stay in the bucket and
+// messages keep only their object paths; createUrlSigner signs them for the page being read.
+// Node only.
+import { CHAT_PAGE_SIZE, toMessageId, nextMessageSeq, getMessageSeq } from '../src/services/chatHistory.js';
+import { getOtherParty, isAddressedTo, getReceiptChanges } from '../src/services/messageReceipts.js';
+
+const CHATS_COLLECTION = 'chats';
+const MESSAGES_COLLECTION = 'messages';
+const VERSIONS_COLLECTION = 'versions';
+
+// Signed URLs are valid this long and reused until they are this close to expiring
+const SIGNED_URL_TTL_MS = 60 * 60 * 1000;
+const SIGNED_URL_REUSE_MARGIN_MS = 10 * 60 * 1000;
+const MAX_SIGNED_URLS = 5000;
+
+// Messages a single receipt updates; a receipt covering more is finished by the next one
+const MAX_RECEIPT_UPDATES = 400;
+
+const getChatId = (patientId, doctorId) => `${patientId}-${doctorId}`;
+
+// Object paths are stored; URLs signed from them expire and are added when messages are read
+const withoutSignedUrls = (message) => {
+  const { audioUrl, imageUrl, ...rest } = message;
+  return {
+    ...rest,
+    ...(audioUrl && !message.audioPath ? { audioUrl } : {}),
+    ...(imageUrl && !message.imagePath ? { imageUrl } : {}),
+  };
+};
+
+/**
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @returns {Object} The store; see the methods below.
+ */
+const createChatStore = ({ db }) => {
+  const chatRef = (patientId, doctorId) => db.collection(CHATS_COLLECTION).doc(getChatId(patientId, doctorId));
+  const messagesRef = (patientId, doctorId) => chatRef(patientId, doctorId).collection(MESSAGES_COLLECTION);
+  const toMessage = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+  /**
+   * Saves a message at the end of the chat.
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {Object} message
+   * @param {Object} [options]
+   * @param {string} [options.dedupeBy] - A field (e.g. clientMessageId) whose value is only saved
+   *   once; repeating it returns the message saved the first time.
+   * @returns {Promise<{message: Object, created: boolean}>} The stored message, with id.
+   */
+  const appendMessage = (patientId, doctorId, message, { dedupeBy } = {}) =>
+    db.runTransaction(async (transaction) => {
+      const dedupeValue = dedupeBy ? message[dedupeBy] : null;
+      const [chat, duplicates] = await Promise.all([
+        transaction.get(chatRef(patientId, doctorId)),
+        dedupeValue ? transaction.get(messagesRef(patientId, doctorId).where(dedupeBy, '==', dedupeValue).limit(1)) : null,
+      ]);
+      if (duplicates && !duplicates.empty) return { message: toMessage(duplicates.docs[0]), created: false };
+
+      const chatData = chat.exists ? chat.data() : {};
+      const seq = nextMessageSeq(chatData.lastSeq || 0);
+      const id = toMessageId(seq);
+      const stored = { ...withoutSignedUrls(message), seq, status: 'sent' };
+      const recipient = ['patient', 'doctor'].includes(message.sender) ? getOtherParty(message.sender) : null;
+      transaction.set(messagesRef(patientId, doctorId).doc(id), stored);
+      transaction.set(
+        chatRef(patientId, doctorId),
+        {
+          patientId,
+          doctorId,
+          lastSeq: seq,
+          lastMessageAt: message.timestamp || new Date().toISOString(),
+          ...(recipient ? { unread: { [recipient]: (chatData.unread?.[recipient] || 0) + 1 } } : {}),
+        },
+        { merge: true }
+      );
+      return { message: { id, ...stored }, created: true };
+    });
+
+  /**
+   * One page of a chat, newest page first.
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {{before?: string|null, limit?: number}} [page] - From parsePageQuery.
+   * @returns {Promise<{messages: Object[], nextCursor: string|null}>} Messages oldest first, and
+   *   the ?before= value for the page before them (null when this is the start of the chat).
+   */
+  const listMessages = async (patientId, doctorId, { before = null, limit = CHAT_PAGE_SIZE } = {}) => {
+    let query = messagesRef(patientId, doctorId).orderBy('seq', 'desc');
+    if (before) query = query.where('seq', '<', getMessageSeq(before));
+    const snapshot = await query.limit(limit + 1).get();
+    const messages = snapshot.docs.slice(0, limit).map(toMessage).reverse();
+    return { messages, nextCursor: snapshot.docs.length > limit ? messages[0].id : null };
+  };
+
+  /**
+   * Every message of a chat, oldest first, read a page at a time.
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @returns {Promise<Object[]>}
+   */
+  const listAllMessages = async (patientId, doctorId) => {
+    const pages = [];
+    let before = null;
+    do {
+      const page = await listMessages(patientId, doctorId, { before, limit: 500 });
+      pages.unshift(page.messages);
+      before = page.nextCursor;
+    } while (before);
+    return pages.flat();
+  };
+
+  /**
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {string} messageId
+   * @returns {Promise<Object|null>} The message, or null if there is none with that ID.
+   */
+  const getMessage = async (patientId, doctorId, messageId) => {
+    const snapshot = await messagesRef(patientId, doctorId).doc(messageId).get();
+    return snapshot.exists ? toMessage(snapshot) : null;
+  };
+
+  /**
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {string} field
+   * @param {*} value
+   * @returns {Promise<Object|null>} The first message whose field has that value.
+   */
+  const findMessage = async (patientId, doctorId, field, value) => {
+    const snapshot = await messagesRef(patientId, doctorId).where(field, '==', value).limit(1).get();
+    return snapshot.empty ? null : toMessage(snapshot.docs[0]);
+  };
+
+  /**
+   * Changes a saved message in a transaction.
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {string} messageId
+   * @param {(message: Object) => Object} getChanges - Fields to set, from the message as stored.
+   * @returns {Promise<Object|null>} The updated message, or null if there is none with that ID.
+   */
+  const updateMessage = (patientId, doctorId, messageId, getChanges) =>
+    db.runTransaction(async (transaction) => {
+      const ref = messagesRef(patientId, doctorId).doc(messageId);
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) return null;
+      const changes = withoutSignedUrls(getChanges(toMessage(snapshot)));
+      delete changes.id;
+      transaction.update(ref, changes);
+      return { ...toMessage(snapshot), ...changes };
+    });
+
+  /**
+   * Revises a message in a transaction, keeping what it said before as a version that is
+   * written once and never changed.
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {string} messageId
+   * @param {(message: Object) => {version: Object, changes: Object}|{error: string}} getRevision -
+   *   From the message as stored; see buildRevision in src/services/messageRevisions.js.
+   * @returns {Promise<{message: Object, previous: Object, changes: Object}|{error: string}|null>}
+   *   The revised message, the one it replaced and what changed, the error getRevision returned,
+   *   or null if there is no message with that ID.
+   */
+  const reviseMessage = (patientId, doctorId, messageId, getRevision) =>
+    db.runTransaction(async (transaction) => {
+      const ref = messagesRef(patientId, doctorId).doc(messageId);
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) return null;
+      const previous = toMessage(snapshot);
+      const revision = getRevision(previous);
+      if (revision.error) return { error: revision.error };
+
+      // create() fails the transaction if a concurrent revision already wrote this version
+      transaction.create(ref.collection(VERSIONS_COLLECTION).doc(String(revision.version.version)), revision.version);
+      transaction.update(ref, revision.changes);
+      return { message: { ...previous, ...revision.changes }, previous, changes: revision.changes };
+    });
+
+  /**
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {string} messageId
+   * @returns {Promise<Object[]>} The earlier versions of a message, oldest first.
+   */
+  const listVersions = async (patientId, doctorId, messageId) => {
+    const snapshot = await messagesRef(patientId, doctorId).doc(messageId).collection(VERSIONS_COLLECTION).orderBy('version').get();
+    return snapshot.docs.map((version) => version.data());
+  };
+
+  /**
+   * Marks the other party's messages up to a message as delivered to or read by a reader. A
+   * read receipt also recounts the reader's unread messages.
+   * @param {string} patientId
+   * @param {string} doctorId
+   * @param {'patient'|'doctor'} reader
+   * @param {'delivered'|'read'} status
+   * @param {string} upTo - Message ID.
+   * @returns {Promise<{upTo: string, at: string, updated: number}|null>} How far the receipt
+   *   got, or null when an earlier receipt already covered it.
+   */
+  const markMessages = (patientId, doctorId, reader, status, upTo) =>
+    db.runTransaction(async (transaction) => {
+      const chat = await transaction.get(chatRef(patientId, doctorId));
+      if (!chat.exists) return null;
+      const chatData = chat.data();
+      const receipts = chatData.receipts?.[reader] || {};
+      const from = receipts[status] || toMessageId(0);
+      const last = toMessageId(chatData.lastSeq || 0);
+      const target = upTo < last ? upTo : last;
+      if (target <= from) return null;
+
+      const range = await transaction.get(
+        messagesRef(patientId, doctorId)
+          .where('seq', '>', getMessageSeq(from))
+          .where('seq', '<=', getMessageSeq(target))
+          .orderBy('seq')
+          .limit(MAX_RECEIPT_UPDATES)
+      );
+      const reached = range.size === MAX_RECEIPT_UPDATES ? range.docs[range.size - 1].id : target;
+      const unreadAfter =
+        status === 'read'
+          ? await transaction.get(
+            messagesRef(patientId, doctorId).where('seq', '>', getMessageSeq(reached)).orderBy('seq').limit(MAX_RECEIPT_UPDATES)
+          )
+          : null;
+
+      const at = new Date().toISOString();
+      let updated = 0;
+      range.docs.forEach((snapshot) => {
+        const message = snapshot.data();
+        const changes = isAddressedTo(message, reader) ? getReceiptChanges(message, status, at) : null;
+        if (!changes) return;
+        transaction.update(snapshot.ref, changes);
+        updated++;
+      });
+
+      const delivered = receipts.delivered && receipts.delivered > reached ? receipts.delivered : reached;
+      transaction.set(
+        chatRef(patientId, doctorId),
+        {
+          receipts: { [reader]: status === 'read' ? { read: reached, delivered } : { delivered: reached } },
+          ...(unreadAfter
+            ? { unread: { [reader]: unreadAfter.docs.filter((snapshot) => isAddressedTo(snapshot.data(), reader)).length } }
+            : {}),
+        },
+        { merge: true }
+      );
+      return { upTo: reached, at, updated };
+    });
+
+  /**
+   * @returns {Promise<Array<{patientId: string, doctorId: string}>>} Every chat with messages.
+   */
+  const listChats = async () => {
+    const snapshot = await db.collection(CHATS_COLLECTION).get();
+    return snapshot.docs.map((chat) => ({ patientId: chat.data().patientId, doctorId: chat.data().doctorId }));
+  };
+
+  /**
+   * Deletes the chats of a patient or a doctor with all their messages.
+   * @param {'patientId'|'doctorId'} field
+   * @param {string} value
+   * @returns {Promise<number>} Chats deleted.
+   */
+  const deleteChats = async (field, value) => {
+    const snapshot = await db.collection(CHATS_COLLECTION).where(field, '==', value).get();
+    for (const chat of snapshot.docs) {
+      await db.recursiveDelete(chat.ref);
+    }
+    return snapshot.size;
+  };
+
+  return {
+    appendMessage,
+    listMessages,
+    listAllMessages,
+    getMessage,
+    findMessage,
+    updateMessage,
+    reviseMessage,
+    listVersions,
+    markMessages,
+    listChats,
+    deleteChats,
+  };
+};
+
+/**
+ * Adds signed audioUrl and imageUrl to messages that store object paths. URLs are reused while
+ * they have some time left, so reading the same page again doesn't sign everything again.
+ * @param {Object} params
+ * @param {Object} params.bucket - The chat bucket.
+ * @returns {{signMessage: (message: Object) => Promise<Object>, signMessages: (messages: Object[]) => Promise<Object[]>}}
+ */
+const createUrlSigner = ({ bucket }) => {
+  const signed = new Map();
+
+  const signPath = async (path) => {
+    const cached = signed.get(path);
+    if (cached && cached.expiresAt - Date.now() > SIGNED_URL_REUSE_MARGIN_MS) return cached.url;
+    const expiresAt = Date.now() + SIGNED_URL_TTL_MS;
+    const [url] = await bucket.file(path).getSignedUrl({ action: 'read', expires: expiresAt, responseDisposition: 'inline' });
+    if (signed.size >= MAX_SIGNED_URLS) signed.clear();
+    signed.set(path, { url, expiresAt });
+    return url;
+  };
+
+  const signMessage = async (message) => ({
+    ...message,
+    ...(message.audioPath ? { audioUrl: await signPath(message.audioPath) } : {}),
+    ...(message.imagePath ? { imageUrl: await signPath(message.imagePath) } : {}),
+  });
+
+  return { signMessage, signMessages: (messages) => Promise.all(messages.map(signMessage)) };
+};
+
+export { CHATS_COLLECTION, MESSAGES_COLLECTION, getChatId, withoutSignedUrls, createChatStore, createUrlSigner };
@@ -0,0 +1,75 @@
+// Loads the translation glossary (src/services/glossary.js) on the server: drug names from the
+// medicine table plus the admin's entries in the translation_glossary collection. Node only.
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import Papa from 'papaparse';
+import { createGlossary } from '../src/services/glossary.js';
+import { BRAND_GENERICS } from '../src/services/medicineMatcher.js';
+
+const GLOSSARY_COLLECTION = 'translation_glossary';
+
+// Admin edits show up in translations within this long
+const GLOSSARY_TTL_MS = 5 * 60 * 1000;
+
+const CSV_PATH = fileURLToPath(new URL('../public/data/medicine_validation.csv', import.meta.url));
+
+let drugNames = null;
+
+// Every drug (and brand) name in medicine_validation.csv, parsed once per process
+const loadDrugNames = () => {
+  if (drugNames) return drugNames;
+  const csvText = readFileSync(CSV_PATH, 'utf8').replace(/^\uFEFF/, '');
+  const { data: rows } = Papa.parse(csvText, { header: false, skipEmptyLines: true });
+  const names = new Set(Object.entries(BRAND_GENERICS).flat());
+  rows.slice(1).forEach(([, ...drugs]) => {
+    drugs.map((drug) => (typeof drug === 'string' ? drug.trim() : '')).filter(Boolean).forEach((drug) => names.add(drug));
+  });
+  drugNames = [...names];
+  console.log(`Loaded ${drugNames.length} drug names for the translation glossary`);
+  return drugNames;
+};
+
+/**
+ * Returns a function resolving to the current glossary, rebuilt at most every GLOSSARY_TTL_MS.
+ * If the admin entries can't be read, the previous glossary (or one with just the drug names)
+ * is used so translations keep working.
+ * @param {Object} params
+ * @param {Object} [params.db] - Firestore instance; without it only drug names are protected.
+ * @returns {() => Promise<ReturnType<typeof createGlossary>>}
+ */
+const createGlossaryLoader = ({ db } = {}) => {
+  let cached = null;
+  let loadedAt = 0;
+  let pending = null;
+
+  const load = async () => {
+    let entries = [];
+    if (db) {
+      try {
+        const snapshot = await db.collection(GLOSSARY_COLLECTION).get();
+        entries = snapshot.docs.map((doc) => doc.data());
+      } catch (error) {
+        console.error('Failed to load translation glossary entries:', error.message);
+        if (cached) {
+          loadedAt = Date.now();
+          return cached;
+        }
+      }
+    }
+    cached = createGlossary({ drugNames: loadDrugNames(), entries });
+    loadedAt = Date.now();
+    return cached;
+  };
+
+  return async () => {
+    if (cached && Date.now() - loadedAt < GLOSSARY_TTL_MS) return cached;
+    if (!pending) {
+      pending = load().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  };
+};
+
+export { GLOSSARY_COLLECTION, createGlossaryLoader };
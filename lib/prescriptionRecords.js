@@ -0,0 +1,371 @@
+// Checking stored prescriptions (doctor_patient_records/{doctorId}_{patientId}.records) against
+// the disease -> drug table in public/data/medicine_validation.csv. The outcome is kept on the
+// record; valid records get their reminders and the admin is told about the rest. api/doctors runs
+// the check on every record it stores, and api/prescriptions when a doctor amends one or asks for
+// a recheck, always on what is stored rather than on what a client sends. Also gathers the
+// patient's active prescriptions for the interaction check. Node only.
+import Papa from 'papaparse';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createMedicineMatcher } from '../src/services/medicineMatcher.js';
+import {
+  normalizePrescription,
+  validatePrescriptionFields,
+  formatPrescription,
+  isPrescriptionActive,
+} from '../src/services/prescription.js';
+
+const RECORDS_COLLECTION = 'doctor_patient_records';
+
+const CSV_PATH = fileURLToPath(new URL('../public/data/medicine_validation.csv', import.meta.url));
+
+// Parsed once per cold start: Map<disease, Set<drug>> and the matcher built over it
+let medicineTable = null;
+let medicineMatcher = null;
+
+const loadMedicineTable = () => {
+  if (medicineTable) return medicineTable;
+
+  const csvText = readFileSync(CSV_PATH, 'utf8').replace(/^\uFEFF/, '');
+  const { data: rows } = Papa.parse(csvText, { header: false, skipEmptyLines: true });
+
+  const table = new Map();
+  rows.slice(1).forEach((row) => {
+    const [disease, ...drugs] = row.map((item) => (typeof item === 'string' ? item.trim().toLowerCase() : ''));
+    if (!disease) return;
+    const known = table.get(disease) || new Set();
+    drugs.filter(Boolean).forEach((drug) => known.add(drug));
+    table.set(disease, known);
+  });
+
+  if (table.size === 0) {
+    throw new Error('No data found in medicine_validation.csv');
+  }
+
+  medicineTable = table;
+  console.log(`Loaded ${table.size} conditions from medicine_validation.csv`);
+  return medicineTable;
+};
+
+/**
+ * The matcher over medicine_validation.csv (see src/services/medicineMatcher.js).
+ * @returns {{match: Function}}
+ */
+const getMedicineMatcher = () => {
+  if (!medicineMatcher) medicineMatcher = createMedicineMatcher(loadMedicineTable());
+  return medicineMatcher;
+};
+
+// Rejects placeholder diagnoses such as "time 12.32" or "test1"
+const isValidDiagnosis = (diagnosis) => {
+  if (!diagnosis || typeof diagnosis !== 'string') return false;
+  const invalidPattern = /^(time\s+\d{1,2}[.:]\d{2})$|^(test\d*)$/i;
+  return !invalidPattern.test(diagnosis.trim());
+};
+
+/**
+ * Checks a prescription against the disease -> drug table.
+ * @param {string} diagnosis
+ * @param {Object} prescription - Structured (see normalizePrescription).
+ * @returns {{valid: boolean, reason: string|null, message: string, confidence?: number, matchedDisease?: string,
+ *   matchedDrug?: string, genericName?: string, matchMethod?: string, match?: Object}}
+ */
+const checkPrescription = (diagnosis, prescription) => {
+  const fieldErrors = validatePrescriptionFields(prescription);
+  if (fieldErrors.length > 0) {
+    return { valid: false, reason: 'incomplete', message: fieldErrors.join(' ') };
+  }
+
+  if (!isValidDiagnosis(diagnosis)) {
+    return { valid: false, reason: 'invalid-diagnosis', message: `Invalid diagnosis format: "${diagnosis}".` };
+  }
+
+  const match = getMedicineMatcher().match(diagnosis, prescription.drug);
+  const details = {
+    confidence: match.confidence,
+    matchedDisease: match.disease.canonical,
+    matchedDrug: match.drug.canonical,
+    genericName: match.drug.generic,
+    matchMethod: `${match.disease.method}/${match.drug.method}`,
+  };
+
+  if (!match.disease.canonical) {
+    return { valid: false, reason: 'unknown-diagnosis', message: `Disease "${diagnosis}" not found in the database.`, match, ...details };
+  }
+  if (match.disease.method === 'fuzzy') {
+    return {
+      valid: false,
+      reason: 'unknown-diagnosis',
+      message: `Disease "${diagnosis}" not found in the database; the closest is "${match.disease.canonical}".`,
+      match,
+      ...details,
+    };
+  }
+  if (match.drug.method === 'fuzzy') {
+    return {
+      valid: false,
+      reason: 'unknown-drug',
+      message: `Drug "${prescription.drug}" is not listed for "${match.disease.canonical}"; the closest is "${match.drug.canonical}".`,
+      match,
+      ...details,
+    };
+  }
+  if (!match.valid) {
+    return { valid: false, reason: 'not-indicated', message: `Invalid prescription "${prescription.drug}" for diagnosis "${diagnosis}".`, match, ...details };
+  }
+  return {
+    valid: true,
+    reason: null,
+    message: `Prescription "${prescription.drug}" is valid for diagnosis "${diagnosis}" (matched ${match.drug.canonical} for ${match.disease.canonical}, confidence ${match.confidence}).`,
+    match,
+    ...details,
+  };
+};
+
+/**
+ * The fields a check leaves on the record it was run on.
+ * @param {Object} result - From checkPrescription.
+ * @param {string} [at] - ISO time of the check.
+ * @returns {Object}
+ */
+const getValidationFields = (result, at = new Date().toISOString()) => ({
+  valid: result.valid,
+  validationMessage: result.message,
+  matchConfidence: result.confidence ?? null,
+  matchedDisease: result.matchedDisease ?? null,
+  matchedDrug: result.matchedDrug ?? null,
+  validatedAt: at,
+});
+
+/**
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @param {Object} params.pusher - Pusher client, for the admin notification on the chat channel.
+ * @param {Object} params.reminderScheduler - From createReminderScheduler (lib/reminderSchedule.js).
+ * @returns {{scheduleReminders: Function, notifyAdminOfInvalidPrescription: Function, validateRecord: Function,
+ *   getActivePrescriptions: Function, notifyAdminOfInteractionOverride: Function}}
+ */
+const createPrescriptionRecords = ({ db, pusher, reminderScheduler }) => {
+  const recordRef = (doctorId, patientId) => db.collection(RECORDS_COLLECTION).doc(`${doctorId}_${patientId}`);
+
+  const getNames = async (doctorId, patientId) => {
+    const [patientDoc, doctorDoc] = await Promise.all([
+      db.collection('patients').doc(patientId).get(),
+      db.collection('doctors').doc(doctorId).get(),
+    ]);
+    return {
+      patientName: patientDoc.exists ? patientDoc.data().name || 'Unknown Patient' : 'Unknown Patient',
+      doctorName: doctorDoc.exists ? doctorDoc.data().name || 'Unknown Doctor' : 'Unknown Doctor',
+    };
+  };
+
+  /**
+   * Every prescription the patient is still taking, across all of their doctors.
+   * @param {string} patientId
+   * @param {Date} [now]
+   * @returns {Promise<Array<{drug: string, doctorId: string, doctorName: string|null, diagnosis: string|null,
+   *   timestamp: string, prescriptionText: string}>>}
+   */
+  const getActivePrescriptions = async (patientId, now = new Date()) => {
+    const recordsSnapshot = await db.collection(RECORDS_COLLECTION).where('patientId', '==', patientId).get();
+
+    const active = [];
+    recordsSnapshot.docs.forEach((recordDoc) => {
+      const { doctorId, records = [] } = recordDoc.data();
+      records.forEach((record) => {
+        if (record.retractedAt || record.discontinuedAt) return;
+        const prescription = normalizePrescription(record.prescription);
+        if (!prescription?.drug || !isPrescriptionActive(prescription, record.timestamp, { now })) return;
+        active.push({
+          drug: prescription.drug,
+          doctorId,
+          diagnosis: record.diagnosis || null,
+          timestamp: record.timestamp,
+          prescriptionText: formatPrescription(prescription),
+        });
+      });
+    });
+
+    const doctorIds = [...new Set(active.map((item) => item.doctorId).filter(Boolean))];
+    const doctorDocs = await Promise.all(doctorIds.map((doctorId) => db.collection('doctors').doc(doctorId).get()));
+    const doctorNames = doctorDocs.reduce((names, doctorDoc) => {
+      if (doctorDoc.exists) names[doctorDoc.id] = doctorDoc.data().name || null;
+      return names;
+    }, {});
+
+    return active.map((item) => ({ ...item, doctorName: doctorNames[item.doctorId] || null }));
+  };
+
+  /**
+   * Creates the reminders of every valid record that has none yet. Existing reminder documents
+   * are left alone so confirmations and snoozes survive a recheck; the reminder cron does the rest.
+   * @param {string} doctorId
+   * @param {string} patientId
+   * @returns {Promise<number>} The count created.
+   */
+  const scheduleReminders = async (doctorId, patientId) => {
+    const recordDoc = await recordRef(doctorId, patientId).get();
+    if (!recordDoc.exists) return 0;
+
+    const schedule = await reminderScheduler.getPatientSchedule(patientId);
+    const scheduledAt = new Date().toISOString();
+    let created = 0;
+    let changed = false;
+
+    const records = [];
+    for (const record of recordDoc.data().records || []) {
+      if (record.valid !== true || record.remindersScheduledAt || record.retractedAt || record.discontinuedAt) {
+        records.push(record);
+        continue;
+      }
+
+      const reminderCount = await reminderScheduler.scheduleReminders(doctorId, patientId, record, { schedule });
+      created += reminderCount;
+      records.push({ ...record, remindersScheduledAt: scheduledAt, reminderCount });
+      changed = true;
+    }
+
+    if (changed) {
+      await recordRef(doctorId, patientId).update({ records });
+    }
+    console.log(`Scheduled ${created} reminders for patient ${patientId} from doctor ${doctorId}`);
+    return created;
+  };
+
+  /**
+   * Stores an admin notification; the document ID makes repeated checks of the same prescription
+   * idempotent.
+   * @param {string} doctorId
+   * @param {string} patientId
+   * @param {string} diagnosis
+   * @param {Object} prescription - Structured.
+   * @param {Object} result - From checkPrescription.
+   * @param {string} userId - Who caused the check.
+   * @returns {Promise<boolean>} Whether a new notification was stored.
+   */
+  const notifyAdminOfInvalidPrescription = async (doctorId, patientId, diagnosis, prescription, result, userId) => {
+    const { patientName, doctorName } = await getNames(doctorId, patientId);
+
+    // Keep the "Invalid prescription:" prefix; /admin/invalid-prescriptions parses it
+    const message = result.reason === 'invalid-diagnosis'
+      ? `Invalid diagnosis format: "${diagnosis}" for prescription. (Patient: ${patientName}, Doctor: ${doctorName})`
+      : `Invalid prescription: "${prescription.drug}" for diagnosis "${diagnosis}", dosage "${prescription.strength}${prescription.unit}", frequency "${prescription.frequency}", duration "${prescription.durationDays} days" (Patient: ${patientName}, Doctor: ${doctorName})`;
+
+    const notificationId = `invalid_${doctorId}_${patientId}_${diagnosis}_${prescription.drug}`
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, '-');
+    const notificationRef = db.collection('notifications').doc(notificationId);
+    const existing = await notificationRef.get();
+    if (existing.exists) {
+      console.log(`Admin already notified about ${notificationId}`);
+      return false;
+    }
+
+    const timestamp = new Date().toISOString();
+    await notificationRef.set({
+      patientId,
+      doctorId,
+      message,
+      type: 'invalid-prescription',
+      reason: result.reason,
+      diagnosis,
+      prescription,
+      timestamp,
+      userId,
+    });
+
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'admin-notification', {
+      id: notificationId,
+      patientId,
+      doctorId,
+      message,
+      timestamp,
+    });
+    console.log(`Admin notified about invalid prescription ${notificationId}`);
+    return true;
+  };
+
+  /**
+   * Tells the admin a doctor prescribed despite interaction warnings, with their reason.
+   * @param {string} doctorId
+   * @param {string} patientId
+   * @param {Object} prescription - Structured.
+   * @param {string} recordTimestamp - The record the override is stored on.
+   * @param {{reason: string, warnings: Object[], acknowledgedAt: string, acknowledgedBy: string, version?: number}} interactionOverride
+   *   version is the message version an amendment created, when the override was given for one.
+   * @returns {Promise<string>} The notification ID.
+   */
+  const notifyAdminOfInteractionOverride = async (doctorId, patientId, prescription, recordTimestamp, interactionOverride) => {
+    const { patientName, doctorName } = await getNames(doctorId, patientId);
+    const { reason, warnings, acknowledgedAt, acknowledgedBy } = interactionOverride;
+    const message = `Interaction warning overridden: "${prescription.drug}" prescribed despite ${warnings.length} warning(s). Reason: "${reason}" (Patient: ${patientName}, Doctor: ${doctorName})`;
+
+    // Keyed by the record (and the amendment, if any) so a retried write does not notify twice
+    const version = interactionOverride.version ? `_v${interactionOverride.version}` : '';
+    const notificationId = `override_${doctorId}_${patientId}_${recordTimestamp}${version}`.toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+    await db.collection('notifications').doc(notificationId).set({
+      patientId,
+      doctorId,
+      message,
+      type: 'interaction-override',
+      prescription,
+      recordTimestamp,
+      reason,
+      warnings,
+      timestamp: acknowledgedAt,
+      userId: acknowledgedBy,
+    });
+
+    await pusher.trigger(`chat-${patientId}-${doctorId}`, 'admin-notification', {
+      id: notificationId,
+      patientId,
+      doctorId,
+      message,
+      timestamp: acknowledgedAt,
+    });
+    console.log(`Interaction override logged for doctor ${doctorId}, patient ${patientId}`);
+    return notificationId;
+  };
+
+  /**
+   * Checks a stored record and acts on the outcome: a valid one gets its reminders, an invalid
+   * one is flagged to the admin.
+   * @param {string} doctorId
+   * @param {string} patientId
+   * @param {string} recordTimestamp - Identifies the record.
+   * @param {{userId: string}} meta - Who asked for the check.
+   * @returns {Promise<{record: Object, result: Object, remindersScheduled: number, adminNotified: boolean}|null>}
+   *   Null when there is no such record with a prescription.
+   */
+  const validateRecord = async (doctorId, patientId, recordTimestamp, { userId }) => {
+    const recordDoc = await recordRef(doctorId, patientId).get();
+    const records = recordDoc.exists ? recordDoc.data().records || [] : [];
+    const index = records.findIndex((record) => record.timestamp === recordTimestamp);
+    const prescription = index === -1 ? null : normalizePrescription(records[index].prescription);
+    if (!prescription) return null;
+
+    const diagnosis = records[index].diagnosis || '';
+    const result = checkPrescription(diagnosis, prescription);
+    const record = { ...records[index], ...getValidationFields(result) };
+    await recordRef(doctorId, patientId).update({ records: records.map((item, i) => (i === index ? record : item)) });
+
+    let remindersScheduled = 0;
+    let adminNotified = false;
+    if (result.valid) {
+      remindersScheduled = await scheduleReminders(doctorId, patientId);
+    } else if (result.reason !== 'incomplete') {
+      adminNotified = await notifyAdminOfInvalidPrescription(doctorId, patientId, diagnosis, prescription, result, userId);
+    }
+    return { record, result, remindersScheduled, adminNotified };
+  };
+
+  return {
+    scheduleReminders,
+    notifyAdminOfInvalidPrescription,
+    validateRecord,
+    getActivePrescriptions,
+    notifyAdminOfInteractionOverride,
+  };
+};
+
+export { RECORDS_COLLECTION, getMedicineMatcher, checkPrescription, getValidationFields, createPrescriptionRecords };
@@ -0,0 +1,117 @@
+// Writing a patient's medication reminders (patients/{patientId}/reminders) from their
+// prescription records, in the patient's own time zone and around their daily routine (see
+// src/services/patientRoutine.js). Reminders are created with create(), so a dose already taken,
+// skipped or snoozed is never overwritten; rescheduling replaces only the doses still to come.
+// Node only.
+import { buildReminders, OPEN_STATUSES } from '../src/services/reminders.js';
+import { normalizePatientSchedule } from '../src/services/patientRoutine.js';
+import { isPrescriptionActive } from '../src/services/prescription.js';
+
+const BATCH_SIZE = 500;
+
+// Records whose doses are due: valid, scheduled already, and neither retracted nor discontinued
+const isScheduledRecord = (record) =>
+  record.valid === true && !!record.remindersScheduledAt && !record.retractedAt && !record.discontinuedAt;
+
+/**
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @param {string} [params.defaultTimeZone] - For patients who have not set their own.
+ * @returns {{getPatientSchedule: Function, cancelReminders: Function, scheduleReminders: Function, reschedulePatient: Function}}
+ */
+const createReminderScheduler = ({ db, defaultTimeZone }) => {
+  const remindersRef = (patientId) => db.collection('patients').doc(patientId).collection('reminders');
+
+  /**
+   * @param {string} patientId
+   * @returns {Promise<{timeZone: string, routine: Object}>}
+   */
+  const getPatientSchedule = async (patientId) => {
+    const patientDoc = await db.collection('patients').doc(patientId).get();
+    return normalizePatientSchedule(patientDoc.exists ? patientDoc.data() : {}, defaultTimeZone);
+  };
+
+  /**
+   * Deletes the doses of a record that have not been taken, skipped or missed yet; with after,
+   * only those scheduled later than it.
+   * @param {string} doctorId
+   * @param {string} patientId
+   * @param {string} recordTimestamp
+   * @param {{after?: string}} [options] - ISO time.
+   * @returns {Promise<{cancelled: number, kept: Object[]}>} The count deleted, and the record's
+   *   remaining reminders.
+   */
+  const cancelReminders = async (doctorId, patientId, recordTimestamp, { after = null } = {}) => {
+    const snapshot = await remindersRef(patientId).where('recordTimestamp', '==', recordTimestamp).get();
+    const reminders = snapshot.docs.filter((reminder) => reminder.data().doctorId === doctorId);
+    const isOpen = (reminder) =>
+      OPEN_STATUSES.includes(reminder.data().status) && (!after || reminder.data().scheduledTime > after);
+    const open = reminders.filter(isOpen);
+    for (let start = 0; start < open.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      open.slice(start, start + BATCH_SIZE).forEach((reminder) => batch.delete(reminder.ref));
+      await batch.commit();
+    }
+    return {
+      cancelled: open.length,
+      kept: reminders.filter((reminder) => !isOpen(reminder)).map((reminder) => ({ id: reminder.id, ...reminder.data() })),
+    };
+  };
+
+  /**
+   * Creates the doses of a record from now on.
+   * @param {string} doctorId
+   * @param {string} patientId
+   * @param {Object} record - The doctor_patient_records entry.
+   * @param {Object} [options]
+   * @param {{timeZone: string, routine: Object}} [options.schedule] - Read from the patient when omitted.
+   * @param {Date} [options.now]
+   * @param {Object[]} [options.kept] - The record's reminders that stay (see buildReminders).
+   * @returns {Promise<number>} The count created.
+   */
+  const scheduleReminders = async (doctorId, patientId, record, { schedule, now = new Date(), kept = [] } = {}) => {
+    const { timeZone, routine } = schedule || (await getPatientSchedule(patientId));
+    const reminders = buildReminders({ doctorId, patientId, record, timeZone, routine, now, kept });
+    let created = 0;
+    for (const { id, data } of reminders) {
+      try {
+        await remindersRef(patientId).doc(id).create(data);
+        created++;
+      } catch (error) {
+        // ALREADY_EXISTS: the dose was scheduled concurrently, or already taken or skipped
+        if (error.code !== 6) throw error;
+      }
+    }
+    return created;
+  };
+
+  /**
+   * Moves the doses still to come of every current prescription to the patient's schedule, after
+   * the patient changes their time zone or routine.
+   * @param {string} patientId
+   * @param {{now?: Date}} [options]
+   * @returns {Promise<{records: number, cancelled: number, scheduled: number}>}
+   */
+  const reschedulePatient = async (patientId, { now = new Date() } = {}) => {
+    const schedule = await getPatientSchedule(patientId);
+    const recordsSnapshot = await db.collection('doctor_patient_records').where('patientId', '==', patientId).get();
+    const totals = { records: 0, cancelled: 0, scheduled: 0 };
+    for (const recordDoc of recordsSnapshot.docs) {
+      const { doctorId } = recordDoc.data();
+      const records = (recordDoc.data().records || []).filter(
+        (record) => isScheduledRecord(record) && isPrescriptionActive(record.prescription, record.timestamp, { now, timeZone: schedule.timeZone })
+      );
+      for (const record of records) {
+        const { cancelled, kept } = await cancelReminders(doctorId, patientId, record.timestamp, { after: now.toISOString() });
+        totals.scheduled += await scheduleReminders(doctorId, patientId, record, { schedule, now, kept });
+        totals.cancelled += cancelled;
+        totals.records++;
+      }
+    }
+    return totals;
+  };
+
+  return { getPatientSchedule, cancelReminders, scheduleReminders, reschedulePatient };
+};
+
+export { createReminderScheduler };
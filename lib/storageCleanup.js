@@ -0,0 +1,167 @@
+// Periodic cleanup of audio in the chat bucket (run by the api/audio/cleanup cron). Every chat
+// history (lib/chatStore.js, plus any messages.json blob not migrated yet) is scanned for the
+// objects its messages point at; synthesized speech and recorded
+// audio that no message references, and voice-note chunks never completed, are deleted once
+// they are old enough that an upload can't still be on its way into a message. Cached speech
+// (lib/ttsCache.js) is additionally kept while it keeps getting played, and cache reference
+// counts are recounted on the way. Node only.
+import { TTS_CACHE_COLLECTION, TTS_CACHE_PREFIX, getStoragePath } from './ttsCache.js';
+import { createChatStore } from './chatStore.js';
+
+// Uploads are only referenced once the message is saved
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Unreferenced cached speech is kept this long after it was last played
+const TTS_CACHE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Keeps a run inside the function time limit; the rest goes on the next run
+const MAX_DELETES_PER_RUN = 500;
+
+const CHAT_AUDIO_PATTERN = /^chats\/[^/]+\/(audio|uploads)\//;
+
+/**
+ * Whether an object is audio the cleanup may delete.
+ * @param {string} path
+ * @returns {boolean}
+ */
+const isCleanupCandidate = (path) => path.startsWith('tts/') || path.startsWith('audio/') || CHAT_AUDIO_PATTERN.test(path);
+
+/**
+ * Counts the objects chat messages point at, through stored paths or URLs in any field.
+ * @param {Object[]} messages
+ * @param {string} bucketName
+ * @param {Map<string, number>} [references] - Added to and returned.
+ * @returns {Map<string, number>} Object path -> number of messages referencing it.
+ */
+const countReferences = (messages, bucketName, references = new Map()) => {
+  for (const message of messages) {
+    const paths = new Set();
+    for (const [field, value] of Object.entries(message || {})) {
+      const path = field.endsWith('Path') && typeof value === 'string' ? value : getStoragePath(value, bucketName);
+      if (path) paths.add(path);
+    }
+    paths.forEach((path) => references.set(path, (references.get(path) || 0) + 1));
+  }
+  return references;
+};
+
+/**
+ * Picks the objects to delete.
+ * @param {Object} params
+ * @param {{path: string, createdAt: string}[]} params.objects - Candidate objects.
+ * @param {Map<string, number>} params.references - From countReferences.
+ * @param {Map<string, {lastUsedAt?: string}>} params.cacheEntries - TTS cache entries by path.
+ * @param {Date} params.now
+ * @returns {string[]} Paths of orphaned objects.
+ */
+const findOrphanedObjects = ({ objects, references, cacheEntries, now }) =>
+  objects
+    .filter(({ path, createdAt }) => {
+      if (!isCleanupCandidate(path) || references.has(path)) return false;
+      if (now.getTime() - new Date(createdAt).getTime() < ORPHAN_GRACE_MS) return false;
+      if (path.startsWith(TTS_CACHE_PREFIX)) {
+        const lastUsedAt = cacheEntries.get(path)?.lastUsedAt;
+        if (lastUsedAt && now.getTime() - new Date(lastUsedAt).getTime() < TTS_CACHE_RETENTION_MS) return false;
+      }
+      return true;
+    })
+    .map(({ path }) => path);
+
+/**
+ * Runs one cleanup pass. A chat history that can't be read stops the run before anything is
+ * deleted, since its audio would look orphaned.
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @param {Object} params.bucket - The chat bucket.
+ * @param {string} params.bucketName
+ * @param {Date} [params.now]
+ * @param {boolean} [params.dryRun] - Report without deleting.
+ * @returns {Promise<{chats: number, candidates: number, orphaned: number, deleted: number,
+ *   cacheEntriesRemoved: number, cacheEntriesRecounted: number, dryRun: boolean}>}
+ */
+const runStorageCleanup = async ({ db, bucket, bucketName, now = new Date(), dryRun = false }) => {
+  const chatStore = createChatStore({ db });
+  const references = new Map();
+  let chats = 0;
+  for (const { patientId, doctorId } of await chatStore.listChats()) {
+    countReferences(await chatStore.listAllMessages(patientId, doctorId), bucketName, references);
+    chats++;
+  }
+
+  // Migrated blobs are left in place and count too; their messages are the same ones
+  const [chatFiles] = await bucket.getFiles({ prefix: 'chats/' });
+  for (const file of chatFiles.filter(({ name }) => name.endsWith('.json'))) {
+    const [contents] = await file.download();
+    countReferences(JSON.parse(contents.toString('utf8')).messages || [], bucketName, references);
+    chats++;
+  }
+
+  const [ttsFiles] = await bucket.getFiles({ prefix: 'tts/' });
+  const [audioFiles] = await bucket.getFiles({ prefix: 'audio/' });
+  const objects = [...chatFiles, ...ttsFiles, ...audioFiles]
+    .filter(({ name }) => isCleanupCandidate(name))
+    .map(({ name, metadata }) => ({ path: name, createdAt: metadata.timeCreated }));
+
+  const cacheSnapshot = await db.collection(TTS_CACHE_COLLECTION).get();
+  const cacheEntries = new Map(cacheSnapshot.docs.map((entry) => [entry.data().path, { ref: entry.ref, ...entry.data() }]));
+
+  const orphaned = findOrphanedObjects({ objects, references, cacheEntries, now });
+  const toDelete = orphaned.slice(0, MAX_DELETES_PER_RUN);
+  const deletedPaths = new Set();
+  if (!dryRun) {
+    for (const path of toDelete) {
+      try {
+        // The cache entry goes first, so it never points at a deleted object
+        if (cacheEntries.has(path)) await cacheEntries.get(path).ref.delete();
+        await bucket.file(path).delete({ ignoreNotFound: true });
+        deletedPaths.add(path);
+      } catch (error) {
+        console.error(`Storage cleanup failed to delete ${path}:`, error.message);
+      }
+    }
+  }
+
+  // Entries whose object is gone are dropped; the rest get their reference count recounted
+  const existingPaths = new Set(objects.map(({ path }) => path));
+  let cacheEntriesRemoved = 0;
+  let cacheEntriesRecounted = 0;
+  for (const [path, entry] of cacheEntries) {
+    if (deletedPaths.has(path)) {
+      cacheEntriesRemoved++;
+      continue;
+    }
+    if (dryRun) continue;
+    try {
+      // Recent entries may have been written after the bucket was listed
+      if (!existingPaths.has(path) && now.getTime() - new Date(entry.createdAt).getTime() >= ORPHAN_GRACE_MS) {
+        await entry.ref.delete();
+        cacheEntriesRemoved++;
+      } else if (existingPaths.has(path) && (entry.refCount || 0) !== (references.get(path) || 0)) {
+        await entry.ref.update({ refCount: references.get(path) || 0 });
+        cacheEntriesRecounted++;
+      }
+    } catch (error) {
+      console.error(`Storage cleanup failed to update TTS cache entry for ${path}:`, error.message);
+    }
+  }
+
+  return {
+    chats,
+    candidates: objects.length,
+    orphaned: orphaned.length,
+    deleted: deletedPaths.size,
+    cacheEntriesRemoved,
+    cacheEntriesRecounted,
+    dryRun,
+  };
+};
+
+export {
+  ORPHAN_GRACE_MS,
+  TTS_CACHE_RETENTION_MS,
+  MAX_DELETES_PER_RUN,
+  isCleanupCandidate,
+  countReferences,
+  findOrphanedObjects,
+  runStorageCleanup,
+};
@@ -0,0 +1,70 @@
+// Translation memory: clinician-corrected translations accepted by an admin (see
+// src/services/translationReview.js), looked up by exact phrase before the translation API is
+// called again. Stored in the translation_memory collection. Node only.
+import { createHash } from 'crypto';
+import { getLanguage } from '../src/services/languages.js';
+
+const MEMORY_COLLECTION = 'translation_memory';
+
+// Case and spacing don't change the meaning of a phrase doctors repeat
+const normalizePhrase = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Document ID for a phrase in one direction.
+ * @param {string} text
+ * @param {string} from - Language code or tag.
+ * @param {string} to - Language code or tag.
+ * @returns {string}
+ */
+const getMemoryKey = (text, from, to) =>
+  createHash('sha256')
+    .update(`${getLanguage(from).code}:${getLanguage(to).code}:${normalizePhrase(text)}`)
+    .digest('hex');
+
+/**
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @returns {{lookup: Function, remember: Function}}
+ */
+const createTranslationMemory = ({ db }) => {
+  const memoryRef = db.collection(MEMORY_COLLECTION);
+
+  /**
+   * @param {{text: string, from?: string, to: string}} request
+   * @returns {Promise<string|null>} The remembered translation, or null.
+   */
+  const lookup = async ({ text, from, to }) => {
+    if (!from || from === 'auto') return null;
+    const entry = await memoryRef.doc(getMemoryKey(text, from, to)).get();
+    if (!entry.exists) return null;
+    entry.ref.update({ hits: (entry.data().hits || 0) + 1, lastUsedAt: new Date().toISOString() }).catch((error) => {
+      console.warn('Failed to count translation memory hit:', error.message);
+    });
+    return entry.data().translatedText;
+  };
+
+  /**
+   * Stores an accepted translation, replacing any earlier one for the phrase.
+   * @param {Object} entry - {sourceText, from, to, translatedText, machineText, acceptedBy, reviewId}.
+   * @returns {Promise<string>} The memory document ID.
+   */
+  const remember = async ({ sourceText, from, to, translatedText, machineText = null, acceptedBy, reviewId = null }) => {
+    const key = getMemoryKey(sourceText, from, to);
+    await memoryRef.doc(key).set({
+      sourceText: sourceText.trim(),
+      sourceLanguage: getLanguage(from).code,
+      targetLanguage: getLanguage(to).code,
+      translatedText: translatedText.trim(),
+      machineText,
+      acceptedBy,
+      acceptedAt: new Date().toISOString(),
+      reviewId,
+      hits: 0,
+    });
+    return key;
+  };
+
+  return { lookup, remember };
+};
+
+export { MEMORY_COLLECTION, getMemoryKey, createTranslationMemory };
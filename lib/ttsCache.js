@@ -0,0 +1,139 @@
+// Content-addressed cache for synthesized speech. Audio is stored once per (text, language,
+// voice) under tts/cache/ and described by a document in the tts_cache collection, so repeated
+// phrases such as reminder prompts are served without calling the synthesizer again. Chat
+// messages that keep a cached URL count as references; lib/storageCleanup.js recounts them and
+// purges entries nobody has used for a while. Node only.
+import { createHash } from 'crypto';
+import { getLanguage } from '../src/services/languages.js';
+
+const TTS_CACHE_COLLECTION = 'tts_cache';
+const TTS_CACHE_PREFIX = 'tts/cache/';
+
+// Message fields that may hold a synthesized audio URL
+const TTS_URL_FIELDS = ['audioUrlEn', 'audioUrlTranslated'];
+
+const normalizeSpeechText = (text) => String(text || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Cache key for a phrase spoken by one synthesizer voice.
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {string} params.languageCode - Language code or tag.
+ * @param {string} params.provider - Synthesizer name.
+ * @param {string} params.voice - The synthesizer's voiceFor(languageCode).
+ * @returns {string}
+ */
+const getTtsCacheKey = ({ text, languageCode, provider, voice }) =>
+  createHash('sha256')
+    .update(`${provider}:${voice}:${getLanguage(languageCode).code}:${normalizeSpeechText(text)}`)
+    .digest('hex');
+
+/**
+ * Object path of a gs:// URL or a (possibly signed) storage.googleapis.com URL in the bucket.
+ * @param {string} url
+ * @param {string} bucketName
+ * @returns {string|null} Null for anything outside the bucket.
+ */
+const getStoragePath = (url, bucketName) => {
+  if (typeof url !== 'string') return null;
+  const prefixes = [`gs://${bucketName}/`, `https://storage.googleapis.com/${bucketName}/`];
+  const prefix = prefixes.find((candidate) => url.startsWith(candidate));
+  if (!prefix) return null;
+  try {
+    return decodeURIComponent(url.slice(prefix.length).split('?')[0]) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {string} path - Object path.
+ * @returns {string|null} The cache key of a tts/cache/ object.
+ */
+const getCacheKeyFromPath = (path) => {
+  if (!path || !path.startsWith(TTS_CACHE_PREFIX)) return null;
+  return path.slice(TTS_CACHE_PREFIX.length).split('.')[0] || null;
+};
+
+/**
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @param {Object} params.bucket - GCS bucket the audio is stored in.
+ * @param {string} params.bucketName - Its name, for public URLs.
+ * @returns {{synthesize: Function, addReferences: Function}}
+ */
+const createTtsCache = ({ db, bucket, bucketName }) => {
+  const cacheRef = db.collection(TTS_CACHE_COLLECTION);
+
+  /**
+   * Returns the cached audio for a phrase, synthesizing and storing it on a miss.
+   * @param {import('./voice/index.js').Synthesizer} synthesizer
+   * @param {{text: string, languageCode: string}} request
+   * @returns {Promise<{audioUrl: string, cached: boolean}>}
+   */
+  const synthesize = async (synthesizer, { text, languageCode }) => {
+    const key = getTtsCacheKey({ text, languageCode, provider: synthesizer.name, voice: synthesizer.voiceFor(languageCode) });
+    const entryRef = cacheRef.doc(key);
+    const entry = await entryRef.get();
+    if (entry.exists) {
+      entryRef.update({ hits: (entry.data().hits || 0) + 1, lastUsedAt: new Date().toISOString() }).catch((error) => {
+        console.warn(`Failed to count TTS cache hit for ${key}:`, error.message);
+      });
+      return { audioUrl: `https://storage.googleapis.com/${bucketName}/${entry.data().path}`, cached: true };
+    }
+
+    const { audioContent, contentType, extension } = await synthesizer.synthesize({ text: normalizeSpeechText(text), languageCode });
+    const path = `${TTS_CACHE_PREFIX}${key}.${extension}`;
+    await bucket.file(path).save(audioContent, {
+      metadata: { contentType, cacheControl: 'public, max-age=31536000, immutable' },
+    });
+    const now = new Date().toISOString();
+    // Written after the upload, so an entry always points at an existing object
+    await entryRef.set({
+      path,
+      contentType,
+      languageCode: getLanguage(languageCode).code,
+      provider: synthesizer.name,
+      textLength: normalizeSpeechText(text).length,
+      refCount: 0,
+      hits: 0,
+      createdAt: now,
+      lastUsedAt: now,
+    });
+    return { audioUrl: `https://storage.googleapis.com/${bucketName}/${path}`, cached: false };
+  };
+
+  /**
+   * Counts the cached audio a newly saved chat message points at. Failures are logged only;
+   * the cleanup job recounts references from the chats anyway.
+   * @param {Object} message - Chat message as stored.
+   * @returns {Promise<void>}
+   */
+  const addReferences = async (message) => {
+    const keys = TTS_URL_FIELDS.map((field) => getCacheKeyFromPath(getStoragePath(message[field], bucketName))).filter(Boolean);
+    await Promise.all(
+      keys.map((key) =>
+        db
+          .runTransaction(async (transaction) => {
+            const entryRef = cacheRef.doc(key);
+            const entry = await transaction.get(entryRef);
+            if (entry.exists) transaction.update(entryRef, { refCount: (entry.data().refCount || 0) + 1 });
+          })
+          .catch((error) => {
+            console.warn(`Failed to add TTS cache reference for ${key}:`, error.message);
+          })
+      )
+    );
+  };
+
+  return { synthesize, addReferences };
+};
+
+export {
+  TTS_CACHE_COLLECTION,
+  TTS_CACHE_PREFIX,
+  getTtsCacheKey,
+  getStoragePath,
+  getCacheKeyFromPath,
+  createTtsCache,
+};
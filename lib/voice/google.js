@@ -0,0 +1,83 @@
+// Google Cloud implementation of the voice providers (Speech-to-Text, Translate v2, Text-to-Speech).
+// The SDKs are imported on first use so on-prem installs running the local providers don't need them.
+import { getLanguage, toTranslateCode } from '../../src/services/languages.js';
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.getCredentials] - Resolves to service-account credentials; when
+ *   omitted the SDKs fall back to application default credentials.
+ * @param {string} [options.projectId]
+ * @param {string} [options.translateApiKey] - API key for Translate, used instead of the credentials.
+ * @returns {import('./index.js').VoiceProviders}
+ */
+const createGoogleProviders = ({ getCredentials, projectId, translateApiKey } = {}) => {
+  const clients = {};
+
+  const getClient = async (name, create) => {
+    if (!clients[name]) {
+      clients[name] = (async () => {
+        const credentials = getCredentials ? await getCredentials() : undefined;
+        return create({ ...(credentials ? { credentials } : {}), ...(projectId ? { projectId } : {}) });
+      })().catch((error) => {
+        delete clients[name];
+        throw error;
+      });
+    }
+    return clients[name];
+  };
+
+  const transcriber = {
+    name: 'google',
+    async transcribe({ audio, mimeType = 'audio/webm', languageCode }) {
+      const { SpeechClient } = await import('@google-cloud/speech');
+      const client = await getClient('speech', (options) => new SpeechClient(options));
+      const language = getLanguage(languageCode);
+      const config = mimeType.includes('webm')
+        ? { encoding: 'WEBM_OPUS', sampleRateHertz: 48000, languageCode: language.sttCode }
+        : { languageCode: language.sttCode };
+      const [response] = await client.recognize({ audio: { content: audio.toString('base64') }, config });
+      const results = response.results || [];
+      return {
+        transcript: results.map((result) => result.alternatives[0].transcript).join('\n'),
+        languageCode: getLanguage(results[0]?.languageCode || language.code).code,
+      };
+    },
+  };
+
+  const translator = {
+    name: 'google',
+    async translate({ text, from, to }) {
+      const { v2 } = await import('@google-cloud/translate');
+      const client = await getClient('translate', (options) =>
+        new v2.Translate(translateApiKey ? { projectId, key: translateApiKey } : options)
+      );
+      const [translatedText, metadata] = await client.translate(text, {
+        ...(from && from !== 'auto' ? { from: toTranslateCode(from) } : {}),
+        to: toTranslateCode(to),
+      });
+      return {
+        translatedText,
+        detectedSourceLanguage: metadata?.data?.translations?.[0]?.detectedSourceLanguage || null,
+      };
+    },
+  };
+
+  const synthesizer = {
+    name: 'google',
+    async synthesize({ text, languageCode }) {
+      const { TextToSpeechClient } = await import('@google-cloud/text-to-speech');
+      const client = await getClient('tts', (options) => new TextToSpeechClient(options));
+      const [response] = await client.synthesizeSpeech({
+        input: { text },
+        voice: getLanguage(languageCode).ttsVoice,
+        audioConfig: { audioEncoding: 'MP3' },
+      });
+      return { audioContent: Buffer.from(response.audioContent), contentType: 'audio/mp3', extension: 'mp3' };
+    },
+    voiceFor: (languageCode) => JSON.stringify(getLanguage(languageCode).ttsVoice),
+  };
+
+  return { transcriber, translator, synthesizer };
+};
+
+export { createGoogleProviders };
@@ -0,0 +1,138 @@
+// Provider interface for the voice pipeline: speech-to-text, translation and text-to-speech.
+// api/audio, api/calls, server/server.js and transcribeAudio/ go through getVoiceProviders
+// instead of calling Google Cloud directly, so the same code runs against:
+//   google - Google Cloud Speech-to-Text, Translate and Text-to-Speech (default)
+//   local  - whisper.cpp, Argos Translate (or a phrase dictionary) and eSpeak NG, for on-prem clinics
+//   stub   - canned transcripts, dictionary translations and silent audio, for tests
+// VOICE_PROVIDER picks the set; STT_PROVIDER, TRANSLATE_PROVIDER and TTS_PROVIDER override one
+// capability each (e.g. local speech recognition with Google translation).
+import { createGoogleProviders } from './google.js';
+import { createLocalProviders } from './local.js';
+import { createStubProviders } from './stub.js';
+
+/**
+ * @typedef {Object} Transcriber
+ * @property {string} name
+ * @property {(request: {audio: Buffer, mimeType?: string, languageCode: string}) =>
+ *   Promise<{transcript: string, languageCode: string}>} transcribe - languageCode in the result is
+ *   the registry code of the language heard.
+ */
+
+/**
+ * @typedef {Object} Translator
+ * @property {string} name
+ * @property {(request: {text: string, from?: string, to: string}) =>
+ *   Promise<{translatedText: string, detectedSourceLanguage: string|null}>} translate - from may be
+ *   omitted or 'auto' to detect the source language.
+ */
+
+/**
+ * @typedef {Object} Synthesizer
+ * @property {string} name
+ * @property {(request: {text: string, languageCode: string}) =>
+ *   Promise<{audioContent: Buffer, contentType: string, extension: string}>} synthesize
+ * @property {(languageCode: string) => string} voiceFor - Identifies the voice used for a
+ *   language, so cached audio (lib/ttsCache.js) is regenerated when the voice changes.
+ */
+
+/**
+ * @typedef {Object} VoiceProviders
+ * @property {Transcriber} transcriber
+ * @property {Translator} translator
+ * @property {Synthesizer} synthesizer
+ */
+
+const VOICE_PROVIDERS = ['google', 'local', 'stub'];
+
+/**
+ * Wraps a translator so glossary terms, dosages, times and numbers pass through untranslated
+ * (see src/services/glossary.js). If the translator mangles a placeholder, the text is
+ * translated again without masking rather than returned with a dose missing.
+ * @param {Translator} translator
+ * @param {() => Promise<{protect: Function, restore: Function}>} getGlossary
+ * @returns {Translator}
+ */
+const withGlossary = (translator, getGlossary) => ({
+  name: translator.name,
+  async translate(request) {
+    const glossary = await getGlossary();
+    const masked = glossary.protect(request.text, request.to);
+    if (masked.tokens.length === 0) return translator.translate(request);
+
+    const result = await translator.translate({ ...request, text: masked.text });
+    const restored = glossary.restore(result.translatedText, masked.tokens);
+    if (!restored.complete) {
+      console.warn(`Translator ${translator.name} dropped glossary placeholders, retrying without them`);
+      return translator.translate(request);
+    }
+    return { ...result, translatedText: restored.text };
+  },
+});
+
+/**
+ * Wraps a translator so phrases with an accepted clinician correction (lib/translationMemory.js)
+ * come from the memory instead of the translator.
+ * @param {Translator} translator
+ * @param {{lookup: Function}} memory
+ * @returns {Translator}
+ */
+const withTranslationMemory = (translator, memory) => ({
+  name: translator.name,
+  async translate(request) {
+    try {
+      const remembered = await memory.lookup(request);
+      if (remembered) return { translatedText: remembered, detectedSourceLanguage: null, fromMemory: true };
+    } catch (error) {
+      console.warn('Translation memory lookup failed, using the translator:', error.message);
+    }
+    return translator.translate(request);
+  },
+});
+
+/**
+ * Builds the configured providers. Call once per module and reuse the result; Google clients
+ * are only created on first use.
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Defaults to process.env.
+ * @param {Object} [options.google] - Options for createGoogleProviders ({getCredentials, projectId}).
+ * @param {Object} [options.stub] - Options for createStubProviders.
+ * @param {Function} [options.glossary] - Resolves to the translation glossary (lib/glossary.js).
+ *   Not applied to the dictionary translator, which looks up whole phrases.
+ * @param {Object} [options.memory] - Translation memory (lib/translationMemory.js), checked first.
+ * @returns {VoiceProviders & {names: {transcriber: string, translator: string, synthesizer: string}}}
+ */
+const getVoiceProviders = ({ env = process.env, google, stub, glossary, memory } = {}) => {
+  const defaultName = env.VOICE_PROVIDER || 'google';
+  const names = {
+    transcriber: env.STT_PROVIDER || defaultName,
+    translator: env.TRANSLATE_PROVIDER || defaultName,
+    synthesizer: env.TTS_PROVIDER || defaultName,
+  };
+  Object.values(names).forEach((name) => {
+    if (!VOICE_PROVIDERS.includes(name)) {
+      throw new Error(`Unknown voice provider "${name}". Use one of: ${VOICE_PROVIDERS.join(', ')}`);
+    }
+  });
+
+  const sets = {};
+  const getSet = (name) => {
+    if (!sets[name]) {
+      if (name === 'google') sets[name] = createGoogleProviders(google);
+      else if (name === 'local') sets[name] = createLocalProviders(env);
+      else sets[name] = createStubProviders(stub);
+    }
+    return sets[name];
+  };
+
+  let { translator } = getSet(names.translator);
+  if (glossary && translator.name !== 'dictionary') translator = withGlossary(translator, glossary);
+  if (memory) translator = withTranslationMemory(translator, memory);
+  return {
+    names,
+    transcriber: getSet(names.transcriber).transcriber,
+    translator,
+    synthesizer: getSet(names.synthesizer).synthesizer,
+  };
+};
+
+export { VOICE_PROVIDERS, getVoiceProviders, withGlossary, withTranslationMemory };
@@ -0,0 +1,144 @@
+// On-prem implementations of the voice providers, for clinics with poor connectivity:
+//   transcribe  - whisper.cpp (audio converted to 16 kHz WAV with ffmpeg first)
+//   translate   - Argos Translate, or a JSON phrase dictionary when Argos isn't installed
+//   synthesize  - eSpeak NG
+// Binaries and models are configured through environment variables, see createLocalProviders.
+import { execFile } from 'child_process';
+import { readFileSync } from 'fs';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getLanguage } from '../../src/services/languages.js';
+
+const run = (command, args, options = {}) =>
+  new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 20 * 1024 * 1024, timeout: 120000, ...options }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${stderr?.toString().trim() || error.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+
+const withTempDir = async (work) => {
+  const dir = await mkdtemp(join(tmpdir(), 'voice-'));
+  try {
+    return await work(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Translator backed by a phrase dictionary: {"kn:en": {"ನಮಸ್ಕಾರ": "Hello"}}. Phrases are
+ * matched on the whole (trimmed, case-insensitive) text; anything else comes back unchanged.
+ * Enough for demos and for exercising the voice pipeline in tests.
+ * @param {Object<string, Object<string, string>>} [dictionary]
+ * @returns {import('./index.js').Translator}
+ */
+const createDictionaryTranslator = (dictionary = {}) => {
+  const tables = Object.fromEntries(
+    Object.entries(dictionary).map(([pair, phrases]) => [
+      pair,
+      Object.fromEntries(Object.entries(phrases).map(([source, target]) => [source.trim().toLowerCase(), target])),
+    ])
+  );
+
+  return {
+    name: 'dictionary',
+    async translate({ text, from, to }) {
+      const source = from && from !== 'auto' ? getLanguage(from).code : null;
+      const target = getLanguage(to).code;
+      const pairs = source ? [`${source}:${target}`] : Object.keys(tables).filter((pair) => pair.endsWith(`:${target}`));
+      for (const pair of pairs) {
+        const translatedText = tables[pair]?.[text.trim().toLowerCase()];
+        if (translatedText !== undefined) {
+          return { translatedText, detectedSourceLanguage: pair.split(':')[0] };
+        }
+      }
+      return { translatedText: text, detectedSourceLanguage: source };
+    },
+  };
+};
+
+const loadDictionary = (path) => {
+  if (!path) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load translation dictionary ${path}:`, error.message);
+    return {};
+  }
+};
+
+/**
+ * @param {Object} [env] - Defaults to process.env.
+ *   WHISPER_CPP_BIN (whisper-cli), WHISPER_MODEL (required for transcription), FFMPEG_BIN (ffmpeg),
+ *   LOCAL_TRANSLATOR ('argos' | 'dictionary', default argos), ARGOS_TRANSLATE_BIN (argos-translate),
+ *   TRANSLATION_DICTIONARY (path to a JSON dictionary), ESPEAK_BIN (espeak-ng).
+ * @returns {import('./index.js').VoiceProviders}
+ */
+const createLocalProviders = (env = process.env) => {
+  const whisperBin = env.WHISPER_CPP_BIN || 'whisper-cli';
+  const ffmpegBin = env.FFMPEG_BIN || 'ffmpeg';
+  const argosBin = env.ARGOS_TRANSLATE_BIN || 'argos-translate';
+  const espeakBin = env.ESPEAK_BIN || 'espeak-ng';
+
+  const transcriber = {
+    name: 'whisper.cpp',
+    async transcribe({ audio, languageCode }) {
+      if (!env.WHISPER_MODEL) {
+        throw new Error('WHISPER_MODEL must point to a whisper.cpp model file');
+      }
+      const language = getLanguage(languageCode);
+      const transcript = await withTempDir(async (dir) => {
+        const input = join(dir, 'input');
+        const wav = join(dir, 'audio.wav');
+        await writeFile(input, audio);
+        await run(ffmpegBin, ['-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav]);
+        const stdout = await run(whisperBin, ['-m', env.WHISPER_MODEL, '-f', wav, '-l', language.code, '-nt', '-np']);
+        return stdout.toString().trim();
+      });
+      return { transcript, languageCode: language.code };
+    },
+  };
+
+  const dictionaryTranslator = createDictionaryTranslator(loadDictionary(env.TRANSLATION_DICTIONARY));
+  const argosTranslator = {
+    name: 'argos',
+    async translate({ text, from, to }) {
+      if (!from || from === 'auto') {
+        // Argos can't detect languages; fall back to whatever the dictionary knows
+        return dictionaryTranslator.translate({ text, from, to });
+      }
+      const stdout = await run(argosBin, [
+        '--from-lang', getLanguage(from).translateCode,
+        '--to-lang', getLanguage(to).translateCode,
+        // Patient text that starts with "-" must not be read as an option
+        '--',
+        text,
+      ]);
+      return { translatedText: stdout.toString().trim(), detectedSourceLanguage: getLanguage(from).code };
+    },
+  };
+
+  const synthesizer = {
+    name: 'espeak',
+    async synthesize({ text, languageCode }) {
+      const audioContent = await run(espeakBin, ['-v', getLanguage(languageCode).espeakVoice, '--stdout', '--', text], {
+        encoding: 'buffer',
+      });
+      return { audioContent, contentType: 'audio/wav', extension: 'wav' };
+    },
+    voiceFor: (languageCode) => getLanguage(languageCode).espeakVoice,
+  };
+
+  return {
+    transcriber,
+    translator: env.LOCAL_TRANSLATOR === 'dictionary' ? dictionaryTranslator : argosTranslator,
+    synthesizer,
+  };
+};
+
+export { createLocalProviders, createDictionaryTranslator };
@@ -0,0 +1,53 @@
+// Credential-free stand-ins for the voice providers, so the whole voice pipeline (upload →
+// transcribe → translate → synthesize) can run in tests and demos without cloud access or
+// locally installed engines.
+import { getLanguage } from '../../src/services/languages.js';
+import { createDictionaryTranslator } from './local.js';
+
+// A short silent 16-bit mono WAV
+const silentWav = (milliseconds = 200, sampleRate = 16000) => {
+  const dataLength = Math.round((sampleRate * milliseconds) / 1000) * 2;
+  const buffer = Buffer.alloc(44 + dataLength);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataLength, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataLength, 40);
+  return buffer;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.transcript] - What every recording "says"; defaults to VOICE_STUB_TRANSCRIPT.
+ * @param {Object} [options.dictionary] - Phrase dictionary for translations (see createDictionaryTranslator).
+ * @returns {import('./index.js').VoiceProviders}
+ */
+const createStubProviders = ({ transcript = process.env.VOICE_STUB_TRANSCRIPT, dictionary } = {}) => ({
+  transcriber: {
+    name: 'stub',
+    async transcribe({ audio, languageCode }) {
+      return {
+        transcript: transcript ?? `[${audio.length} bytes of audio]`,
+        languageCode: getLanguage(languageCode).code,
+      };
+    },
+  },
+  translator: createDictionaryTranslator(dictionary),
+  synthesizer: {
+    name: 'stub',
+    async synthesize() {
+      return { audioContent: silentWav(), contentType: 'audio/wav', extension: 'wav' };
+    },
+    voiceFor: () => 'silent',
+  },
+});
+
+export { createStubProviders };
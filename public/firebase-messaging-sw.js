@@ -0,0 +1,30 @@
+/* global importScripts, firebase */
+// Shows medication reminder pushes while the app is closed. Imported by service-worker.js,
+// whose registration URL carries the Firebase config (see src/services/serviceWorker.js).
+importScripts('https://www.gstatic.com/firebasejs/10.14.1/firebase-app-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/10.14.1/firebase-messaging-compat.js');
+
+const params = new URL(self.location.href).searchParams;
+
+firebase.initializeApp({
+  apiKey: params.get('apiKey'),
+  projectId: params.get('projectId'),
+  messagingSenderId: params.get('messagingSenderId'),
+  appId: params.get('appId'),
+});
+
+// Notification payloads are displayed by the SDK; this only handles the click
+firebase.messaging();
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = (event.notification.data && event.notification.data.FCM_MSG && event.notification.data.FCM_MSG.data) || {};
+  const url = data.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).pathname === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,88 @@
+/* global importScripts */
+// Keeps the app shell available offline: pages load from the network when there is one and
+// fall back to the cached index.html, and the hashed build assets are served from the cache.
+// API calls are never cached here; the app keeps its own offline copies in IndexedDB
+// (src/services/offlineStore.js). Registered by src/services/serviceWorker.js, which passes the
+// Firebase config in the URL for the reminder push handler imported below.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/icons/icon-192.png', '/icons/icon-512.png'];
+const HASHED_ASSET_PATTERN = /^\/static\/.+\.[0-9a-f]{8}\.(chunk\.)?(js|css|png|svg|woff2?)$/;
+
+if (new URL(self.location.href).searchParams.get('apiKey')) {
+  importScripts('/firebase-messaging-sw.js');
+}
+
+// The build's JS and CSS, listed by CRA in asset-manifest.json; missing in development
+const buildAssetUrls = async () => {
+  try {
+    const response = await fetch('/asset-manifest.json', { cache: 'no-store' });
+    if (!response.ok) return [];
+    const { files = {} } = await response.json();
+    return Object.values(files).filter((url) => /\.(js|css)$/.test(url));
+  } catch (error) {
+    return [];
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_URLS);
+      await cache.addAll(await buildAssetUrls());
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((name) => name.startsWith('app-shell-') && name !== SHELL_CACHE).map((name) => caches.delete(name)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Pages: network first, so a deploy shows up at once, then the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      (async () => {
+        try {
+          const response = await fetch(request);
+          if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put('/index.html', response.clone());
+          }
+          return response;
+        } catch (error) {
+          return (await caches.match('/index.html')) || Response.error();
+        }
+      })()
+    );
+    return;
+  }
+
+  // Static files: cache first. Only hashed build files, so development bundles are never stale
+  if (HASHED_ASSET_PATTERN.test(url.pathname) || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(
+      (async () => {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok) {
+          const cache = await caches.open(SHELL_CACHE);
+          await cache.put(request, response.clone());
+        }
+        return response;
+      })()
+    );
+  }
+});
@@ -3,9 +3,6 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const { Storage } = require('@google-cloud/storage');
-const speech = require('@google-cloud/speech');
-const textToSpeech = require('@google-cloud/text-to-speech');
-const { Translate } = require('@google-cloud/translate').v2;
 const admin = require('firebase-admin');
 const http = require('http');
 const { Server } = require('socket.io');
@@ -52,33 +49,48 @@ const db = admin.firestore();
 const messaging = admin.messaging();
 
 // Google Cloud Clients Initialization
-let storage, speechClient, ttsClient, translateClient;
+let storage;
 let gcsAvailable = false;
+const serviceAccountKeyPath = process.env.REACT_APP_GCS_SERVICE_ACCOUNT_KEY || './service-account.json';
 
 try {
-  const serviceAccountKeyPath = process.env.REACT_APP_GCS_SERVICE_ACCOUNT_KEY || './service-account.json';
   storage = new Storage({ keyFilename: serviceAccountKeyPath });
   console.log('Google Cloud Storage initialized successfully');
-
-  if (!process.env.REACT_APP_GOOGLE_TRANSLATE_API_KEY) {
-    console.warn('Google Translate API key is missing. Translation features will be disabled.');
-  } else {
-    translateClient = new Translate({
-      projectId: process.env.REACT_APP_GOOGLE_CLOUD_PROJECT_ID,
-      key: process.env.REACT_APP_GOOGLE_TRANSLATE_API_KEY,
-    });
-    console.log('Google Translate client initialized successfully');
-  }
-
-  speechClient = new speech.SpeechClient({ keyFilename: serviceAccountKeyPath });
-  console.log('Google Speech-to-Text client initialized successfully');
-
-  ttsClient = new textToSpeech.TextToSpeechClient({ keyFilename: serviceAccountKeyPath });
-  console.log('Google Text-to-Speech client initialized successfully');
 } catch (error) {
   console.error('Failed to initialize Google Cloud services:', error.message);
   process.exit(1);
 }
+
+// Speech-to-text, translation and text-to-speech go through lib/voice, an ES module shared with
+// the API routes. VOICE_PROVIDER=local runs them on-prem (whisper.cpp, Argos, eSpeak NG).
+let voice = null;
+const loadVoiceProviders = async () => {
+  if (!voice) {
+    const { getVoiceProviders } = await import('../lib/voice/index.js');
+    const { createGlossaryLoader } = await import('../lib/glossary.js');
+    const { createTranslationMemory } = await import('../lib/translationMemory.js');
+    voice = getVoiceProviders({
+      google: {
+        projectId: process.env.REACT_APP_GOOGLE_CLOUD_PROJECT_ID,
+        translateApiKey: process.env.REACT_APP_GOOGLE_TRANSLATE_API_KEY,
+        getCredentials: async () => JSON.parse(fs.readFileSync(serviceAccountKeyPath, 'utf8')),
+      },
+      glossary: createGlossaryLoader({ db }),
+      memory: createTranslationMemory({ db }),
+    });
+  }
+  return voice;
+};
+
+// Read-aloud audio is cached by text, language and voice (lib/ttsCache.js)
+let ttsCache = null;
+const loadTtsCache = async () => {
+  if (!ttsCache) {
+    const { createTtsCache } = await import('../lib/ttsCache.js');
+    ttsCache = createTtsCache({ db, bucket, bucketName });
+  }
+  return ttsCache;
+};
 // Multer configuration for image uploads
 const uploadImage = multer({
   storage: multer.memoryStorage(),
@@ -158,12 +170,14 @@ const uploadWithRetry = async (file, buffer, metadata, retries = 3, backoff = 10
   }
 };
 
-// Middleware to check Google services availability
-const checkGoogleServices = (req, res, next) => {
-  if (!translateClient || !speechClient || !ttsClient) {
+// Middleware to check the voice providers are configured
+const checkVoiceProviders = async (req, res, next) => {
+  try {
+    await loadVoiceProviders();
+  } catch (error) {
     return res.status(503).json({
-      error: 'Service unavailable: Google Cloud services not properly initialized',
-      details: 'Check your API keys and service account configuration',
+      error: 'Service unavailable: voice providers not properly configured',
+      details: error.message,
     });
   }
   next();
@@ -211,6 +225,14 @@ const checkRole = (requiredRole) => {
           }
           req.patientId = patientQuery.docs[0].data().patientId;
           console.log(`Patient ID for UID=${userId} is ${req.patientId}`);
+        } else if (requiredRole === 'caregiver') {
+          const caregiverQuery = await db.collection('caregivers').where('uid', '==', userId).get();
+          if (caregiverQuery.empty) {
+            console.log(`No caregiver profile found for UID=${userId}`);
+            return res.status(404).json({ error: 'Caregiver profile not found for this user' });
+          }
+          req.caregiverId = caregiverQuery.docs[0].data().caregiverId;
+          console.log(`Caregiver ID for UID=${userId} is ${req.caregiverId}`);
         }
 
         req.user = userData;
@@ -429,9 +451,7 @@ app.get('/health', (req, res) => {
     services: {
       firebase: true,
       gcs: gcsAvailable,
-      speech: !!speechClient,
-      translation: !!translateClient,
-      tts: !!ttsClient,
+      voice: voice ? voice.names : null,
     },
     timestamp: new Date().toISOString(),
   });
@@ -723,7 +743,7 @@ app.post('/notify-missed-dose', async (req, res) => {
 });
 
 // Audio Upload and Transcription
-app.post('/upload-audio', uploadAudio.single('audio'), async (req, res) => {
+app.post('/upload-audio', uploadAudio.single('audio'), checkVoiceProviders, async (req, res) => {
   console.log('POST /upload-audio:', { language: req.body.language, uid: req.body.uid });
   try {
     const language = req.body.language || 'en-US';
@@ -746,30 +766,19 @@ app.post('/upload-audio', uploadAudio.single('audio'), async (req, res) => {
 
     let transcriptionText = 'Transcription unavailable';
     let translatedText = transcriptionText;
+    let warning;
 
-    if (speechClient) {
-      try {
-        const config = {
-          encoding: 'WEBM_OPUS',
-          sampleRateHertz: 48000,
-          languageCode: language,
-          enableAutomaticLanguageDetection: false,
-        };
-
-        const request = {
-          audio: { content: audioFile.buffer.toString('base64') },
-          config,
-        };
-
-        const [response] = await speechClient.recognize(request);
-        transcriptionText = response.results?.length > 0
-          ? response.results.map((result) => result.alternatives[0].transcript).join('\n')
-          : 'No transcription available';
-
-        translatedText = transcriptionText;
-      } catch (transcriptionError) {
-        console.error('Transcription error:', transcriptionError.message);
-      }
+    try {
+      const transcription = await voice.transcriber.transcribe({
+        audio: audioFile.buffer,
+        mimeType: audioFile.mimetype,
+        languageCode: language,
+      });
+      transcriptionText = transcription.transcript || 'No transcription available';
+      translatedText = transcriptionText;
+    } catch (transcriptionError) {
+      console.error('Transcription error:', transcriptionError.message);
+      warning = 'Speech-to-text service unavailable';
     }
 
     res.json({
@@ -777,7 +786,7 @@ app.post('/upload-audio', uploadAudio.single('audio'), async (req, res) => {
       translatedText,
       languageCode: language,
       audioUrl,
-      warning: !speechClient ? 'Speech-to-text service unavailable' : undefined,
+      warning,
     });
   } catch (error) {
     console.error('Error in /upload-audio:', error);
@@ -789,24 +798,15 @@ app.post('/upload-audio', uploadAudio.single('audio'), async (req, res) => {
 });
 
 // Text-to-Speech
-app.post('/text-to-speech', checkGoogleServices, async (req, res) => {
+app.post('/text-to-speech', checkVoiceProviders, async (req, res) => {
   console.log('POST /text-to-speech:', req.body);
   try {
     const { text, language = 'en-US' } = req.body;
     if (!text) return res.status(400).json({ error: 'Text is required' });
 
-    const [response] = await ttsClient.synthesizeSpeech({
-      input: { text },
-      voice: { languageCode: language, ssmlGender: 'NEUTRAL' },
-      audioConfig: { audioEncoding: 'MP3' },
-    });
-
-    const fileName = `tts/${Date.now()}.mp3`;
-    const file = bucket.file(fileName);
-    await uploadWithRetry(file, response.audioContent, { contentType: 'audio/mp3' });
-    const audioUrl = `https://storage.googleapis.com/${bucketName}/${fileName}`;
+    const { audioUrl, cached } = await (await loadTtsCache()).synthesize(voice.synthesizer, { text, languageCode: language });
 
-    res.json({ audioUrl });
+    res.json({ audioUrl, cached });
   } catch (error) {
     console.error('Error in /text-to-speech:', error);
     res.status(500).json({
@@ -817,7 +817,7 @@ app.post('/text-to-speech', checkGoogleServices, async (req, res) => {
 });
 
 // Translation Endpoint
-app.post('/translate', checkGoogleServices, async (req, res) => {
+app.post('/translate', checkVoiceProviders, async (req, res) => {
   console.log('POST /translate:', req.body);
   try {
     const { text, sourceLanguageCode, targetLanguageCode } = req.body;
@@ -832,13 +832,14 @@ app.post('/translate', checkGoogleServices, async (req, res) => {
       return res.json({ translatedText: text });
     }
 
-    const [translatedText] = await translateClient.translate(text, {
+    const { translatedText, detectedSourceLanguage } = await voice.translator.translate({
+      text,
       from: sourceLanguageCode,
       to: targetLanguageCode,
     });
 
     console.log(`Translated "${text}" to "${translatedText}"`);
-    res.json({ translatedText });
+    res.json({ translatedText, detectedSourceLanguage });
   } catch (error) {
     console.error('Error in /translate:', error);
     res.status(500).json({
@@ -856,11 +857,18 @@ app.use('/temp_audio', express.static(localStorageDir));
 app.post('/store-patient-profile', async (req, res) => {
   console.log('POST /store-patient-profile:', req.body);
   try {
+    // Shared with the frontend, which is an ES module
+    const { normalizeHealthProfile, validateHealthProfile } = await import('../src/services/patientSafety.js');
     const { patientId, name, sex, age, uid, address, createdAt } = req.body;
     if (!patientId || !name || !sex || !age || !uid) {
       return res.status(400).json({ error: 'Missing required fields: patientId, name, sex, age, uid' });
     }
 
+    const healthErrors = validateHealthProfile(req.body);
+    if (healthErrors.length > 0) {
+      return res.status(400).json({ error: healthErrors.join(' ') });
+    }
+
     const patientData = {
       patientId,
       name,
@@ -868,6 +876,7 @@ app.post('/store-patient-profile', async (req, res) => {
       age: parseInt(age, 10),
       address,
       uid,
+      ...normalizeHealthProfile(req.body),
       createdAt: createdAt || new Date().toISOString(),
     };
 
@@ -1245,9 +1254,16 @@ app.post('/chats/:patientId/:doctorId', async (req, res) => {
       chatData = JSON.parse(contents.toString('utf8'));
     }
 
+    // Messages queued offline are resent until a response gets through; the first save wins
+    const duplicate = message.clientMessageId && chatData.messages.find((saved) => saved.clientMessageId === message.clientMessageId);
+    if (duplicate) {
+      return res.status(200).json({ message: 'Message already saved', newMessage: duplicate });
+    }
+
     const newMessage = { ...message, timestamp: message.timestamp || new Date().toISOString(), senderId: userId };
     chatData.messages.push(newMessage);
     await uploadWithRetry(file, JSON.stringify(chatData), { contentType: 'application/json' });
+    await (await loadTtsCache()).addReferences(newMessage);
 
     const room = `${patientId}-${doctorId}`;
     // Log room members before emitting
@@ -1667,14 +1683,18 @@ const startServer = async () => {
     console.error('Google Cloud Storage is not available. Server will start but GCS operations may fail.');
   }
 
+  try {
+    await loadVoiceProviders();
+  } catch (error) {
+    console.error('Voice providers are not configured. Audio features will be unavailable:', error.message);
+  }
+
   const PORT = process.env.PORT || 5005;
   server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
     console.log('Service Status:', {
       GCS: gcsAvailable ? 'Available' : 'Unavailable',
-      Speech: speechClient ? 'Available' : 'Unavailable',
-      Translation: translateClient ? 'Available' : 'Unavailable',
-      TTS: ttsClient ? 'Available' : 'Unavailable',
+      Voice: voice ? voice.names : 'Unavailable',
     });
   });
 };
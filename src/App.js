@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import { doc, onSnapshot } from 'firebase/firestore';
 import { auth as firebaseAuth, db } from './services/firebase.js';
+import { readCache, writeCache, clearCache } from './services/offlineStore.js';
 import { signOut } from 'firebase/auth';
 import Login from './components/Login.js';
 import Register from './components/Register.js';
@@ -12,6 +13,7 @@ import SelectDoctor from './components/SelectDoctor.js';
 import LanguagePreference from './components/LanguagePreference.js';
 import PatientProfile from './components/PatientProfile.js';
 import DoctorProfile from './components/DoctorProfile.js';
+import CaregiverDashboard from './components/CaregiverDashboard.js';
 import './components/patient.css';
 
 // Custom 404 Component
@@ -87,38 +89,51 @@ function App() {
         const userId = authUser.uid;
         console.log('App: Fetching user data for UID:', userId);
         const userRef = doc(db, 'users', userId);
+        const applyUserData = (userData) => {
+          const updatedUser = {
+            uid: userId,
+            email: authUser.email,
+            ...userData,
+          };
+
+          setUser(updatedUser);
+          setRole(userData.role);
+          console.log('App: Updated user state:', updatedUser, 'Role:', userData.role);
+
+          if (userData.role === 'patient') {
+            const pid = userData.patientId || userId;
+            setPatientId(pid);
+            sessionStorage.setItem('patientId', pid);
+            console.log(`App: Set patientId=${pid} for patient role`);
+          } else {
+            setPatientId(null);
+            sessionStorage.removeItem('patientId');
+            console.log('App: Cleared patientId for non-patient role');
+          }
+
+          sessionStorage.setItem('userId', userId);
+          setLoading(false);
+          console.log('App: Loading complete, user data set');
+        };
+
         unsubscribeFirestoreRef.current = onSnapshot(
           userRef,
-          (docSnapshot) => {
+          async (docSnapshot) => {
             console.log('App: Firestore snapshot received for user:', userId);
             if (docSnapshot.exists()) {
               const userData = docSnapshot.data();
               console.log('App: Fetched Firestore user data:', userData);
-
-              const updatedUser = {
-                uid: userId,
-                email: authUser.email,
-                ...userData,
-              };
-
-              setUser(updatedUser);
-              setRole(userData.role);
-              console.log('App: Updated user state:', updatedUser, 'Role:', userData.role);
-
-              if (userData.role === 'patient') {
-                const pid = userData.patientId || userId;
-                setPatientId(pid);
-                sessionStorage.setItem('patientId', pid);
-                console.log(`App: Set patientId=${pid} for patient role`);
+              applyUserData(userData);
+              writeCache(`user:${userId}`, userData);
+            } else if (docSnapshot.metadata.fromCache) {
+              // Offline, Firestore reports the document as missing; use the copy from the last visit
+              const cachedUserData = await readCache(`user:${userId}`);
+              if (cachedUserData) {
+                console.log('App: Offline, using cached user data for UID:', userId);
+                applyUserData(cachedUserData);
               } else {
-                setPatientId(null);
-                sessionStorage.removeItem('patientId');
-                console.log('App: Cleared patientId for non-patient role');
+                console.log('App: Offline with no cached user data, waiting for a connection');
               }
-
-              sessionStorage.setItem('userId', userId);
-              setLoading(false);
-              console.log('App: Loading complete, user data set');
             } else {
               console.log('App: User document not found in Firestore for UID:', userId);
               handleAuthFailure();
@@ -215,6 +230,7 @@ function App() {
       console.log('App: Firebase sign-out completed');
 
       console.log('App: Clearing app state');
+      await clearCache();
       sessionStorage.removeItem('userId');
       sessionStorage.removeItem('patientId');
       sessionStorage.removeItem('lastPath');
@@ -267,6 +283,8 @@ function App() {
         return '/doctor/chat';
       case 'admin':
         return '/admin';
+      case 'caregiver':
+        return '/caregiver';
       default:
         return '/login';
     }
@@ -409,6 +427,16 @@ function App() {
             )
           }
         />
+        <Route
+          path="/caregiver"
+          element={
+            user && role === 'caregiver' && !isLoggingOut ? (
+              <CaregiverDashboard user={user} handleLogout={handleLogout} />
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          }
+        />
         <Route
           path="/"
           element={<Navigate to={getRedirectPath()} replace />}
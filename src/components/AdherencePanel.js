@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './AdherencePanel.css';
+
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+// Heatmap colour band for a day's adherence
+const heatLevel = ({ rate, open }) => {
+  if (rate === null) return open > 0 ? 'heat-open' : 'heat-none';
+  if (rate >= 90) return 'heat-high';
+  if (rate >= 60) return 'heat-medium';
+  return 'heat-low';
+};
+
+function AdherencePanel({ patientId, doctorId, userId, getIdToken, onClose }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // The parent's getIdToken is a new function on every render; only the patient should refetch
+  const getIdTokenRef = useRef(getIdToken);
+  getIdTokenRef.current = getIdToken;
+
+  useEffect(() => {
+    if (!patientId || !doctorId || !userId) return;
+
+    const fetchAdherence = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const idToken = await getIdTokenRef.current();
+        const params = new URLSearchParams({ patientId, doctorId });
+        const response = await fetch(`${apiBaseUrl}/reminders/adherence?${params.toString()}`, {
+          method: 'GET',
+          headers: {
+            'x-user-uid': userId,
+            'Authorization': `Bearer ${idToken}`,
+            'Content-Type': 'application/json',
+          },
+          credentials: 'include',
+        });
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`HTTP ${response.status}: ${errorText || 'Failed to fetch adherence'}`);
+        }
+        setSummary(await response.json());
+      } catch (err) {
+        console.error('Fetch adherence error:', err);
+        setError(`Failed to load adherence: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAdherence();
+  }, [patientId, doctorId, userId]);
+
+  return (
+    <div className="adherence-panel">
+      <div className="adherence-header">
+        <h3>Medication Adherence</h3>
+        <button onClick={onClose} className="dismiss-button" aria-label="Close adherence panel">
+          Close
+        </button>
+      </div>
+      {loading ? (
+        <p className="loading-text">Loading adherence...</p>
+      ) : error ? (
+        <p className="adherence-error">{error}</p>
+      ) : !summary || summary.overall.taken + summary.overall.missed + summary.overall.open === 0 ? (
+        <p className="no-messages">No reminders have come due for this patient yet.</p>
+      ) : (
+        <>
+          <div className="adherence-overview">
+            <div>
+              <span className="adherence-figure">{formatRate(summary.overall.rate)}</span>
+              <span>overall ({summary.overall.taken} taken, {summary.overall.missed} missed)</span>
+            </div>
+            <div>
+              <span className="adherence-figure">{summary.overall.snoozes}</span>
+              <span>snoozes</span>
+            </div>
+            <div>
+              <span className="adherence-figure">{summary.streaks.current}</span>
+              <span>day streak (best {summary.streaks.longest})</span>
+            </div>
+            {summary.trend && (
+              <div>
+                <span
+                  className={`adherence-figure ${summary.trend.change > 0 ? 'trend-up' : summary.trend.change < 0 ? 'trend-down' : ''}`}
+                >
+                  {summary.trend.change === null ? '—' : `${summary.trend.change > 0 ? '+' : ''}${summary.trend.change}`}
+                </span>
+                <span>
+                  since last prescription ({formatRate(summary.trend.previousRate)} → {formatRate(summary.trend.currentRate)})
+                </span>
+              </div>
+            )}
+          </div>
+
+          <h4>Last 4 weeks</h4>
+          <div className="adherence-heatmap">
+            {summary.calendar.map((day) => (
+              <div
+                key={day.date}
+                className={`heat-cell ${heatLevel(day)}`}
+                title={`${day.date}: ${day.taken} taken, ${day.missed} missed${day.open ? `, ${day.open} open` : ''}`}
+              />
+            ))}
+          </div>
+
+          <h4>By medication</h4>
+          <table className="adherence-table">
+            <thead>
+              <tr>
+                <th>Medicine</th>
+                <th>Taken</th>
+                <th>Missed</th>
+                <th>Snoozes</th>
+                <th>Adherence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.byMedication.map((row) => (
+                <tr key={row.medicine}>
+                  <td>{row.medicine}</td>
+                  <td>{row.taken}</td>
+                  <td>{row.missed}</td>
+                  <td>{row.snoozes}</td>
+                  <td>{formatRate(row.rate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4>By time of day</h4>
+          <table className="adherence-table">
+            <tbody>
+              {summary.byTimeOfDay.map((row) => (
+                <tr key={row.slot}>
+                  <td>{row.label}</td>
+                  <td>{row.taken} / {row.taken + row.missed}</td>
+                  <td>{formatRate(row.rate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4>By week</h4>
+          <table className="adherence-table">
+            <tbody>
+              {summary.byWeek.map((row) => (
+                <tr key={row.weekStart}>
+                  <td>Week of {row.weekStart}</td>
+                  <td>{row.taken} / {row.taken + row.missed}</td>
+                  <td>{formatRate(row.rate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AdherencePanel;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { auth, db } from '../services/firebase.js';
 import { collection, getDocs } from 'firebase/firestore';
+import { formatPrescription } from '../services/prescription.js';
 
 function AdminCases() {
   const [cases, setCases] = useState([]);
@@ -8,22 +9,6 @@ function AdminCases() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  // Utility function to format prescription object into a string
-  const formatPrescription = (prescription) => {
-    if (!prescription || typeof prescription !== 'object') {
-      return 'N/A';
-    }
-    const { medicine, dosage, frequency, duration } = prescription;
-    return [
-      medicine ? `Medicine: ${medicine}` : '',
-      dosage ? `Dosage: ${dosage}` : '',
-      frequency ? `Frequency: ${frequency}` : '',
-      duration ? `Duration: ${duration}` : '',
-    ]
-      .filter(Boolean)
-      .join(', ');
-  };
-
   const handleClearAll = async () => {
     const adminId = localStorage.getItem('userId');
     if (!adminId) {
@@ -185,10 +170,10 @@ function AdminCases() {
                     <td>{patient.age || 'N/A'}</td>
                     <td>{patient.sex || 'N/A'}</td>
                     <td>{caseItem.diagnosis || 'N/A'}</td>
-                    <td className={caseItem.valid ? '' : 'invalid-prescription'}>
-                      {formatPrescription(caseItem.prescription)}
+                    <td className={caseItem.valid === false ? 'invalid-prescription' : ''}>
+                      {formatPrescription(caseItem.prescription) || 'N/A'}
                     </td>
-                    <td>{caseItem.valid ? 'Yes' : 'No'}</td>
+                    <td>{caseItem.valid === null ? 'Pending' : caseItem.valid ? 'Yes' : 'No'}</td>
                   </tr>
                 );
               })
@@ -4,6 +4,9 @@ import AdminDoctors from './AdminDoctors.js';
 import AdminPatients from './AdminPatients.js';
 import AdminCases from './AdminCases.js';
 import AdminInvalidPrescriptions from './AdminInvalidPrescriptions.js';
+import AdminEscalationPolicies from './AdminEscalationPolicies.js';
+import AdminGlossary from './AdminGlossary.js';
+import AdminTranslationReviews from './AdminTranslationReviews.js';
 import { SPECIALTIES } from '../constants/specialties.js';
 import { doc, getDoc } from 'firebase/firestore';
 import { getAuth, signOut } from 'firebase/auth';
@@ -27,7 +30,7 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
   });
   const [addDoctorError, setAddDoctorError] = useState('');
   const [addDoctorSuccess, setAddDoctorSuccess] = useState('');
-  const [newAdmin, setNewAdmin] = useState({ email: '', password: '' });
+  const [newAdmin, setNewAdmin] = useState({ role: 'admin', email: '', password: '', name: '', contactNumber: '' });
   const [addAdminError, setAddAdminError] = useState('');
   const [addAdminSuccess, setAddAdminSuccess] = useState('');
   const [isAddingAdmin, setIsAddingAdmin] = useState(false);
@@ -281,6 +284,13 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
       return;
     }
 
+    // Caregivers are linked to patients later, once a patient approves their request
+    if (newAdmin.role === 'caregiver' && (!newAdmin.name || !/^\d{10}$/.test(newAdmin.contactNumber))) {
+      setAddAdminError('Caregivers need a name and a 10-digit contact number.');
+      setIsAddingAdmin(false);
+      return;
+    }
+
     if (!newAdmin.email.endsWith('@gmail.com')) {
       setAddAdminError('Email must be a valid Gmail address (e.g., example@gmail.com).');
       setIsAddingAdmin(false);
@@ -292,9 +302,10 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
       if (!idToken) throw new Error('Authentication token not available.');
 
       const adminData = {
-        role: 'admin',
+        role: newAdmin.role,
         email: newAdmin.email,
         password: newAdmin.password,
+        ...(newAdmin.role === 'caregiver' ? { name: newAdmin.name, contactNumber: newAdmin.contactNumber } : {}),
       };
 
       const baseApiUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app';
@@ -335,8 +346,8 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
       console.log('AdminDashboard: New admin created with UID:', adminUid);
 
       if (isMounted.current) {
-        setAddAdminSuccess('Admin added successfully!');
-        setNewAdmin({ email: '', password: '' });
+        setAddAdminSuccess(newAdmin.role === 'caregiver' ? 'Caregiver added successfully!' : 'Admin added successfully!');
+        setNewAdmin({ role: newAdmin.role, email: '', password: '', name: '', contactNumber: '' });
       }
     } catch (error) {
       console.error('AdminDashboard: Add admin error - Details:', error);
@@ -426,6 +437,15 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
           <li className={currentView === 'invalid-prescriptions' ? 'active' : ''} onClick={() => handleViewChange('invalid-prescriptions')}>
             Invalid Prescriptions
           </li>
+          <li className={currentView === 'escalation-policies' ? 'active' : ''} onClick={() => handleViewChange('escalation-policies')}>
+            Escalation Policies
+          </li>
+          <li className={currentView === 'glossary' ? 'active' : ''} onClick={() => handleViewChange('glossary')}>
+            Translation Glossary
+          </li>
+          <li className={currentView === 'translation-reviews' ? 'active' : ''} onClick={() => handleViewChange('translation-reviews')}>
+            Translation Reviews
+          </li>
           <li onClick={handleLogoutClick}>Logout</li>
         </ul>
       </div>
@@ -603,8 +623,43 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
         {currentView === 'add-admin' && (
           <div className="section">
             <div className="add-admin-form">
-              <h3>Add New Admin</h3>
+              <h3>Add New Admin or Caregiver</h3>
               <form onSubmit={handleAddAdmin}>
+                <div className="form-group">
+                  <label htmlFor="admin-role">Account Type</label>
+                  <select id="admin-role" name="role" value={newAdmin.role} onChange={handleAdminInputChange}>
+                    <option value="admin">Admin</option>
+                    <option value="caregiver">Caregiver</option>
+                  </select>
+                </div>
+                {newAdmin.role === 'caregiver' && (
+                  <>
+                    <div className="form-group">
+                      <label htmlFor="caregiver-name">Name</label>
+                      <input
+                        type="text"
+                        id="caregiver-name"
+                        name="name"
+                        value={newAdmin.name}
+                        onChange={handleAdminInputChange}
+                        placeholder="Enter caregiver name"
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label htmlFor="caregiver-contact">Contact Number</label>
+                      <input
+                        type="tel"
+                        id="caregiver-contact"
+                        name="contactNumber"
+                        value={newAdmin.contactNumber}
+                        onChange={handleAdminInputChange}
+                        placeholder="10-digit contact number"
+                        required
+                      />
+                    </div>
+                  </>
+                )}
                 <div className="form-group">
                   <label htmlFor="admin-email">Email</label>
                   <input
@@ -632,7 +687,7 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
                 {addAdminError && <p className="error-message">{addAdminError}</p>}
                 {addAdminSuccess && <p className="success-message">{addAdminSuccess}</p>}
                 <button type="submit" disabled={isAddingAdmin} className="submit-button">
-                  {isAddingAdmin ? 'Adding Admin...' : 'Add Admin'}
+                  {isAddingAdmin ? 'Adding...' : newAdmin.role === 'caregiver' ? 'Add Caregiver' : 'Add Admin'}
                 </button>
               </form>
             </div>
@@ -666,6 +721,27 @@ function AdminDashboard({ user, role, handleLogout, setUser }) {
             <AdminInvalidPrescriptions />
           </div>
         )}
+
+        {currentView === 'escalation-policies' && (
+          <div className="section">
+            <h3>Missed-Dose Escalation Policies</h3>
+            <AdminEscalationPolicies />
+          </div>
+        )}
+
+        {currentView === 'glossary' && (
+          <div className="section">
+            <h3>Translation Glossary</h3>
+            <AdminGlossary />
+          </div>
+        )}
+
+        {currentView === 'translation-reviews' && (
+          <div className="section">
+            <h3>Translation Reviews</h3>
+            <AdminTranslationReviews />
+          </div>
+        )}
       </div>
 
       <style>{`
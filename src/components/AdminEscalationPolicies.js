@@ -0,0 +1,384 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auth } from '../services/firebase.js';
+import { ESCALATION_TARGETS, DEFAULT_POLICY, validatePolicy } from '../services/escalationPolicy.js';
+
+const emptyStep = () => ({ target: 'patient', delayMinutes: 0, respectQuietHours: true });
+
+const emptyPolicy = () => ({
+  id: null,
+  name: '',
+  enabled: true,
+  priority: 10,
+  drugs: '',
+  diagnoses: '',
+  consecutiveMissed: 1,
+  quietHours: { start: '', end: '' },
+  steps: [emptyStep()],
+});
+
+// Stored lists are edited as comma-separated text
+const toForm = (policy) => ({
+  ...policy,
+  drugs: policy.drugs.join(', '),
+  diagnoses: policy.diagnoses.join(', '),
+  quietHours: policy.quietHours || { start: '', end: '' },
+});
+
+const describeSteps = (steps) =>
+  steps
+    .map((step) => `${ESCALATION_TARGETS[step.target] || step.target} after ${step.delayMinutes} min${step.respectQuietHours ? ' (not in quiet hours)' : ''}`)
+    .join(' → ');
+
+function AdminEscalationPolicies() {
+  const [policies, setPolicies] = useState([]);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const baseApiUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app';
+  const apiUrl = baseApiUrl.endsWith('/api') ? baseApiUrl.replace(/\/api$/, '') : baseApiUrl;
+
+  const request = useCallback(async (path, options = {}) => {
+    const adminId = localStorage.getItem('userId');
+    if (!adminId) throw new Error('Admin ID not found. Please log in again.');
+    const idToken = await auth.currentUser?.getIdToken(true);
+    if (!idToken) throw new Error('Authentication token not available');
+
+    const response = await fetch(`${apiUrl}/api/admin/escalation-policies${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+        'x-user-uid': adminId,
+        'Content-Type': 'application/json',
+      },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || response.statusText);
+    }
+    return data;
+  }, [apiUrl]);
+
+  const fetchPolicies = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await request('');
+      setPolicies(data.policies || []);
+    } catch (err) {
+      console.error('AdminEscalationPolicies: Error fetching policies:', err);
+      setError(`Error fetching escalation policies: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateStep = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? { ...step, [field]: value } : step)),
+    }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const errors = validatePolicy(form);
+    if (errors.length > 0) {
+      setError(errors.join(' '));
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const { id, ...fields } = form;
+      await request('', { method: 'POST', body: JSON.stringify(id ? { id, ...fields } : fields) });
+      setForm(null);
+      await fetchPolicies();
+    } catch (err) {
+      console.error('AdminEscalationPolicies: Error saving policy:', err);
+      setError(`Error saving escalation policy: ${err.message}`);
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete the escalation policy "${policy.name}"? Open escalations fall back to the default policy.`)) return;
+    setLoading(true);
+    try {
+      await request(`?id=${encodeURIComponent(policy.id)}`, { method: 'DELETE' });
+      await fetchPolicies();
+    } catch (err) {
+      console.error('AdminEscalationPolicies: Error deleting policy:', err);
+      setError(`Error deleting escalation policy: ${err.message}`);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="table-container">
+      <div className="table-header">
+        <button onClick={() => setForm(emptyPolicy())} className="add-policy-button" disabled={!!form}>
+          Add Policy
+        </button>
+      </div>
+      {error && <p className="error-message">{error}</p>}
+
+      {form && (
+        <form onSubmit={handleSave} className="policy-form">
+          <h4>{form.id ? `Edit "${form.name}"` : 'New Escalation Policy'}</h4>
+          <div className="form-group">
+            <label htmlFor="policy-name">Name</label>
+            <input id="policy-name" value={form.name} onChange={(e) => updateForm('name', e.target.value)} placeholder="e.g., Anti-retrovirals" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="policy-drugs">Drugs or classes (comma-separated; use class:anticoagulant for a class)</label>
+            <input id="policy-drugs" value={form.drugs} onChange={(e) => updateForm('drugs', e.target.value)} placeholder="tenofovir, dolutegravir" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="policy-diagnoses">Diagnosis keywords (comma-separated)</label>
+            <input id="policy-diagnoses" value={form.diagnoses} onChange={(e) => updateForm('diagnoses', e.target.value)} placeholder="hiv, epilepsy" />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="policy-threshold">Consecutive missed doses</label>
+              <input id="policy-threshold" type="number" min="1" max="20" value={form.consecutiveMissed} onChange={(e) => updateForm('consecutiveMissed', e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="policy-priority">Priority</label>
+              <input id="policy-priority" type="number" value={form.priority} onChange={(e) => updateForm('priority', e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="policy-quiet-start">Quiet hours from</label>
+              <input id="policy-quiet-start" type="time" value={form.quietHours.start} onChange={(e) => updateForm('quietHours', { ...form.quietHours, start: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="policy-quiet-end">to</label>
+              <input id="policy-quiet-end" type="time" value={form.quietHours.end} onChange={(e) => updateForm('quietHours', { ...form.quietHours, end: e.target.value })} />
+            </div>
+            <label className="checkbox-label">
+              <input type="checkbox" checked={form.enabled} onChange={(e) => updateForm('enabled', e.target.checked)} />
+              Enabled
+            </label>
+          </div>
+
+          <h4>Steps</h4>
+          {form.steps.map((step, index) => (
+            <div key={index} className="form-row policy-step">
+              <span>{index + 1}.</span>
+              <select value={step.target} onChange={(e) => updateStep(index, 'target', e.target.value)} aria-label={`Step ${index + 1} target`}>
+                {Object.entries(ESCALATION_TARGETS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={step.delayMinutes}
+                onChange={(e) => updateStep(index, 'delayMinutes', e.target.value)}
+                aria-label={`Step ${index + 1} delay in minutes`}
+              />
+              <span>minutes after the threshold</span>
+              <label className="checkbox-label">
+                <input type="checkbox" checked={step.respectQuietHours} onChange={(e) => updateStep(index, 'respectQuietHours', e.target.checked)} />
+                Hold during quiet hours
+              </label>
+              <button type="button" className="remove-step-button" onClick={() => updateForm('steps', form.steps.filter((_, i) => i !== index))}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button type="button" className="add-step-button" onClick={() => updateForm('steps', [...form.steps, emptyStep()])}>
+            Add Step
+          </button>
+
+          <div className="form-actions">
+            <button type="submit" className="submit-button" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Policy'}
+            </button>
+            <button type="button" className="cancel-button" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && !form ? (
+        <p className="loading-message">Loading escalation policies...</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Matches</th>
+              <th>Threshold</th>
+              <th>Steps</th>
+              <th>Quiet Hours</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {policies.map((policy) => (
+              <tr key={policy.id} className={policy.enabled ? '' : 'disabled-policy'}>
+                <td>{policy.name}{policy.enabled ? '' : ' (disabled)'}</td>
+                <td>{[...policy.drugs, ...policy.diagnoses].join(', ')}</td>
+                <td>{policy.consecutiveMissed} missed</td>
+                <td>{describeSteps(policy.steps)}</td>
+                <td>{policy.quietHours ? `${policy.quietHours.start}–${policy.quietHours.end}` : 'None'}</td>
+                <td>
+                  <button onClick={() => setForm(toForm(policy))} className="edit-button" disabled={!!form}>Edit</button>
+                  <button onClick={() => handleDelete(policy)} className="delete-button">Delete</button>
+                </td>
+              </tr>
+            ))}
+            <tr className="default-policy">
+              <td>{DEFAULT_POLICY.name} (built in)</td>
+              <td>Any medicine without a matching policy</td>
+              <td>{DEFAULT_POLICY.consecutiveMissed} missed</td>
+              <td>{describeSteps(DEFAULT_POLICY.steps)}</td>
+              <td>None</td>
+              <td></td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      <style>{`
+        .table-container {
+          width: 100%;
+          overflow-x: auto;
+          padding: 20px;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .table-header {
+          display: flex;
+          justify-content: flex-end;
+          margin-bottom: 10px;
+        }
+
+        .add-policy-button,
+        .add-step-button,
+        .edit-button {
+          background-color: #6e48aa;
+          color: #ffffff;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-family: 'Poppins', sans-serif;
+          margin-right: 6px;
+        }
+
+        .delete-button,
+        .remove-step-button {
+          background-color: #e74c3c;
+          color: #ffffff;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .add-policy-button:disabled,
+        .edit-button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .policy-form {
+          background: rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          padding: 20px;
+          margin-bottom: 20px;
+        }
+
+        .policy-form h4 {
+          margin: 10px 0;
+        }
+
+        .form-row {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .policy-step input[type='number'] {
+          width: 80px;
+        }
+
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .form-actions {
+          display: flex;
+          gap: 10px;
+          margin-top: 15px;
+        }
+
+        .cancel-button {
+          background: transparent;
+          color: #ffffff;
+          border: 1px solid #ffffff;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .error-message {
+          color: #e74c3c;
+          font-size: 1rem;
+          margin-bottom: 20px;
+          text-align: center;
+          padding: 10px;
+          background-color: #ffebee;
+          border-radius: 4px;
+        }
+
+        .loading-message {
+          color: #6e48aa;
+          font-size: 1rem;
+          text-align: center;
+          margin-bottom: 20px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          background: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        th, td {
+          padding: 15px;
+          text-align: left;
+          font-size: 1rem;
+          color: #333;
+        }
+
+        th {
+          background: #6e48aa;
+          color: #ffffff;
+        }
+
+        .disabled-policy td,
+        .default-policy td {
+          color: #888;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default AdminEscalationPolicies;
@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auth } from '../services/firebase.js';
+import { LANGUAGES, isDefaultLanguage } from '../services/languages.js';
+import { normalizeGlossaryEntry, validateGlossaryEntry } from '../services/glossary.js';
+
+// Languages doctors' messages get translated into
+const TARGET_LANGUAGES = LANGUAGES.filter((language) => !isDefaultLanguage(language.code));
+
+const emptyEntry = () => ({ id: null, term: '', translations: {}, note: '' });
+
+const describeTranslations = (translations = {}) => {
+  const rendered = TARGET_LANGUAGES.filter((language) => translations[language.code]).map(
+    (language) => `${language.name}: ${translations[language.code]}`
+  );
+  return rendered.length > 0 ? rendered.join('; ') : 'Kept as written';
+};
+
+function AdminGlossary() {
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const baseApiUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app';
+  const apiUrl = baseApiUrl.endsWith('/api') ? baseApiUrl.replace(/\/api$/, '') : baseApiUrl;
+
+  const request = useCallback(async (path, options = {}) => {
+    const adminId = localStorage.getItem('userId');
+    if (!adminId) throw new Error('Admin ID not found. Please log in again.');
+    const idToken = await auth.currentUser?.getIdToken(true);
+    if (!idToken) throw new Error('Authentication token not available');
+
+    const response = await fetch(`${apiUrl}/api/admin/glossary${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+        'x-user-uid': adminId,
+        'Content-Type': 'application/json',
+      },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || response.statusText);
+    }
+    return data;
+  }, [apiUrl]);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await request('');
+      setEntries(data.entries || []);
+    } catch (err) {
+      console.error('AdminGlossary: Error fetching glossary:', err);
+      setError(`Error fetching the translation glossary: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateTranslation = (code, value) =>
+    setForm((prev) => ({ ...prev, translations: { ...prev.translations, [code]: value } }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const entry = normalizeGlossaryEntry(form);
+    const errors = validateGlossaryEntry(entry);
+    if (errors.length > 0) {
+      setError(errors.join(' '));
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      await request('', { method: 'POST', body: JSON.stringify(form.id ? { id: form.id, ...entry } : entry) });
+      setForm(null);
+      await fetchEntries();
+    } catch (err) {
+      console.error('AdminGlossary: Error saving entry:', err);
+      setError(`Error saving glossary entry: ${err.message}`);
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Remove "${entry.term}" from the glossary? It will be machine-translated again.`)) return;
+    setLoading(true);
+    try {
+      await request(`?id=${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+      await fetchEntries();
+    } catch (err) {
+      console.error('AdminGlossary: Error deleting entry:', err);
+      setError(`Error deleting glossary entry: ${err.message}`);
+      setLoading(false);
+    }
+  };
+
+  const visibleEntries = entries.filter((entry) => entry.term.toLowerCase().includes(filter.trim().toLowerCase()));
+
+  return (
+    <div className="table-container">
+      <p className="glossary-help">
+        Drug names from the medicine database, doses, times and numbers are never machine-translated. Add the
+        clinic&apos;s own terms here: leave the translations empty to keep a term as written, or give the wording
+        patients should see in each language.
+      </p>
+      <div className="table-header">
+        <input
+          type="search"
+          className="glossary-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter terms"
+          aria-label="Filter glossary terms"
+        />
+        <button onClick={() => setForm(emptyEntry())} className="add-entry-button" disabled={!!form}>
+          Add Term
+        </button>
+      </div>
+      {error && <p className="error-message">{error}</p>}
+
+      {form && (
+        <form onSubmit={handleSave} className="glossary-form">
+          <h4>{form.id ? `Edit "${form.term}"` : 'New Glossary Term'}</h4>
+          <div className="form-group">
+            <label htmlFor="glossary-term">Term</label>
+            <input id="glossary-term" value={form.term} onChange={(e) => updateForm('term', e.target.value)} placeholder="e.g., HbA1c" />
+          </div>
+          {TARGET_LANGUAGES.map((language) => (
+            <div className="form-group" key={language.code}>
+              <label htmlFor={`glossary-${language.code}`}>{language.name} (optional)</label>
+              <input
+                id={`glossary-${language.code}`}
+                lang={language.bcp47}
+                dir={language.direction}
+                value={form.translations[language.code] || ''}
+                onChange={(e) => updateTranslation(language.code, e.target.value)}
+                placeholder="Keep as written"
+              />
+            </div>
+          ))}
+          <div className="form-group">
+            <label htmlFor="glossary-note">Note</label>
+            <input id="glossary-note" value={form.note} onChange={(e) => updateForm('note', e.target.value)} placeholder="Why this term is protected" />
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" className="submit-button" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Term'}
+            </button>
+            <button type="button" className="cancel-button" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && !form ? (
+        <p className="loading-message">Loading the translation glossary...</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Term</th>
+              <th>Translations</th>
+              <th>Note</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleEntries.map((entry) => (
+              <tr key={entry.id}>
+                <td>{entry.term}</td>
+                <td>{describeTranslations(entry.translations)}</td>
+                <td>{entry.note}</td>
+                <td>
+                  <button onClick={() => setForm({ ...emptyEntry(), ...entry })} className="edit-button" disabled={!!form}>Edit</button>
+                  <button onClick={() => handleDelete(entry)} className="delete-button">Delete</button>
+                </td>
+              </tr>
+            ))}
+            {visibleEntries.length === 0 && (
+              <tr>
+                <td colSpan="4">{entries.length === 0 ? 'No clinic terms yet.' : 'No terms match the filter.'}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+
+      <style>{`
+        .table-container {
+          width: 100%;
+          overflow-x: auto;
+          padding: 20px;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .glossary-help {
+          margin-bottom: 15px;
+          line-height: 1.5;
+        }
+
+        .table-header {
+          display: flex;
+          justify-content: space-between;
+          gap: 10px;
+          margin-bottom: 10px;
+        }
+
+        .glossary-filter {
+          flex: 1;
+          max-width: 300px;
+          padding: 8px;
+          border-radius: 4px;
+          border: 1px solid #ccc;
+        }
+
+        .add-entry-button,
+        .edit-button {
+          background-color: #6e48aa;
+          color: #ffffff;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-family: 'Poppins', sans-serif;
+          margin-right: 6px;
+        }
+
+        .delete-button {
+          background-color: #e74c3c;
+          color: #ffffff;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .add-entry-button:disabled,
+        .edit-button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .glossary-form {
+          background: rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          padding: 20px;
+          margin-bottom: 20px;
+        }
+
+        .glossary-form h4 {
+          margin: 10px 0;
+        }
+
+        .form-actions {
+          display: flex;
+          gap: 10px;
+          margin-top: 15px;
+        }
+
+        .cancel-button {
+          background: transparent;
+          color: #ffffff;
+          border: 1px solid #ffffff;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .error-message {
+          color: #e74c3c;
+          font-size: 1rem;
+          margin-bottom: 20px;
+          text-align: center;
+          padding: 10px;
+          background-color: #ffebee;
+          border-radius: 4px;
+        }
+
+        .loading-message {
+          color: #6e48aa;
+          font-size: 1rem;
+          text-align: center;
+          margin-bottom: 20px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          background: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        th, td {
+          padding: 15px;
+          text-align: left;
+          font-size: 1rem;
+          color: #333;
+        }
+
+        th {
+          background: #6e48aa;
+          color: #ffffff;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default AdminGlossary;
@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { auth, db } from '../services/firebase.js';
 import { collection, getDocs } from 'firebase/firestore';
+import { formatPrescription as formatStructuredPrescription } from '../services/prescription.js';
 
 function AdminInvalidPrescriptions() {
   const [invalidPrescriptions, setInvalidPrescriptions] = useState([]);
+  const [interactionOverrides, setInteractionOverrides] = useState([]);
   const [patients, setPatients] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -143,9 +145,37 @@ function AdminInvalidPrescriptions() {
       }
     };
 
+    // Interaction warnings doctors acknowledged before sending a prescription
+    const fetchInteractionOverrides = async () => {
+      try {
+        const baseApiUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app';
+        const apiUrl = baseApiUrl.endsWith('/api') ? baseApiUrl.replace(/\/api$/, '') : baseApiUrl;
+        const idToken = await auth.currentUser?.getIdToken(true);
+        if (!idToken) throw new Error('Authentication token not available');
+
+        const response = await fetch(`${apiUrl}/api/admin/interaction-overrides`, {
+          headers: {
+            'Authorization': `Bearer ${idToken}`,
+            'x-user-uid': adminId,
+          },
+        });
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(`Failed to fetch interaction overrides: ${errorData.message || response.statusText}`);
+        }
+
+        const data = await response.json();
+        setInteractionOverrides(data.overrides || []);
+      } catch (err) {
+        console.error('AdminInvalidPrescriptions: Error fetching interaction overrides:', err);
+        setError((prev) => prev || `Error fetching interaction overrides: ${err.message}`);
+      }
+    };
+
     const initializeData = async () => {
       await fetchPatients();
       await fetchInvalidPrescriptions();
+      await fetchInteractionOverrides();
     };
 
     initializeData();
@@ -197,6 +227,42 @@ function AdminInvalidPrescriptions() {
         </table>
       )}
 
+      <h3 className="section-title">Interaction Warning Overrides</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Doctor ID</th>
+            <th>Patient Name</th>
+            <th>Prescription</th>
+            <th>Warnings</th>
+            <th>Reason</th>
+            <th>Timestamp</th>
+          </tr>
+        </thead>
+        <tbody>
+          {interactionOverrides.length === 0 ? (
+            <tr>
+              <td colSpan="6">No interaction overrides found.</td>
+            </tr>
+          ) : (
+            interactionOverrides.map((override) => (
+              <tr key={override.id}>
+                <td>{override.doctorId}</td>
+                <td>{patients[override.patientId]?.name || 'Unknown'}</td>
+                <td>{formatStructuredPrescription(override.prescription) || 'N/A'}</td>
+                <td className="invalid-prescription">
+                  {override.warnings.map((warning, index) => (
+                    <div key={index}>[{warning.severity}] {warning.message}</div>
+                  ))}
+                </td>
+                <td>{override.reason}</td>
+                <td>{override.timestamp ? new Date(override.timestamp).toLocaleString() : 'N/A'}</td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+
       <style>{`
         .table-container {
           width: 100%;
@@ -278,6 +344,12 @@ function AdminInvalidPrescriptions() {
           font-weight: 500;
         }
 
+        .section-title {
+          margin: 30px 0 10px;
+          color: #6e48aa;
+          font-size: 1.2rem;
+        }
+
         @media (max-width: 768px) {
           th, td {
             padding: 10px;
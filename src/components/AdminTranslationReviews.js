@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auth } from '../services/firebase.js';
+import { getLanguage } from '../services/languages.js';
+import { REVIEW_STATUSES, validateCorrection } from '../services/translationReview.js';
+import {
+  fetchTranslationReviews,
+  acceptTranslationReview,
+  rejectTranslationReview,
+} from '../services/translationReviewApi.js';
+
+const FIELD_LABELS = {
+  translatedText: 'Message',
+  translatedDiagnosis: 'Diagnosis',
+  translatedPrescription: 'Prescription',
+};
+
+function AdminTranslationReviews() {
+  const [reviews, setReviews] = useState([]);
+  const [status, setStatus] = useState('corrected');
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const getCredentials = async () => {
+    const adminId = localStorage.getItem('userId');
+    if (!adminId) throw new Error('Admin ID not found. Please log in again.');
+    const idToken = await auth.currentUser?.getIdToken(true);
+    if (!idToken) throw new Error('Authentication token not available');
+    return { adminId, idToken };
+  };
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { adminId, idToken } = await getCredentials();
+      const data = await fetchTranslationReviews(status, adminId, idToken);
+      setReviews(data.reviews || []);
+    } catch (err) {
+      console.error('AdminTranslationReviews: Error fetching reviews:', err);
+      setError(`Error fetching translation reviews: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleAccept = async (review, correctedText) => {
+    const errors = validateCorrection(correctedText);
+    if (errors.length > 0) {
+      setError(errors.join(' '));
+      return;
+    }
+    setLoading(true);
+    try {
+      const { adminId, idToken } = await getCredentials();
+      await acceptTranslationReview(review.id, correctedText.trim(), adminId, idToken);
+      setEditing(null);
+      await fetchReviews();
+    } catch (err) {
+      console.error('AdminTranslationReviews: Error accepting review:', err);
+      setError(`Error accepting the correction: ${err.message}`);
+      setLoading(false);
+    }
+  };
+
+  const handleReject = async (review) => {
+    if (!window.confirm('Reject this correction? The chat will show the machine translation again.')) return;
+    setLoading(true);
+    try {
+      const { adminId, idToken } = await getCredentials();
+      await rejectTranslationReview(review.id, adminId, idToken);
+      await fetchReviews();
+    } catch (err) {
+      console.error('AdminTranslationReviews: Error rejecting review:', err);
+      setError(`Error rejecting the correction: ${err.message}`);
+      setLoading(false);
+    }
+  };
+
+  const renderActions = (review) => {
+    if (editing?.id === review.id) {
+      const targetLanguage = getLanguage(review.targetLanguage);
+      return (
+        <div className="review-edit">
+          <textarea
+            value={editing.text}
+            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+            rows={3}
+            lang={targetLanguage.bcp47}
+            dir={targetLanguage.direction}
+            aria-label="Accepted translation"
+          />
+          <button onClick={() => handleAccept(review, editing.text)} className="accept-button" disabled={loading}>Accept</button>
+          <button onClick={() => setEditing(null)} className="cancel-button">Cancel</button>
+        </div>
+      );
+    }
+    if (review.status === 'accepted') return null;
+    return (
+      <>
+        <button
+          onClick={() => setEditing({ id: review.id, text: review.correctedText || review.machineText || '' })}
+          className="accept-button"
+          disabled={loading}
+        >
+          {review.correctedText ? 'Accept' : 'Correct'}
+        </button>
+        {review.status === 'corrected' && (
+          <button onClick={() => handleReject(review)} className="reject-button" disabled={loading}>Reject</button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="table-container">
+      <p className="reviews-help">
+        Translations flagged in chats and doctors&apos; corrections. Accepted corrections are reused whenever the same
+        phrase is translated again; rejecting one puts the machine translation back in the chat.
+      </p>
+      <div className="table-header">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Review status">
+          {Object.entries(REVIEW_STATUSES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+          <option value="">All</option>
+        </select>
+      </div>
+      {error && <p className="error-message">{error}</p>}
+
+      {loading && !editing ? (
+        <p className="loading-message">Loading translation reviews...</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Original</th>
+              <th>Machine translation</th>
+              <th>Correction</th>
+              <th>Flag reason</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reviews.map((review) => (
+              <tr key={review.id}>
+                <td>
+                  {FIELD_LABELS[review.field] || review.field}
+                  <br />
+                  <small>
+                    {getLanguage(review.sourceLanguage).name} → {getLanguage(review.targetLanguage).name}
+                  </small>
+                </td>
+                <td>{review.sourceText}</td>
+                <td lang={getLanguage(review.targetLanguage).bcp47}>{review.machineText || 'N/A'}</td>
+                <td lang={getLanguage(review.targetLanguage).bcp47}>
+                  {review.correctedText || 'N/A'}
+                  {review.correctedByRole && <small> ({review.correctedByRole})</small>}
+                </td>
+                <td>{review.reason || (review.flaggedBy ? 'No reason given' : 'N/A')}</td>
+                <td>{renderActions(review)}</td>
+              </tr>
+            ))}
+            {reviews.length === 0 && (
+              <tr>
+                <td colSpan="6">No translation reviews with this status.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+
+      <style>{`
+        .table-container {
+          width: 100%;
+          overflow-x: auto;
+          padding: 20px;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .reviews-help {
+          margin-bottom: 15px;
+          line-height: 1.5;
+        }
+
+        .table-header {
+          display: flex;
+          gap: 10px;
+          margin-bottom: 10px;
+        }
+
+        .table-header select {
+          padding: 8px;
+          border-radius: 4px;
+          border: 1px solid #ccc;
+        }
+
+        .review-edit {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          min-width: 220px;
+        }
+
+        .review-edit textarea {
+          padding: 8px;
+          border-radius: 4px;
+          border: 1px solid #ccc;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .accept-button {
+          background-color: #6e48aa;
+          color: #ffffff;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-family: 'Poppins', sans-serif;
+          margin-right: 6px;
+        }
+
+        .reject-button {
+          background-color: #e74c3c;
+          color: #ffffff;
+          border: none;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-family: 'Poppins', sans-serif;
+        }
+
+        .accept-button:disabled,
+        .reject-button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .cancel-button {
+          background: transparent;
+          color: #6e48aa;
+          border: 1px solid #6e48aa;
+          padding: 8px 16px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .error-message {
+          color: #e74c3c;
+          font-size: 1rem;
+          margin-bottom: 20px;
+          text-align: center;
+          padding: 10px;
+          background-color: #ffebee;
+          border-radius: 4px;
+        }
+
+        .loading-message {
+          color: #6e48aa;
+          font-size: 1rem;
+          text-align: center;
+          margin-bottom: 20px;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          background: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        th, td {
+          padding: 15px;
+          text-align: left;
+          font-size: 1rem;
+          color: #333;
+          vertical-align: top;
+        }
+
+        th {
+          background: #6e48aa;
+          color: #ffffff;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default AdminTranslationReviews;
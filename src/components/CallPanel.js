@@ -0,0 +1,347 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { getIceServers, sendCallRequest, onCallSignal } from '../services/webrtc.js';
+import { RING_TIMEOUT_SECONDS, formatCallDuration } from '../services/calls.js';
+import { INTERIM_CAPTION_INTERVAL_MS, getRecognitionLanguage, mergeCaption } from '../services/captions.js';
+import { isStreamingRecognitionSupported, startStreamingRecognition } from '../services/speech.js';
+import { auth } from '../services/firebase.js';
+import './CallPanel.css';
+
+// Start-call buttons plus the ringing / in-call overlay for one patient–doctor chat.
+// Signaling goes through api/calls; the chat screen forwards 'call-signal' events via webrtc.js.
+// Render it keyed by the chat so switching chats hangs up.
+function CallPanel({ patientId, doctorId, role, userId, peerName, onError }) {
+  const [status, setStatus] = useState('idle'); // idle | outgoing | incoming | connecting | active
+  const [incoming, setIncoming] = useState(null);
+  const [isVideo, setIsVideo] = useState(false);
+  const [connectedAt, setConnectedAt] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [muted, setMuted] = useState(false);
+  const [cameraOff, setCameraOff] = useState(false);
+  const [languages, setLanguages] = useState(null);
+  const [captionsOn, setCaptionsOn] = useState(true);
+  const [captions, setCaptions] = useState([]);
+  const statusRef = useRef('idle');
+  const pcRef = useRef(null);
+  const localStreamRef = useRef(null);
+  const callRef = useRef(null);
+  const pendingCandidatesRef = useRef([]);
+  const ringTimeoutRef = useRef(null);
+  const localVideoRef = useRef(null);
+  const remoteVideoRef = useRef(null);
+  const handleSignalRef = useRef(null);
+  const endCallRef = useRef(null);
+
+  const updateStatus = useCallback((next) => {
+    statusRef.current = next;
+    setStatus(next);
+  }, []);
+
+  const post = useCallback(async (action, body) => {
+    const idToken = await auth.currentUser.getIdToken(true);
+    return sendCallRequest(action, body, userId, idToken);
+  }, [userId]);
+
+  const cleanup = useCallback(() => {
+    clearTimeout(ringTimeoutRef.current);
+    if (pcRef.current) {
+      pcRef.current.onconnectionstatechange = null;
+      pcRef.current.close();
+      pcRef.current = null;
+    }
+    if (localStreamRef.current) {
+      localStreamRef.current.getTracks().forEach((track) => track.stop());
+      localStreamRef.current = null;
+    }
+    callRef.current = null;
+    pendingCandidatesRef.current = [];
+    setIncoming(null);
+    setConnectedAt(null);
+    setMuted(false);
+    setCameraOff(false);
+    setLanguages(null);
+    setCaptions([]);
+    updateStatus('idle');
+  }, [updateStatus]);
+
+  // Hangs up locally and tells the server, which records the outcome in the chat
+  const endCall = useCallback(() => {
+    const call = callRef.current;
+    cleanup();
+    if (call) {
+      post('end', { callId: call.callId }).catch((err) => console.error('CallPanel: Failed to end call:', err.message));
+    }
+  }, [cleanup, post]);
+  endCallRef.current = endCall;
+
+  const getMedia = async (video) => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video });
+    localStreamRef.current = stream;
+    setIsVideo(video);
+    if (localVideoRef.current) localVideoRef.current.srcObject = stream;
+    return stream;
+  };
+
+  const createPeer = useCallback((callId) => {
+    const pc = new RTCPeerConnection({ iceServers: getIceServers() });
+    pc.onicecandidate = ({ candidate }) => {
+      if (!candidate) return;
+      post('signal', { callId, type: 'candidate', payload: candidate.toJSON() })
+        .catch((err) => console.error('CallPanel: Failed to send ICE candidate:', err.message));
+    };
+    pc.ontrack = ({ streams }) => {
+      if (remoteVideoRef.current) remoteVideoRef.current.srcObject = streams[0];
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'connected' && statusRef.current !== 'active') {
+        updateStatus('active');
+        setConnectedAt(Date.now());
+      } else if (pc.connectionState === 'failed') {
+        onError('The call connection failed. Check your network (or the TURN server) and try again.');
+        endCall();
+      }
+    };
+    localStreamRef.current.getTracks().forEach((track) => pc.addTrack(track, localStreamRef.current));
+    pcRef.current = pc;
+    return pc;
+  }, [post, updateStatus, onError, endCall]);
+
+  // Candidates can arrive before the remote description they belong to
+  const flushCandidates = async (pc) => {
+    const pending = pendingCandidatesRef.current;
+    pendingCandidatesRef.current = [];
+    for (const candidate of pending) {
+      await pc.addIceCandidate(candidate);
+    }
+  };
+
+  const startCall = async (video) => {
+    if (statusRef.current !== 'idle') return;
+    updateStatus('outgoing');
+    try {
+      await getMedia(video);
+      const { callId } = await post('start', { patientId, doctorId, video });
+      callRef.current = { callId, video, isCaller: true };
+      ringTimeoutRef.current = setTimeout(() => {
+        onError(`${peerName} did not answer.`);
+        endCall();
+      }, RING_TIMEOUT_SECONDS * 1000);
+    } catch (err) {
+      console.error('CallPanel: Failed to start call:', err.message);
+      onError(`Could not start the call: ${err.message}`);
+      cleanup();
+    }
+  };
+
+  const acceptCall = async () => {
+    if (!incoming) return;
+    const { callId, video } = incoming;
+    setIncoming(null);
+    updateStatus('connecting');
+    try {
+      await getMedia(video);
+      callRef.current = { callId, video, isCaller: false };
+      createPeer(callId);
+      const { call } = await post('accept', { callId });
+      setLanguages(call.languages || null);
+    } catch (err) {
+      console.error('CallPanel: Failed to accept call:', err.message);
+      onError(`Could not join the call: ${err.message}`);
+      endCall();
+    }
+  };
+
+  const declineCall = () => {
+    if (!incoming) return;
+    post('end', { callId: incoming.callId }).catch((err) => console.error('CallPanel: Failed to decline call:', err.message));
+    setIncoming(null);
+    updateStatus('idle');
+  };
+
+  handleSignalRef.current = async (signal) => {
+    if (signal.from === role) return; // Pusher echoes our own signals back
+    const call = callRef.current;
+    const ours = call && call.callId === signal.callId;
+
+    try {
+      if (signal.type === 'ring') {
+        if (statusRef.current === 'idle') {
+          setIncoming({ callId: signal.callId, video: Boolean(signal.video) });
+          updateStatus('incoming');
+        }
+      } else if (signal.type === 'accept' && ours && call.isCaller) {
+        clearTimeout(ringTimeoutRef.current);
+        updateStatus('connecting');
+        setLanguages(signal.languages || null);
+        const pc = createPeer(call.callId);
+        const offer = await pc.createOffer();
+        await pc.setLocalDescription(offer);
+        await post('signal', { callId: call.callId, type: 'offer', payload: { type: offer.type, sdp: offer.sdp } });
+      } else if (signal.type === 'offer' && ours && pcRef.current) {
+        const pc = pcRef.current;
+        await pc.setRemoteDescription(signal.payload);
+        await flushCandidates(pc);
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+        await post('signal', { callId: call.callId, type: 'answer', payload: { type: answer.type, sdp: answer.sdp } });
+      } else if (signal.type === 'answer' && ours && pcRef.current) {
+        await pcRef.current.setRemoteDescription(signal.payload);
+        await flushCandidates(pcRef.current);
+      } else if (signal.type === 'candidate' && ours) {
+        if (pcRef.current?.remoteDescription) {
+          await pcRef.current.addIceCandidate(signal.payload);
+        } else {
+          pendingCandidatesRef.current.push(signal.payload);
+        }
+      } else if (signal.type === 'caption' && ours) {
+        setCaptions((prev) => mergeCaption(prev, {
+          from: signal.from,
+          segmentId: signal.segmentId,
+          text: signal.translatedText || signal.text,
+          final: signal.final,
+        }));
+      } else if (signal.type === 'end') {
+        if (ours) {
+          cleanup();
+          onError(signal.status === 'declined' ? `${peerName} declined the call.` : 'The call has ended.');
+        } else if (statusRef.current === 'incoming') {
+          setIncoming((current) => {
+            if (current?.callId !== signal.callId) return current;
+            updateStatus('idle');
+            return null;
+          });
+        }
+      }
+    } catch (err) {
+      console.error(`CallPanel: Error handling ${signal.type} signal:`, err.message);
+      onError(`Call error: ${err.message}`);
+      if (ours) endCall();
+    }
+  };
+
+  useEffect(() => onCallSignal((signal) => handleSignalRef.current(signal)), []);
+
+  // Leaving the chat hangs up
+  useEffect(() => () => endCallRef.current(), []);
+
+  // Live captions: recognize our own speech, show it straight away and send it through
+  // api/calls, which translates it for the other side and saves finalized segments to the chat
+  useEffect(() => {
+    if (status !== 'active' || !captionsOn || !languages || !isStreamingRecognitionSupported()) return undefined;
+    const callId = callRef.current?.callId;
+    const session = Date.now();
+    let lastInterimAt = 0;
+
+    return startStreamingRecognition(
+      getRecognitionLanguage(languages[role]),
+      ({ segmentId, text, final }) => {
+        const caption = { from: role, segmentId: `${session}-${segmentId}`, text, final };
+        setCaptions((prev) => mergeCaption(prev, caption));
+        if (!final && Date.now() - lastInterimAt < INTERIM_CAPTION_INTERVAL_MS) return;
+        lastInterimAt = final ? 0 : Date.now();
+        post('caption', { callId, segmentId: caption.segmentId, text, final })
+          .catch((err) => console.error('CallPanel: Failed to send caption:', err.message));
+      },
+      (err) => onError(`Live captions stopped: ${err.message}`)
+    );
+  }, [status, captionsOn, languages, role, post, onError]);
+
+  useEffect(() => {
+    if (!connectedAt) {
+      setElapsed(0);
+      return;
+    }
+    const timer = setInterval(() => setElapsed(Math.round((Date.now() - connectedAt) / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [connectedAt]);
+
+  const toggleMute = () => {
+    localStreamRef.current?.getAudioTracks().forEach((track) => { track.enabled = muted; });
+    setMuted(!muted);
+  };
+
+  const toggleCamera = () => {
+    localStreamRef.current?.getVideoTracks().forEach((track) => { track.enabled = cameraOff; });
+    setCameraOff(!cameraOff);
+  };
+
+  const inCall = ['outgoing', 'connecting', 'active'].includes(status);
+
+  return (
+    <>
+      <div className="call-buttons">
+        <button
+          onClick={() => startCall(false)}
+          disabled={status !== 'idle' || !patientId || !doctorId}
+          className="call-button"
+          aria-label={`Start audio call with ${peerName}`}
+        >
+          📞 Call
+        </button>
+        <button
+          onClick={() => startCall(true)}
+          disabled={status !== 'idle' || !patientId || !doctorId}
+          className="call-button"
+          aria-label={`Start video call with ${peerName}`}
+        >
+          🎥 Video
+        </button>
+      </div>
+
+      {status === 'incoming' && incoming && (
+        <div className="call-overlay" role="alertdialog" aria-label="Incoming call">
+          <div className="call-card">
+            <p>Incoming {incoming.video ? 'video' : 'audio'} call from {peerName}</p>
+            <div className="call-controls">
+              <button onClick={acceptCall} className="call-accept">Accept</button>
+              <button onClick={declineCall} className="call-hangup">Decline</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {inCall && (
+        <div className="call-overlay" role="dialog" aria-label={`Call with ${peerName}`}>
+          <div className={`call-card ${isVideo ? 'call-card-video' : ''}`}>
+            <video ref={remoteVideoRef} autoPlay playsInline className={isVideo ? 'call-remote-video' : 'call-hidden-media'} />
+            {isVideo && <video ref={localVideoRef} autoPlay playsInline muted className="call-local-video" />}
+            <p className="call-status">
+              {status === 'outgoing' && `Calling ${peerName}...`}
+              {status === 'connecting' && 'Connecting...'}
+              {status === 'active' && `${peerName} · ${formatCallDuration(elapsed)}`}
+            </p>
+            {status === 'active' && captionsOn && (
+              <div className="call-captions" aria-live="polite">
+                {!isStreamingRecognitionSupported() && (
+                  <p className="call-caption-note">Your browser can't caption your speech, but you will see {peerName}'s captions.</p>
+                )}
+                {captions.map((line) => (
+                  <p key={`${line.from}-${line.segmentId}`} className={line.final ? '' : 'call-caption-interim'}>
+                    <strong>{line.from === role ? 'You' : peerName}:</strong> {line.text}
+                  </p>
+                ))}
+              </div>
+            )}
+            <div className="call-controls">
+              <button onClick={toggleMute} className="call-toggle" aria-pressed={muted}>
+                {muted ? 'Unmute' : 'Mute'}
+              </button>
+              <button onClick={() => setCaptionsOn(!captionsOn)} className="call-toggle" aria-pressed={captionsOn}>
+                {captionsOn ? 'Captions Off' : 'Captions On'}
+              </button>
+              {isVideo && (
+                <button onClick={toggleCamera} className="call-toggle" aria-pressed={cameraOff}>
+                  {cameraOff ? 'Camera On' : 'Camera Off'}
+                </button>
+              )}
+              <button onClick={endCall} className="call-hangup">
+                {status === 'outgoing' ? 'Cancel' : 'Hang Up'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default CallPanel;
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchCaregiverLinks,
+  requestCaregiverLink,
+  respondToCaregiverLink,
+  fetchPatientOverview,
+  confirmDoseForPatient,
+} from '../services/caregivers.js';
+import { registerForCaregiverPush } from '../services/pushNotifications.js';
+import { OPEN_STATUSES } from '../services/reminders.js';
+import { auth } from '../services/firebase.js';
+import './CaregiverDashboard.css';
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true });
+
+function CaregiverDashboard({ user, handleLogout }) {
+  const [links, setLinks] = useState([]);
+  const [selectedPatientId, setSelectedPatientId] = useState(null);
+  const [overview, setOverview] = useState(null);
+  const [linkForm, setLinkForm] = useState({ patientId: '', relationship: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const userId = user?.uid || '';
+
+  const getIdToken = useCallback(async () => {
+    if (!auth.currentUser) throw new Error('Not signed in');
+    return auth.currentUser.getIdToken(true);
+  }, []);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      const idToken = await getIdToken();
+      const result = await fetchCaregiverLinks(userId, idToken);
+      setLinks(result.links || []);
+    } catch (err) {
+      console.error('CaregiverDashboard: Error loading links:', err.message);
+      setError(`Failed to load linked patients: ${err.message}`);
+    }
+  }, [userId, getIdToken]);
+
+  const loadOverview = useCallback(async (patientId) => {
+    setLoading(true);
+    try {
+      const idToken = await getIdToken();
+      setOverview(await fetchPatientOverview(patientId, userId, idToken));
+    } catch (err) {
+      console.error('CaregiverDashboard: Error loading patient overview:', err.message);
+      setError(`Failed to load patient: ${err.message}`);
+      setOverview(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, getIdToken]);
+
+  useEffect(() => {
+    if (!userId) return;
+    loadLinks();
+
+    // Missed-dose escalations reach caregivers as pushes
+    getIdToken()
+      .then((idToken) => registerForCaregiverPush(userId, idToken))
+      .then((result) => {
+        if (!result.success) console.warn('CaregiverDashboard: Push registration skipped:', result.message);
+      })
+      .catch((err) => console.warn('CaregiverDashboard: Push registration failed:', err.message));
+  }, [userId, loadLinks, getIdToken]);
+
+  useEffect(() => {
+    if (selectedPatientId) loadOverview(selectedPatientId);
+  }, [selectedPatientId, loadOverview]);
+
+  const handleRequestLink = async (e) => {
+    e.preventDefault();
+    if (!linkForm.patientId.trim()) {
+      setError('Enter the patient ID shared with you.');
+      return;
+    }
+    try {
+      const idToken = await getIdToken();
+      await requestCaregiverLink(linkForm.patientId.trim(), linkForm.relationship, userId, idToken);
+      setLinkForm({ patientId: '', relationship: '' });
+      setError('Request sent. The patient must approve it from their Caregivers menu.');
+      loadLinks();
+    } catch (err) {
+      setError(`Failed to send request: ${err.message}`);
+    }
+  };
+
+  const handleRemoveLink = async (link) => {
+    if (!window.confirm('Remove this patient from your list?')) return;
+    try {
+      const idToken = await getIdToken();
+      await respondToCaregiverLink({ patientId: link.patientId, caregiverId: link.caregiverId, approve: false }, userId, idToken);
+      if (selectedPatientId === link.patientId) {
+        setSelectedPatientId(null);
+        setOverview(null);
+      }
+      loadLinks();
+    } catch (err) {
+      setError(`Failed to remove link: ${err.message}`);
+    }
+  };
+
+  const handleConfirmDose = async (reminder) => {
+    try {
+      const idToken = await getIdToken();
+      await confirmDoseForPatient(selectedPatientId, reminder.id, userId, idToken);
+      loadOverview(selectedPatientId);
+    } catch (err) {
+      setError(`Failed to confirm dose: ${err.message}`);
+    }
+  };
+
+  const now = new Date();
+  const dueReminders = (overview?.reminders || []).filter(
+    (reminder) => OPEN_STATUSES.includes(reminder.status) && new Date(reminder.scheduledTime) <= now
+  );
+  const recentReminders = (overview?.reminders || [])
+    .filter((reminder) => !OPEN_STATUSES.includes(reminder.status))
+    .slice(-10)
+    .reverse();
+
+  return (
+    <div className="caregiver-dashboard">
+      <header className="caregiver-header">
+        <h2>Caregiver Dashboard</h2>
+        <span>{user?.name || user?.email}</span>
+        <button onClick={handleLogout} className="logout-button">
+          Logout
+        </button>
+      </header>
+
+      {error && (
+        <div className="caregiver-message">
+          <span>{error}</span>
+          <button onClick={() => setError('')} aria-label="Dismiss message">×</button>
+        </div>
+      )}
+
+      <div className="caregiver-layout">
+        <aside className="caregiver-patients">
+          <h3>Patients</h3>
+          {links.length === 0 ? (
+            <p className="caregiver-empty">No linked patients yet.</p>
+          ) : (
+            <ul>
+              {links.map((link) => (
+                <li key={link.id} className={selectedPatientId === link.patientId ? 'active' : ''}>
+                  <button
+                    onClick={() => link.status === 'active' && setSelectedPatientId(link.patientId)}
+                    disabled={link.status !== 'active'}
+                    className="caregiver-patient-button"
+                  >
+                    {link.patientName || link.patientId}
+                    <small>{link.status === 'active' ? link.relationship || 'Linked' : 'Awaiting approval'}</small>
+                  </button>
+                  <button onClick={() => handleRemoveLink(link)} className="caregiver-remove-button" aria-label="Remove link">
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form onSubmit={handleRequestLink} className="caregiver-link-form">
+            <h4>Link a patient</h4>
+            <input
+              type="text"
+              placeholder="Patient ID"
+              value={linkForm.patientId}
+              onChange={(e) => setLinkForm({ ...linkForm, patientId: e.target.value })}
+            />
+            <input
+              type="text"
+              placeholder="Relationship (e.g. daughter)"
+              value={linkForm.relationship}
+              onChange={(e) => setLinkForm({ ...linkForm, relationship: e.target.value })}
+            />
+            <button type="submit">Send Request</button>
+          </form>
+        </aside>
+
+        <main className="caregiver-main">
+          {!selectedPatientId ? (
+            <p className="caregiver-empty">Select a linked patient to see their medication.</p>
+          ) : loading && !overview ? (
+            <p className="caregiver-empty">Loading...</p>
+          ) : overview ? (
+            <>
+              <section>
+                <h3>Adherence</h3>
+                <div className="caregiver-stats">
+                  <div>
+                    <strong>{formatRate(overview.adherence.overall.rate)}</strong>
+                    <span>{overview.adherence.overall.taken} taken, {overview.adherence.overall.missed} missed</span>
+                  </div>
+                  <div>
+                    <strong>{overview.adherence.streaks.current}</strong>
+                    <span>day streak (best {overview.adherence.streaks.longest})</span>
+                  </div>
+                </div>
+                {overview.adherence.byMedication.length > 0 && (
+                  <table className="caregiver-table">
+                    <thead>
+                      <tr><th>Medicine</th><th>Taken</th><th>Missed</th><th>Rate</th></tr>
+                    </thead>
+                    <tbody>
+                      {overview.adherence.byMedication.map((row) => (
+                        <tr key={row.medicine}>
+                          <td>{row.medicine}</td>
+                          <td>{row.taken}</td>
+                          <td>{row.missed}</td>
+                          <td>{formatRate(row.rate)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+
+              {overview.alerts.length > 0 && (
+                <section>
+                  <h3>Missed-Dose Alerts</h3>
+                  {overview.alerts.slice(0, 5).map((alert) => (
+                    <p key={alert.id} className="caregiver-alert">{alert.message}</p>
+                  ))}
+                </section>
+              )}
+
+              <section>
+                <h3>Due Now</h3>
+                {dueReminders.length === 0 ? (
+                  <p className="caregiver-empty">Nothing waiting to be confirmed.</p>
+                ) : (
+                  <table className="caregiver-table">
+                    <thead>
+                      <tr><th>Medicine</th><th>Dosage</th><th>Scheduled</th><th /></tr>
+                    </thead>
+                    <tbody>
+                      {dueReminders.map((reminder) => (
+                        <tr key={reminder.id}>
+                          <td>{reminder.medicine}</td>
+                          <td>{reminder.dosage}{reminder.withFood ? ' (with food)' : ''}</td>
+                          <td>{formatTime(reminder.scheduledTime)}</td>
+                          <td>
+                            <button onClick={() => handleConfirmDose(reminder)} className="caregiver-confirm-button">
+                              Confirm Taken
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+
+              <section>
+                <h3>Recent Doses</h3>
+                {recentReminders.length === 0 ? (
+                  <p className="caregiver-empty">No doses recorded yet.</p>
+                ) : (
+                  <table className="caregiver-table">
+                    <thead>
+                      <tr><th>Medicine</th><th>Scheduled</th><th>Status</th><th>Confirmed By</th></tr>
+                    </thead>
+                    <tbody>
+                      {recentReminders.map((reminder) => (
+                        <tr key={reminder.id}>
+                          <td>{reminder.medicine}</td>
+                          <td>{formatTime(reminder.scheduledTime)}</td>
+                          <td className={`status-${reminder.status}`}>{reminder.status}</td>
+                          <td>
+                            {reminder.confirmedBy?.role === 'caregiver'
+                              ? reminder.confirmedBy.name || 'Caregiver'
+                              : reminder.status === 'taken' ? 'Patient' : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+            </>
+          ) : null}
+        </main>
+      </div>
+    </div>
+  );
+}
+
+export default CaregiverDashboard;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { WEEKDAYS, SLOT_LENGTHS, validateAvailability } from '../services/appointments.js';
+import { DEFAULT_TIME_ZONE } from '../services/reminders.js';
+import { fetchAvailability, saveAvailability } from '../services/appointmentsApi.js';
+import { auth } from '../services/firebase.js';
+
+const emptyWeekly = () => WEEKDAYS.reduce((weekly, { key }) => ({ ...weekly, [key]: [] }), {});
+
+// Weekly consultation hours and slot length, edited from the doctor's profile
+function DoctorAvailability({ doctorId, userId }) {
+  const [availability, setAvailability] = useState({ timeZone: DEFAULT_TIME_ZONE, slotMinutes: 15, weekly: emptyWeekly() });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    if (!doctorId || !userId) return;
+
+    const loadAvailability = async () => {
+      try {
+        const idToken = await auth.currentUser.getIdToken(true);
+        const result = await fetchAvailability(doctorId, userId, idToken);
+        if (result.availability) setAvailability(result.availability);
+      } catch (err) {
+        console.error('DoctorAvailability: Fetch availability error:', err);
+        setErrors([`Failed to load availability: ${err.message}`]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAvailability();
+  }, [doctorId, userId]);
+
+  const updateRange = (day, index, field, value) => {
+    setAvailability((prev) => ({
+      ...prev,
+      weekly: {
+        ...prev.weekly,
+        [day]: prev.weekly[day].map((range, i) => (i === index ? { ...range, [field]: value } : range)),
+      },
+    }));
+  };
+
+  const addRange = (day) => {
+    setAvailability((prev) => ({
+      ...prev,
+      weekly: { ...prev.weekly, [day]: [...prev.weekly[day], { start: '09:00', end: '13:00' }] },
+    }));
+  };
+
+  const removeRange = (day, index) => {
+    setAvailability((prev) => ({
+      ...prev,
+      weekly: { ...prev.weekly, [day]: prev.weekly[day].filter((_, i) => i !== index) },
+    }));
+  };
+
+  const handleSave = async () => {
+    setMessage('');
+    const validationErrors = validateAvailability(availability);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) return;
+
+    setSaving(true);
+    try {
+      const idToken = await auth.currentUser.getIdToken(true);
+      const result = await saveAvailability(availability, userId, idToken);
+      setAvailability(result.availability);
+      setMessage('Availability saved. Patients can now book these slots.');
+    } catch (err) {
+      console.error('DoctorAvailability: Save availability error:', err);
+      setErrors([`Failed to save availability: ${err.message}`]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading availability...</div>;
+  }
+
+  return (
+    <div className="availability-editor">
+      <h3>Consultation Availability</h3>
+      {errors.length > 0 && (
+        <div className="error-message">
+          {errors.map((error) => <p key={error}>{error}</p>)}
+        </div>
+      )}
+      {message && <div className="success-message">{message}</div>}
+      <div className="availability-settings">
+        <label>
+          Slot length:
+          <select
+            value={availability.slotMinutes}
+            onChange={(e) => setAvailability((prev) => ({ ...prev, slotMinutes: Number(e.target.value) }))}
+          >
+            {SLOT_LENGTHS.map((minutes) => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Time zone:
+          <input
+            type="text"
+            value={availability.timeZone}
+            onChange={(e) => setAvailability((prev) => ({ ...prev, timeZone: e.target.value }))}
+            placeholder="e.g. Asia/Kolkata"
+          />
+        </label>
+      </div>
+      {WEEKDAYS.map(({ key, label }) => (
+        <div key={key} className="availability-day">
+          <strong>{label}</strong>
+          {availability.weekly[key].length === 0 && <span className="availability-closed">Not available</span>}
+          {availability.weekly[key].map((range, index) => (
+            <span key={index} className="availability-range">
+              <input
+                type="time"
+                value={range.start}
+                onChange={(e) => updateRange(key, index, 'start', e.target.value)}
+                aria-label={`${label} start time`}
+              />
+              to
+              <input
+                type="time"
+                value={range.end}
+                onChange={(e) => updateRange(key, index, 'end', e.target.value)}
+                aria-label={`${label} end time`}
+              />
+              <button onClick={() => removeRange(key, index)} className="cancel-button" aria-label={`Remove ${label} hours`}>
+                ×
+              </button>
+            </span>
+          ))}
+          <button onClick={() => addRange(key)} className="edit-button">
+            Add Hours
+          </button>
+        </div>
+      ))}
+      <div className="form-buttons">
+        <button onClick={handleSave} className="save-button" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Availability'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DoctorAvailability;
@@ -5,6 +5,51 @@ import { db } from '../services/firebase.js';
 import { getAuth, signOut } from 'firebase/auth';
 import Pusher from 'pusher-js';
 import { transcribeAudio, translateText, textToSpeechConvert, playAudio } from '../services/speech.js';
+import {
+  FREQUENCIES,
+  DOSE_TIMINGS,
+  ROUTES,
+  UNITS,
+  parseFrequency,
+  normalizePrescription,
+  validatePrescriptionFields,
+  formatPrescription,
+  emptyPrescription,
+} from '../services/prescription.js';
+import { fetchDrugInfo } from '../services/medicineVerify.js';
+import { normalizeHealthProfile, formatHealthSummary } from '../services/patientSafety.js';
+import { MIN_OVERRIDE_REASON_LENGTH } from '../services/drugInteractions.js';
+import { cancelAppointment, formatAppointmentTime } from '../services/appointmentsApi.js';
+import { getLanguage, getLanguageName, isDefaultLanguage, toBcp47 } from '../services/languages.js';
+import { dispatchCallSignal } from '../services/webrtc.js';
+import { mergeTranslationUpdate } from '../services/translationReview.js';
+import { toMessageId, prependMessages } from '../services/chatHistory.js';
+import {
+  MESSAGE_STATUSES,
+  CHAT_ACTIVITIES,
+  ACTIVITY_REPEAT_MS,
+  ACTIVITY_TIMEOUT_MS,
+  applyReceipt,
+  getReceiptTarget,
+  getMessageStatus,
+  isStatusAfter,
+} from '../services/messageReceipts.js';
+import { sendReceipt, createActivitySender } from '../services/messageReceiptsApi.js';
+import {
+  REVISION_ACTIONS,
+  MIN_REVISION_REASON_LENGTH,
+  isClinicalMessage,
+  isRetracted,
+  describeClinicalContent,
+  validateRevision,
+  buildRevisionNotice,
+  mergeRevision,
+} from '../services/messageRevisions.js';
+import { reviseMessage, fetchMessageVersions } from '../services/messageRevisionsApi.js';
+import AdherencePanel from './AdherencePanel.js';
+import MedicationsPanel from './MedicationsPanel.js';
+import CallPanel from './CallPanel.js';
+import TranslationFeedback from './TranslationFeedback.js';
 import './DoctorChat.css';
 
 function DoctorChat({ user, role, handleLogout, setError }) {
@@ -12,16 +57,23 @@ function DoctorChat({ user, role, handleLogout, setError }) {
   const [selectedPatientName, setSelectedPatientName] = useState('');
   const [patients, setPatients] = useState([]);
   const [messages, setMessages] = useState([]);
+  const [earlierCursor, setEarlierCursor] = useState(null);
+  const [loadingEarlier, setLoadingEarlier] = useState(false);
   const [missedDoseAlerts, setMissedDoseAlerts] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [diagnosis, setDiagnosis] = useState('');
   const [lastDiagnosis, setLastDiagnosis] = useState(null);
-  const [prescription, setPrescription] = useState({
-    medicine: '',
-    dosage: '',
-    frequency: '',
-    duration: '',
-  });
+  const [prescription, setPrescription] = useState(emptyPrescription());
+  const [customTimes, setCustomTimes] = useState('');
+  const [matchSuggestions, setMatchSuggestions] = useState(null);
+  const [drugInfo, setDrugInfo] = useState(null);
+  const [interactionWarnings, setInteractionWarnings] = useState(null);
+  const [patientHealth, setPatientHealth] = useState(null);
+  const [safetyCheck, setSafetyCheck] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [showAdherence, setShowAdherence] = useState(false);
+  const [showMedications, setShowMedications] = useState(false);
+  const [appointments, setAppointments] = useState([]);
   const [failedUpload, setFailedUpload] = useState(null);
   const [loadingMessages, setLoadingMessages] = useState(false);
   const [loadingPatients, setLoadingPatients] = useState(true);
@@ -29,15 +81,25 @@ function DoctorChat({ user, role, handleLogout, setError }) {
   const [diagnosisPrompt, setDiagnosisPrompt] = useState(null);
   const [doctorId, setDoctorId] = useState(null);
   const [recording, setRecording] = useState(false);
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const [patientActivity, setPatientActivity] = useState(null);
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === 'visible');
   const [mediaRecorder, setMediaRecorder] = useState(null);
   const [languagePreference, setLanguagePreference] = useState('en');
   const [menuOpen, setMenuOpen] = useState(false);
   const [showActionModal, setShowActionModal] = useState(false);
   const [actionType, setActionType] = useState('');
+  const [revision, setRevision] = useState(null);
+  const [revisionReason, setRevisionReason] = useState('');
+  const [messageVersions, setMessageVersions] = useState({});
   const [patientMessageTimestamps, setPatientMessageTimestamps] = useState({});
   const [acceptedPatients, setAcceptedPatients] = useState({});
   const audioRef = useRef(new Audio());
   const messagesEndRef = useRef(null);
+  const keepScrollRef = useRef(false);
+  const activityTimeoutRef = useRef(null);
+  const receiptsSentRef = useRef({});
+  const deliveredSentRef = useRef({});
   const audioChunksRef = useRef([]);
   const streamRef = useRef(null);
   const navigate = useNavigate();
@@ -45,7 +107,9 @@ function DoctorChat({ user, role, handleLogout, setError }) {
   const auth = getAuth();
   const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
 
-  const shouldNotifyAdmin = true;
+  // Doctors write in English; messages are translated into the patient's language when it differs
+  const patientLanguage = getLanguage(languagePreference);
+  const translatesForPatient = !isDefaultLanguage(languagePreference);
 
   const scrollToBottom = useCallback(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -53,6 +117,11 @@ function DoctorChat({ user, role, handleLogout, setError }) {
   }, []);
 
   useEffect(() => {
+    // Loading earlier messages keeps the reader where they are
+    if (keepScrollRef.current) {
+      keepScrollRef.current = false;
+      return;
+    }
     scrollToBottom();
   }, [messages, scrollToBottom]);
 
@@ -158,6 +227,67 @@ function DoctorChat({ user, role, handleLogout, setError }) {
     };
   }, [doctorId, selectedPatientId, setError]);
 
+  // Unread counts for the patient list. Messages that reach the chat documents while another
+  // patient is open count as delivered to the doctor.
+  useEffect(() => {
+    if (!doctorId || !user?.uid) return;
+
+    const q = query(collection(db, 'chats'), where('doctorId', '==', doctorId));
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        const counts = {};
+        snapshot.docs.forEach((chatDoc) => {
+          const chat = chatDoc.data();
+          counts[chat.patientId] = chat.unread?.doctor || 0;
+
+          const upTo = toMessageId(chat.lastSeq || 0);
+          const delivered = chat.receipts?.doctor?.delivered;
+          if (!counts[chat.patientId] || (delivered && delivered >= upTo) || deliveredSentRef.current[chat.patientId] >= upTo) return;
+          deliveredSentRef.current[chat.patientId] = upTo;
+          auth.currentUser
+            ?.getIdToken()
+            .then((idToken) => sendReceipt({ patientId: chat.patientId, doctorId, status: 'delivered', upTo }, user.uid, idToken))
+            .catch((err) => console.warn('Delivered receipt error:', err.message));
+        });
+        setUnreadCounts(counts);
+      },
+      (err) => console.error('Fetch unread counts error:', err)
+    );
+    return () => unsubscribe();
+  }, [doctorId, user?.uid, auth]);
+
+  // Upcoming bookings made from the patient's doctor list (api/appointments)
+  useEffect(() => {
+    if (!doctorId) return;
+
+    const q = query(collection(db, 'appointments'), where('doctorId', '==', doctorId));
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        const now = Date.now();
+        setAppointments(
+          snapshot.docs
+            .map((appointmentDoc) => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+            .filter((appointment) => appointment.status === 'booked' && new Date(appointment.end).getTime() > now)
+            .sort((a, b) => a.start.localeCompare(b.start))
+        );
+      },
+      (err) => console.error('Fetch appointments error:', err)
+    );
+    return () => unsubscribe();
+  }, [doctorId]);
+
+  const handleCancelAppointment = useCallback(async (appointment) => {
+    if (!window.confirm(`Cancel the appointment with ${appointment.patientName}? The patient will need to book again.`)) return;
+    try {
+      const idToken = await auth.currentUser.getIdToken(true);
+      await cancelAppointment(appointment.id, user.uid, idToken);
+    } catch (err) {
+      setError(`Failed to cancel appointment: ${err.message}`);
+    }
+  }, [auth, user?.uid, setError]);
+
   useEffect(() => {
     console.log('Fetching accepted patients for doctor:', doctorId);
     if (!doctorId) return;
@@ -183,6 +313,37 @@ function DoctorChat({ user, role, handleLogout, setError }) {
     fetchAcceptedPatients();
   }, [doctorId, setError]);
 
+  const loadEarlierMessages = async () => {
+    if (!earlierCursor || loadingEarlier) return;
+    setLoadingEarlier(true);
+    try {
+      const idToken = await getIdToken();
+      const response = await fetch(
+        `${apiBaseUrl}/chats/${selectedPatientId}/${doctorId}?before=${encodeURIComponent(earlierCursor)}`,
+        {
+          method: 'GET',
+          headers: {
+            'x-user-uid': user.uid,
+            'Authorization': `Bearer ${idToken}`,
+          },
+          credentials: 'include',
+        }
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text() || 'Failed to load earlier messages'}`);
+      }
+      const data = await response.json();
+      keepScrollRef.current = true;
+      setMessages((prev) => prependMessages(data.messages || [], prev));
+      setEarlierCursor(data.nextCursor || null);
+    } catch (err) {
+      setError(`Error loading earlier messages: ${err.message}`);
+      console.error('Load earlier messages error:', err);
+    } finally {
+      setLoadingEarlier(false);
+    }
+  };
+
   const getIdToken = async () => {
     console.log('Attempting to get ID token for user:', user?.uid);
     try {
@@ -244,6 +405,7 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         if (!isDuplicate) {
           const updatedMessages = [...prev, message].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
           if (message.sender === 'patient') {
+            setPatientActivity(null);
             setPatientMessageTimestamps((prevTimestamps) => ({
               ...prevTimestamps,
               [message.patientId]: {
@@ -262,6 +424,36 @@ function DoctorChat({ user, role, handleLogout, setError }) {
       });
     });
 
+    channel.bind('call-signal', dispatchCallSignal);
+
+    // A translation was flagged or corrected (see TranslationFeedback)
+    channel.bind('message-updated', (update) => {
+      setMessages((prev) => prev.map((msg) => mergeTranslationUpdate(msg, update)));
+    });
+
+    // A diagnosis or prescription was amended or retracted (see sendRevision)
+    channel.bind('message-revised', (update) => {
+      setMessages((prev) => prev.map((msg) => mergeRevision(msg, update)));
+      setMessageVersions((prev) => {
+        const { [update.id]: stale, ...rest } = prev;
+        return rest;
+      });
+    });
+
+    // The patient received or read the doctor's messages
+    channel.bind('message-status', (receipt) => {
+      setMessages((prev) => applyReceipt(prev, receipt));
+    });
+
+    channel.bind('chat-activity', ({ role: senderRole, activity }) => {
+      if (senderRole !== 'patient') return;
+      clearTimeout(activityTimeoutRef.current);
+      setPatientActivity(activity === 'idle' ? null : activity);
+      if (activity !== 'idle') {
+        activityTimeoutRef.current = setTimeout(() => setPatientActivity(null), ACTIVITY_TIMEOUT_MS);
+      }
+    });
+
     channel.bind('missedDoseAlert', (alert) => {
       console.log('Missed dose alert received from Pusher:', alert);
       if (alert.patientId === selectedPatientId) {
@@ -293,6 +485,7 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         console.log('Fetched messages data:', data);
         const fetchedMessages = data.messages || [];
         setMessages(fetchedMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+        setEarlierCursor(data.nextCursor || null);
 
         const patientMessages = fetchedMessages.filter((msg) => msg.sender === 'patient');
         if (patientMessages.length > 0) {
@@ -328,6 +521,7 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         const patientRef = doc(db, 'patients', selectedPatientId);
         const patientDoc = await getDoc(patientRef);
         setLanguagePreference(patientDoc.exists() ? patientDoc.data().languagePreference || 'en' : 'en');
+        setPatientHealth(patientDoc.exists() ? normalizeHealthProfile(patientDoc.data()) : null);
         console.log('Language preference fetched:', patientDoc.data()?.languagePreference || 'en');
       } catch (err) {
         const errorMsg = `Failed to fetch language preference: ${err.message}`;
@@ -390,6 +584,9 @@ function DoctorChat({ user, role, handleLogout, setError }) {
 
     return () => {
       console.log('Cleaning up Pusher subscription');
+      clearTimeout(activityTimeoutRef.current);
+      setPatientActivity(null);
+      receiptsSentRef.current = {};
       pusher.unsubscribe(channelName);
       pusher.disconnect();
       if (streamRef.current) {
@@ -399,6 +596,56 @@ function DoctorChat({ user, role, handleLogout, setError }) {
     };
   }, [selectedPatientId, user?.uid, doctorId, apiBaseUrl, setError]);
 
+  useEffect(() => {
+    const handleVisibilityChange = () => setPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Patient messages count as read while their chat is on screen, and as delivered otherwise
+  useEffect(() => {
+    if (!selectedPatientId || !doctorId || !user?.uid) return;
+    const upTo = getReceiptTarget(messages, 'doctor');
+    if (!upTo) return;
+    const status = pageVisible && diagnosisPrompt !== selectedPatientId ? 'read' : 'delivered';
+    const target = messages.find((msg) => msg.id === upTo);
+    const sent = receiptsSentRef.current;
+    if (!isStatusAfter(status, getMessageStatus(target)) || (sent[status] && sent[status] >= upTo)) return;
+
+    sent[status] = upTo;
+    auth.currentUser
+      ?.getIdToken()
+      .then((idToken) => sendReceipt({ patientId: selectedPatientId, doctorId, status, upTo }, user.uid, idToken))
+      .catch((err) => {
+        console.warn(`Failed to send ${status} receipt:`, err.message);
+        if (sent[status] === upTo) delete sent[status];
+      });
+  }, [messages, pageVisible, diagnosisPrompt, selectedPatientId, doctorId, user?.uid, auth]);
+
+  const notifyActivity = useMemo(
+    () =>
+      selectedPatientId && doctorId && user?.uid
+        ? createActivitySender({
+          patientId: selectedPatientId,
+          doctorId,
+          userId: user.uid,
+          getIdToken: () => auth.currentUser.getIdToken(),
+        })
+        : () => {},
+    [selectedPatientId, doctorId, user?.uid, auth]
+  );
+
+  // Recording is repeated for as long as it lasts; typing is sent on each keystroke
+  useEffect(() => {
+    if (!recording) return;
+    notifyActivity('recording');
+    const interval = setInterval(() => notifyActivity('recording'), ACTIVITY_REPEAT_MS);
+    return () => {
+      clearInterval(interval);
+      notifyActivity('idle');
+    };
+  }, [recording, notifyActivity]);
+
   useEffect(() => {
     console.log('Evaluating diagnosis prompt for patient:', selectedPatientId);
     if (!selectedPatientId || !patients.length) return;
@@ -498,10 +745,10 @@ function DoctorChat({ user, role, handleLogout, setError }) {
           const declineMessage = {
             sender: 'doctor',
             text: 'Sorry, I am not available at the moment. Please chat with another doctor.',
-            translatedText: languagePreference === 'kn' ? await translateText(
+            translatedText: !isDefaultLanguage(languagePreference) ? await translateText(
               'Sorry, I am not available at the moment. Please chat with another doctor.',
               'en-US',
-              'kn-IN',
+              toBcp47(languagePreference),
               user.uid,
               idToken
             ) : null,
@@ -617,7 +864,7 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         let translatedText = null;
         let audioUrl;
         let audioUrlEn;
-        let audioUrlKn = null;
+        let audioUrlTranslated = null;
 
         try {
           const idToken = await getIdToken();
@@ -635,9 +882,9 @@ function DoctorChat({ user, role, handleLogout, setError }) {
           transcribedText = transcriptionResult.transcription || 'Transcription failed';
           console.log('Transcription result:', transcribedText);
           audioUrlEn = await textToSpeechConvert(transcribedText, 'en-US', user.uid, idToken);
-          if (languagePreference === 'kn') {
-            translatedText = await translateText(transcribedText, 'en-US', 'kn-IN', user.uid, idToken);
-            audioUrlKn = await textToSpeechConvert(translatedText, 'kn-IN', user.uid, idToken);
+          if (!isDefaultLanguage(languagePreference)) {
+            translatedText = await translateText(transcribedText, 'en-US', toBcp47(languagePreference), user.uid, idToken);
+            audioUrlTranslated = await textToSpeechConvert(translatedText, toBcp47(languagePreference), user.uid, idToken);
             console.log('Translated text:', translatedText);
           }
         } catch (err) {
@@ -657,7 +904,7 @@ function DoctorChat({ user, role, handleLogout, setError }) {
           recordingLanguage: 'en-US',
           audioUrl,
           audioUrlEn,
-          audioUrlKn,
+          audioUrlTranslated,
           timestamp: new Date().toISOString(),
           doctorId,
           patientId: selectedPatientId,
@@ -721,8 +968,8 @@ function DoctorChat({ user, role, handleLogout, setError }) {
 
     try {
       const idToken = await getIdToken();
-      if (languagePreference === 'kn') {
-        translatedText = await translateText(newMessage, 'en-US', 'kn-IN', user.uid, idToken);
+      if (!isDefaultLanguage(languagePreference)) {
+        translatedText = await translateText(newMessage, 'en-US', toBcp47(languagePreference), user.uid, idToken);
       }
 
       const message = {
@@ -749,15 +996,16 @@ function DoctorChat({ user, role, handleLogout, setError }) {
       if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
       console.log('Message sent successfully:', message);
       setNewMessage('');
+      notifyActivity('idle');
     } catch (err) {
       const errorMsg = `Failed to send message: ${err.message}`;
       setError(errorMsg);
       console.error('Send message error:', err);
     }
-  }, [newMessage, selectedPatientId, user?.uid, doctorId, languagePreference, apiBaseUrl, setError]);
+  }, [newMessage, selectedPatientId, user?.uid, doctorId, languagePreference, apiBaseUrl, setError, notifyActivity]);
 
   const sendAction = useCallback(
-    async () => {
+    async ({ skipMatchCheck = false, safetyAcknowledged = false, acknowledgedReason = null } = {}) => {
       console.log('Sending action:', { actionType, diagnosis, prescription, selectedPatientId });
       if (!selectedPatientId || !doctorId) {
         const errorMsg = 'No patient selected or doctor ID missing.';
@@ -766,31 +1014,125 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         return;
       }
 
-      if (actionType === 'Diagnosis' && !diagnosis.trim()) {
+      if ((actionType === 'Diagnosis' || actionType === 'Combined') && !diagnosis.trim()) {
         const errorMsg = 'Please enter a diagnosis.';
         setError(errorMsg);
         console.error(errorMsg);
         return;
       }
 
-      if (actionType === 'Combined' && (!diagnosis.trim() || !Object.values(prescription).every((v) => v.trim()))) {
-        const errorMsg = 'Please fill all diagnosis and prescription fields.';
-        setError(errorMsg);
-        console.error(errorMsg);
-        return;
+      const includesPrescription = actionType === 'Prescription' || actionType === 'Combined';
+      const structuredPrescription = includesPrescription
+        ? normalizePrescription(
+          prescription.frequency === 'CUSTOM'
+            ? { ...prescription, times: parseFrequency(customTimes)?.times || [] }
+            : prescription
+        )
+        : null;
+      if (includesPrescription) {
+        const prescriptionErrors = validatePrescriptionFields(structuredPrescription);
+        if (prescriptionErrors.length > 0) {
+          const errorMsg = `Please fix the prescription: ${prescriptionErrors.join(' ')}`;
+          setError(errorMsg);
+          console.error(errorMsg);
+          return;
+        }
       }
 
-      if (actionType === 'Prescription' && !Object.values(prescription).every((v) => v.trim())) {
-        const errorMsg = 'Please fill all prescription fields.';
-        setError(errorMsg);
-        console.error(errorMsg);
-        return;
+      const prescriptionString = includesPrescription ? formatPrescription(structuredPrescription) : undefined;
+      const diagnosisForPrescription = actionType === 'Prescription' ? lastDiagnosis : diagnosis;
+
+      if (includesPrescription && !skipMatchCheck && diagnosisForPrescription) {
+        // Low-confidence matches go back to the doctor as "did you mean..." before anything is sent
+        try {
+          const idToken = await getIdToken();
+          const matchResponse = await fetch(`${apiBaseUrl}/prescriptions/match`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'x-user-uid': user.uid,
+              'Authorization': `Bearer ${idToken}`,
+            },
+            body: JSON.stringify({ diagnosis: diagnosisForPrescription, drug: structuredPrescription.drug }),
+            credentials: 'include',
+          });
+          if (!matchResponse.ok) throw new Error(`HTTP ${matchResponse.status}: ${await matchResponse.text()}`);
+          const match = await matchResponse.json();
+          console.log('Prescription match result:', match);
+          if (match.needsConfirmation) {
+            setMatchSuggestions(match);
+            return;
+          }
+        } catch (err) {
+          console.warn('Prescription match check failed, sending without it:', err.message);
+        }
+      }
+      setMatchSuggestions(null);
+
+      if (includesPrescription && !safetyAcknowledged) {
+        // Allergies stop the prescription outright; contraindications need a second click
+        try {
+          const idToken = await getIdToken();
+          const safetyResponse = await fetch(`${apiBaseUrl}/prescriptions/safety`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'x-user-uid': user.uid,
+              'Authorization': `Bearer ${idToken}`,
+            },
+            body: JSON.stringify({ doctorId, patientId: selectedPatientId, prescription: structuredPrescription }),
+            credentials: 'include',
+          });
+          if (!safetyResponse.ok) throw new Error(`HTTP ${safetyResponse.status}: ${await safetyResponse.text()}`);
+          const safety = await safetyResponse.json();
+          console.log('Patient safety check result:', safety);
+          setPatientHealth(safety.profile);
+          if (safety.blocked || safety.warnings.length > 0) {
+            setSafetyCheck(safety);
+            if (safety.blocked) {
+              setError(`Prescription blocked: ${safety.blocks.map((block) => block.message).join(' ')}`);
+            }
+            return;
+          }
+        } catch (err) {
+          // Nothing is sent unchecked; the server repeats the allergy check when storing the record anyway
+          const errorMsg = `Could not check the prescription against the patient's allergies: ${err.message}`;
+          setError(errorMsg);
+          console.error(errorMsg);
+          return;
+        }
       }
+      setSafetyCheck(null);
 
-      const prescriptionString =
-        actionType === 'Combined' || actionType === 'Prescription'
-          ? `${prescription.medicine}, ${prescription.dosage}, ${prescription.frequency}, ${prescription.duration} days`
-          : undefined;
+      if (includesPrescription && !acknowledgedReason) {
+        // Interactions and duplicates against what other doctors prescribed must be acknowledged first
+        try {
+          const idToken = await getIdToken();
+          const interactionResponse = await fetch(`${apiBaseUrl}/prescriptions/interactions`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'x-user-uid': user.uid,
+              'Authorization': `Bearer ${idToken}`,
+            },
+            body: JSON.stringify({ doctorId, patientId: selectedPatientId, prescription: structuredPrescription }),
+            credentials: 'include',
+          });
+          if (!interactionResponse.ok) throw new Error(`HTTP ${interactionResponse.status}: ${await interactionResponse.text()}`);
+          const { warnings } = await interactionResponse.json();
+          console.log('Interaction check result:', warnings);
+          if (warnings.length > 0) {
+            setInteractionWarnings(warnings);
+            return;
+          }
+        } catch (err) {
+          const errorMsg = `Could not check the prescription for interactions: ${err.message}`;
+          setError(errorMsg);
+          console.error(errorMsg);
+          return;
+        }
+      }
+      setInteractionWarnings(null);
 
       const tempMessageId = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
       let translatedDiagnosis = null;
@@ -798,43 +1140,22 @@ function DoctorChat({ user, role, handleLogout, setError }) {
 
       try {
         const idToken = await getIdToken();
-        if (languagePreference === 'kn') {
-          translatedDiagnosis = actionType === 'Diagnosis' || actionType === 'Combined' ? await translateText(diagnosis, 'en-US', 'kn-IN', user.uid, idToken) : null;
-          translatedPrescription = (actionType === 'Prescription' || actionType === 'Combined') ? await translateText(prescriptionString, 'en-US', 'kn-IN', user.uid, idToken) : null;
+        if (!isDefaultLanguage(languagePreference)) {
+          const target = toBcp47(languagePreference);
+          translatedDiagnosis = actionType === 'Diagnosis' || actionType === 'Combined' ? await translateText(diagnosis, 'en-US', target, user.uid, idToken) : null;
+          translatedPrescription = includesPrescription ? await translateText(prescriptionString, 'en-US', target, user.uid, idToken) : null;
         }
 
-        const message = {
-          sender: 'doctor',
-          ...(actionType === 'Diagnosis' || actionType === 'Combined' ? { diagnosis } : {}),
-          ...(actionType === 'Prescription' || actionType === 'Combined' ? { prescription: { ...prescription } } : {}),
-          ...(actionType === 'Prescription' && lastDiagnosis ? { diagnosis: lastDiagnosis } : {}),
-          ...(languagePreference === 'kn' ? { translatedDiagnosis, translatedPrescription } : {}),
-          timestamp: new Date().toISOString(),
-          doctorId,
-          patientId: selectedPatientId,
-          tempMessageId,
-        };
-
-        console.log('Sending chat action to API');
-        const chatResponse = await fetch(`${apiBaseUrl}/chats/${selectedPatientId}/${doctorId}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-user-uid': user.uid,
-            'Authorization': `Bearer ${idToken}`,
-          },
-          body: JSON.stringify({ message, append: true }),
-          credentials: 'include',
-        });
-        if (!chatResponse.ok) throw new Error(`HTTP ${chatResponse.status}: ${await chatResponse.text()}`);
-
-        console.log('Chat action sent successfully');
-
+        // The server posts the chat message once the record is stored, never before
         const recordData = {
           doctorId,
           patientId: selectedPatientId,
           ...(actionType === 'Diagnosis' || actionType === 'Combined' ? { diagnosis } : { diagnosis: lastDiagnosis || null }),
-          ...(actionType === 'Prescription' || actionType === 'Combined' ? { prescription } : { prescription: null }),
+          prescription: structuredPrescription,
+          // Required by the server whenever the prescription conflicts with another one
+          ...(acknowledgedReason ? { overrideReason: acknowledgedReason } : {}),
+          ...(!isDefaultLanguage(languagePreference) ? { translatedDiagnosis, translatedPrescription } : {}),
+          tempMessageId,
         };
         const recordResponse = await fetch(`${apiBaseUrl}/doctors/records`, {
           method: 'POST',
@@ -846,48 +1167,37 @@ function DoctorChat({ user, role, handleLogout, setError }) {
           body: JSON.stringify(recordData),
           credentials: 'include',
         });
+        if (recordResponse.status === 409) {
+          // A conflict that appeared since the pre-check; the doctor must acknowledge it first
+          const { error: conflict } = await recordResponse.json();
+          setInteractionWarnings(conflict?.warnings || []);
+          setError(conflict?.message || 'Prescription conflicts with the patient\'s active prescriptions.');
+          return;
+        }
         if (!recordResponse.ok) {
           const errorText = await recordResponse.text();
           throw new Error(`HTTP ${recordResponse.status}: ${errorText}`);
         }
-        console.log('Record stored successfully:', recordData);
+        console.log('Record stored and sent to the chat:', recordData);
 
-        if (shouldNotifyAdmin) {
-          const selectedPatient = patients.find((p) => p.patientId === selectedPatientId);
-          const disease = actionType === 'Combined' || actionType === 'Diagnosis' ? diagnosis : (lastDiagnosis || 'N/A');
-          const notificationMessage = prescriptionString
-            ? `Diagnosis: ${disease}, Prescription: ${prescriptionString}`
-            : `Diagnosis: ${disease}`;
+        // The server validated the stored prescription, flagging it to the admin if it failed
+        const { validation } = await recordResponse.json();
 
-          console.log('Sending admin notification');
-          const adminResponse = await fetch(`${apiBaseUrl}/admin/notify`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-user-uid': user.uid,
-              'Authorization': `Bearer ${idToken}`,
-            },
-            body: JSON.stringify({
-              patientId: selectedPatientId,
-              patientName: selectedPatientName || 'Unknown',
-              age: selectedPatient?.age || 'N/A',
-              sex: selectedPatient?.sex || 'N/A',
-              description: notificationMessage,
-              disease: disease,
-              message: notificationMessage,
-              medicine: actionType === 'Combined' || actionType === 'Prescription' ? prescriptionString : undefined,
-              doctorId,
-            }),
-            credentials: 'include',
-          });
-          if (!adminResponse.ok) throw new Error(`HTTP ${adminResponse.status}: ${await adminResponse.text()}`);
-          console.log('Admin notification sent successfully');
-        } else {
-          console.log('Admin notification skipped due to shouldNotifyAdmin flag');
+        if (includesPrescription) {
+          console.log('Prescription validation result:', validation);
+          if (validation && !validation.valid) {
+            setError(`Prescription sent, but it was flagged for admin review: ${validation.message}`);
+          }
         }
 
         setDiagnosis('');
-        setPrescription({ medicine: '', dosage: '', frequency: '', duration: '' });
+        setPrescription(emptyPrescription());
+        setCustomTimes('');
+        setMatchSuggestions(null);
+        setDrugInfo(null);
+        setInteractionWarnings(null);
+        setOverrideReason('');
+        setSafetyCheck(null);
         setShowActionModal(false);
         setActionType('');
         console.log('Action completed successfully:', { diagnosis, prescriptionString });
@@ -897,7 +1207,142 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         console.error('Send action error:', err);
       }
     },
-    [actionType, diagnosis, lastDiagnosis, prescription, selectedPatientId, doctorId, user?.uid, selectedPatientName, patients, languagePreference, apiBaseUrl, setError]
+    [actionType, diagnosis, lastDiagnosis, prescription, customTimes, selectedPatientId, doctorId, user?.uid, languagePreference, apiBaseUrl, setError]
+  );
+
+  // Opens the action modal on a sent diagnosis or prescription, filled in with it when amending
+  const startRevision = useCallback((msg, action) => {
+    setRevision({ action, message: msg });
+    setRevisionReason('');
+    if (action === 'amend') {
+      const sentPrescription = normalizePrescription(msg.prescription);
+      setActionType(msg.diagnosis && sentPrescription ? 'Combined' : sentPrescription ? 'Prescription' : 'Diagnosis');
+      setDiagnosis(msg.diagnosis || '');
+      setPrescription(sentPrescription ? { ...emptyPrescription(), ...sentPrescription } : emptyPrescription());
+      setCustomTimes(sentPrescription?.frequency === 'CUSTOM' ? sentPrescription.times.join(' and ') : '');
+    }
+    setShowActionModal(true);
+  }, []);
+
+  const sendRevision = useCallback(async ({ acknowledgedReason = null } = {}) => {
+    if (!revision || !selectedPatientId || !doctorId) return;
+    const { action, message: original } = revision;
+    const amended =
+      action === 'amend'
+        ? {
+          ...(original.diagnosis ? { diagnosis } : {}),
+          ...(original.prescription
+            ? {
+              prescription: normalizePrescription(
+                prescription.frequency === 'CUSTOM' ? { ...prescription, times: parseFrequency(customTimes)?.times || [] } : prescription
+              ),
+            }
+            : {}),
+        }
+        : {};
+    const request = { action, reason: revisionReason, ...amended };
+    const validationError = validateRevision(original, request);
+    if (validationError) {
+      setError(validationError);
+      console.error(validationError);
+      return;
+    }
+
+    try {
+      const idToken = await auth.currentUser.getIdToken();
+      const translations = {};
+      if (!isDefaultLanguage(languagePreference)) {
+        const target = toBcp47(languagePreference);
+        if (amended.diagnosis) translations.translatedDiagnosis = await translateText(amended.diagnosis, 'en-US', target, user.uid, idToken);
+        if (amended.prescription) {
+          translations.translatedPrescription = await translateText(formatPrescription(amended.prescription), 'en-US', target, user.uid, idToken);
+        }
+        translations.translatedNotice = await translateText(buildRevisionNotice(original, request), 'en-US', target, user.uid, idToken);
+      }
+
+      const result = await reviseMessage(
+        {
+          patientId: selectedPatientId,
+          doctorId,
+          messageId: original.id,
+          ...request,
+          ...translations,
+          // Required by the server whenever the amended prescription conflicts with another one
+          ...(acknowledgedReason ? { overrideReason: acknowledgedReason } : {}),
+        },
+        user.uid,
+        idToken
+      );
+      console.log('Message revised:', result);
+      setMessages((prev) => prev.map((msg) => (msg.id === original.id ? { ...msg, ...result.message } : msg)));
+      if (result.valid === false) {
+        setError(`Amendment sent, but the prescription was flagged for admin review: ${result.validationMessage}`);
+      } else if (original.prescription) {
+        setError(
+          action === 'retract'
+            ? `Prescription retracted; ${result.remindersCancelled} upcoming reminders cancelled.`
+            : `Prescription amended; ${result.remindersScheduled} reminders rescheduled.`
+        );
+      }
+
+      setRevision(null);
+      setRevisionReason('');
+      setDiagnosis('');
+      setPrescription(emptyPrescription());
+      setCustomTimes('');
+      setInteractionWarnings(null);
+      setOverrideReason('');
+      setShowActionModal(false);
+      setActionType('');
+    } catch (err) {
+      if (err.status === 409 && err.warnings) {
+        // The amendment conflicts with the patient's other prescriptions; the doctor must acknowledge it first
+        setInteractionWarnings(err.warnings);
+        setError(err.message);
+        return;
+      }
+      const errorMsg = `Failed to ${action} the ${describeClinicalContent(original)}: ${err.message}`;
+      setError(errorMsg);
+      console.error('Revision error:', err);
+    }
+  }, [revision, revisionReason, diagnosis, prescription, customTimes, selectedPatientId, doctorId, user?.uid, languagePreference, auth, setError]);
+
+  // Shows or hides what a revised message said before
+  const toggleVersions = useCallback(
+    async (msg) => {
+      if (messageVersions[msg.id]) {
+        setMessageVersions(({ [msg.id]: shown, ...rest }) => rest);
+        return;
+      }
+      try {
+        const idToken = await auth.currentUser.getIdToken();
+        const { versions } = await fetchMessageVersions({ patientId: selectedPatientId, doctorId, messageId: msg.id }, user.uid, idToken);
+        setMessageVersions((prev) => ({ ...prev, [msg.id]: versions }));
+      } catch (err) {
+        setError(`Failed to load earlier versions: ${err.message}`);
+        console.error('Versions error:', err);
+      }
+    },
+    [messageVersions, selectedPatientId, doctorId, user?.uid, auth, setError]
+  );
+
+  // Side effects and warnings for the drug being prescribed, in English and the patient's language
+  const loadDrugInfo = useCallback(
+    async (drugName) => {
+      if (!drugName || !drugName.trim() || !user?.uid) {
+        setDrugInfo(null);
+        return;
+      }
+      try {
+        const idToken = await getIdToken();
+        const info = await fetchDrugInfo(drugName, languagePreference, user.uid, idToken);
+        setDrugInfo(info.success ? { ...info, forDrug: drugName.trim() } : null);
+      } catch (err) {
+        console.warn('Drug info lookup failed:', err.message);
+        setDrugInfo(null);
+      }
+    },
+    [languagePreference, user?.uid]
   );
 
   const readAloud = useCallback(
@@ -919,7 +1364,7 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         }
 
         const idToken = await getIdToken();
-        const normalizedLang = lang === 'kn' ? 'kn-IN' : 'en-US';
+        const normalizedLang = toBcp47(lang);
         console.log(`Generating text-to-speech for text: "${text}" in language: ${normalizedLang}`);
 
         const generatedAudioUrl = await textToSpeechConvert(text.trim(), normalizedLang, user.uid, idToken);
@@ -939,6 +1384,20 @@ function DoctorChat({ user, role, handleLogout, setError }) {
     setMissedDoseAlerts((prev) => prev.filter((alert) => alert.id !== alertId));
   }, []);
 
+  // Doctors can correct any translation in the chat they're assigned to
+  const renderTranslationFeedback = (msg, field, language) => (
+    <TranslationFeedback
+      message={msg}
+      field={field}
+      patientId={selectedPatientId}
+      doctorId={doctorId}
+      userId={user.uid}
+      canCorrect
+      language={language}
+      onError={setError}
+    />
+  );
+
   const dismissError = useCallback(() => {
     console.log('Dismissing error');
     setError('');
@@ -967,6 +1426,12 @@ function DoctorChat({ user, role, handleLogout, setError }) {
     }
   }, [auth, apiBaseUrl, user?.uid, handleLogout, navigate, setError]);
 
+  // Earliest upcoming appointment per patient (appointments are sorted by start)
+  const nextAppointments = useMemo(
+    () => appointments.reduce((next, appointment) => ({ [appointment.patientId]: appointment, ...next }), {}),
+    [appointments]
+  );
+
   const patientList = useMemo(() => (
     <ul className="patient-list">
       {patients.map((patient) => (
@@ -984,12 +1449,24 @@ function DoctorChat({ user, role, handleLogout, setError }) {
           role="button"
           aria-label={`Select patient ${patient.patientName}`}
         >
-          <span>{patient.patientName}</span>
+          <span>
+            {patient.patientName}
+            {unreadCounts[patient.patientId] > 0 && (
+              <span className="unread-badge" aria-label={`${unreadCounts[patient.patientId]} unread messages`}>
+                {unreadCounts[patient.patientId]}
+              </span>
+            )}
+          </span>
           <small>{new Date(patient.timestamp).toLocaleDateString()}</small>
+          {nextAppointments[patient.patientId] && (
+            <small className="appointment-badge">
+              Appointment: {formatAppointmentTime(nextAppointments[patient.patientId].start, nextAppointments[patient.patientId].timeZone)}
+            </small>
+          )}
         </li>
       ))}
     </ul>
-  ), [patients, selectedPatientId]);
+  ), [patients, selectedPatientId, nextAppointments, unreadCounts]);
 
   return (
     <div className="doctor-chat-container">
@@ -999,6 +1476,17 @@ function DoctorChat({ user, role, handleLogout, setError }) {
         </button>
         <h2>{selectedPatientId ? `Chat with ${selectedPatientName}` : 'Doctor Dashboard'}</h2>
         <div className="header-actions">
+          {selectedPatientId && doctorId && (
+            <CallPanel
+              key={`${selectedPatientId}-${doctorId}`}
+              patientId={selectedPatientId}
+              doctorId={doctorId}
+              role="doctor"
+              userId={user.uid}
+              peerName={selectedPatientName || 'the patient'}
+              onError={setError}
+            />
+          )}
           <button
             onClick={() => navigate(`/doctor-profile/${doctorId}`)}
             className="doctor-profile-button"
@@ -1007,6 +1495,22 @@ function DoctorChat({ user, role, handleLogout, setError }) {
           >
             Doctor Profile
           </button>
+          <button
+            onClick={() => setShowAdherence((prev) => !prev)}
+            className="patient-profile-button"
+            disabled={!selectedPatientId}
+            aria-label="Toggle adherence panel"
+          >
+            Adherence
+          </button>
+          <button
+            onClick={() => setShowMedications((prev) => !prev)}
+            className="patient-profile-button"
+            disabled={!selectedPatientId}
+            aria-label="Toggle medications panel"
+          >
+            Medications
+          </button>
           <button
             onClick={() => navigate(`/patient-profile/${selectedPatientId}`)}
             className="patient-profile-button"
@@ -1028,6 +1532,29 @@ function DoctorChat({ user, role, handleLogout, setError }) {
               ✕
             </button>
           </div>
+          {appointments.length > 0 && (
+            <>
+              <h4>Upcoming Appointments</h4>
+              <ul className="appointment-list">
+                {appointments.slice(0, 5).map((appointment) => (
+                  <li key={appointment.id} className="appointment-item">
+                    <span>
+                      {appointment.patientName}
+                      <small>{formatAppointmentTime(appointment.start, appointment.timeZone)}</small>
+                      {appointment.reason && <small>{appointment.reason}</small>}
+                    </span>
+                    <button
+                      onClick={() => handleCancelAppointment(appointment)}
+                      className="dismiss-button"
+                      aria-label={`Cancel appointment with ${appointment.patientName}`}
+                    >
+                      Cancel
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
           {loadingPatients ? (
             <p className="loading-text">Loading...</p>
           ) : patients.length === 0 ? (
@@ -1066,6 +1593,26 @@ function DoctorChat({ user, role, handleLogout, setError }) {
               </div>
             ) : (
               <div className="chat-main">
+                {showAdherence && (
+                  <AdherencePanel
+                    patientId={selectedPatientId}
+                    doctorId={doctorId}
+                    userId={user?.uid}
+                    getIdToken={getIdToken}
+                    onClose={() => setShowAdherence(false)}
+                  />
+                )}
+                {showMedications && (
+                  <MedicationsPanel
+                    key={selectedPatientId}
+                    patientId={selectedPatientId}
+                    doctorId={doctorId}
+                    userId={user?.uid}
+                    languagePreference={languagePreference}
+                    onClose={() => setShowMedications(false)}
+                    setError={setError}
+                  />
+                )}
                 {missedDoseAlerts.length > 0 && (
                   <div className="missed-dose-alerts">
                     <h3>Missed Dose Alerts</h3>
@@ -1085,143 +1632,219 @@ function DoctorChat({ user, role, handleLogout, setError }) {
                   ) : messages.length === 0 ? (
                     <p className="no-messages">No messages yet.</p>
                   ) : (
-                    messages.map((msg, index) => (
-                      <div
-                        key={`${msg.timestamp}-${index}`}
-                        className={`message ${msg.sender === 'doctor' ? 'doctor-message' : 'patient-message'}`}
-                      >
-                        <div className="message-content">
-                          {msg.sender === 'patient' && (
-                            <div className="message-block">
-                              {msg.imageUrl && (
-                                <img
-                                  src={msg.imageUrl}
-                                  alt="Patient upload"
-                                  className="chat-image"
-                                  onError={() => console.error(`Failed to load image: ${msg.imageUrl}`)}
-                                />
-                              )}
-                              <p className="primary-text">{msg.text || 'No transcription'}</p>
-                              {msg.translatedText && <p className="translated-text">English: {msg.translatedText}</p>}
-                              {msg.audioUrl && (
-                                <div className="audio-container">
-                                  <audio controls aria-label="Patient audio message">
-                                    <source src={msg.audioUrl} type="audio/webm" />
-                                    Your browser does not support the audio element.
-                                  </audio>
-                                  <div className="read-aloud-container">
-                                    <button
-                                      onClick={() => {
-                                        const textToRead = msg.recordingLanguage === 'kn-IN' ? (msg.translatedText || msg.text) : msg.text;
-                                        if (msg.recordingLanguage === 'kn-IN' && !msg.translatedText) {
-                                          console.error('Translation to English is missing for Kannada message:', msg.text);
-                                          setError('Translation to English is unavailable for this message.');
-                                          return;
-                                        }
-                                        readAloud(textToRead, 'en', msg.sender);
-                                      }}
-                                      className="read-aloud-button"
-                                    >
-                                      🔊 English
-                                    </button>
-                                  </div>
-                                  <a href={msg.audioUrl} download className="download-link">
-                                    Download Audio
-                                  </a>
-                                </div>
-                              )}
-                            </div>
-                          )}
-                          {msg.sender === 'doctor' && (
-                            <div className="message-block">
-                              {msg.text && (
-                                <>
-                                  <p className="primary-text">{msg.text}</p>
-                                  {languagePreference === 'kn' && msg.translatedText && (
-                                    <p className="translated-text">Kannada: {msg.translatedText}</p>
-                                  )}
-                                  {(msg.audioUrl || msg.audioUrlEn || msg.audioUrlKn) && (
-                                    <div className="audio-container">
-                                      <audio controls aria-label="Doctor audio message">
-                                        <source src={msg.audioUrl || msg.audioUrlEn || msg.audioUrlKn} type="audio/webm" />
-                                        Your browser does not support the audio element.
-                                      </audio>
-                                      <div className="read-aloud-container">
-                                        <button
-                                          onClick={() => readAloud(msg.text, 'en', msg.sender, msg.audioUrlEn)}
-                                          className="read-aloud-button"
-                                        >
-                                          🔊 English
-                                        </button>
-                                        {languagePreference === 'kn' && msg.translatedText && (
-                                          <button
-                                            onClick={() => readAloud(msg.translatedText, 'kn', msg.sender, msg.audioUrlKn)}
-                                            className="read-aloud-button"
-                                          >
-                                            🔊 Kannada
-                                          </button>
-                                        )}
-                                      </div>
-                                      <a href={msg.audioUrl || msg.audioUrlEn || msg.audioUrlKn} download className="download-link">
-                                        Download Audio
-                                      </a>
-                                    </div>
-                                  )}
-                                </>
-                              )}
-                              {(msg.diagnosis || msg.prescription) && (
-                                <div className="recommendation-item">
-                                  {msg.diagnosis ? (
-                                    <div>
-                                      <strong>Diagnosis:</strong> {msg.diagnosis}
+                    <>
+                      {earlierCursor && (
+                        <button onClick={loadEarlierMessages} disabled={loadingEarlier} className="load-earlier-button">
+                          {loadingEarlier ? 'Loading...' : 'Load earlier messages'}
+                        </button>
+                      )}
+                      {messages.map((msg, index) => (
+                        <div
+                          key={`${msg.timestamp}-${index}`}
+                          className={`message ${msg.sender === 'system' ? 'system-message' : msg.sender === 'doctor' ? 'doctor-message' : 'patient-message'}`}
+                        >
+                          <div className="message-content">
+                            {msg.sender === 'system' && (
+                              <div className="message-block">
+                                <p className="primary-text">{msg.text}</p>
+                                <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString()}</span>
+                              </div>
+                            )}
+                            {msg.sender === 'patient' && (
+                              <div className="message-block">
+                                {msg.imageUrl && (
+                                  <img
+                                    src={msg.imageUrl}
+                                    alt="Patient upload"
+                                    className="chat-image"
+                                    onError={() => console.error(`Failed to load image: ${msg.imageUrl}`)}
+                                  />
+                                )}
+                                <p className="primary-text">{msg.text || 'No transcription'}</p>
+                                {msg.translatedText && (
+                                  <>
+                                    <p className="translated-text">English: {msg.translatedText}</p>
+                                    {renderTranslationFeedback(msg, 'translatedText', getLanguage())}
+                                  </>
+                                )}
+                                {msg.audioUrl && (
+                                  <div className="audio-container">
+                                    <audio controls aria-label="Patient audio message">
+                                      <source src={msg.audioUrl} type="audio/webm" />
+                                      Your browser does not support the audio element.
+                                    </audio>
+                                    <div className="read-aloud-container">
                                       <button
-                                        onClick={() => readAloud(msg.diagnosis, 'en', msg.sender)}
+                                        onClick={() => {
+                                          const recordedInEnglish = isDefaultLanguage(msg.recordingLanguage);
+                                          const textToRead = recordedInEnglish ? msg.text : (msg.translatedText || msg.text);
+                                          if (!recordedInEnglish && !msg.translatedText) {
+                                            console.error(`Translation to English is missing for ${getLanguageName(msg.recordingLanguage)} message:`, msg.text);
+                                            setError('Translation to English is unavailable for this message.');
+                                            return;
+                                          }
+                                          readAloud(textToRead, 'en', msg.sender);
+                                        }}
                                         className="read-aloud-button"
                                       >
-                                        🔊
+                                        🔊 English
                                       </button>
-                                      {languagePreference === 'kn' && msg.translatedDiagnosis && (
-                                        <>
-                                          <p className="translated-text">Kannada: {msg.translatedDiagnosis}</p>
-                                          <button
-                                            onClick={() => readAloud(msg.translatedDiagnosis, 'kn', msg.sender)}
-                                            className="read-aloud-button"
-                                          >
-                                            🔊
-                                          </button>
-                                        </>
-                                      )}
                                     </div>
-                                  ) : (
-                                    <p className="missing-field">Diagnosis not provided.</p>
-                                  )}
-                                  {msg.prescription ? (
-                                    <div>
-                                      <strong>Prescription:</strong>{' '}
-                                      {`${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`}
-                                      {languagePreference === 'kn' && msg.translatedPrescription && (
-                                        <>
-                                          <p className="translated-text">Kannada: {msg.translatedPrescription}</p>
+                                    <a href={msg.audioUrl} download className="download-link">
+                                      Download Audio
+                                    </a>
+                                  </div>
+                                )}
+                              </div>
+                            )}
+                            {msg.sender === 'doctor' && (
+                              <div className="message-block">
+                                {msg.text && (
+                                  <>
+                                    <p className="primary-text">{msg.text}</p>
+                                    {translatesForPatient && msg.translatedText && (
+                                      <>
+                                        <p className="translated-text" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>
+                                          {patientLanguage.name}: {msg.translatedText}
+                                        </p>
+                                        {renderTranslationFeedback(msg, 'translatedText', patientLanguage)}
+                                      </>
+                                    )}
+                                    {(msg.audioUrl || msg.audioUrlEn || msg.audioUrlTranslated || msg.audioUrlKn) && (
+                                      <div className="audio-container">
+                                        <audio controls aria-label="Doctor audio message">
+                                          <source src={msg.audioUrl || msg.audioUrlEn || msg.audioUrlTranslated || msg.audioUrlKn} type="audio/webm" />
+                                          Your browser does not support the audio element.
+                                        </audio>
+                                        <div className="read-aloud-container">
                                           <button
-                                            onClick={() => readAloud(msg.translatedPrescription, 'kn', msg.sender)}
+                                            onClick={() => readAloud(msg.text, 'en', msg.sender, msg.audioUrlEn)}
                                             className="read-aloud-button"
                                           >
-                                            🔊
+                                            🔊 English
                                           </button>
-                                        </>
-                                      )}
-                                    </div>
-                                  ) : (
-                                    <p className="missing-field">Prescription not provided.</p>
-                                  )}
-                                </div>
-                              )}
-                              <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString()}</span>
-                            </div>
-                          )}
+                                          {translatesForPatient && msg.translatedText && (
+                                            <button
+                                              onClick={() => readAloud(msg.translatedText, patientLanguage.code, msg.sender, msg.audioUrlTranslated || msg.audioUrlKn)}
+                                              className="read-aloud-button"
+                                            >
+                                              🔊 {patientLanguage.name}
+                                            </button>
+                                          )}
+                                        </div>
+                                        <a href={msg.audioUrl || msg.audioUrlEn || msg.audioUrlTranslated || msg.audioUrlKn} download className="download-link">
+                                          Download Audio
+                                        </a>
+                                      </div>
+                                    )}
+                                  </>
+                                )}
+                                {(msg.diagnosis || msg.prescription) && (
+                                  <div className={`recommendation-item ${isRetracted(msg) ? 'retracted' : ''}`}>
+                                    {msg.diagnosis ? (
+                                      <div>
+                                        <strong>Diagnosis:</strong> {msg.diagnosis}
+                                        <button
+                                          onClick={() => readAloud(msg.diagnosis, 'en', msg.sender)}
+                                          className="read-aloud-button"
+                                        >
+                                          🔊
+                                        </button>
+                                        {translatesForPatient && msg.translatedDiagnosis && (
+                                          <>
+                                            <p className="translated-text" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>
+                                              {patientLanguage.name}: {msg.translatedDiagnosis}
+                                            </p>
+                                            <button
+                                              onClick={() => readAloud(msg.translatedDiagnosis, patientLanguage.code, msg.sender)}
+                                              className="read-aloud-button"
+                                            >
+                                              🔊
+                                            </button>
+                                            {renderTranslationFeedback(msg, 'translatedDiagnosis', patientLanguage)}
+                                          </>
+                                        )}
+                                      </div>
+                                    ) : (
+                                      <p className="missing-field">Diagnosis not provided.</p>
+                                    )}
+                                    {msg.prescription ? (
+                                      <div>
+                                        <strong>Prescription:</strong>{' '}
+                                        {formatPrescription(msg.prescription)}
+                                        {translatesForPatient && msg.translatedPrescription && (
+                                          <>
+                                            <p className="translated-text" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>
+                                              {patientLanguage.name}: {msg.translatedPrescription}
+                                            </p>
+                                            <button
+                                              onClick={() => readAloud(msg.translatedPrescription, patientLanguage.code, msg.sender)}
+                                              className="read-aloud-button"
+                                            >
+                                              🔊
+                                            </button>
+                                            {renderTranslationFeedback(msg, 'translatedPrescription', patientLanguage)}
+                                          </>
+                                        )}
+                                      </div>
+                                    ) : (
+                                      <p className="missing-field">Prescription not provided.</p>
+                                    )}
+                                    {(msg.amendedAt || msg.retractedAt) && (
+                                      <p className="revision-note">
+                                        <strong>{REVISION_ACTIONS[isRetracted(msg) ? 'retract' : 'amend']}</strong>{' '}
+                                        {new Date(msg.retractedAt || msg.amendedAt).toLocaleString()}: {msg.revisionReason}
+                                      </p>
+                                    )}
+                                    {msg.id && isClinicalMessage(msg) && (
+                                      <div className="revision-buttons">
+                                        {!isRetracted(msg) && (
+                                          <>
+                                            <button onClick={() => startRevision(msg, 'amend')} aria-label={`Amend this ${describeClinicalContent(msg)}`}>
+                                              Amend
+                                            </button>
+                                            <button onClick={() => startRevision(msg, 'retract')} aria-label={`Retract this ${describeClinicalContent(msg)}`}>
+                                              Retract
+                                            </button>
+                                          </>
+                                        )}
+                                        {msg.version > 1 && (
+                                          <button onClick={() => toggleVersions(msg)} aria-label="Show or hide earlier versions">
+                                            {messageVersions[msg.id] ? 'Hide history' : 'History'}
+                                          </button>
+                                        )}
+                                      </div>
+                                    )}
+                                    {messageVersions[msg.id] && (
+                                      <ol className="message-versions">
+                                        {messageVersions[msg.id].map((version) => (
+                                          <li key={version.version}>
+                                            {version.diagnosis && <p><strong>Diagnosis:</strong> {version.diagnosis}</p>}
+                                            {version.prescription && <p><strong>Prescription:</strong> {formatPrescription(version.prescription)}</p>}
+                                            <p className="version-reason">
+                                              {REVISION_ACTIONS[version.action]} {new Date(version.replacedAt).toLocaleString()}: {version.reason}
+                                            </p>
+                                          </li>
+                                        ))}
+                                      </ol>
+                                    )}
+                                  </div>
+                                )}
+                                {msg.id && (
+                                  <span className={`message-status ${getMessageStatus(msg)}`}>{MESSAGE_STATUSES[getMessageStatus(msg)]}</span>
+                                )}
+                                <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString()}</span>
+                              </div>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    ))
+                      ))}
+                    </>
+                  )}
+                  {patientActivity && (
+                    <p className="chat-activity">
+                      {selectedPatientName} is {CHAT_ACTIVITIES[patientActivity]}
+                    </p>
                   )}
                   <div ref={messagesEndRef} />
                 </div>
@@ -1272,7 +1895,10 @@ function DoctorChat({ user, role, handleLogout, setError }) {
                       <input
                         type="text"
                         value={newMessage}
-                        onChange={(e) => setNewMessage(e.target.value)}
+                        onChange={(e) => {
+                          setNewMessage(e.target.value);
+                          notifyActivity(e.target.value ? 'typing' : 'idle');
+                        }}
                         placeholder="Type a message (English only)..."
                         onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
                         aria-label="Type a message to the patient"
@@ -1301,67 +1927,380 @@ function DoctorChat({ user, role, handleLogout, setError }) {
       {showActionModal && (
         <div className="action-modal">
           <div className="modal-content">
-            <h3>{actionType ? `${actionType} Entry` : 'Select an Action'}</h3>
-            <div className="action-type-selection">
-              <select
-                value={actionType}
-                onChange={(e) => setActionType(e.target.value)}
-                aria-label="Select action type (Diagnosis, Prescription, or Combined)"
-              >
-                <option value="">Select an action...</option>
-                <option value="Diagnosis">Diagnosis Only</option>
-                <option value="Prescription">Prescription Only</option>
-                <option value="Combined">Diagnosis and Prescription</option>
-              </select>
-              {(actionType === 'Diagnosis' || actionType === 'Combined') && (
+            <h3>
+              {revision
+                ? `${revision.action === 'amend' ? 'Amend' : 'Retract'} ${describeClinicalContent(revision.message)}`
+                : actionType ? `${actionType} Entry` : 'Select an Action'}
+            </h3>
+            {patientHealth && (
+              <div className={`patient-health-summary ${patientHealth.allergies.length ? 'has-allergies' : ''}`}>
+                {formatHealthSummary(patientHealth)}
+              </div>
+            )}
+            {revision?.action === 'retract' && (
+              <div className="recommendation-item">
+                {revision.message.diagnosis && <p><strong>Diagnosis:</strong> {revision.message.diagnosis}</p>}
+                {revision.message.prescription && <p><strong>Prescription:</strong> {formatPrescription(revision.message.prescription)}</p>}
+                {revision.message.prescription && <p>Its upcoming reminders will be cancelled.</p>}
+              </div>
+            )}
+            {revision?.action !== 'retract' && (
+              <div className="action-type-selection">
+                <select
+                  value={actionType}
+                  onChange={(e) => setActionType(e.target.value)}
+                  disabled={!!revision}
+                  aria-label="Select action type (Diagnosis, Prescription, or Combined)"
+                >
+                  <option value="">Select an action...</option>
+                  <option value="Diagnosis">Diagnosis Only</option>
+                  <option value="Prescription">Prescription Only</option>
+                  <option value="Combined">Diagnosis and Prescription</option>
+                </select>
+                {(actionType === 'Diagnosis' || actionType === 'Combined') && (
+                  <textarea
+                    value={diagnosis}
+                    onChange={(e) => setDiagnosis(e.target.value)}
+                    placeholder="Enter diagnosis..."
+                    aria-label="Enter patient diagnosis"
+                  />
+                )}
+                {(actionType === 'Prescription' || actionType === 'Combined') && (
+                  <>
+                    {actionType === 'Prescription' && lastDiagnosis && (
+                      <div className="last-diagnosis">
+                        <strong>Last Diagnosis:</strong> {lastDiagnosis}
+                      </div>
+                    )}
+                    <input
+                      type="text"
+                      value={prescription.drug}
+                      onChange={(e) => setPrescription({ ...prescription, drug: e.target.value })}
+                      onBlur={(e) => loadDrugInfo(e.target.value)}
+                      placeholder="Drug (e.g., Paracetamol)"
+                      aria-label="Enter drug name"
+                    />
+                    {drugInfo && drugInfo.forDrug === prescription.drug.trim() && drugInfo.warnings.length > 0 && (
+                      <div className="drug-warnings" role="note">
+                        <strong>{drugInfo.drug.name}</strong>
+                        <ul>
+                          {drugInfo.warnings.map((warning, index) => (
+                            <li key={index}>
+                              {warning}
+                              {translatesForPatient && drugInfo.translatedWarnings[index] !== warning && (
+                                <span className="translated-warning" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>{drugInfo.translatedWarnings[index]}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <div className="prescription-row">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={prescription.strength}
+                        onChange={(e) => setPrescription({ ...prescription, strength: e.target.value })}
+                        placeholder="Strength (e.g., 500)"
+                        aria-label="Enter strength"
+                      />
+                      <select
+                        value={prescription.unit}
+                        onChange={(e) => setPrescription({ ...prescription, unit: e.target.value })}
+                        aria-label="Select unit"
+                      >
+                        {UNITS.map((unit) => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={prescription.route}
+                        onChange={(e) => setPrescription({ ...prescription, route: e.target.value })}
+                        aria-label="Select route"
+                      >
+                        {ROUTES.map((route) => (
+                          <option key={route} value={route}>{route}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="prescription-row">
+                      <select
+                        value={prescription.frequency}
+                        onChange={(e) =>
+                          setPrescription({
+                            ...prescription,
+                            frequency: e.target.value,
+                            times: [...FREQUENCIES[e.target.value].times],
+                            timings: [],
+                          })
+                        }
+                        aria-label="Select dosage frequency"
+                      >
+                        {Object.entries(FREQUENCIES).map(([code, { label }]) => (
+                          <option key={code} value={code}>
+                            {code === 'CUSTOM' ? label : `${code} - ${label}`}
+                          </option>
+                        ))}
+                      </select>
+                      {prescription.frequency === 'CUSTOM' && (
+                        <input
+                          type="text"
+                          value={customTimes}
+                          onChange={(e) => setCustomTimes(e.target.value)}
+                          placeholder="Times (e.g., 08:00 AM and 06:00 PM)"
+                          aria-label="Enter dose times"
+                        />
+                      )}
+                    </div>
+                    {prescription.frequency === 'ROUTINE' && (
+                      <div className="prescription-row dose-timings">
+                        {Object.entries(DOSE_TIMINGS).map(([timing, { label }]) => (
+                          <label key={timing}>
+                            <input
+                              type="checkbox"
+                              checked={(prescription.timings || []).includes(timing)}
+                              onChange={(e) =>
+                                setPrescription({
+                                  ...prescription,
+                                  timings: e.target.checked
+                                    ? [...(prescription.timings || []), timing]
+                                    : (prescription.timings || []).filter((t) => t !== timing),
+                                })
+                              }
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                    <div className="prescription-row">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={prescription.prn}
+                          onChange={(e) => setPrescription({ ...prescription, prn: e.target.checked })}
+                        />
+                        As needed (PRN)
+                      </label>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={prescription.withFood}
+                          onChange={(e) => setPrescription({ ...prescription, withFood: e.target.checked })}
+                        />
+                        Take with food
+                      </label>
+                    </div>
+                    <div className="prescription-row">
+                      <input
+                        type="date"
+                        value={prescription.startDate}
+                        onChange={(e) => setPrescription({ ...prescription, startDate: e.target.value })}
+                        aria-label="Select start date (defaults to the next day)"
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={prescription.durationDays}
+                        onChange={(e) => setPrescription({ ...prescription, durationDays: e.target.value })}
+                        placeholder="Duration in days (e.g., 5)"
+                        aria-label="Enter prescription duration in days"
+                      />
+                    </div>
+                    {prescription.taper.map((step, index) => (
+                      <div key={index} className="prescription-row taper-step">
+                        <span>Then</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={step.strength}
+                          onChange={(e) =>
+                            setPrescription({
+                              ...prescription,
+                              taper: prescription.taper.map((s, i) => (i === index ? { ...s, strength: e.target.value } : s)),
+                            })
+                          }
+                          placeholder={`Strength (${prescription.unit})`}
+                          aria-label={`Enter taper step ${index + 1} strength`}
+                        />
+                        <select
+                          value={step.frequency}
+                          onChange={(e) =>
+                            setPrescription({
+                              ...prescription,
+                              taper: prescription.taper.map((s, i) => (i === index ? { ...s, frequency: e.target.value } : s)),
+                            })
+                          }
+                          aria-label={`Select taper step ${index + 1} frequency`}
+                        >
+                          {Object.keys(FREQUENCIES)
+                            .filter((code) => FREQUENCIES[code].times.length > 0 || code === prescription.frequency)
+                            .map((code) => (
+                              <option key={code} value={code}>{code}</option>
+                            ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={step.durationDays}
+                          onChange={(e) =>
+                            setPrescription({
+                              ...prescription,
+                              taper: prescription.taper.map((s, i) => (i === index ? { ...s, durationDays: e.target.value } : s)),
+                            })
+                          }
+                          placeholder="Days"
+                          aria-label={`Enter taper step ${index + 1} duration in days`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setPrescription({ ...prescription, taper: prescription.taper.filter((_, i) => i !== index) })}
+                          className="remove-taper-button"
+                          aria-label={`Remove taper step ${index + 1}`}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setPrescription({
+                          ...prescription,
+                          taper: [...prescription.taper, { strength: '', frequency: 'QD', durationDays: '' }],
+                        })
+                      }
+                      className="add-taper-button"
+                      aria-label="Add taper step"
+                    >
+                      + Add taper step
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {revision && (
+              <textarea
+                value={revisionReason}
+                onChange={(e) => setRevisionReason(e.target.value)}
+                placeholder={`Reason for ${revision.action === 'amend' ? 'the amendment' : 'retracting it'} (shown to the patient)`}
+                aria-label="Reason for the revision"
+              />
+            )}
+            {matchSuggestions && (
+              <div className="match-suggestions">
+                <p>
+                  <strong>Did you mean…</strong> The prescription only matched our medicine list with{' '}
+                  {Math.round(matchSuggestions.confidence * 100)}% confidence.
+                </p>
+                {actionType !== 'Prescription' &&
+                  matchSuggestions.disease.suggestions.map((suggestion) => (
+                    <button
+                      key={`disease-${suggestion.name}`}
+                      onClick={() => {
+                        setDiagnosis(suggestion.name);
+                        setMatchSuggestions(null);
+                      }}
+                      className="suggestion-button"
+                      aria-label={`Use diagnosis ${suggestion.name}`}
+                    >
+                      Diagnosis: {suggestion.name} ({Math.round(suggestion.confidence * 100)}%)
+                    </button>
+                  ))}
+                {matchSuggestions.drug.suggestions.map((suggestion) => (
+                  <button
+                    key={`drug-${suggestion.name}`}
+                    onClick={() => {
+                      setPrescription({ ...prescription, drug: suggestion.name });
+                      setMatchSuggestions(null);
+                    }}
+                    className="suggestion-button"
+                    aria-label={`Use drug ${suggestion.name}`}
+                  >
+                    Drug: {suggestion.name} ({Math.round(suggestion.confidence * 100)}%)
+                  </button>
+                ))}
+                <button
+                  onClick={() => sendAction({ skipMatchCheck: true })}
+                  className="suggestion-button keep-entry"
+                  aria-label="Send prescription as entered"
+                >
+                  Send as entered
+                </button>
+              </div>
+            )}
+            {safetyCheck && (
+              <div className={`safety-check ${safetyCheck.blocked ? 'blocked' : ''}`} role="alert">
+                {safetyCheck.blocks.map((block, index) => (
+                  <p key={`block-${index}`} className="safety-block">
+                    <strong>Blocked:</strong> {block.message}
+                  </p>
+                ))}
+                {safetyCheck.warnings.length > 0 && (
+                  <ul>
+                    {safetyCheck.warnings.map((warning, index) => (
+                      <li key={`warning-${index}`}>{warning.message}</li>
+                    ))}
+                  </ul>
+                )}
+                {!safetyCheck.blocked && (
+                  <button
+                    onClick={() => sendAction({ skipMatchCheck: true, safetyAcknowledged: true })}
+                    className="suggestion-button keep-entry"
+                    aria-label="Send prescription despite contraindication warnings"
+                  >
+                    Send anyway
+                  </button>
+                )}
+              </div>
+            )}
+            {interactionWarnings && (
+              <div className="interaction-warnings" role="alert">
+                <p>
+                  <strong>Check before sending.</strong> This prescription conflicts with the patient's active medicines:
+                </p>
+                <ul>
+                  {interactionWarnings.map((warning, index) => (
+                    <li key={index} className={`interaction-${warning.severity}`}>
+                      <span className="interaction-severity">{warning.severity}</span> {warning.message}
+                    </li>
+                  ))}
+                </ul>
                 <textarea
-                  value={diagnosis}
-                  onChange={(e) => setDiagnosis(e.target.value)}
-                  placeholder="Enter diagnosis..."
-                  aria-label="Enter patient diagnosis"
+                  value={overrideReason}
+                  onChange={(e) => setOverrideReason(e.target.value)}
+                  placeholder="Reason for prescribing anyway (logged for the admin)"
+                  aria-label="Reason for overriding interaction warnings"
                 />
-              )}
-              {(actionType === 'Prescription' || actionType === 'Combined') && (
-                <>
-                  {actionType === 'Prescription' && lastDiagnosis && (
-                    <div className="last-diagnosis">
-                      <strong>Last Diagnosis:</strong> {lastDiagnosis}
-                    </div>
-                  )}
-                  <input
-                    type="text"
-                    value={prescription.medicine}
-                    onChange={(e) => setPrescription({ ...prescription, medicine: e.target.value })}
-                    placeholder="Medicine (e.g., Paracetamol)"
-                    aria-label="Enter medicine name"
-                  />
-                  <input
-                    type="text"
-                    value={prescription.dosage}
-                    onChange={(e) => setPrescription({ ...prescription, dosage: e.target.value })}
-                    placeholder="Dosage (e.g., 500mg)"
-                    aria-label="Enter dosage"
-                  />
-                  <input
-                    type="text"
-                    value={prescription.frequency}
-                    onChange={(e) => setPrescription({ ...prescription, frequency: e.target.value })}
-                    placeholder="Frequency (e.g., 08:00 AM or 08:00 AM and 06:00 PM)"
-                    aria-label="Enter dosage frequency"
-                  />
-                  <input
-                    type="text"
-                    value={prescription.duration}
-                    onChange={(e) => setPrescription({ ...prescription, duration: e.target.value })}
-                    placeholder="Duration in days (e.g., 3)"
-                    aria-label="Enter prescription duration"
-                  />
-                </>
-              )}
-            </div>
+                <button
+                  onClick={() =>
+                    revision
+                      ? sendRevision({ acknowledgedReason: overrideReason.trim() })
+                      : sendAction({ skipMatchCheck: true, safetyAcknowledged: true, acknowledgedReason: overrideReason.trim() })
+                  }
+                  className="suggestion-button keep-entry"
+                  disabled={overrideReason.trim().length < MIN_OVERRIDE_REASON_LENGTH}
+                  aria-label="Acknowledge warnings and send prescription"
+                >
+                  Acknowledge and send
+                </button>
+              </div>
+            )}
             <div className="modal-buttons">
-              {actionType && (
-                <button onClick={sendAction} className="submit-button" aria-label={`Submit ${actionType}`}>
+              {revision && (
+                <button
+                  onClick={() => sendRevision()}
+                  className="submit-button"
+                  disabled={revisionReason.trim().length < MIN_REVISION_REASON_LENGTH}
+                  aria-label={revision.action === 'amend' ? 'Send amendment' : 'Retract message'}
+                >
+                  {revision.action === 'amend' ? 'Send amendment' : 'Retract'}
+                </button>
+              )}
+              {!revision && actionType && (
+                <button onClick={() => sendAction()} className="submit-button" aria-label={`Submit ${actionType}`}>
                   Send {actionType}
                 </button>
               )}
@@ -1370,7 +2309,15 @@ function DoctorChat({ user, role, handleLogout, setError }) {
                   setShowActionModal(false);
                   setActionType('');
                   setDiagnosis('');
-                  setPrescription({ medicine: '', dosage: '', frequency: '', duration: '' });
+                  setPrescription(emptyPrescription());
+                  setCustomTimes('');
+                  setMatchSuggestions(null);
+                  setDrugInfo(null);
+                  setInteractionWarnings(null);
+                  setOverrideReason('');
+                  setSafetyCheck(null);
+                  setRevision(null);
+                  setRevisionReason('');
                   console.log('Modal closed and fields reset');
                 }}
                 className="close-modal"
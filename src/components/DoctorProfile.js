@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { doc, getDoc, setDoc, collection, query, where, getDocs, writeBatch } from 'firebase/firestore';
 import { db, auth } from '../services/firebase.js';
 import { updatePassword, EmailAuthProvider, reauthenticateWithCredential } from 'firebase/auth';
+import DoctorAvailability from './DoctorAvailability.js';
 import './DoctorChat.css';
 
 function DoctorProfile({ user, role, setError }) {
@@ -301,6 +302,7 @@ function DoctorProfile({ user, role, setError }) {
                 Back to Dashboard
               </button>
             </div>
+            <DoctorAvailability doctorId={doctorData.doctorId} userId={user.uid} />
           </div>
         ) : (
           <div className="edit-profile-form">
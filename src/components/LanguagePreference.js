@@ -2,13 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { db } from '../services/firebase.js';
 import { doc, setDoc, getDoc } from 'firebase/firestore';
-
-// Configurable list of supported languages
-const LANGUAGES = [
-  { code: 'en', name: 'English' },
-  { code: 'kn', name: 'Kannada' },
-  { code: 'hi', name: 'Hindi' },
-];
+import { LANGUAGES } from '../services/languages.js';
 
 function LanguagePreference({ user, role, firebaseUser }) {
   const { patientId, doctorId } = useParams();
@@ -80,8 +74,10 @@ function LanguagePreference({ user, role, firebaseUser }) {
             onClick={() => handleLanguageSelection(lang.code)}
             className="language-button"
             disabled={loading}
+            lang={lang.bcp47}
+            dir={lang.direction}
           >
-            {lang.name}
+            {lang.nativeName === lang.name ? lang.name : `${lang.nativeName} (${lang.name})`}
           </button>
         ))}
       </div>
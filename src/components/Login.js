@@ -316,6 +316,7 @@ function Login({ setUser, setRole, setPatientId, user, setError: setParentError
                 <option value="admin">Admin</option>
                 <option value="doctor">Doctor</option>
                 <option value="patient">Patient</option>
+                <option value="caregiver">Caregiver</option>
               </select>
             </div>
             {userType === 'patient' ? (
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auth } from '../services/firebase.js';
+import { translateText } from '../services/speech.js';
+import { FREQUENCIES, DOSE_TIMINGS, parseFrequency } from '../services/prescription.js';
+import {
+  MEDICATION_CHANGES,
+  MEDICATION_STATUSES,
+  MIN_CHANGE_REASON_LENGTH,
+  validateMedicationChange,
+  applyMedicationChange,
+  buildMedicationNotice,
+} from '../services/medications.js';
+import { fetchMedications, changeMedication } from '../services/medicationsApi.js';
+import { isDefaultLanguage, toBcp47 } from '../services/languages.js';
+import './MedicationsPanel.css';
+
+const emptyForm = () => ({ strength: '', frequency: 'BID', customTimes: '', timings: [], days: '', reason: '' });
+
+// The medication as validateMedicationChange expects its record
+const toRecord = (medication) => ({
+  timestamp: medication.id,
+  prescription: medication.prescription,
+  discontinuedAt: medication.discontinuedAt,
+});
+
+function MedicationsPanel({ patientId, doctorId, userId, languagePreference, onClose, setError }) {
+  const [medications, setMedications] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm());
+  const [saving, setSaving] = useState(false);
+
+  const loadMedications = useCallback(async () => {
+    if (!patientId || !doctorId || !userId) return;
+    setLoading(true);
+    setLoadError('');
+    try {
+      const idToken = await auth.currentUser.getIdToken();
+      const result = await fetchMedications({ patientId, doctorId }, userId, idToken);
+      setMedications(result.medications);
+      setHistory(result.history);
+    } catch (err) {
+      console.error('Fetch medications error:', err);
+      setLoadError(`Failed to load medications: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [patientId, doctorId, userId]);
+
+  useEffect(() => {
+    loadMedications();
+  }, [loadMedications]);
+
+  const startChange = (medication, type) => {
+    setEditing({ medicationId: medication.id, type });
+    setForm({
+      ...emptyForm(),
+      strength: type === 'dose' ? String(medication.prescription.strength) : '',
+      frequency: medication.prescription.frequency,
+      customTimes: medication.prescription.frequency === 'CUSTOM' ? medication.prescription.times.join(' and ') : '',
+      timings: medication.prescription.timings || [],
+    });
+  };
+
+  const submitChange = async (medication) => {
+    const { type } = editing;
+    const change = {
+      type,
+      reason: form.reason,
+      ...(type === 'dose' ? { strength: form.strength } : {}),
+      ...(type === 'frequency'
+        ? {
+          frequency: form.frequency,
+          ...(form.frequency === 'CUSTOM' ? { times: parseFrequency(form.customTimes)?.times || [] } : {}),
+          ...(form.frequency === 'ROUTINE' ? { timings: form.timings } : {}),
+        }
+        : {}),
+      ...(type === 'extend' ? { days: Number(form.days) } : {}),
+    };
+    const validationError = validateMedicationChange(toRecord(medication), change);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const idToken = await auth.currentUser.getIdToken();
+      let translatedNotice = null;
+      if (!isDefaultLanguage(languagePreference)) {
+        const { entry } = applyMedicationChange(toRecord(medication), change, { at: new Date().toISOString(), by: userId });
+        translatedNotice = await translateText(buildMedicationNotice(entry), 'en-US', toBcp47(languagePreference), userId, idToken);
+      }
+      const result = await changeMedication({ patientId, doctorId, medicationId: medication.id, change, translatedNotice }, userId, idToken);
+      console.log('Medication changed:', result);
+      setError(
+        type === 'discontinue'
+          ? `${medication.drug} discontinued; ${result.remindersCancelled} upcoming reminders cancelled.`
+          : `${result.change.summary}; ${result.remindersScheduled} upcoming reminders rescheduled.`
+      );
+      setEditing(null);
+      setForm(emptyForm());
+      await loadMedications();
+    } catch (err) {
+      console.error('Change medication error:', err);
+      setError(`Failed to change ${medication.drug}: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderForm = (medication) => (
+    <div className="medication-change-form">
+      {editing.type === 'dose' && (
+        <label>
+          New strength ({medication.prescription.unit})
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={form.strength}
+            onChange={(e) => setForm({ ...form, strength: e.target.value })}
+            aria-label="Enter the new strength"
+          />
+        </label>
+      )}
+      {editing.type === 'frequency' && (
+        <label>
+          New frequency
+          <select value={form.frequency} onChange={(e) => setForm({ ...form, frequency: e.target.value })} aria-label="Select the new frequency">
+            {Object.entries(FREQUENCIES).map(([code, { label }]) => (
+              <option key={code} value={code}>
+                {code === 'CUSTOM' ? label : `${code} - ${label}`}
+              </option>
+            ))}
+          </select>
+          {form.frequency === 'CUSTOM' && (
+            <input
+              type="text"
+              value={form.customTimes}
+              onChange={(e) => setForm({ ...form, customTimes: e.target.value })}
+              placeholder="Times (e.g., 08:00 AM and 06:00 PM)"
+              aria-label="Enter dose times"
+            />
+          )}
+        </label>
+      )}
+      {editing.type === 'frequency' && form.frequency === 'ROUTINE' && (
+        <div className="medication-timings">
+          {Object.entries(DOSE_TIMINGS).map(([timing, { label }]) => (
+            <label key={timing}>
+              <input
+                type="checkbox"
+                checked={form.timings.includes(timing)}
+                onChange={(e) =>
+                  setForm({
+                    ...form,
+                    timings: e.target.checked ? [...form.timings, timing] : form.timings.filter((t) => t !== timing),
+                  })
+                }
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+      {editing.type === 'extend' && (
+        <label>
+          Extra days
+          <input
+            type="number"
+            min="1"
+            value={form.days}
+            onChange={(e) => setForm({ ...form, days: e.target.value })}
+            aria-label="Enter the number of days to extend by"
+          />
+        </label>
+      )}
+      <textarea
+        value={form.reason}
+        onChange={(e) => setForm({ ...form, reason: e.target.value })}
+        placeholder="Reason (shown to the patient)"
+        aria-label="Reason for the change"
+      />
+      <div className="medication-actions">
+        <button
+          onClick={() => submitChange(medication)}
+          className="submit-button"
+          disabled={saving || form.reason.trim().length < MIN_CHANGE_REASON_LENGTH}
+        >
+          {saving ? 'Saving...' : editing.type === 'discontinue' ? 'Discontinue' : 'Save change'}
+        </button>
+        <button onClick={() => setEditing(null)} className="dismiss-button" disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="medications-panel">
+      <div className="medications-header">
+        <h3>Medications</h3>
+        <button onClick={onClose} className="dismiss-button" aria-label="Close medications panel">
+          Close
+        </button>
+      </div>
+      {loading && medications.length === 0 ? (
+        <p className="loading-text">Loading medications...</p>
+      ) : loadError ? (
+        <p className="medications-error">{loadError}</p>
+      ) : medications.length === 0 ? (
+        <p className="no-messages">No medications prescribed to this patient yet.</p>
+      ) : (
+        <ul className="medication-list">
+          {medications.map((medication) => (
+            <li key={medication.id} className={`medication-item ${medication.status}`}>
+              <div>
+                <strong>{medication.drug}</strong>
+                <span className={`medication-status ${medication.status}`}>{MEDICATION_STATUSES[medication.status]}</span>
+              </div>
+              <p>{medication.prescriptionText}</p>
+              <small>
+                Prescribed {new Date(medication.prescribedAt).toLocaleDateString()}
+                {medication.diagnosis && ` for ${medication.diagnosis}`}
+              </small>
+              {medication.status === 'active' &&
+                (editing?.medicationId === medication.id ? (
+                  <>
+                    <p className="medication-change-title">{MEDICATION_CHANGES[editing.type]}</p>
+                    {renderForm(medication)}
+                  </>
+                ) : (
+                  <div className="medication-actions">
+                    <button onClick={() => startChange(medication, 'dose')}>Change dose</button>
+                    {!medication.prescription.prn && (
+                      <button onClick={() => startChange(medication, 'frequency')}>Change frequency</button>
+                    )}
+                    <button onClick={() => startChange(medication, 'extend')}>Extend</button>
+                    <button onClick={() => startChange(medication, 'discontinue')} className="discontinue-button">
+                      Discontinue
+                    </button>
+                  </div>
+                ))}
+            </li>
+          ))}
+        </ul>
+      )}
+      {history.length > 0 && (
+        <>
+          <h4>Changes</h4>
+          <ul className="medication-history">
+            {history.map((change) => (
+              <li key={change.id}>
+                <span>{new Date(change.changedAt).toLocaleString()}</span> {change.summary}. <em>{change.reason}</em>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MedicationsPanel;
@@ -1,22 +1,52 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import Pusher from 'pusher-js';
 import {
-  transcribeAudio,
   translateText,
   textToSpeechConvert,
   detectLanguage,
   playAudio,
 } from '../services/speech.js';
-import { verifyMedicine, notifyAdmin } from '../services/medicineVerify.js';
-import { doc, getDoc, collection, getDocs, updateDoc, setDoc, onSnapshot } from 'firebase/firestore';
+import { fetchPrescriptionValidation, fetchDrugInfo } from '../services/medicineVerify.js';
+import { ROUTINE_SLOTS, normalizePrescription, formatPrescription } from '../services/prescription.js';
+import { buildReminderAction, applyReminderActions } from '../services/reminders.js';
+import { registerForReminderPush, onReminderPush } from '../services/pushNotifications.js';
+import { fetchCaregiverLinks, respondToCaregiverLink } from '../services/caregivers.js';
+import { dispatchCallSignal } from '../services/webrtc.js';
+import { mergeTranslationUpdate } from '../services/translationReview.js';
+import { prependMessages } from '../services/chatHistory.js';
+import { REVISION_ACTIONS, isRetracted, mergeRevision } from '../services/messageRevisions.js';
+import {
+  MESSAGE_STATUSES,
+  CHAT_ACTIVITIES,
+  ACTIVITY_REPEAT_MS,
+  ACTIVITY_TIMEOUT_MS,
+  applyReceipt,
+  getReceiptTarget,
+  getMessageStatus,
+  isStatusAfter,
+} from '../services/messageReceipts.js';
+import { sendReceipt, createActivitySender } from '../services/messageReceiptsApi.js';
+import { saveVoiceNote, listVoiceNotes, deleteVoiceNote, processVoiceNotes } from '../services/voiceNoteQueue.js';
+import { MAX_VOICE_NOTE_BYTES, VOICE_NOTE_STATUSES } from '../services/voiceNoteUpload.js';
+import { readCache, writeCache, cacheMessages, readCachedMessages } from '../services/offlineStore.js';
+import { isOfflineError, queueMessage, queueReminderAction, listOutbox, syncOutbox } from '../services/offlineQueue.js';
+import { DEFAULT_LANGUAGE, getLanguage, getLanguageName, isDefaultLanguage, toBcp47 } from '../services/languages.js';
+import { PREGNANCY_STATUSES, normalizeHealthProfile, validateHealthProfile } from '../services/patientSafety.js';
+import { normalizePatientSchedule, validatePatientSchedule } from '../services/patientRoutine.js';
+import { savePatientRoutine } from '../services/patientRoutineApi.js';
+import { doc, getDoc, collection, getDocs, updateDoc, onSnapshot } from 'firebase/firestore';
 import { db, auth } from '../services/firebase.js';
 import { signOut, updatePassword } from 'firebase/auth';
+import CallPanel from './CallPanel.js';
+import TranslationFeedback from './TranslationFeedback.js';
 import '../components/patient.css';
 
 function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
   const { patientId: urlPatientId, doctorId } = useParams();
   const [messages, setMessages] = useState([]);
+  const [earlierCursor, setEarlierCursor] = useState(null);
+  const [loadingEarlier, setLoadingEarlier] = useState(false);
   const [recording, setRecording] = useState(false);
   const [mediaRecorder, setMediaRecorder] = useState(null);
   const [error, setError] = useState('');
@@ -24,7 +54,6 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
   const [languagePreference, setLanguagePreference] = useState(null);
   const [textInput, setTextInput] = useState('');
   const [validationResults, setValidationResults] = useState({});
-  const [notifiedPrescriptions, setNotifiedPrescriptions] = useState(new Set());
   const [failedUpload, setFailedUpload] = useState(null);
   const [menuOpen, setMenuOpen] = useState(false);
   const [activeMenuOption, setActiveMenuOption] = useState(null);
@@ -33,23 +62,35 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
   const [adherenceRate, setAdherenceRate] = useState(0);
   const [missedDoses, setMissedDoses] = useState(0);
   const [missedDoseAlerts, setMissedDoseAlerts] = useState([]);
+  const [openReminderInfo, setOpenReminderInfo] = useState(null);
+  const [drugInfoByMedicine, setDrugInfoByMedicine] = useState({});
   const [doctorPrompt, setDoctorPrompt] = useState(null);
   const [doctorName, setDoctorName] = useState('Unknown Doctor');
   const [isEditingProfile, setIsEditingProfile] = useState(false);
   const [editProfileData, setEditProfileData] = useState(null);
   const [latestDiagnosis, setLatestDiagnosis] = useState('');
+  const [caregiverLinks, setCaregiverLinks] = useState([]);
+  const [voiceNotes, setVoiceNotes] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === 'visible');
+  const [doctorActivity, setDoctorActivity] = useState(null);
   const audioChunksRef = useRef([]);
   const streamRef = useRef(null);
   const pusherRef = useRef(null);
   const messagesEndRef = useRef(null);
-  const reminderTimeoutsRef = useRef(new Map());
+  const keepScrollRef = useRef(false);
   const errorTimeoutRef = useRef(null);
-  const retryTimeoutRef = useRef(null);
-  const schedulingIntervalRef = useRef(null);
+  const activityTimeoutRef = useRef(null);
+  const receiptsSentRef = useRef({});
   const validationPromisesRef = useRef(new Map());
   const navigate = useNavigate();
 
   const effectiveUserId = user?.uid || '';
+  // Doctors write in English; their messages are shown in the patient's language when it differs
+  const patientLanguage = getLanguage(languagePreference);
+  const readsTranslations = !isDefaultLanguage(languagePreference);
+  const recordingLanguages = [...new Set([patientLanguage.code, DEFAULT_LANGUAGE])].map((code) => getLanguage(code));
   const effectivePatientId = urlPatientId || patientId || '';
   const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
   const pusherKey = process.env.REACT_APP_PUSHER_KEY || '2ed44c3ce3ef227d9924';
@@ -81,8 +122,13 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
   }, []);
 
   useEffect(() => {
+    // Loading earlier messages keeps the reader where they are
+    if (keepScrollRef.current) {
+      keepScrollRef.current = false;
+      return;
+    }
     scrollToBottom();
-  }, [messages, scrollToBottom]);
+  }, [messages, voiceNotes, outbox, scrollToBottom]);
 
   useEffect(() => {
     if (error) {
@@ -118,52 +164,62 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
       return;
     }
 
-    if ('Notification' in window) {
-      Notification.requestPermission().then((permission) => {
-        if (permission !== 'granted') {
-          setError('Notification permission denied. Reminders may not work.');
-        }
+    const applyPatientData = (data) => {
+      const pref = data.languagePreference || 'en';
+      setLanguagePreference(pref);
+      setTranscriptionLanguage(pref);
+      setProfileData({
+        name: data.name || 'Unknown Patient',
+        patientId: effectivePatientId,
+        email: data.email || 'N/A',
+        languagePreference: pref,
+        sex: data.sex || 'N/A',
+        age: data.age || 'N/A',
+        address: data.address || 'N/A',
+        phoneNumber: data.phoneNumber || 'N/A',
+        aadhaarNumber: data.aadhaarNumber || 'N/A',
+        ...normalizeHealthProfile(data),
+        ...normalizePatientSchedule(data),
+        hasSchedule: Boolean(data.timeZone),
       });
-    }
+      const healthProfile = normalizeHealthProfile(data);
+      // Patients who never set a time zone are offered the one their device is in
+      const schedule = normalizePatientSchedule(data, Intl.DateTimeFormat().resolvedOptions().timeZone);
+      setEditProfileData({
+        name: data.name || '',
+        password: '',
+        age: data.age || '',
+        sex: data.sex || '',
+        address: data.address || '',
+        phoneNumber: data.phoneNumber || '',
+        allergies: healthProfile.allergies.join(', '),
+        chronicConditions: healthProfile.chronicConditions.join(', '),
+        pregnancyStatus: healthProfile.pregnancyStatus,
+        weightKg: healthProfile.weightKg ?? '',
+        timeZone: schedule.timeZone,
+        routine: schedule.routine,
+      });
+    };
 
     const fetchPatientData = async () => {
       try {
         const patientRef = doc(db, 'patients', effectivePatientId);
         const patientDoc = await getDoc(patientRef);
         if (patientDoc.exists() && patientDoc.data().uid === effectiveUserId) {
-          const data = patientDoc.data();
-          const pref = data.languagePreference || 'en';
-          setLanguagePreference(pref);
-          setTranscriptionLanguage(pref);
-          setProfileData({
-            name: data.name || 'Unknown Patient',
-            patientId: effectivePatientId,
-            email: data.email || 'N/A',
-            languagePreference: pref,
-            sex: data.sex || 'N/A',
-            age: data.age || 'N/A',
-            address: data.address || 'N/A',
-            phoneNumber: data.phoneNumber || 'N/A',
-            aadhaarNumber: data.aadhaarNumber || 'N/A',
-          });
-          setEditProfileData({
-            name: data.name || '',
-            password: '',
-            age: data.age || '',
-            sex: data.sex || '',
-            address: data.address || '',
-            phoneNumber: data.phoneNumber || '',
-          });
-
-          // Fetch notified prescriptions from Firestore
-          const notifiedPrescriptionsData = data.notifiedPrescriptions || [];
-          setNotifiedPrescriptions(new Set(notifiedPrescriptionsData));
+          applyPatientData(patientDoc.data());
+          writeCache(`patient:${effectivePatientId}`, patientDoc.data());
         } else {
           setError('Patient not found or unauthorized.');
           navigate('/login');
         }
       } catch (err) {
         console.error('PatientChat: Failed to fetch patient data:', err.message);
+        // Offline, the profile saved on the last visit is enough to open the chat
+        const cachedPatient = isOfflineError(err) ? await readCache(`patient:${effectivePatientId}`) : null;
+        if (cachedPatient && cachedPatient.uid === effectiveUserId) {
+          applyPatientData(cachedPatient);
+          return;
+        }
         setError(`Failed to fetch patient data: ${err.message}`);
         navigate('/login');
       }
@@ -187,7 +243,14 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
     const setupRemindersListener = () => {
       try {
         const remindersRef = collection(db, `patients/${effectivePatientId}/reminders`);
-        const unsubscribe = onSnapshot(remindersRef, (snapshot) => {
+        const remindersCacheKey = `reminders:${effectivePatientId}`;
+        const unsubscribe = onSnapshot(remindersRef, async (snapshot) => {
+          // Opened offline, Firestore has nothing cached and reports no reminders
+          if (snapshot.metadata.fromCache && snapshot.empty) {
+            const cachedReminders = await readCache(remindersCacheKey);
+            if (cachedReminders) setReminders(cachedReminders);
+            return;
+          }
           const fetchedReminders = snapshot.docs.map((doc) => ({
             id: doc.id,
             ...doc.data(),
@@ -196,12 +259,16 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
             scheduledTime: doc.data().scheduledTime,
           }));
           setReminders(fetchedReminders);
-          calculateAdherenceRate(fetchedReminders);
-          checkMissedDoses(fetchedReminders);
+          if (!snapshot.metadata.fromCache) writeCache(remindersCacheKey, fetchedReminders);
           console.log('Reminders updated in real-time:', fetchedReminders);
-        }, (err) => {
+        }, async (err) => {
           console.error('PatientChat: Failed to listen to reminders:', err.message);
-          setError(`Failed to listen to reminders: ${err.message}`);
+          const cachedReminders = await readCache(remindersCacheKey);
+          if (cachedReminders) {
+            setReminders(cachedReminders);
+          } else {
+            setError(`Failed to listen to reminders: ${err.message}`);
+          }
         });
         return unsubscribe;
       } catch (err) {
@@ -225,64 +292,31 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
 
     return () => {
       if (unsubscribeReminders) unsubscribeReminders();
-      reminderTimeoutsRef.current.forEach((timeoutId) => clearTimeout(timeoutId));
-      reminderTimeoutsRef.current.clear();
-      clearTimeout(retryTimeoutRef.current);
-      if (schedulingIntervalRef.current) clearInterval(schedulingIntervalRef.current);
     };
   }, [firebaseUser, effectiveUserId, effectivePatientId, doctorId, role, navigate]);
 
-  // Schedule reminders with a persistent loop
+  // Reminders are pushed by the server at dose time; register this browser and surface
+  // pushes that arrive while the chat is open
   useEffect(() => {
-    const scheduleRemindersLoop = () => {
-      reminderTimeoutsRef.current.forEach((timeoutId) => clearTimeout(timeoutId));
-      reminderTimeoutsRef.current.clear();
-
-      const now = new Date();
-      reminders.forEach((reminder) => {
-        if (reminder.status !== 'pending' && reminder.status !== 'snoozed') return;
-
-        const scheduledTime = new Date(reminder.scheduledTime);
-        const delayMs = scheduledTime - now;
-
-        if (delayMs <= 0 && reminder.status === 'pending') {
-          handleMissedReminder(reminder.id);
-          return;
-        }
-
-        if (delayMs > 0) {
-          const timeoutId = setTimeout(() => {
-            if ('Notification' in window && Notification.permission === 'granted') {
-              const notification = new Notification('Medication Reminder', {
-                body: `Time to take ${reminder.dosage} of ${reminder.medicine} at ${new Date(reminder.scheduledTime).toLocaleTimeString('en-US', { hour12: true })}. Tap to confirm or snooze.`,
-                tag: `reminder-${reminder.id}`,
-              });
-
-              notification.onclick = () => {
-                handleConfirmReminder(reminder.id);
-                notification.close();
-              };
-
-              setTimeout(() => {
-                if (reminder.status === 'pending') handleSnoozeReminder(reminder.id);
-              }, 30000);
-            }
-          }, delayMs);
-
-          reminderTimeoutsRef.current.set(reminder.id, timeoutId);
+    if (!firebaseUser || !effectivePatientId || role !== 'patient') return;
+
+    let unsubscribePush = () => {};
+    const setupReminderPush = async () => {
+      const idToken = await firebaseUser.getIdToken();
+      const result = await registerForReminderPush(effectivePatientId, effectiveUserId, idToken);
+      if (!result.success) {
+        setError(result.message);
+      }
+      unsubscribePush = await onReminderPush((payload) => {
+        if (payload.data?.type === 'medication-reminder') {
+          setError(payload.notification?.body || 'Time to take your medicine.');
         }
       });
     };
 
-    schedulingIntervalRef.current = setInterval(scheduleRemindersLoop, 30000);
-    scheduleRemindersLoop();
-
-    return () => {
-      if (schedulingIntervalRef.current) clearInterval(schedulingIntervalRef.current);
-      reminderTimeoutsRef.current.forEach((timeoutId) => clearTimeout(timeoutId));
-      reminderTimeoutsRef.current.clear();
-    };
-  }, [reminders]);
+    setupReminderPush();
+    return () => unsubscribePush();
+  }, [firebaseUser, effectiveUserId, effectivePatientId, role]);
 
   // Handle profile update
   const handleProfileUpdate = async () => {
@@ -318,16 +352,42 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         return;
       }
 
+      const healthErrors = validateHealthProfile(editProfileData);
+      if (healthErrors.length > 0) {
+        setError(healthErrors.join(' '));
+        return;
+      }
+
+      const scheduleErrors = validatePatientSchedule(editProfileData);
+      if (scheduleErrors.length > 0) {
+        setError(scheduleErrors.join(' '));
+        return;
+      }
+      const schedule = normalizePatientSchedule(editProfileData);
+      const scheduleChanged =
+        !profileData.hasSchedule ||
+        schedule.timeZone !== profileData.timeZone ||
+        ROUTINE_SLOTS.some(({ key }) => schedule.routine[key] !== profileData.routine[key]);
+
       const updatedData = {
         name: editProfileData.name,
         age: ageNum,
         sex: editProfileData.sex,
         address: editProfileData.address,
         phoneNumber: editProfileData.phoneNumber,
+        ...normalizeHealthProfile(editProfileData),
       };
 
       await updateDoc(patientRef, updatedData);
 
+      // The server stores the routine, since the reminders still to come move with it
+      let remindersMoved = null;
+      if (scheduleChanged) {
+        const idToken = await firebaseUser.getIdToken();
+        const result = await savePatientRoutine({ patientId: effectivePatientId, ...schedule }, effectiveUserId, idToken);
+        remindersMoved = result.remindersScheduled;
+      }
+
       if (editProfileData.password) {
         if (editProfileData.password.length < 6) {
           setError('Password must be at least 6 characters long.');
@@ -339,10 +399,15 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
       setProfileData((prev) => ({
         ...prev,
         ...updatedData,
+        ...(scheduleChanged ? { ...schedule, hasSchedule: true } : {}),
       }));
 
       setIsEditingProfile(false);
-      setError('Profile updated successfully!');
+      setError(
+        remindersMoved !== null
+          ? `Profile updated successfully! ${remindersMoved} upcoming reminders now follow your routine.`
+          : 'Profile updated successfully!'
+      );
     } catch (err) {
       console.error('Failed to update profile:', err.message);
       setError(`Failed to update profile: ${err.message}`);
@@ -376,6 +441,7 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         const data = await response.json();
         const fetchedMessages = data.messages || [];
         setMessages(fetchedMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+        setEarlierCursor(data.nextCursor || null);
 
         // Process initial messages for diagnosis only (no validation here)
         const doctorMessages = fetchedMessages.filter((msg) => msg.sender === 'doctor');
@@ -389,6 +455,13 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         }
       } catch (err) {
         console.error('PatientChat: Error fetching messages:', err.message);
+        if (isOfflineError(err)) {
+          const cachedMessages = await readCachedMessages(effectivePatientId, doctorId);
+          if (cachedMessages) {
+            setMessages((prev) => (prev.length > 0 ? prev : cachedMessages));
+            return;
+          }
+        }
         setError(`Error fetching messages: ${err.message}`);
         if (err.message.includes('404')) {
           setTimeout(fetchMessages, 2000);
@@ -439,14 +512,15 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
 
         let updatedMessage = { ...message };
 
-        if (message.sender === 'doctor' && languagePreference === 'kn' && !message.diagnosis && !message.prescription) {
+        // The doctor's screen stores the translation (possibly corrected later); only translate
+        // here when it didn't
+        if (message.sender === 'doctor' && !isDefaultLanguage(languagePreference) && !message.diagnosis && !message.prescription && !message.translatedText) {
           try {
             const idToken = await firebaseUser.getIdToken(true);
-            const kannadaText = await translateText(message.text, 'en-US', 'kn-IN', effectiveUserId, idToken);
+            const localizedText = await translateText(message.text, 'en-US', toBcp47(languagePreference), effectiveUserId, idToken);
             updatedMessage = {
               ...message,
-              text: kannadaText,
-              translatedText: message.text,
+              translatedText: localizedText,
             };
           } catch (err) {
             console.error('Failed to translate doctor message:', err);
@@ -457,11 +531,13 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         setMessages((prev) => {
           const isDuplicate = prev.some(
             (msg) =>
-              msg.sender === updatedMessage.sender &&
-              msg.text === updatedMessage.text &&
-              msg.audioUrl === updatedMessage.audioUrl &&
-              msg.imageUrl === updatedMessage.imageUrl &&
-              Math.abs(new Date(msg.timestamp) - new Date(updatedMessage.timestamp)) < 1000
+              (updatedMessage.voiceNoteId && msg.voiceNoteId === updatedMessage.voiceNoteId) ||
+              (updatedMessage.clientMessageId && msg.clientMessageId === updatedMessage.clientMessageId) ||
+              (msg.sender === updatedMessage.sender &&
+                msg.text === updatedMessage.text &&
+                msg.audioUrl === updatedMessage.audioUrl &&
+                msg.imageUrl === updatedMessage.imageUrl &&
+                Math.abs(new Date(msg.timestamp) - new Date(updatedMessage.timestamp)) < 1000)
           );
           if (isDuplicate) {
             console.log('PatientChat: Skipped duplicate message from Pusher:', updatedMessage.timestamp, updatedMessage.text);
@@ -472,16 +548,44 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
 
         // Only update diagnosis, do not validate prescription here
         if (updatedMessage.sender === 'doctor') {
+          setDoctorActivity(null);
           if (updatedMessage.diagnosis) {
             setLatestDiagnosis(updatedMessage.diagnosis);
           }
         }
       });
 
+      channel.bind('call-signal', dispatchCallSignal);
+
+      // A translation was flagged or corrected (see TranslationFeedback)
+      channel.bind('message-updated', (update) => {
+        setMessages((prev) => prev.map((msg) => mergeTranslationUpdate(msg, update)));
+      });
+
+      // The doctor amended or retracted a diagnosis or prescription; a notice message follows
+      channel.bind('message-revised', (update) => {
+        setMessages((prev) => prev.map((msg) => mergeRevision(msg, update)));
+      });
+
       channel.bind('admin-notification', (alert) => {
         setMissedDoseAlerts((prev) => [...prev, { ...alert, id: Date.now().toString() }]);
       });
 
+      // The doctor received or read the patient's messages
+      channel.bind('message-status', (receipt) => {
+        setMessages((prev) => applyReceipt(prev, receipt));
+      });
+
+      channel.bind('chat-activity', ({ role: senderRole, activity }) => {
+        if (senderRole !== 'doctor') return;
+        clearTimeout(activityTimeoutRef.current);
+        setDoctorActivity(activity === 'idle' ? null : activity);
+        if (activity !== 'idle') {
+          activityTimeoutRef.current = setTimeout(() => setDoctorActivity(null), ACTIVITY_TIMEOUT_MS);
+        }
+      });
+
+      receiptsSentRef.current = {};
       fetchMessages();
     } catch (err) {
       console.error('Pusher initialization failed:', err);
@@ -489,6 +593,7 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
     }
 
     return () => {
+      clearTimeout(activityTimeoutRef.current);
       if (pusherRef.current) {
         pusherRef.current.unsubscribe(`chat-${effectivePatientId}-${doctorId}`);
         pusherRef.current.disconnect();
@@ -497,24 +602,67 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
     };
   }, [firebaseUser, effectiveUserId, effectivePatientId, doctorId, languagePreference, apiBaseUrl, pusherKey, pusherCluster]);
 
-  const isValidDiagnosis = (diagnosis) => {
-    if (!diagnosis || typeof diagnosis !== 'string') return false;
-    // Enhanced check to exclude invalid diagnoses like "time 12.32"
-    const invalidPattern = /^(time\s+\d{1,2}[.:]\d{2})$|^(test\d*)$/i;
-    return !invalidPattern.test(diagnosis.trim());
-  };
+  useEffect(() => {
+    const handleVisibilityChange = () => setPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Doctor messages count as read while the chat is on screen, and as delivered otherwise
+  useEffect(() => {
+    if (!firebaseUser || !effectivePatientId || !doctorId) return;
+    const upTo = getReceiptTarget(messages, 'patient');
+    if (!upTo) return;
+    const status = pageVisible && activeMenuOption === null ? 'read' : 'delivered';
+    const target = messages.find((msg) => msg.id === upTo);
+    const sent = receiptsSentRef.current;
+    if (!isStatusAfter(status, getMessageStatus(target)) || (sent[status] && sent[status] >= upTo)) return;
+
+    sent[status] = upTo;
+    firebaseUser
+      .getIdToken()
+      .then((idToken) => sendReceipt({ patientId: effectivePatientId, doctorId, status, upTo }, effectiveUserId, idToken))
+      .catch((err) => {
+        console.warn(`PatientChat: Failed to send ${status} receipt:`, err.message);
+        if (sent[status] === upTo) delete sent[status];
+      });
+  }, [messages, pageVisible, activeMenuOption, firebaseUser, effectivePatientId, doctorId, effectiveUserId]);
+
+  const notifyActivity = useMemo(
+    () =>
+      firebaseUser && effectivePatientId && doctorId
+        ? createActivitySender({
+          patientId: effectivePatientId,
+          doctorId,
+          userId: effectiveUserId,
+          getIdToken: () => firebaseUser.getIdToken(),
+        })
+        : () => {},
+    [firebaseUser, effectivePatientId, doctorId, effectiveUserId]
+  );
+
+  // Recording is repeated for as long as it lasts; typing is sent on each keystroke
+  useEffect(() => {
+    if (!recording) return;
+    notifyActivity('recording');
+    const interval = setInterval(() => notifyActivity('recording'), ACTIVITY_REPEAT_MS);
+    return () => {
+      clearInterval(interval);
+      notifyActivity('idle');
+    };
+  }, [recording, notifyActivity]);
 
-  const validatePrescription = async (diagnosis, prescription, timestamp) => {
+  const validatePrescription = async (messageId, prescription, timestamp) => {
     if (!firebaseUser) {
       setError('User authentication failed. Cannot validate prescription.');
       return { isValid: false, message: 'User authentication failed.' };
     }
 
-    console.log('Validating prescription:', { diagnosis, prescription, timestamp });
+    console.log('Validating prescription:', { messageId, prescription, timestamp });
 
-    if (!diagnosis || !prescription) {
-      console.warn('Diagnosis or prescription missing:', { diagnosis, prescription });
-      const message = 'Diagnosis or prescription is missing.';
+    if (!messageId || !prescription) {
+      console.warn('Message or prescription missing:', { messageId, prescription });
+      const message = 'Prescription is missing.';
       setValidationResults((prev) => ({
         ...prev,
         [timestamp]: message,
@@ -522,148 +670,51 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
       return { isValid: false, message };
     }
 
-    // Check for invalid diagnoses
-    if (!isValidDiagnosis(diagnosis)) {
-      console.warn('Invalid diagnosis format:', diagnosis);
-      const message = `Invalid diagnosis format: "${diagnosis}".`;
+    // The server checked the prescription when the doctor sent it; this reads the outcome
+    const idToken = await firebaseUser.getIdToken(true);
+    const verificationResult = await fetchPrescriptionValidation(
+      {
+        doctorId,
+        patientId: effectivePatientId,
+        messageId,
+      },
+      effectiveUserId,
+      idToken
+    );
+    console.log('fetchPrescriptionValidation response:', verificationResult);
+
+    if (!verificationResult.success) {
+      console.error('Error in validatePrescription:', verificationResult.message);
+      const message = `${verificationResult.message}. Please try again.`;
       setValidationResults((prev) => ({
         ...prev,
         [timestamp]: message,
       }));
-      const prescriptionKey = `${diagnosis}-${prescription.medicine || prescription}-${timestamp}`;
-      if (!notifiedPrescriptions.has(prescriptionKey)) {
-        const notificationResponse = await notifyAdmin(
-          profileData?.name || 'Unknown Patient',
-          doctorName,
-          `Invalid diagnosis format: "${diagnosis}" for prescription.`,
-          effectivePatientId,
-          doctorId,
-          effectiveUserId,
-          await firebaseUser.getIdToken(true)
-        );
-        if (!notificationResponse.success) {
-          throw new Error(notificationResponse.message || 'Failed to notify admin about invalid prescription.');
-        }
-        setNotifiedPrescriptions((prev) => {
-          const updatedSet = new Set(prev).add(prescriptionKey);
-          // Update Firestore with the new set
-          const patientRef = doc(db, 'patients', effectivePatientId);
-          updateDoc(patientRef, { notifiedPrescriptions: Array.from(updatedSet) });
-          return updatedSet;
-        });
-      }
       return { isValid: false, message };
     }
 
-    let englishDiagnosis = diagnosis;
-    if (languagePreference === 'kn' && messages.find(msg => msg.timestamp === timestamp)?.translatedDiagnosis) {
-      englishDiagnosis = messages.find(msg => msg.timestamp === timestamp)?.diagnosis || diagnosis;
-    }
-
-    const medicine = typeof prescription === 'object' ? prescription.medicine : prescription.split(',')[0].trim();
-    console.log('Extracted medicine:', medicine);
-
-    const prescriptionKey = `${englishDiagnosis}-${medicine}-${timestamp}`;
-
-    try {
-      const idToken = await firebaseUser.getIdToken(true);
-      const verificationResult = await verifyMedicine(
-        englishDiagnosis,
-        medicine,
-        effectiveUserId,
-        idToken,
-        profileData || {},
-        doctorId,
-        doctorName
-      );
-      console.log('verifyMedicine response:', verificationResult);
-
-      if (verificationResult.success) {
-        const message = `Prescription "${medicine}" is valid for diagnosis "${englishDiagnosis}".`;
-        setValidationResults((prev) => ({
-          ...prev,
-          [timestamp]: message,
-        }));
-        return { isValid: true, message };
-      } else {
-        const message = `Invalid prescription "${medicine}" for diagnosis "${englishDiagnosis}".`;
-        setValidationResults((prev) => ({
-          ...prev,
-          [timestamp]: message,
-        }));
-
-        if (!notifiedPrescriptions.has(prescriptionKey)) {
-          const notificationMessage = `Invalid prescription: "${medicine}" for diagnosis "${englishDiagnosis}" (Patient: ${profileData?.name || 'Unknown Patient'}, Doctor: ${doctorName})`;
-          const notificationResponse = await notifyAdmin(
-            profileData?.name || 'Unknown Patient',
-            doctorName,
-            notificationMessage,
-            effectivePatientId,
-            doctorId,
-            effectiveUserId,
-            idToken
-          );
-          if (!notificationResponse.success) {
-            throw new Error(notificationResponse.message || 'Failed to notify admin about invalid prescription.');
-          }
-          setNotifiedPrescriptions((prev) => {
-            const updatedSet = new Set(prev).add(prescriptionKey);
-            // Update Firestore with the new set
-            const patientRef = doc(db, 'patients', effectivePatientId);
-            updateDoc(patientRef, { notifiedPrescriptions: Array.from(updatedSet) });
-            return updatedSet;
-          });
-        }
-        return { isValid: false, message };
-      }
-    } catch (error) {
-      console.error('Error in validatePrescription:', error.message);
-      const message = `Error validating prescription: ${error.message}. Retrying in 5 seconds...`;
-      setValidationResults((prev) => ({
-        ...prev,
-        [timestamp]: message,
-      }));
-
-      if (!notifiedPrescriptions.has(prescriptionKey)) {
-        const notificationMessage = `Error validating prescription: ${error.message} (Diagnosis: ${englishDiagnosis}, Medicine: ${medicine}, Patient: ${profileData?.name || 'Unknown Patient'}, Doctor: ${doctorName})`;
-        const notificationResponse = await notifyAdmin(
-          profileData?.name || 'Unknown Patient',
-          doctorName,
-          notificationMessage,
-          effectivePatientId,
-          doctorId,
-          effectiveUserId,
-          await firebaseUser.getIdToken(true)
-        );
-        if (!notificationResponse.success) {
-          throw new Error(notificationResponse.message || 'Failed to notify admin about invalid prescription.');
-        }
-        setNotifiedPrescriptions((prev) => {
-          const updatedSet = new Set(prev).add(prescriptionKey);
-          // Update Firestore with the new set
-          const patientRef = doc(db, 'patients', effectivePatientId);
-          updateDoc(patientRef, { notifiedPrescriptions: Array.from(updatedSet) });
-          return updatedSet;
-        });
-      }
-
-      // Retry after 5 seconds
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      return validatePrescription(englishDiagnosis, prescription, timestamp);
-    }
+    setValidationResults((prev) => ({
+      ...prev,
+      [timestamp]: verificationResult.message,
+    }));
+    return {
+      isValid: verificationResult.valid === true,
+      message: verificationResult.message,
+      remindersScheduled: verificationResult.remindersScheduled,
+    };
   };
 
-  const validateAndSchedulePrescription = async (diagnosis, prescription, timestamp) => {
-    const validationKey = `${diagnosis}-${timestamp}`;
+  const validateAndSchedulePrescription = async (messageId, prescription, timestamp) => {
+    const validationKey = `${messageId}-${timestamp}`;
     if (validationPromisesRef.current.has(validationKey)) {
       console.log('Validation already in progress for:', validationKey);
       return;
     }
 
     const validationPromise = new Promise(async (resolve) => {
-      const validationResult = await validatePrescription(diagnosis, prescription, timestamp);
+      const validationResult = await validatePrescription(messageId, prescription, timestamp);
       if (validationResult.isValid) {
-        await setupMedicationSchedule(diagnosis, prescription, timestamp, validationResult.message);
+        reportReminderSchedule(prescription, validationResult.remindersScheduled);
       }
       resolve(validationResult);
     });
@@ -677,135 +728,24 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
     }
   };
 
-  const setupMedicationSchedule = async (diagnosis, prescription, issuanceTimestamp, validationMessage) => {
-    console.log('setupMedicationSchedule: Received:', { diagnosis, prescription, issuanceTimestamp, validationMessage });
-
-    if (!prescription || !issuanceTimestamp) {
-      setError('Prescription or issuance timestamp is missing.');
-      console.error('setupMedicationSchedule: Prescription or timestamp is undefined');
-      return;
-    }
-
-    // Check if the validation message indicates a valid prescription
-    if (!validationMessage || !validationMessage.includes('is valid')) {
-      console.log('setupMedicationSchedule: Skipping reminder setup due to invalid or missing validation:', validationMessage);
-      setError('Cannot schedule reminders: Prescription validation failed or is missing.');
-      return;
-    }
-
-    let medicine, dosage, times, durationDays, timesStr;
-
-    const prescriptionText = typeof prescription === 'object'
-      ? `${prescription.medicine}, ${prescription.dosage}, ${prescription.frequency || ''}, ${prescription.duration || '5'}`
-      : prescription;
-
-    if (typeof prescriptionText === 'object') {
-      medicine = prescriptionText.medicine;
-      dosage = prescriptionText.dosage;
-      const frequency = prescriptionText.frequency || '';
-      durationDays = prescriptionText.duration || '5';
-      timesStr = frequency;
-      times = frequency.split(' and ').map((t) => t.trim());
-    } else if (typeof prescriptionText === 'string') {
-      const regex = /(.+?),\s*(\d+mg),\s*(\d{1,2}[:.]\d{2}\s*(?:AM|PM)(?:\s*and\s*\d{1,2}[:.]\d{2}\s*(?:AM|PM))?),?\s*(\d+)\s*days?/i;
-      const match = prescriptionText.match(regex);
-      if (!match) {
-        setError('Invalid prescription string format.');
-        console.error('setupMedicationSchedule: Invalid prescription string:', prescriptionText);
-        return;
-      }
-      [, medicine, dosage, timesStr, durationDays] = match;
-      times = timesStr.split(' and ').map((t) => t.trim());
-    } else {
-      setError('Unsupported prescription format.');
-      console.error('setupMedicationSchedule: Unsupported prescription type:', typeof prescriptionText);
-      return;
-    }
-
-    const days = parseInt(durationDays, 10);
-    if (isNaN(days) || days <= 0) {
-      setError('Invalid duration in prescription.');
-      console.error('setupMedicationSchedule: Invalid duration:', durationDays);
-      return;
-    }
-
-    const parseTime = (timeStr) => {
-      const cleanTimeStr = timeStr.replace('.', ':');
-      const [time, period] = cleanTimeStr.split(/\s*(AM|PM)/i);
-      let [hours, minutes] = time.split(':').map(Number);
-      if (period.toUpperCase() === 'PM' && hours !== 12) hours += 12;
-      if (period.toUpperCase() === 'AM' && hours === 12) hours = 0;
-      return { hours, minutes, original: timeStr };
-    };
-
-    const timeSchedules = times.map(parseTime);
-
-    const issuanceTime = new Date(issuanceTimestamp);
-    let startDate = new Date(issuanceTime);
-
-    startDate.setDate(startDate.getDate() + 1);
-    startDate.setHours(0, 0, 0, 0);
-
-    const newReminders = [];
-    let dosesScheduled = 0;
-
-    for (let dayOffset = 0; dayOffset < days; dayOffset++) {
-      const currentDate = new Date(startDate);
-      currentDate.setDate(startDate.getDate() + dayOffset);
-      const dateStr = currentDate.toISOString().split('T')[0];
-
-      for (let i = 0; i < timeSchedules.length; i++) {
-        const time = timeSchedules[i];
-        const timeStr = times[i];
-
-        const scheduledDate = new Date(currentDate);
-        scheduledDate.setHours(time.hours, time.minutes, 0, 0);
-
-        const now = new Date();
-        if (scheduledDate <= now) {
-          continue;
-        }
-
-        const reminderId = `${medicine}_${dateStr}_${timeStr.replace(/[:.\s]/g, '-')}`;
-        const reminderRef = doc(db, `patients/${effectivePatientId}/reminders`, reminderId);
-        const reminder = {
-          medicine,
-          dosage,
-          scheduledTime: scheduledDate.toISOString(),
-          status: 'pending',
-          snoozeCount: 0,
-          createdAt: new Date().toISOString(),
-          patientId: effectivePatientId,
-          diagnosis: diagnosis || 'Not specified',
-        };
-
-        try {
-          console.log(`setupMedicationSchedule: Adding reminder ${reminderId}`);
-          await writeWithRetry(reminderRef, reminder, { merge: true });
-          newReminders.push({ id: reminderId, ...reminder });
-          dosesScheduled++;
-        } catch (err) {
-          console.error('setupMedicationSchedule: Failed to add reminder:', err.message);
-          setError(`Failed to add reminder: ${err.message}`);
-        }
-      }
-    }
-
-    if (newReminders.length > 0) {
-      console.log('setupMedicationSchedule: Added reminders:', newReminders);
-      setError('Reminders scheduled successfully.');
-      setReminders((prev) => {
-        const existingIds = new Set(prev.map(r => r.id));
-        const filteredNewReminders = newReminders.filter(r => !existingIds.has(r.id));
-        const updatedReminders = [...prev, ...filteredNewReminders];
-        return updatedReminders.sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
-      });
+  // The server creates the reminders when it validates the prescription, as the doctor sends it
+  const reportReminderSchedule = (prescription, remindersScheduled) => {
+    const structuredPrescription = normalizePrescription(prescription);
+    if (structuredPrescription?.prn) {
+      setError('This medicine is taken as needed, so no reminders were scheduled.');
+    } else if (remindersScheduled > 0) {
+      setError(`${remindersScheduled} reminders scheduled successfully.`);
     } else {
-      console.warn('setupMedicationSchedule: No new reminders added (all scheduled times in the past)');
-      setError('No future reminders scheduled.');
+      setError('Reminders for this prescription are already scheduled.');
     }
   };
 
+  // Reminders as last read, with confirms and snoozes still waiting to sync applied
+  const shownReminders = useMemo(
+    () => applyReminderActions(reminders, outbox.filter((entry) => entry.kind === 'reminder').map((entry) => entry.action)),
+    [reminders, outbox]
+  );
+
   const calculateAdherenceRate = useCallback((remindersList) => {
     if (remindersList.length === 0) {
       setAdherenceRate(0);
@@ -820,232 +760,245 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
   const checkMissedDoses = useCallback((remindersList) => {
     const missed = remindersList.filter((r) => r.status === 'missed').length;
     setMissedDoses(missed);
-
-    let consecutiveMissed = 0;
-    for (let i = 0; i < remindersList.length; i++) {
-      if (remindersList[i].status === 'missed') {
-        consecutiveMissed++;
-        if (consecutiveMissed >= 3) {
-          sendMissedDoseAlert();
-          break;
-        }
-      } else {
-        consecutiveMissed = 0;
-      }
-    }
   }, []);
 
-  const writeWithRetry = async (ref, data, options, retries = 3) => {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        await setDoc(ref, data, options);
-        console.log(`Firestore write successful for ${ref.path} on attempt ${attempt}`);
-        return;
-      } catch (error) {
-        console.warn(`Retry ${attempt}/${retries} failed for ${ref.path}: ${error.message}`);
-        if (attempt === retries) throw error;
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-      }
-    }
-  };
+  useEffect(() => {
+    calculateAdherenceRate(shownReminders);
+    checkMissedDoses(shownReminders);
+  }, [shownReminders, calculateAdherenceRate, checkMissedDoses]);
 
-  const sendMissedDoseAlert = async () => {
-    if (!firebaseUser) {
-      setError('User authentication failed. Cannot send missed dose alert.');
-      return;
-    }
+  // What is shown here is also what the chat opens with when offline
+  useEffect(() => {
+    if (messages.length > 0) cacheMessages(effectivePatientId, doctorId, messages);
+  }, [messages, effectivePatientId, doctorId]);
+
+  // Confirms and snoozes go through the outbox, so they work the same offline and are checked
+  // against the reminder as stored when they reach it (see offlineQueue.js)
+  const queueReminder = async (type, id) => {
+    const reminder = shownReminders.find((r) => r.id === id);
+    if (!reminder) return;
+    await queueReminderAction({
+      patientId: effectivePatientId,
+      userId: effectiveUserId,
+      action: buildReminderAction(type, reminder, { role: 'patient', uid: effectiveUserId }),
+    });
+    await refreshOutbox();
+    syncPendingActions();
+  };
 
-    if (!effectivePatientId || !doctorId) {
-      setError('Invalid patient or doctor ID. Cannot send missed dose alert.');
-      console.error('sendMissedDoseAlert: Invalid IDs', { effectivePatientId, doctorId });
-      return;
+  const handleConfirmReminder = async (id) => {
+    try {
+      await queueReminder('taken', id);
+    } catch (err) {
+      setError(`Failed to confirm reminder: ${err.message}`);
     }
+  };
 
+  const loadCaregiverLinks = useCallback(async () => {
+    if (!firebaseUser) return;
     try {
       const idToken = await firebaseUser.getIdToken(true);
-      const alertData = {
-        patientId: effectivePatientId,
-        doctorId,
-        message: `Patient has missed 3 consecutive doses on ${new Date().toLocaleString()}.`,
-        timestamp: new Date().toISOString(),
-        userId: effectiveUserId,
-      };
+      const result = await fetchCaregiverLinks(effectiveUserId, idToken);
+      setCaregiverLinks(result.links || []);
+    } catch (err) {
+      setError(`Failed to load caregivers: ${err.message}`);
+    }
+  }, [firebaseUser, effectiveUserId]);
 
-      console.log('sendMissedDoseAlert: Preparing to write alert:', alertData);
-      const alertRef = doc(collection(db, 'missed_dose_alerts'));
-      await writeWithRetry(alertRef, alertData, {});
+  useEffect(() => {
+    if (activeMenuOption === 'caregivers') loadCaregiverLinks();
+  }, [activeMenuOption, loadCaregiverLinks]);
 
-      const notificationResponse = await notifyAdmin(
-        profileData?.name || 'Unknown Patient',
-        doctorId,
-        alertData.message,
-        effectivePatientId,
-        doctorId,
+  // Approving is the patient's consent; declining or revoking cuts the caregiver's access at once
+  const handleCaregiverLinkResponse = async (link, approve) => {
+    try {
+      const idToken = await firebaseUser.getIdToken(true);
+      await respondToCaregiverLink(
+        { patientId: effectivePatientId, caregiverId: link.caregiverId, approve },
         effectiveUserId,
         idToken
       );
-      if (!notificationResponse.success) {
-        throw new Error(notificationResponse.message || 'Failed to notify admin.');
-      }
-
-      setMissedDoseAlerts((prev) => [...prev, { id: alertRef.id, ...alertData }]);
-      console.log('Missed dose alert sent successfully:', alertData);
+      setError(approve ? `${link.caregiverName} can now see your reminders.` : `${link.caregiverName} no longer has access.`);
+      loadCaregiverLinks();
     } catch (err) {
-      console.error('Failed to send missed dose alert:', err.message);
-      setError(`Failed to send missed dose alert: ${err.message}. Retrying in 5 seconds...`);
-      setTimeout(sendMissedDoseAlert, 5000);
+      setError(`Failed to update caregiver: ${err.message}`);
     }
   };
 
-  const handleConfirmReminder = async (id) => {
+  // Opens the side-effect panel for a reminder; lookups are cached per medicine
+  const toggleReminderInfo = async (reminder) => {
+    if (openReminderInfo === reminder.id) {
+      setOpenReminderInfo(null);
+      return;
+    }
+    setOpenReminderInfo(reminder.id);
+    if (drugInfoByMedicine[reminder.medicine]) return;
+
     try {
-      const reminderRef = doc(db, `patients/${effectivePatientId}/reminders`, id);
-      const updatedData = { status: 'taken', confirmedAt: new Date().toISOString() };
-      await updateDoc(reminderRef, updatedData);
-      clearTimeout(reminderTimeoutsRef.current.get(id));
-      reminderTimeoutsRef.current.delete(id);
+      const idToken = await firebaseUser.getIdToken(true);
+      const info = await fetchDrugInfo(reminder.medicine, languagePreference, effectiveUserId, idToken);
+      setDrugInfoByMedicine((prev) => ({ ...prev, [reminder.medicine]: info }));
     } catch (err) {
-      setError(`Failed to confirm reminder: ${err.message}`);
+      console.error('Error fetching drug info:', err.message);
+      setDrugInfoByMedicine((prev) => ({
+        ...prev,
+        [reminder.medicine]: { success: false, warnings: [], translatedWarnings: [], message: err.message },
+      }));
     }
   };
 
   const handleSnoozeReminder = async (id) => {
     try {
-      const reminder = reminders.find((r) => r.id === id);
-      if (!reminder) return;
-
-      const newSnoozeCount = (reminder.snoozeCount || 0) + 1;
-      const snoozeTime = new Date(new Date(reminder.scheduledTime).getTime() + 10 * 60 * 1000);
-
-      const reminderRef = doc(db, `patients/${effectivePatientId}/reminders`, id);
-      await updateDoc(reminderRef, {
-        status: 'snoozed',
-        snoozeCount: newSnoozeCount,
-        scheduledTime: snoozeTime.toISOString(),
-      });
-
-      clearTimeout(reminderTimeoutsRef.current.get(id));
-      reminderTimeoutsRef.current.delete(id);
+      await queueReminder('snoozed', id);
     } catch (err) {
       setError(`Failed to snooze reminder: ${err.message}`);
     }
   };
 
-  const handleMissedReminder = async (id) => {
+  const loadEarlierMessages = useCallback(async () => {
+    if (!firebaseUser || !earlierCursor || loadingEarlier) return;
+    setLoadingEarlier(true);
     try {
-      const reminderRef = doc(db, `patients/${effectivePatientId}/reminders`, id);
-      await updateDoc(reminderRef, { status: 'missed' });
-
-      clearTimeout(reminderTimeoutsRef.current.get(id));
-      reminderTimeoutsRef.current.delete(id);
+      const idToken = await firebaseUser.getIdToken(true);
+      const response = await fetch(
+        `${apiBaseUrl}/chats/${effectivePatientId}/${doctorId}?before=${encodeURIComponent(earlierCursor)}`,
+        {
+          headers: { 'x-user-uid': effectiveUserId, Authorization: `Bearer ${idToken}` },
+          credentials: 'include',
+        }
+      );
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Failed to load earlier messages: ${response.status} - ${errorData.error || 'Unknown error'}`);
+      }
+      const data = await response.json();
+      keepScrollRef.current = true;
+      setMessages((prev) => prependMessages(data.messages || [], prev));
+      setEarlierCursor(data.nextCursor || null);
     } catch (err) {
-      setError(`Failed to mark reminder as missed: ${err.message}`);
-    }
-  };
-
-  const normalizeLanguageCode = useCallback((code) => {
-    switch (code?.toLowerCase()) {
-      case 'kn':
-      case 'kn-in':
-        return 'kn-IN';
-      case 'en':
-      case 'en-us':
-        return 'en-US';
-      default:
-        return 'en-US';
+      console.error('PatientChat: Error loading earlier messages:', err.message);
+      setError(err.message);
+    } finally {
+      setLoadingEarlier(false);
     }
-  }, []);
+  }, [firebaseUser, earlierCursor, loadingEarlier, apiBaseUrl, effectivePatientId, doctorId, effectiveUserId]);
 
-  const retryUpload = async (audioBlob, language) => {
-    if (!firebaseUser || !audioBlob || !language) {
-      setError('Invalid retry data or user session. Please log in again.');
-      navigate('/login');
-      return;
+  const refreshOutbox = useCallback(async () => {
+    if (!effectivePatientId) return;
+    try {
+      setOutbox(await listOutbox(effectivePatientId));
+    } catch (err) {
+      console.error('PatientChat: Failed to load the offline outbox:', err);
     }
+  }, [effectivePatientId]);
+
+  const syncPendingActions = useCallback(() => {
+    if (!firebaseUser || !effectivePatientId) return Promise.resolve();
+    return syncOutbox({
+      patientId: effectivePatientId,
+      userId: effectiveUserId,
+      getIdToken: () => firebaseUser.getIdToken(true),
+      onMessageSent: (entry, message) => {
+        if (entry.doctorId !== doctorId) return;
+        setMessages((prev) =>
+          prev.some((msg) => msg.clientMessageId === message.clientMessageId)
+            ? prev
+            : [...prev, message].sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        );
+      },
+      onDropped: (entry, reason) => {
+        setError(
+          entry.kind === 'message'
+            ? `A message you wrote offline could not be sent: ${reason}`
+            : `Your ${entry.action.type === 'taken' ? 'dose confirmation' : 'snooze'} from offline was not applied. ${reason}`
+        );
+      },
+      onChange: refreshOutbox,
+    }).catch((err) => console.error('PatientChat: Offline sync failed:', err));
+  }, [firebaseUser, effectivePatientId, effectiveUserId, doctorId, refreshOutbox]);
 
-    setError('Retrying upload... (Attempts remaining: 3)');
-    let attempts = 3;
-
-    const attemptRetry = async () => {
-      try {
-        console.log('Retrying upload with:', { language, audioBlobSize: audioBlob.size });
-        const idToken = await firebaseUser.getIdToken(true);
-        if (!idToken || typeof idToken !== 'string' || idToken.trim() === '') {
-          throw new Error('Invalid idToken: Must be a non-empty string.');
-        }
-        const transcriptionResult = await transcribeAudio(audioBlob, language, effectiveUserId, idToken);
-        if (!transcriptionResult.audioUrl) {
-          throw new Error('Transcription succeeded, but no audio URL was returned.');
-        }
-        const response = await fetch(transcriptionResult.audioUrl, { method: 'HEAD', mode: 'cors' });
-        if (!response.ok) {
-          throw new Error(`Audio URL inaccessible: ${transcriptionResult.audioUrl} (Status: ${response.status})`);
-        }
-        setError('');
-        setFailedUpload(null);
-        clearTimeout(retryTimeoutRef.current);
-
-        const message = {
-          sender: 'patient',
-          text: transcriptionResult.transcription || 'Transcription failed',
-          translatedText: transcriptionResult.translatedText || '',
-          timestamp: new Date().toISOString(),
-          language,
-          recordingLanguage: language,
-          doctorId,
-          userId: effectivePatientId,
-          audioUrl: transcriptionResult.audioUrl,
-        };
-
-        const formData = new FormData();
-        formData.append('audio', audioBlob, `audio_${new Date().toISOString()}.webm`);
-        formData.append('message', JSON.stringify(message));
-        formData.append('sender', 'patient');
-
-        const postUrl = `${apiBaseUrl}/chats/${effectivePatientId}/${doctorId}`;
-        console.log('Sending retry upload:', { url: postUrl, message });
+  // Sends what was queued offline on load and whenever the connection comes back
+  useEffect(() => {
+    refreshOutbox();
+    syncPendingActions();
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncPendingActions();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [refreshOutbox, syncPendingActions]);
 
-        const saveResponse = await fetch(postUrl, {
-          method: 'POST',
-          headers: { 'x-user-uid': effectiveUserId, Authorization: `Bearer ${idToken}` },
-          body: formData,
-          credentials: 'include',
-        });
+  // Keeps a message that couldn't be sent; syncPendingActions sends it on reconnect
+  const queueOfflineMessage = async (message) => {
+    setMessages((prev) => prev.filter((msg) => msg.tempMessageId !== message.tempMessageId));
+    try {
+      await queueMessage({ patientId: effectivePatientId, doctorId, userId: effectiveUserId, message });
+      await refreshOutbox();
+      setError('You are offline. Your message will be sent when the connection is back.');
+    } catch (err) {
+      setError(`Failed to keep the message for later: ${err.message}`);
+    }
+  };
 
-        if (!saveResponse.ok) {
-          const errorData = await saveResponse.json();
-          throw new Error(`Failed to save message: ${saveResponse.status} - ${errorData.message || 'Unknown error'}`);
-        }
-        const data = await saveResponse.json();
-        setMessages((prev) => {
-          const isDuplicate = prev.some(
-            (msg) =>
-              msg.timestamp === data.newMessage.timestamp &&
-              msg.sender === data.newMessage.sender &&
-              msg.text === data.newMessage.text &&
-              msg.audioUrl === data.newMessage.audioUrl
+  const refreshVoiceNotes = useCallback(async () => {
+    if (!effectivePatientId || !doctorId) return;
+    try {
+      setVoiceNotes(await listVoiceNotes(effectivePatientId, doctorId));
+    } catch (err) {
+      console.error('PatientChat: Failed to load pending voice notes:', err);
+    }
+  }, [effectivePatientId, doctorId]);
+
+  // Recordings wait in IndexedDB until the server has them (see voiceNoteQueue.js), so a failed
+  // upload or a reload doesn't lose them
+  const sendVoiceNotes = useCallback(
+    (force = false) => {
+      if (!firebaseUser || !effectivePatientId || !doctorId) return Promise.resolve();
+      return processVoiceNotes({
+        patientId: effectivePatientId,
+        doctorId,
+        userId: effectiveUserId,
+        getIdToken: () => firebaseUser.getIdToken(true),
+        onChange: refreshVoiceNotes,
+        onSent: (note, message) => {
+          setMessages((prev) =>
+            prev.some((msg) => msg.voiceNoteId === message.voiceNoteId)
+              ? prev
+              : [...prev, message].sort((a, b) => a.timestamp.localeCompare(b.timestamp))
           );
-          if (isDuplicate) {
-            console.log('PatientChat: Skipped duplicate retry message:', data.newMessage.timestamp, data.newMessage.text);
-            return prev;
-          }
-          return [...prev, data.newMessage].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
-        });
-      } catch (err) {
-        console.error('Retry upload failed:', err);
-        attempts--;
-        if (attempts > 0) {
-          setError(`Retrying upload... (Attempts remaining: ${attempts})`);
-          retryTimeoutRef.current = setTimeout(attemptRetry, 2000 * (4 - attempts));
-        } else {
-          setError(`Failed to transcribe audio after retries: ${err.message}`);
-          setFailedUpload({ audioBlob, language });
-          clearTimeout(retryTimeoutRef.current);
-        }
-      }
+        },
+        force,
+      }).catch((err) => console.error('PatientChat: Voice note queue failed:', err));
+    },
+    [firebaseUser, effectivePatientId, effectiveUserId, doctorId, refreshVoiceNotes]
+  );
+
+  useEffect(() => {
+    refreshVoiceNotes();
+    sendVoiceNotes();
+    const interval = setInterval(() => sendVoiceNotes(), 30000);
+    const handleOnline = () => sendVoiceNotes(true);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', handleOnline);
     };
+  }, [refreshVoiceNotes, sendVoiceNotes]);
 
-    attemptRetry();
+  const discardVoiceNote = async (note) => {
+    if (!window.confirm('Discard this voice message? It has not reached your doctor.')) return;
+    try {
+      await deleteVoiceNote(note.id);
+      await refreshVoiceNotes();
+    } catch (err) {
+      setError(`Failed to discard the voice message: ${err.message}`);
+    }
   };
 
   const startRecording = async () => {
@@ -1071,73 +1024,34 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
           return;
         }
 
-        const normalizedTranscriptionLanguage = normalizeLanguageCode(transcriptionLanguage);
-        let text, translatedText = null;
-
-        try {
-          const idToken = await firebaseUser.getIdToken(true);
-          if (!idToken || typeof idToken !== 'string' || idToken.trim() === '') {
-            throw new Error('Invalid idToken: Must be a non-empty string.');
-          }
-          const transcriptionResult = await transcribeAudio(audioBlob, normalizedTranscriptionLanguage, effectiveUserId, idToken);
-          text = transcriptionResult.transcription || 'Transcription failed';
+        if (audioBlob.size > MAX_VOICE_NOTE_BYTES) {
+          setError('The recording is too long to send. Please keep voice messages under a few minutes.');
+          return;
+        }
 
-          if (normalizedTranscriptionLanguage === 'kn-IN') {
-            translatedText = await translateText(text, 'kn-IN', 'en-US', effectiveUserId, idToken);
-          } else if (normalizedTranscriptionLanguage === 'en-US' && languagePreference === 'kn') {
-            translatedText = await translateText(text, 'en-US', 'kn-IN', effectiveUserId, idToken);
-          }
+        // Recordings in another language are translated to English for the doctor; English ones
+        // into the patient's language
+        const normalizedTranscriptionLanguage = toBcp47(transcriptionLanguage);
+        let translateTo = null;
+        if (!isDefaultLanguage(normalizedTranscriptionLanguage)) {
+          translateTo = 'en-US';
+        } else if (!isDefaultLanguage(languagePreference)) {
+          translateTo = toBcp47(languagePreference);
+        }
 
-          const message = {
-            sender: 'patient',
-            text,
-            translatedText,
-            timestamp: new Date().toISOString(),
-            language: normalizedTranscriptionLanguage,
-            recordingLanguage: normalizedTranscriptionLanguage,
+        try {
+          await saveVoiceNote({
+            patientId: effectivePatientId,
             doctorId,
-            userId: effectivePatientId,
-            audioUrl: transcriptionResult.audioUrl,
-          };
-
-          const formData = new FormData();
-          formData.append('audio', audioBlob, `audio_${new Date().toISOString()}.webm`);
-          formData.append('message', JSON.stringify(message));
-          formData.append('sender', 'patient');
-
-          const postUrl = `${apiBaseUrl}/chats/${effectivePatientId}/${doctorId}`;
-          console.log('Sending audio message:', { url: postUrl, message, audioSize: audioBlob.size });
-
-          const response = await fetch(postUrl, {
-            method: 'POST',
-            headers: { 'x-user-uid': effectiveUserId, Authorization: `Bearer ${idToken}` },
-            body: formData,
-            credentials: 'include',
-          });
-
-          if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`Failed to save message: ${response.status} - ${errorData.message || 'Unknown error'}`);
-          }
-          const data = await response.json();
-          setMessages((prev) => {
-            const isDuplicate = prev.some(
-              (msg) =>
-                msg.timestamp === data.newMessage.timestamp &&
-                msg.sender === data.newMessage.sender &&
-                msg.text === data.newMessage.text &&
-                msg.audioUrl === data.newMessage.audioUrl
-            );
-            if (isDuplicate) {
-              console.log('PatientChat: Skipped duplicate recording message:', data.newMessage.timestamp, data.newMessage.text);
-              return prev;
-            }
-            return [...prev, data.newMessage].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            blob: audioBlob,
+            recordingLanguage: normalizedTranscriptionLanguage,
+            translateTo,
           });
+          await refreshVoiceNotes();
+          sendVoiceNotes(true);
         } catch (err) {
-          console.error('Audio processing failed:', err);
-          setError(`Failed to process audio: ${err.message}`);
-          setFailedUpload({ audioBlob, language: normalizedTranscriptionLanguage });
+          console.error('Saving the recording failed:', err);
+          setError(`Failed to save the recording: ${err.message}`);
         }
 
         if (streamRef.current) {
@@ -1271,13 +1185,9 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         throw new Error('Invalid idToken: Must be a non-empty string.');
       }
 
-      const normalizedLang = normalizeLanguageCode(lang);
-      const audioUrl = await textToSpeechConvert(text.trim(), normalizedLang, effectiveUserId, idToken);
-      const response = await fetch(audioUrl, { method: 'HEAD', mode: 'cors' });
-      if (!response.ok) {
-        throw new Error(`Audio URL inaccessible: ${audioUrl} (Status: ${response.status}) - ${response.statusText}`);
-      }
-      return audioUrl;
+      // The server returns the URL once the audio is stored, so it can be played straight away
+      const normalizedLang = toBcp47(lang);
+      return await textToSpeechConvert(text.trim(), normalizedLang, effectiveUserId, idToken);
     } catch (err) {
       console.error(`Text-to-speech attempt ${4 - attempts} failed:`, err);
       if (err.message.includes('404')) {
@@ -1358,6 +1268,12 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
 
     setMessages((prev) => [...prev, message].sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
     setTextInput('');
+    notifyActivity('idle');
+
+    if (!navigator.onLine) {
+      await queueOfflineMessage(message);
+      return;
+    }
 
     try {
       const postUrl = `${apiBaseUrl}/chats/${effectivePatientId}/${doctorId}`;
@@ -1396,6 +1312,10 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
       });
     } catch (err) {
       console.error('Failed to save text message:', err);
+      if (isOfflineError(err)) {
+        await queueOfflineMessage(message);
+        return;
+      }
       setError(`Failed to save text message: ${err.message}`);
       setMessages((prev) => prev.filter((msg) => msg.tempMessageId !== tempMessageId));
       if (err.message.includes('404')) {
@@ -1428,6 +1348,11 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
 
     setMessages((prev) => [...prev, message].sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
 
+    if (!navigator.onLine) {
+      await queueOfflineMessage(message);
+      return;
+    }
+
     try {
       const postUrl = `${apiBaseUrl}/chats/${effectivePatientId}/${doctorId}`;
       console.log('Sending quick reply:', { url: postUrl, message });
@@ -1465,6 +1390,10 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
       });
     } catch (err) {
       console.error('Failed to save quick reply:', err);
+      if (isOfflineError(err)) {
+        await queueOfflineMessage(message);
+        return;
+      }
       setError(`Failed to save quick reply message: ${err.message}`);
       setMessages((prev) => prev.filter((msg) => msg.tempMessageId !== tempMessageId));
     }
@@ -1500,8 +1429,22 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
     }
   };
 
+  // Patients can't correct translations, but can flag them for the doctor
+  const renderTranslationFeedback = (msg, field, language) => (
+    <TranslationFeedback
+      message={msg}
+      field={field}
+      patientId={effectivePatientId}
+      doctorId={doctorId}
+      userId={effectiveUserId}
+      canCorrect={false}
+      language={language}
+      onError={setError}
+    />
+  );
+
   const translateDoctorMessages = async () => {
-    if (!firebaseUser || !languagePreference || languagePreference !== 'kn') return;
+    if (!firebaseUser || !languagePreference || isDefaultLanguage(languagePreference)) return;
 
     const doctorMessages = messages.filter((msg) => msg.sender === 'doctor' && (msg.diagnosis || msg.prescription));
     if (doctorMessages.length === 0) return;
@@ -1515,15 +1458,13 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         const msg = updatedMessages[i];
         if (msg.sender === 'doctor' && (msg.diagnosis || msg.prescription)) {
           if (msg.diagnosis && !msg.translatedDiagnosis) {
-            const translatedDiagnosis = await translateText(msg.diagnosis, 'en-US', 'kn-IN', effectiveUserId, idToken);
+            const translatedDiagnosis = await translateText(msg.diagnosis, 'en-US', toBcp47(languagePreference), effectiveUserId, idToken);
             updatedMessages[i] = { ...msg, translatedDiagnosis };
             hasChanges = true;
           }
           if (msg.prescription && !msg.translatedPrescription) {
-            const prescriptionText = typeof msg.prescription === 'object'
-              ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`
-              : msg.prescription;
-            const translatedPrescription = await translateText(prescriptionText, 'en-US', 'kn-IN', effectiveUserId, idToken);
+            const prescriptionText = formatPrescription(msg.prescription);
+            const translatedPrescription = await translateText(prescriptionText, 'en-US', toBcp47(languagePreference), effectiveUserId, idToken);
             updatedMessages[i] = { ...updatedMessages[i], translatedPrescription };
             hasChanges = true;
           }
@@ -1559,11 +1500,27 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
         </button>
         <h2>Patient Chat with {doctorName}</h2>
         <div className="header-actions">
+          {effectivePatientId && doctorId && (
+            <CallPanel
+              key={`${effectivePatientId}-${doctorId}`}
+              patientId={effectivePatientId}
+              doctorId={doctorId}
+              role="patient"
+              userId={effectiveUserId}
+              peerName={doctorName}
+              onError={setError}
+            />
+          )}
           <button onClick={handleLogoutClick} className="logout-button">
             Logout
           </button>
         </div>
       </div>
+      {!isOnline && (
+        <div className="offline-banner" role="status">
+          You are offline. Showing saved messages and reminders; what you send now goes out when you reconnect.
+        </div>
+      )}
       <div className="chat-layout">
         <div className={`sidebar ${menuOpen ? 'open' : ''}`}>
           <div className="sidebar-header">
@@ -1600,6 +1557,15 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
             >
               Doctor's Recommendations
             </li>
+            <li
+              onClick={() => {
+                setActiveMenuOption('caregivers');
+                setMenuOpen(false);
+              }}
+              className={activeMenuOption === 'caregivers' ? 'active' : ''}
+            >
+              Caregivers
+            </li>
           </ul>
         </div>
         <div className="chat-content">
@@ -1663,6 +1629,73 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                       className="editable-field"
                     />
                   </div>
+                  <div className="profile-field">
+                    <strong>Allergies:</strong>
+                    <input
+                      type="text"
+                      value={editProfileData.allergies}
+                      onChange={(e) => setEditProfileData({ ...editProfileData, allergies: e.target.value })}
+                      className="editable-field"
+                      placeholder="Comma-separated, e.g. penicillin, sulfa"
+                    />
+                  </div>
+                  <div className="profile-field">
+                    <strong>Chronic Conditions:</strong>
+                    <input
+                      type="text"
+                      value={editProfileData.chronicConditions}
+                      onChange={(e) => setEditProfileData({ ...editProfileData, chronicConditions: e.target.value })}
+                      className="editable-field"
+                      placeholder="Comma-separated, e.g. asthma, diabetes"
+                    />
+                  </div>
+                  <div className="profile-field">
+                    <strong>Pregnancy Status:</strong>
+                    <select
+                      value={editProfileData.pregnancyStatus}
+                      onChange={(e) => setEditProfileData({ ...editProfileData, pregnancyStatus: e.target.value })}
+                      className="editable-field"
+                    >
+                      {Object.entries(PREGNANCY_STATUSES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="profile-field">
+                    <strong>Weight (kg):</strong>
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.1"
+                      value={editProfileData.weightKg}
+                      onChange={(e) => setEditProfileData({ ...editProfileData, weightKg: e.target.value })}
+                      className="editable-field"
+                    />
+                  </div>
+                  <div className="profile-field">
+                    <strong>Time Zone:</strong>
+                    <input
+                      type="text"
+                      value={editProfileData.timeZone}
+                      onChange={(e) => setEditProfileData({ ...editProfileData, timeZone: e.target.value })}
+                      className="editable-field"
+                      placeholder="e.g. Asia/Kolkata"
+                    />
+                  </div>
+                  {ROUTINE_SLOTS.map(({ key, label }) => (
+                    <div className="profile-field" key={key}>
+                      <strong>{label}:</strong>
+                      <input
+                        type="time"
+                        value={editProfileData.routine[key]}
+                        onChange={(e) =>
+                          setEditProfileData({ ...editProfileData, routine: { ...editProfileData.routine, [key]: e.target.value } })
+                        }
+                        className="editable-field"
+                        aria-label={`Usual ${label.toLowerCase()} time`}
+                      />
+                    </div>
+                  ))}
                   <div className="profile-field non-editable">
                     <strong>Patient ID:</strong>
                     <input
@@ -1685,7 +1718,7 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                     <strong>Language Preference:</strong>
                     <input
                       type="text"
-                      value={profileData.languagePreference === 'kn' ? 'Kannada' : 'English'}
+                      value={getLanguageName(profileData.languagePreference)}
                       disabled
                       className="non-editable-field"
                     />
@@ -1723,12 +1756,21 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                   <p><strong>Name:</strong> {profileData.name}</p>
                   <p><strong>Patient ID:</strong> {profileData.patientId}</p>
                   <p><strong>Email:</strong> {profileData.email}</p>
-                  <p><strong>Language Preference:</strong> {profileData.languagePreference === 'kn' ? 'Kannada' : 'English'}</p>
+                  <p><strong>Language Preference:</strong> {getLanguageName(profileData.languagePreference)}</p>
                   <p><strong>Sex:</strong> {profileData.sex}</p>
                   <p><strong>Age:</strong> {profileData.age}</p>
                   <p><strong>Address:</strong> {profileData.address}</p>
                   <p><strong>Phone Number:</strong> {profileData.phoneNumber}</p>
                   <p><strong>Aadhaar Number:</strong> {profileData.aadhaarNumber}</p>
+                  <p><strong>Allergies:</strong> {profileData.allergies.length ? profileData.allergies.join(', ') : 'None recorded'}</p>
+                  <p><strong>Chronic Conditions:</strong> {profileData.chronicConditions.length ? profileData.chronicConditions.join(', ') : 'None recorded'}</p>
+                  <p><strong>Pregnancy Status:</strong> {PREGNANCY_STATUSES[profileData.pregnancyStatus]}</p>
+                  <p><strong>Weight:</strong> {profileData.weightKg !== null ? `${profileData.weightKg} kg` : 'Not recorded'}</p>
+                  <p><strong>Time Zone:</strong> {profileData.hasSchedule ? profileData.timeZone : `${profileData.timeZone} (not set)`}</p>
+                  <p>
+                    <strong>Daily Routine:</strong>{' '}
+                    {ROUTINE_SLOTS.map(({ key, label }) => `${label} ${profileData.routine[key]}`).join(', ')}
+                  </p>
                   <div className="profile-actions">
                     <button onClick={() => setIsEditingProfile(true)} className="update-button">
                       Update Profile
@@ -1744,7 +1786,7 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
           {activeMenuOption === 'reminders' && (
             <div className="reminders-section">
               <h3>Medication Reminders</h3>
-              <p><strong>Adherence Rate:</strong> {adherenceRate}% (Taken {reminders.filter((r) => r.status === 'taken').length} of {reminders.length})</p>
+              <p><strong>Adherence Rate:</strong> {adherenceRate}% (Taken {shownReminders.filter((r) => r.status === 'taken').length} of {shownReminders.length})</p>
               <p><strong>Missed Doses:</strong> {missedDoses}</p>
               {missedDoseAlerts.length > 0 && (
                 <div className="missed-dose-alerts">
@@ -1755,7 +1797,7 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                   ))}
                 </div>
               )}
-              {reminders.length > 0 ? (
+              {shownReminders.length > 0 ? (
                 <div className="reminders-table">
                   <div className="table-header">
                     <span>Medicine</span>
@@ -1765,15 +1807,29 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                     <span>Status</span>
                     <span>Actions</span>
                   </div>
-                  {reminders
+                  {shownReminders
                     .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime))
                     .map((reminder) => (
-                      <div key={reminder.id} className="table-row">
-                        <span>{reminder.medicine}</span>
-                        <span>{reminder.dosage}</span>
+                      <React.Fragment key={reminder.id}>
+                      <div className="table-row">
+                        <span>
+                          <button
+                            onClick={() => toggleReminderInfo(reminder)}
+                            className="medicine-info-button"
+                            aria-expanded={openReminderInfo === reminder.id}
+                            aria-label={`Show side effects and warnings for ${reminder.medicine}`}
+                          >
+                            {reminder.medicine}
+                          </button>
+                        </span>
+                        <span>{reminder.dosage}{reminder.withFood ? ' (with food)' : ''}</span>
                         <span>{reminder.diagnosis}</span>
-                        <span>{new Date(reminder.scheduledTime).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) + ' ' + new Date(reminder.scheduledTime).toLocaleTimeString('en-US', { hour12: true })}</span>
-                        <span>{reminder.status}</span>
+                        <span>{new Date(reminder.scheduledTime).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: reminder.timeZone }) + ' ' + new Date(reminder.scheduledTime).toLocaleTimeString('en-US', { hour12: true, timeZone: reminder.timeZone })}</span>
+                        <span>
+                          {reminder.status}
+                          {reminder.confirmedBy?.role === 'caregiver' && ` (by ${reminder.confirmedBy.name || 'caregiver'})`}
+                          {reminder.queued && ' (waiting to sync)'}
+                        </span>
                         <span>
                           {reminder.status === 'pending' || reminder.status === 'snoozed' ? (
                             <>
@@ -1795,6 +1851,22 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                           )}
                         </span>
                       </div>
+                      {openReminderInfo === reminder.id && (
+                        <div className="drug-info-panel" role="note">
+                          {!drugInfoByMedicine[reminder.medicine] ? (
+                            <p>Loading medicine information...</p>
+                          ) : drugInfoByMedicine[reminder.medicine].success ? (
+                            <ul>
+                              {drugInfoByMedicine[reminder.medicine].translatedWarnings.map((warning, index) => (
+                                <li key={index}>{warning}</li>
+                              ))}
+                            </ul>
+                          ) : (
+                            <p>{drugInfoByMedicine[reminder.medicine].message}</p>
+                          )}
+                        </div>
+                      )}
+                      </React.Fragment>
                     ))}
                 </div>
               ) : (
@@ -1805,6 +1877,50 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
               </button>
             </div>
           )}
+          {activeMenuOption === 'caregivers' && (
+            <div className="reminders-section">
+              <h3>Caregivers</h3>
+              <p>
+                Caregivers you approve can see your reminders and adherence, confirm doses for you and are
+                alerted when doses are missed. Share your patient ID <strong>{effectivePatientId}</strong> with
+                them to let them send a request.
+              </p>
+              {caregiverLinks.length > 0 ? (
+                <div className="reminders-table">
+                  <div className="table-header">
+                    <span>Name</span>
+                    <span>Relationship</span>
+                    <span>Requested</span>
+                    <span>Status</span>
+                    <span>Actions</span>
+                  </div>
+                  {caregiverLinks.map((link) => (
+                    <div key={link.id} className="table-row">
+                      <span>{link.caregiverName}</span>
+                      <span>{link.relationship || '-'}</span>
+                      <span>{new Date(link.requestedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</span>
+                      <span>{link.status}</span>
+                      <span>
+                        {link.status === 'pending' && (
+                          <button onClick={() => handleCaregiverLinkResponse(link, true)} className="confirm-button">
+                            Approve
+                          </button>
+                        )}
+                        <button onClick={() => handleCaregiverLinkResponse(link, false)} className="snooze-button">
+                          {link.status === 'pending' ? 'Decline' : 'Revoke'}
+                        </button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p>No caregiver requests yet.</p>
+              )}
+              <button onClick={() => setActiveMenuOption(null)} className="close-section-button">
+                Close
+              </button>
+            </div>
+          )}
           {activeMenuOption === 'recommendations' && (
             <div className="recommendations-section">
               <h3>Doctor's Recommendations</h3>
@@ -1820,7 +1936,7 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
               {messages.filter((msg) => msg.sender === 'doctor' && (msg.diagnosis || msg.prescription)).length > 0 ? (
                 (() => {
                   const doctorMessages = messages
-                    .filter((msg) => msg.sender === 'doctor' && (msg.diagnosis || msg.prescription))
+                    .filter((msg) => msg.sender === 'doctor' && (msg.diagnosis || msg.prescription) && !isRetracted(msg))
                     .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
 
                   let lastDiagnosis = '';
@@ -1832,18 +1948,16 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                       lastDiagnosis = msg.diagnosis;
                     }
                     if (msg.prescription) {
-                      const prescriptionText = typeof msg.prescription === 'object'
-                        ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`
-                        : msg.prescription;
 
                       const diagnosisToUse = lastDiagnosis || 'Not specified';
 
                       const note = msg.diagnosis ? '' : lastDiagnosis ? '(Note: Only prescription was given, using last diagnosis)' : '(Note: No prior diagnosis available)';
 
                       combinedMessages.push({
+                        id: msg.id,
                         timestamp: msg.timestamp,
                         diagnosis: diagnosisToUse,
-                        prescription: prescriptionText,
+                        prescription: msg.prescription,
                         note,
                         translatedDiagnosis: msg.translatedDiagnosis,
                         translatedPrescription: msg.translatedPrescription,
@@ -1854,21 +1968,21 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                   return combinedMessages.map((entry, index) => (
                     <div key={`${entry.timestamp}-${index}`} className="recommendation-item">
                       <div className="recommendation-content">
-                        {languagePreference === 'kn' && entry.translatedDiagnosis ? (
+                        {readsTranslations && entry.translatedDiagnosis ? (
                           <p><strong>Diagnosis:</strong> {entry.translatedDiagnosis}</p>
                         ) : (
                           <p><strong>Diagnosis:</strong> {entry.diagnosis}</p>
                         )}
-                        {languagePreference === 'kn' && entry.translatedPrescription ? (
+                        {readsTranslations && entry.translatedPrescription ? (
                           <p><strong>Prescription:</strong> {entry.translatedPrescription}</p>
                         ) : (
-                          <p><strong>Prescription:</strong> {entry.prescription}</p>
+                          <p><strong>Prescription:</strong> {formatPrescription(entry.prescription)}</p>
                         )}
                         {entry.note && <p className="recommendation-note">{entry.note}</p>}
                       </div>
                       <div className="recommendation-actions">
                         <button
-                          onClick={() => validateAndSchedulePrescription(entry.diagnosis, entry.prescription, entry.timestamp)}
+                          onClick={() => validateAndSchedulePrescription(entry.id, entry.prescription, entry.timestamp)}
                           className="validate-button"
                         >
                           ✅ Validate
@@ -1907,16 +2021,22 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                   ))}
                 </div>
               )}
+              {earlierCursor && (
+                <button onClick={loadEarlierMessages} disabled={loadingEarlier} className="load-earlier-button">
+                  {loadingEarlier ? 'Loading...' : 'Load earlier messages'}
+                </button>
+              )}
               {messages.length === 0 && <p className="no-messages">No messages yet.</p>}
               {messages.map((msg, index) => (
                 <div
                   key={`${msg.timestamp}-${index}`}
-                  className={`message ${msg.sender === 'patient' ? 'patient-message' : 'doctor-message'}`}
+                  className={`message ${msg.sender === 'system' ? 'system-message' : msg.sender === 'patient' ? 'patient-message' : 'doctor-message'}`}
                 >
                   <div className="message-content">
+                    {msg.sender === 'system' && <p className="primary-text">{msg.text}</p>}
                     {msg.sender === 'patient' && msg.audioUrl && (
                       <>
-                        {msg.recordingLanguage === 'en-US' ? (
+                        {isDefaultLanguage(msg.recordingLanguage) ? (
                           <div className="message-block">
                             <p className="primary-text">{msg.text || 'No transcription'}</p>
                             <div className="audio-container">
@@ -1936,16 +2056,23 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                           </div>
                         ) : (
                           <div className="message-block">
-                            <p className="primary-text">{msg.text || 'No transcription'}</p>
-                            {msg.translatedText && <p className="translated-text">English: {msg.translatedText}</p>}
+                            <p className="primary-text" lang={toBcp47(msg.recordingLanguage)} dir={getLanguage(msg.recordingLanguage).direction}>
+                              {msg.text || 'No transcription'}
+                            </p>
+                            {msg.translatedText && (
+                              <>
+                                <p className="translated-text">English: {msg.translatedText}</p>
+                                {renderTranslationFeedback(msg, 'translatedText', getLanguage())}
+                              </>
+                            )}
                             <div className="audio-container">
                               <audio controls src={msg.audioUrl} onError={() => setError('Failed to load audio. It may be inaccessible or unsupported.')} />
                               <div className="read-aloud-container">
                                 <button
-                                  onClick={() => readAloud(msg.text, 'kn')}
+                                  onClick={() => readAloud(msg.text, msg.recordingLanguage)}
                                   className="read-aloud-button"
                                 >
-                                  🔊 Kannada
+                                  🔊 {getLanguageName(msg.recordingLanguage)}
                                 </button>
                                 <button
                                   onClick={() => readAloud(msg.translatedText || msg.text, 'en')}
@@ -1968,46 +2095,44 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                       </div>
                     )}
                     {msg.sender === 'doctor' && (
-                      <div className="message-block">
+                      <div className={`message-block ${isRetracted(msg) ? 'retracted' : ''}`}>
                         {msg.diagnosis || msg.prescription ? (
                           <>
-                            {languagePreference === 'kn' ? (
+                            {readsTranslations ? (
                               <>
                                 <p className="primary-text">Doctor has provided a recommendation</p>
                                 {msg.diagnosis && (
-                                  <p className="primary-text">
+                                  <p className="primary-text" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>
                                     <strong>Diagnosis:</strong> {msg.translatedDiagnosis || msg.diagnosis}
                                     <button
-                                      onClick={() => readAloud(msg.translatedDiagnosis || msg.diagnosis, 'kn')}
+                                      onClick={() => readAloud(msg.translatedDiagnosis || msg.diagnosis, patientLanguage.code)}
                                       className="read-aloud-button"
                                     >
-                                      🔊 Kannada
+                                      🔊 {patientLanguage.name}
                                     </button>
                                   </p>
                                 )}
+                                {msg.diagnosis && msg.translatedDiagnosis && renderTranslationFeedback(msg, 'translatedDiagnosis', patientLanguage)}
                                 {msg.prescription && (
-                                  <p className="primary-text">
+                                  <p className="primary-text" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>
                                     <strong>Prescription:</strong>{' '}
-                                    {msg.translatedPrescription || (typeof msg.prescription === 'object'
-                                      ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`
-                                      : msg.prescription)}
+                                    {msg.translatedPrescription || formatPrescription(msg.prescription)}
                                     <button
-                                      onClick={() => readAloud(msg.translatedPrescription || (typeof msg.prescription === 'object'
-                                        ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`
-                                        : msg.prescription), 'kn')}
+                                      onClick={() => readAloud(msg.translatedPrescription || formatPrescription(msg.prescription), patientLanguage.code)}
                                       className="read-aloud-button"
                                     >
-                                      🔊 Kannada
+                                      🔊 {patientLanguage.name}
                                     </button>
                                   </p>
                                 )}
+                                {msg.prescription && msg.translatedPrescription && renderTranslationFeedback(msg, 'translatedPrescription', patientLanguage)}
                               </>
                             ) : (
                               <>
                                 {msg.diagnosis && (
                                   <p className="primary-text">
                                     <strong>Diagnosis:</strong> {msg.diagnosis}
-                                    {languagePreference === 'en' && (
+                                    {!readsTranslations && (
                                       <button
                                         onClick={() => readAloud(msg.diagnosis, 'en')}
                                         className="read-aloud-button"
@@ -2020,14 +2145,10 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                                 {msg.prescription && (
                                   <p className="primary-text">
                                     <strong>Prescription:</strong>{' '}
-                                    {typeof msg.prescription === 'object'
-                                      ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`
-                                      : msg.prescription}
-                                    {languagePreference === 'en' && (
+                                    {formatPrescription(msg.prescription)}
+                                    {!readsTranslations && (
                                       <button
-                                        onClick={() => readAloud(typeof msg.prescription === 'object'
-                                          ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration}`
-                                          : msg.prescription, 'en')}
+                                        onClick={() => readAloud(formatPrescription(msg.prescription), 'en')}
                                         className="read-aloud-button"
                                       >
                                         🔊 English
@@ -2037,10 +2158,16 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                                 )}
                               </>
                             )}
+                            {(msg.amendedAt || msg.retractedAt) && (
+                              <p className="revision-note">
+                                <strong>{REVISION_ACTIONS[isRetracted(msg) ? 'retract' : 'amend']} by your doctor</strong>
+                                {' '}{new Date(msg.retractedAt || msg.amendedAt).toLocaleString()}: {msg.revisionReason}
+                              </p>
+                            )}
                           </>
                         ) : (
                           <>
-                            {languagePreference === 'en' ? (
+                            {!readsTranslations ? (
                               <div className="message-block">
                                 <p className="primary-text">{msg.text || 'No message content'}</p>
                                 {msg.audioUrl && (
@@ -2063,20 +2190,27 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                             ) : (
 
                               <div className="message-block">
-                                <p className="primary-text">{msg.text || 'No message content'}</p>
-                                {msg.translatedText && <p className="translated-text">English: {msg.translatedText}</p>}
+                                <p className="primary-text" lang={patientLanguage.bcp47} dir={patientLanguage.direction}>
+                                  {msg.translatedText || msg.text || 'No message content'}
+                                </p>
+                                {msg.translatedText && (
+                                  <>
+                                    <p className="translated-text">English: {msg.text}</p>
+                                    {renderTranslationFeedback(msg, 'translatedText', patientLanguage)}
+                                  </>
+                                )}
                                 {msg.audioUrl && (
                                   <div className="audio-container">
                                     <audio controls src={msg.audioUrl} onError={() => setError('Failed to load audio. It may be inaccessible or unsupported.')} />
                                     <div className="read-aloud-container">
                                       <button
-                                        onClick={() => readAloud(msg.text, 'kn')}
+                                        onClick={() => readAloud(msg.translatedText || msg.text, patientLanguage.code)}
                                         className="read-aloud-button"
                                       >
-                                        🔊 Kannada
+                                        🔊 {patientLanguage.name}
                                       </button>
                                       <button
-                                        onClick={() => readAloud(msg.translatedText || msg.text, 'en')}
+                                        onClick={() => readAloud(msg.text, 'en')}
                                         className="read-aloud-button"
                                       >
                                         🔊 English
@@ -2095,21 +2229,61 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                     )}
                     {msg.imageUrl && <img src={msg.imageUrl} alt="Patient upload" className="chat-image" />}
                     {msg.audioError && <p className="audio-error">{msg.audioError}</p>}
+                    {msg.sender === 'patient' && msg.id ? (
+                      <span className={`message-status ${getMessageStatus(msg)}`}>{MESSAGE_STATUSES[getMessageStatus(msg)]}</span>
+                    ) : (
+                      msg.voiceNoteId && <span className="voice-note-status sent">{VOICE_NOTE_STATUSES.sent}</span>
+                    )}
                     <span className="timestamp">{new Date(msg.timestamp).toLocaleTimeString('en-US', { hour12: true })}</span>
                   </div>
                 </div>
               ))}
+              {voiceNotes.map((note) => (
+                <div key={note.id} className="message patient-message pending-voice-note">
+                  <div className="message-content">
+                    <div className="message-block">
+                      <p className="primary-text">🎤 Voice message</p>
+                      {note.status === 'failed' && note.lastError && <p className="audio-error">{note.lastError}</p>}
+                      {note.status === 'failed' && (
+                        <div className="voice-note-actions">
+                          <button onClick={() => sendVoiceNotes(true)} className="retry-button">
+                            Retry
+                          </button>
+                          <button onClick={() => discardVoiceNote(note)} className="discard-button">
+                            Discard
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    <span className={`voice-note-status ${note.status}`}>{VOICE_NOTE_STATUSES[note.status]}</span>
+                    <span className="timestamp">{new Date(note.createdAt).toLocaleTimeString('en-US', { hour12: true })}</span>
+                  </div>
+                </div>
+              ))}
+              {outbox
+                .filter((entry) => entry.kind === 'message' && entry.doctorId === doctorId)
+                .map((entry) => (
+                  <div key={entry.id} className="message patient-message pending-voice-note">
+                    <div className="message-content">
+                      <div className="message-block">
+                        <p className="primary-text">{entry.message.text}</p>
+                      </div>
+                      <span className="voice-note-status sending">Waiting for connection</span>
+                      <span className="timestamp">{new Date(entry.createdAt).toLocaleTimeString('en-US', { hour12: true })}</span>
+                    </div>
+                  </div>
+                ))}
+              {doctorActivity && (
+                <p className="chat-activity">
+                  {doctorName} is {CHAT_ACTIVITIES[doctorActivity]}
+                </p>
+              )}
               <div ref={messagesEndRef} />
             </div>
           )}
           {error && (
             <div className="error-message">
               {error}
-              {failedUpload && failedUpload.audioBlob && (
-                <button onClick={() => retryUpload(failedUpload.audioBlob, failedUpload.language)} className="retry-button">
-                  Retry Upload
-                </button>
-              )}
               {failedUpload && failedUpload.type === 'image' && failedUpload.file && (
                 <button onClick={() => handleImageUpload({ target: { files: [failedUpload.file] } })} className="retry-button">
                   Retry Image Upload
@@ -2121,18 +2295,15 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
             <div className="controls">
               <div className="controls-row">
                 <div className="language-buttons">
-                  <button
-                    onClick={() => setTranscriptionLanguage('kn')}
-                    className={transcriptionLanguage === 'kn' ? 'active-lang' : ''}
-                  >
-                    Kannada
-                  </button>
-                  <button
-                    onClick={() => setTranscriptionLanguage('en')}
-                    className={transcriptionLanguage === 'en' ? 'active-lang' : ''}
-                  >
-                    English
-                  </button>
+                  {recordingLanguages.map((language) => (
+                    <button
+                      key={language.code}
+                      onClick={() => setTranscriptionLanguage(language.code)}
+                      className={getLanguage(transcriptionLanguage).code === language.code ? 'active-lang' : ''}
+                    >
+                      {language.name}
+                    </button>
+                  ))}
                 </div>
                 <div className="recording-buttons">
                   <button
@@ -2163,7 +2334,10 @@ function PatientChat({ user, firebaseUser, role, patientId, handleLogout }) {
                   <input
                     type="text"
                     value={textInput}
-                    onChange={(e) => setTextInput(e.target.value)}
+                    onChange={(e) => {
+                      setTextInput(e.target.value);
+                      notifyActivity(e.target.value ? 'typing' : 'idle');
+                    }}
                     placeholder="Type your message (English only)..."
                     onKeyPress={(e) => e.key === 'Enter' && handleSendText()}
                   />
@@ -2,6 +2,11 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { collection, query, where, getDocs, doc, getDoc } from 'firebase/firestore';
 import { db } from '../services/firebase.js';
+import { formatPrescription } from '../services/prescription.js';
+import { PREGNANCY_STATUSES, normalizeHealthProfile } from '../services/patientSafety.js';
+import { getLanguageName } from '../services/languages.js';
+import { MEDICATION_STATUSES } from '../services/medications.js';
+import { fetchMedications } from '../services/medicationsApi.js';
 import { getAuth } from 'firebase/auth';
 import './PatientProfile.css';
 
@@ -11,6 +16,9 @@ function PatientProfile({ user, setError }) {
   const [patientRecords, setPatientRecords] = useState([]);
   const [loadingDetails, setLoadingDetails] = useState(true);
   const [loadingRecords, setLoadingRecords] = useState(true);
+  const [medications, setMedications] = useState([]);
+  const [medicationHistory, setMedicationHistory] = useState([]);
+  const [loadingMedications, setLoadingMedications] = useState(true);
   const navigate = useNavigate();
   const auth = getAuth();
   const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
@@ -119,11 +127,7 @@ function PatientProfile({ user, setError }) {
               doctorName: doctorNames[docId],
               timestamp: msg.timestamp,
               diagnosis: msg.diagnosis || 'Not specified',
-              prescription: msg.prescription
-                ? (typeof msg.prescription === 'object'
-                  ? `${msg.prescription.medicine}, ${msg.prescription.dosage}, ${msg.prescription.frequency}, ${msg.prescription.duration} days`
-                  : msg.prescription)
-                : 'None',
+              prescription: msg.prescription ? formatPrescription(msg.prescription) : 'None',
             }));
 
           records.push(...doctorRecords);
@@ -145,6 +149,23 @@ function PatientProfile({ user, setError }) {
     }
   }, [patientId, user?.uid, apiBaseUrl, setError]);
 
+  // Medications from every doctor, with each discontinuation and change made to them
+  const fetchMedicationHistory = useCallback(async () => {
+    if (!patientId || !user?.uid) return;
+    try {
+      const idToken = await auth.currentUser.getIdToken();
+      const result = await fetchMedications({ patientId }, user.uid, idToken);
+      setMedications(result.medications);
+      setMedicationHistory(result.history);
+    } catch (err) {
+      const errorMsg = `Failed to fetch medications: ${err.message}`;
+      setError(errorMsg);
+      console.error('Fetch medications error:', err);
+    } finally {
+      setLoadingMedications(false);
+    }
+  }, [patientId, user?.uid, auth, setError]);
+
   useEffect(() => {
     if (!user?.uid) {
       setError('Please log in to view patient profile.');
@@ -153,7 +174,10 @@ function PatientProfile({ user, setError }) {
     }
     fetchPatientDetails();
     fetchPatientRecords();
-  }, [user, patientId, navigate, fetchPatientDetails, fetchPatientRecords, setError]);
+    fetchMedicationHistory();
+  }, [user, patientId, navigate, fetchPatientDetails, fetchPatientRecords, fetchMedicationHistory, setError]);
+
+  const healthProfile = normalizeHealthProfile(patientDetails || {});
 
   return (
     <div className="patient-profile-container">
@@ -179,12 +203,55 @@ function PatientProfile({ user, setError }) {
               <p><strong>Age:</strong> {patientDetails.age || 'N/A'}</p>
               <p><strong>Sex:</strong> {patientDetails.sex || 'N/A'}</p>
               <p><strong>Registration Date:</strong> {patientDetails.registrationTimestamp ? new Date(patientDetails.registrationTimestamp).toLocaleString() : 'N/A'}</p>
-              <p><strong>Language Preference:</strong> {patientDetails.languagePreference === 'kn' ? 'Kannada' : 'English'}</p>
+              <p><strong>Language Preference:</strong> {getLanguageName(patientDetails.languagePreference)}</p>
+              <p className={healthProfile.allergies.length ? 'allergy-alert' : ''}>
+                <strong>Allergies:</strong> {healthProfile.allergies.length ? healthProfile.allergies.join(', ') : 'None recorded'}
+              </p>
+              <p><strong>Chronic Conditions:</strong> {healthProfile.chronicConditions.length ? healthProfile.chronicConditions.join(', ') : 'None recorded'}</p>
+              <p><strong>Pregnancy Status:</strong> {PREGNANCY_STATUSES[healthProfile.pregnancyStatus]}</p>
+              <p><strong>Weight:</strong> {healthProfile.weightKg !== null ? `${healthProfile.weightKg} kg` : 'Not recorded'}</p>
             </div>
           ) : (
             <p className="no-data">No patient details available.</p>
           )}
         </div>
+        <div className="patient-records">
+          <h3>Medications</h3>
+          {loadingMedications ? (
+            <p className="loading-text">Loading medications...</p>
+          ) : medications.length > 0 ? (
+            <div className="records-list">
+              {medications.map((medication) => (
+                <div key={`${medication.doctorId}-${medication.id}`} className={`record-item medication-${medication.status}`}>
+                  <p>
+                    <strong>{medication.drug}</strong> ({MEDICATION_STATUSES[medication.status]})
+                  </p>
+                  <p><strong>Prescription:</strong> {medication.prescriptionText}</p>
+                  <p><strong>Doctor Name:</strong> {medication.doctorName || medication.doctorId}</p>
+                  <p><strong>Prescribed:</strong> {new Date(medication.prescribedAt).toLocaleString()}</p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="no-data">No medications prescribed.</p>
+          )}
+          {medicationHistory.length > 0 && (
+            <>
+              <h3>Medication Changes</h3>
+              <div className="records-list">
+                {medicationHistory.map((change) => (
+                  <div key={change.id} className="record-item">
+                    <p><strong>{new Date(change.changedAt).toLocaleString()}:</strong> {change.summary}</p>
+                    {change.after && <p><strong>Now:</strong> {change.after}</p>}
+                    <p><strong>Was:</strong> {change.before}</p>
+                    <p><strong>Reason:</strong> {change.reason}</p>
+                    <p><strong>Doctor Name:</strong> {change.doctorName || change.doctorId}</p>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
         <div className="patient-records">
           <h3>Past Diagnoses and Prescriptions</h3>
           {loadingRecords ? (
@@ -3,6 +3,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import { createUserWithEmailAndPassword, signOut } from 'firebase/auth';
 import { doc, setDoc, getDocs, query, collection, where } from 'firebase/firestore';
 import { auth, db } from '../services/firebase.js';
+import { PREGNANCY_STATUSES, normalizeHealthProfile, validateHealthProfile } from '../services/patientSafety.js';
 
 function Register({ setUser, setRole, user }) {
   const [email, setEmail] = useState('');
@@ -14,6 +15,10 @@ function Register({ setUser, setRole, user }) {
   const [patientId, setPatientId] = useState('');
   const [aadhaarNumber, setAadhaarNumber] = useState('');
   const [phoneNumber, setPhoneNumber] = useState('');
+  const [allergies, setAllergies] = useState('');
+  const [chronicConditions, setChronicConditions] = useState('');
+  const [pregnancyStatus, setPregnancyStatus] = useState('unknown');
+  const [weightKg, setWeightKg] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [termsAccepted, setTermsAccepted] = useState(false);
@@ -127,6 +132,14 @@ function Register({ setUser, setRole, user }) {
       return;
     }
 
+    const healthErrors = validateHealthProfile({ weightKg, pregnancyStatus });
+    if (healthErrors.length > 0) {
+      setError(healthErrors.join(' '));
+      setIsLoading(false);
+      return;
+    }
+    const healthProfile = normalizeHealthProfile({ allergies, chronicConditions, pregnancyStatus, weightKg });
+
     console.log('Register.js: Attempting registration with:', { email, password, role: 'patient' });
 
     try {
@@ -195,6 +208,7 @@ function Register({ setUser, setRole, user }) {
         phoneNumber,
         sex,
         address,
+        ...healthProfile,
         createdAt: new Date().toISOString(),
       };
       await setDoc(doc(db, 'patients', patientId), patientData);
@@ -217,6 +231,7 @@ function Register({ setUser, setRole, user }) {
           aadhaarNumber,
           phoneNumber,
           patientId,
+          ...healthProfile,
         }),
       });
 
@@ -383,6 +398,50 @@ function Register({ setUser, setRole, user }) {
               placeholder="Enter your phone number (e.g., +919876543210)"
             />
           </div>
+          <div className="form-group">
+            <label htmlFor="allergies">Allergies (optional)</label>
+            <input
+              type="text"
+              id="allergies"
+              value={allergies}
+              onChange={(e) => setAllergies(e.target.value)}
+              placeholder="Comma-separated, e.g. penicillin, sulfa"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="chronicConditions">Chronic Conditions (optional)</label>
+            <input
+              type="text"
+              id="chronicConditions"
+              value={chronicConditions}
+              onChange={(e) => setChronicConditions(e.target.value)}
+              placeholder="Comma-separated, e.g. asthma, diabetes"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="pregnancyStatus">Pregnancy Status</label>
+            <select
+              id="pregnancyStatus"
+              value={pregnancyStatus}
+              onChange={(e) => setPregnancyStatus(e.target.value)}
+            >
+              {Object.entries(PREGNANCY_STATUSES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="weightKg">Weight in kg (optional)</label>
+            <input
+              type="number"
+              id="weightKg"
+              value={weightKg}
+              onChange={(e) => setWeightKg(e.target.value)}
+              placeholder="Enter your weight"
+              min="1"
+              step="0.1"
+            />
+          </div>
           {error && <p className="error-message">{error}</p>}
           <div className="terms-group">
             <input
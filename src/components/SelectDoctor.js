@@ -1,6 +1,17 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { SPECIALTIES } from '../constants/specialties.js';
+import {
+  fetchSlots,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  fetchMyAppointments,
+  formatAppointmentTime,
+} from '../services/appointmentsApi.js';
+
+// Days of slots shown in the booking panel
+const SLOT_DAYS = 7;
 
 function SelectDoctor({ firebaseUser, user, role, patientId, handleLogout, isLoggingOut }) {
   const [specialty, setSpecialty] = useState('All');
@@ -9,6 +20,12 @@ function SelectDoctor({ firebaseUser, user, role, patientId, handleLogout, isLog
   const [authLoading, setAuthLoading] = useState(true);
   const [loadingDoctorId, setLoadingDoctorId] = useState(null);
   const [error, setError] = useState('');
+  const [appointments, setAppointments] = useState([]);
+  const [booking, setBooking] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [bookingReason, setBookingReason] = useState('');
+  const [submittingSlot, setSubmittingSlot] = useState(null);
   const navigate = useNavigate();
   const isMounted = useRef(true);
 
@@ -116,6 +133,98 @@ function SelectDoctor({ firebaseUser, user, role, patientId, handleLogout, isLog
     };
   }, [fetchDoctors, authLoading, isLoggingOut, patientId, user.uid]);
 
+  const loadAppointments = useCallback(async () => {
+    if (isLoggingOut || !isMounted.current) return;
+    try {
+      const idToken = await firebaseUser.getIdToken(true);
+      const result = await fetchMyAppointments(user.uid, idToken);
+      if (isMounted.current) setAppointments(result.appointments || []);
+    } catch (err) {
+      console.error('SelectDoctor: Error loading appointments:', err.message);
+    }
+  }, [firebaseUser, user, isLoggingOut]);
+
+  useEffect(() => {
+    if (!authLoading && !isLoggingOut) loadAppointments();
+  }, [authLoading, isLoggingOut, loadAppointments]);
+
+  // Opens the slot picker, either for a new booking or to move an existing one
+  const openBooking = async (doctor, appointment = null) => {
+    setBooking({ doctorId: doctor.doctorId, doctorName: doctor.name || 'N/A', appointment });
+    setSlots([]);
+    setBookingReason('');
+    setError('');
+    setLoadingSlots(true);
+    try {
+      const idToken = await firebaseUser.getIdToken(true);
+      const result = await fetchSlots(doctor.doctorId, SLOT_DAYS, user.uid, idToken);
+      if (!isMounted.current) return;
+      setSlots(result.slots.map((slot) => ({ ...slot, timeZone: result.timeZone })));
+      if (result.slots.length === 0) {
+        setError(result.message || `No free slots with ${doctor.name || 'this doctor'} in the next ${SLOT_DAYS} days.`);
+      }
+    } catch (err) {
+      console.error('SelectDoctor: Error loading slots:', err.message);
+      if (isMounted.current) setError(`Failed to load slots: ${err.message}`);
+    } finally {
+      if (isMounted.current) setLoadingSlots(false);
+    }
+  };
+
+  const handleSlotSelect = async (slot) => {
+    if (!booking || submittingSlot) return;
+    setSubmittingSlot(slot.start);
+    setError('');
+    try {
+      const idToken = await firebaseUser.getIdToken(true);
+      if (booking.appointment) {
+        await rescheduleAppointment(booking.appointment.id, slot.start, user.uid, idToken);
+      } else {
+        await bookAppointment({ doctorId: booking.doctorId, start: slot.start, reason: bookingReason }, user.uid, idToken);
+      }
+      if (!isMounted.current) return;
+      setError(
+        `Appointment with ${booking.doctorName} ${booking.appointment ? 'moved to' : 'booked for'} ${formatAppointmentTime(slot.start, slot.timeZone)}.`
+      );
+      setBooking(null);
+      loadAppointments();
+    } catch (err) {
+      console.error('SelectDoctor: Error booking slot:', err.message);
+      if (isMounted.current) {
+        setError(`Booking failed: ${err.message}`);
+        // Someone else may have taken the slot; show what is still free
+        setSlots((prev) => prev.filter((s) => s.start !== slot.start));
+      }
+    } finally {
+      if (isMounted.current) setSubmittingSlot(null);
+    }
+  };
+
+  const handleCancelAppointment = async (appointment) => {
+    if (!window.confirm(`Cancel your appointment with ${appointment.doctorName || 'this doctor'}?`)) return;
+    try {
+      const idToken = await firebaseUser.getIdToken(true);
+      await cancelAppointment(appointment.id, user.uid, idToken);
+      if (isMounted.current) setError('Appointment cancelled.');
+      loadAppointments();
+    } catch (err) {
+      console.error('SelectDoctor: Error cancelling appointment:', err.message);
+      if (isMounted.current) setError(`Failed to cancel appointment: ${err.message}`);
+    }
+  };
+
+  // Slots grouped by calendar day in the doctor's zone
+  const slotsByDay = slots.reduce((days, slot) => {
+    const day = new Date(slot.start).toLocaleDateString('en-IN', {
+      ...(slot.timeZone ? { timeZone: slot.timeZone } : {}),
+      weekday: 'long',
+      day: 'numeric',
+      month: 'short',
+    });
+    (days[day] = days[day] || []).push(slot);
+    return days;
+  }, {});
+
   async function fetchWithRetry(url, options, retries = 3, backoff = 1000) {
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
@@ -270,6 +379,89 @@ function SelectDoctor({ firebaseUser, user, role, patientId, handleLogout, isLog
       </div>
 
       {error && <p className="error-message" role="alert">{error}</p>}
+
+      {appointments.length > 0 && (
+        <div className="appointments-panel">
+          <h3>My Appointments</h3>
+          <ul>
+            {appointments.map((appointment) => (
+              <li key={appointment.id}>
+                <span>
+                  <strong>{formatAppointmentTime(appointment.start, appointment.timeZone)}</strong> with{' '}
+                  {appointment.doctorName || appointment.doctorId}
+                </span>
+                <span className="appointment-actions">
+                  <button
+                    onClick={() => navigate(`/patient/chat/${patientId}/${appointment.doctorId}`)}
+                    className="select-button"
+                  >
+                    Open Chat
+                  </button>
+                  <button
+                    onClick={() => openBooking({ doctorId: appointment.doctorId, name: appointment.doctorName }, appointment)}
+                    className="select-button"
+                  >
+                    Reschedule
+                  </button>
+                  <button onClick={() => handleCancelAppointment(appointment)} className="cancel-appointment-button">
+                    Cancel
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {booking && (
+        <div className="appointments-panel">
+          <div className="booking-header">
+            <h3>
+              {booking.appointment ? 'Reschedule' : 'Book'} with {booking.doctorName}
+            </h3>
+            <button onClick={() => setBooking(null)} className="cancel-appointment-button">
+              Close
+            </button>
+          </div>
+          {!booking.appointment && (
+            <input
+              type="text"
+              className="booking-reason"
+              placeholder="Reason for visit (optional)"
+              value={bookingReason}
+              onChange={(e) => setBookingReason(e.target.value)}
+              maxLength={300}
+            />
+          )}
+          {loadingSlots ? (
+            <p className="loading-message" role="status">Loading slots...</p>
+          ) : (
+            Object.entries(slotsByDay).map(([day, daySlots]) => (
+              <div key={day} className="slot-day">
+                <span className="slot-day-label">{day}</span>
+                <div className="slot-grid">
+                  {daySlots.map((slot) => (
+                    <button
+                      key={slot.start}
+                      onClick={() => handleSlotSelect(slot)}
+                      className="slot-button"
+                      disabled={Boolean(submittingSlot)}
+                      aria-busy={submittingSlot === slot.start ? 'true' : 'false'}
+                    >
+                      {new Date(slot.start).toLocaleTimeString('en-IN', {
+                        ...(slot.timeZone ? { timeZone: slot.timeZone } : {}),
+                        hour: 'numeric',
+                        minute: '2-digit',
+                      })}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
       {loading ? (
         <p className="loading-message" role="status">Loading doctors...</p>
       ) : (
@@ -313,6 +505,14 @@ function SelectDoctor({ firebaseUser, user, role, patientId, handleLogout, isLog
                     >
                       {loadingDoctorId === (doctor.doctorId || doctor.id) ? 'Selecting...' : 'Select'}
                     </button>
+                    <button
+                      onClick={() => openBooking({ ...doctor, doctorId: doctor.doctorId || doctor.id })}
+                      className="select-button book-button"
+                      disabled={loading || Boolean(loadingDoctorId)}
+                      aria-label={`Book an appointment with ${doctor.name || 'N/A'}`}
+                    >
+                      Book
+                    </button>
                   </td>
                 </tr>
               ))
@@ -462,6 +662,89 @@ function SelectDoctor({ firebaseUser, user, role, patientId, handleLogout, isLog
           background: #a0a0a0;
           cursor: not-allowed;
         }
+        .appointments-panel {
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 8px;
+          padding: 15px 20px;
+          margin-bottom: 20px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          color: #333;
+        }
+        .appointments-panel h3 {
+          margin: 0 0 10px;
+          color: #6e48aa;
+        }
+        .appointments-panel ul {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+        }
+        .appointments-panel li {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 10px;
+          padding: 8px 0;
+          border-bottom: 1px solid #eee;
+        }
+        .appointment-actions {
+          display: flex;
+          gap: 8px;
+        }
+        .booking-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        .booking-reason {
+          width: 100%;
+          padding: 8px 12px;
+          margin-bottom: 10px;
+          border: 2px solid #ddd;
+          border-radius: 8px;
+          box-sizing: border-box;
+        }
+        .slot-day {
+          margin-bottom: 12px;
+        }
+        .slot-day-label {
+          display: block;
+          font-weight: 600;
+          margin-bottom: 6px;
+        }
+        .slot-grid {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+        .slot-button {
+          padding: 6px 10px;
+          background: #fff;
+          color: #6e48aa;
+          border: 1px solid #6e48aa;
+          border-radius: 5px;
+          cursor: pointer;
+        }
+        .slot-button:hover:not(:disabled) {
+          background: #6e48aa;
+          color: #fff;
+        }
+        .slot-button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+        .book-button {
+          margin-left: 6px;
+        }
+        .cancel-appointment-button {
+          padding: 8px 12px;
+          background: #e74c3c;
+          color: #fff;
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+        }
         @keyframes fadeIn {
           from { opacity: 0; }
           to { opacity: 1; }
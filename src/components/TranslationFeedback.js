@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { flagTranslation, correctTranslation } from '../services/translationReviewApi.js';
+import { MAX_CORRECTION_LENGTH, getTranslationReview, isCorrectionShown, validateCorrection } from '../services/translationReview.js';
+import { auth } from '../services/firebase.js';
+import './TranslationFeedback.css';
+
+// "Translation looks wrong" control under a translated bubble. Doctors (and admins) submit a
+// corrected translation; patients flag it for a clinician to look at. The chat screen applies
+// the resulting 'message-updated' event, so this only tracks the form.
+function TranslationFeedback({ message, field, patientId, doctorId, userId, canCorrect, language, onError }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const review = getTranslationReview(message, field);
+
+  const openForm = () => {
+    setText(canCorrect ? message[field] || '' : '');
+    setOpen(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (canCorrect) {
+      const errors = validateCorrection(text);
+      if (errors.length > 0) {
+        onError(errors.join(' '));
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    try {
+      const idToken = await auth.currentUser.getIdToken(true);
+      const target = { patientId, doctorId, timestamp: message.timestamp, field, machineText: message[field] };
+      if (canCorrect) {
+        await correctTranslation({ ...target, correctedText: text.trim() }, userId, idToken);
+        onError('Correction saved. It replaces the machine translation for both of you.');
+      } else {
+        await flagTranslation({ ...target, reason: text.trim() }, userId, idToken);
+        onError('Thanks. Your doctor will check this translation.');
+      }
+      setOpen(false);
+    } catch (err) {
+      console.error('TranslationFeedback: Failed to submit:', err.message);
+      onError(`Failed to send translation feedback: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="translation-feedback">
+      {isCorrectionShown(review) && (
+        <span className="translation-badge corrected">
+          Corrected by {review.correctedByRole === 'admin' ? 'admin' : 'doctor'}
+          {review.status === 'corrected' ? ' (pending review)' : ''}
+        </span>
+      )}
+      {review?.status === 'flagged' && <span className="translation-badge flagged">Flagged for review</span>}
+      {!open && (
+        <button type="button" className="translation-feedback-button" onClick={openForm}>
+          Translation looks wrong?
+        </button>
+      )}
+      {open && (
+        <form className="translation-feedback-form" onSubmit={handleSubmit}>
+          {canCorrect ? (
+            <>
+              {review?.machineText && review.machineText !== message[field] && (
+                <p className="machine-translation">Machine translation: {review.machineText}</p>
+              )}
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                maxLength={MAX_CORRECTION_LENGTH}
+                rows={3}
+                lang={language?.bcp47}
+                dir={language?.direction}
+                aria-label="Corrected translation"
+              />
+            </>
+          ) : (
+            <input
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              maxLength={500}
+              placeholder="What looks wrong? (optional)"
+              aria-label="What looks wrong"
+            />
+          )}
+          <div className="translation-feedback-actions">
+            <button type="submit" disabled={submitting}>
+              {submitting ? 'Sending...' : canCorrect ? 'Save correction' : 'Report'}
+            </button>
+            <button type="button" onClick={() => setOpen(false)} disabled={submitting}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default TranslationFeedback;
@@ -3,10 +3,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // Make sure this line exists
 import App from './App.js';
+import { registerServiceWorker } from './services/serviceWorker.js';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Offline app shell; in development it would serve stale bundles
+if (process.env.NODE_ENV === 'production') {
+  registerServiceWorker();
+}
@@ -0,0 +1,37 @@
+// The parts of migrateChatMessages.js that don't touch Firebase or the bucket, kept apart so
+// they can be tested without the script connecting on import. Pure functions only.
+import { nextMessageSeq } from '../services/chatHistory.js';
+
+/**
+ * Splits a blob's chat ID; patient IDs never contain a dash, so it splits at the first one.
+ * @param {string} chatId - patientId-doctorId.
+ * @returns {{patientId: string, doctorId: string}|null} Null when the ID has no dash to split at.
+ */
+const parseChatId = (chatId) => {
+  const dash = chatId.indexOf('-');
+  return dash > 0 ? { patientId: chatId.slice(0, dash), doctorId: chatId.slice(dash + 1) } : null;
+};
+
+/**
+ * Orders a blob's messages oldest first and gives each a position from its own timestamp.
+ * Messages without a usable timestamp keep their place after the one before.
+ * @param {Object[]} messages - As stored in messages.json.
+ * @returns {Array<{message: Object, seq: number}>}
+ */
+const assignSeqs = (messages) => {
+  let lastTime = 0;
+  let previous = 0;
+  return messages
+    .map((message, index) => {
+      const time = Date.parse(message.timestamp);
+      lastTime = Number.isNaN(time) ? lastTime : time;
+      return { message, index, time: lastTime };
+    })
+    .sort((a, b) => a.time - b.time || a.index - b.index)
+    .map(({ message, time }) => {
+      previous = nextMessageSeq(previous, time);
+      return { message, seq: previous };
+    });
+};
+
+export { parseChatId, assignSeqs };
@@ -0,0 +1,41 @@
+import { parseChatId, assignSeqs } from './chatMigration.js';
+
+describe('parseChatId', () => {
+  it('splits at the first dash', () => {
+    expect(parseChatId('patient1-doctor-uid-2')).toEqual({ patientId: 'patient1', doctorId: 'doctor-uid-2' });
+    expect(parseChatId('patient1')).toBeNull();
+    expect(parseChatId('-doctor')).toBeNull();
+  });
+});
+
+describe('assignSeqs', () => {
+  const at = (timestamp, text) => ({ timestamp, text });
+
+  it('orders messages by their timestamps', () => {
+    const messages = [at('2026-10-01T10:00:05.000Z', 'second'), at('2026-10-01T10:00:00.000Z', 'first')];
+    expect(assignSeqs(messages).map(({ message, seq }) => [message.text, seq])).toEqual([
+      ['first', Date.parse('2026-10-01T10:00:00.000Z')],
+      ['second', Date.parse('2026-10-01T10:00:05.000Z')],
+    ]);
+  });
+
+  it('keeps positions unique when timestamps repeat or are missing', () => {
+    const time = Date.parse('2026-10-01T10:00:00.000Z');
+    const messages = [at(null, 'untimed'), at('2026-10-01T10:00:00.000Z', 'a'), at('2026-10-01T10:00:00.000Z', 'b')];
+    expect(assignSeqs(messages).map(({ message, seq }) => [message.text, seq])).toEqual([
+      ['untimed', 1],
+      ['a', time],
+      ['b', time + 1],
+    ]);
+  });
+
+  it('keeps a message without a timestamp after the one before it', () => {
+    const time = Date.parse('2026-10-01T10:00:00.000Z');
+    const messages = [at('2026-10-01T10:00:00.000Z', 'a'), at('garbled', 'b'), at('2026-10-01T09:00:00.000Z', 'c')];
+    expect(assignSeqs(messages).map(({ message, seq }) => [message.text, seq])).toEqual([
+      ['c', Date.parse('2026-10-01T09:00:00.000Z')],
+      ['a', time],
+      ['b', time + 1],
+    ]);
+  });
+});
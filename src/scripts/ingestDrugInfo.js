@@ -0,0 +1,159 @@
+// Builds public/data/drug_info.json from the drugs.com spreadsheet.
+//
+// Usage: node src/scripts/ingestDrugInfo.js [input.xlsx] [output.json]
+//
+// Two layouts are understood:
+//  - the drugs.com export with a header row (drug_name, medical_condition, side_effects,
+//    generic_name, drug_classes, brand_names, rx_otc, pregnancy_category, csa, alcohol,
+//    rating, no_of_reviews, ...), one row per drug/condition pair;
+//  - the condition-per-row sheet shipped in the repo (condition in column A, drug names in
+//    the remaining columns), which has no side-effect columns, so only names and
+//    conditions are filled in.
+import * as XLSX from 'xlsx';
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { normalizeName } from '../services/medicineMatcher.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const inputPath = path.resolve(process.argv[2] || path.join(rootDir, 'drugs_side_effects_drugs_com (1).xlsx'));
+const outputPath = path.resolve(process.argv[3] || path.join(rootDir, 'public/data/drug_info.json'));
+
+const LONG_FORMAT_COLUMNS = ['drug_name', 'medical_condition'];
+
+const emptyEntry = (name) => ({
+  name,
+  genericName: null,
+  brandNames: [],
+  conditions: [],
+  drugClasses: [],
+  sideEffects: null,
+  keySideEffects: [],
+  rxOtc: null,
+  pregnancyCategory: null,
+  csaSchedule: null,
+  alcoholInteraction: false,
+  rating: null,
+  reviewCount: null,
+});
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// drugs.com text usually contains "Common side effects of X may include: a, b, c."
+const extractKeySideEffects = (text) => {
+  if (!text) return [];
+  const common = text.match(/common side effects[^:]*:\s*([^.]*)/i);
+  const list = common ? common[1] : text;
+  return list
+    .split(/[;,]|\band\b/)
+    .map((item) => item.replace(/\s+/g, ' ').trim())
+    .filter((item) => item.length > 2 && item.length < 60)
+    .slice(0, 6);
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+const mergeCondition = (entry, condition) => {
+  if (condition && !entry.conditions.includes(condition)) entry.conditions.push(condition);
+};
+
+const ingestLongFormat = (rows, drugs) => {
+  const header = rows[0].map((cell) => String(cell).trim().toLowerCase());
+  const column = (row, name) => {
+    const index = header.indexOf(name);
+    return index === -1 ? '' : String(row[index] ?? '').trim();
+  };
+
+  rows.slice(1).forEach((row) => {
+    const name = column(row, 'drug_name');
+    const key = normalizeName(name);
+    if (!key) return;
+
+    const entry = drugs.get(key) || emptyEntry(name);
+    mergeCondition(entry, column(row, 'medical_condition'));
+
+    // A drug appears once per condition; keep the first non-empty value for drug-level fields
+    const sideEffects = column(row, 'side_effects');
+    entry.genericName = entry.genericName || column(row, 'generic_name') || null;
+    entry.brandNames = entry.brandNames.length ? entry.brandNames : splitList(column(row, 'brand_names'));
+    entry.drugClasses = entry.drugClasses.length ? entry.drugClasses : splitList(column(row, 'drug_classes'));
+    entry.sideEffects = entry.sideEffects || sideEffects || null;
+    entry.keySideEffects = entry.keySideEffects.length ? entry.keySideEffects : extractKeySideEffects(sideEffects);
+    entry.rxOtc = entry.rxOtc || column(row, 'rx_otc') || null;
+    entry.pregnancyCategory = entry.pregnancyCategory || column(row, 'pregnancy_category').toUpperCase() || null;
+    entry.csaSchedule = entry.csaSchedule || column(row, 'csa').toUpperCase() || null;
+    entry.alcoholInteraction = entry.alcoholInteraction || column(row, 'alcohol').toUpperCase() === 'X';
+    entry.rating = entry.rating ?? toNumber(column(row, 'rating'));
+    entry.reviewCount = entry.reviewCount ?? toNumber(column(row, 'no_of_reviews'));
+    drugs.set(key, entry);
+  });
+};
+
+const ingestConditionRows = (rows, drugs) => {
+  rows.slice(1).forEach((row) => {
+    const [condition, ...names] = row.map((cell) => String(cell ?? '').trim());
+    if (!condition) return;
+    names.filter(Boolean).forEach((name) => {
+      const key = normalizeName(name);
+      if (!key) return;
+      const entry = drugs.get(key) || emptyEntry(name);
+      mergeCondition(entry, condition);
+      drugs.set(key, entry);
+    });
+  });
+};
+
+// Unknown fields are left out of the output; the API fills in the defaults from emptyEntry
+const compactEntry = (entry) =>
+  Object.fromEntries(
+    Object.entries(entry).filter(([, value]) => value !== null && value !== false && !(Array.isArray(value) && value.length === 0))
+  );
+
+const main = () => {
+  console.log(`Reading ${inputPath}`);
+  const workbook = XLSX.read(readFileSync(inputPath), { type: 'buffer' });
+  const drugs = new Map();
+  let hasSideEffectData = false;
+
+  workbook.SheetNames.forEach((sheetName) => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+    if (rows.length < 2) return;
+
+    const header = rows[0].map((cell) => String(cell).trim().toLowerCase());
+    if (LONG_FORMAT_COLUMNS.every((name) => header.includes(name))) {
+      console.log(`Sheet "${sheetName}": drugs.com export with ${rows.length - 1} rows`);
+      hasSideEffectData = hasSideEffectData || header.includes('side_effects');
+      ingestLongFormat(rows, drugs);
+    } else {
+      console.log(`Sheet "${sheetName}": condition list with ${rows.length - 1} conditions`);
+      ingestConditionRows(rows, drugs);
+    }
+  });
+
+  if (!hasSideEffectData) {
+    console.warn(
+      'No side_effects/pregnancy_category/csa/rating columns found; only drug names and conditions were ingested. ' +
+      'Re-run with the full drugs.com export to fill them in.'
+    );
+  }
+
+  const sortedKeys = [...drugs.keys()].sort();
+  const table = {
+    generatedAt: new Date().toISOString(),
+    source: path.basename(inputPath),
+    hasSideEffectData,
+    drugs: Object.fromEntries(sortedKeys.map((key) => [key, compactEntry(drugs.get(key))])),
+  };
+
+  writeFileSync(outputPath, `${JSON.stringify(table)}\n`);
+  console.log(`Wrote ${sortedKeys.length} drugs to ${outputPath}`);
+};
+
+main();
@@ -0,0 +1,124 @@
+// Moves chat histories from the chats/{patientId-doctorId}/messages.json blobs in the bucket to
+// one Firestore document per message (lib/chatStore.js).
+//
+// Usage: node src/scripts/migrateChatMessages.js [--dry-run] [--force] [chatId ...]
+//
+// Reads the same FIREBASE_* and GCS_* variables as the API. Without chat IDs every blob is
+// migrated. A message's ID comes from its own timestamp (one more than the previous message's
+// when that isn't later), so migrated messages sort by when they were sent, and running the
+// script again writes the same documents. Chats already migrated are skipped unless --force is
+// given. The blobs are left in place; delete them once the migrated histories are checked.
+import admin from 'firebase-admin';
+import { Storage } from '@google-cloud/storage';
+import { CHATS_COLLECTION, MESSAGES_COLLECTION, withoutSignedUrls } from '../../lib/chatStore.js';
+import { toMessageId } from '../services/chatHistory.js';
+import { parseChatId, assignSeqs } from './chatMigration.js';
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+const chatIds = args.filter((arg) => !arg.startsWith('--'));
+
+admin.initializeApp({
+  credential: admin.credential.cert({
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+  }),
+});
+const db = admin.firestore();
+const storage = new Storage({
+  projectId: process.env.GCS_PROJECT_ID,
+  credentials: {
+    client_email: process.env.GCS_CLIENT_EMAIL,
+    private_key: process.env.GCS_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  },
+});
+const bucket = storage.bucket(process.env.GCS_BUCKET_NAME || 'fir-project-vercel');
+
+const migrateChat = async (file) => {
+  const chatId = file.name.split('/')[1];
+  const participants = parseChatId(chatId);
+  if (!participants) {
+    console.warn(`Skipping ${file.name}: chat ID is not patientId-doctorId`);
+    return 0;
+  }
+
+  const chatRef = db.collection(CHATS_COLLECTION).doc(chatId);
+  const chat = await chatRef.get();
+  if (chat.exists && chat.data().migratedAt && !force) {
+    console.log(`Skipping ${chatId}: migrated at ${chat.data().migratedAt}`);
+    return 0;
+  }
+
+  const [contents] = await file.download();
+  const messages = assignSeqs(JSON.parse(contents.toString('utf8')).messages || []);
+  if (messages.length === 0) {
+    console.log(`Skipping ${chatId}: no messages`);
+    return 0;
+  }
+  if (dryRun) {
+    console.log(`Would migrate ${messages.length} messages of ${chatId}`);
+    return messages.length;
+  }
+
+  // Messages sent since the switch keep their IDs; a migrated one never lands on top of them
+  const existing = await chatRef.collection(MESSAGES_COLLECTION).get();
+  const taken = new Set(existing.docs.filter((message) => !message.data().migratedAt).map((message) => message.id));
+  const migratedAt = new Date().toISOString();
+  let lastSeq = 0;
+  for (let start = 0; start < messages.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const entry of messages.slice(start, start + BATCH_SIZE)) {
+      const { message } = entry;
+      let seq = Math.max(entry.seq, lastSeq + 1);
+      while (taken.has(toMessageId(seq))) seq++;
+      const id = toMessageId(seq);
+      const { id: legacyId, seq: legacySeq, ...fields } = withoutSignedUrls(message);
+      batch.set(chatRef.collection(MESSAGES_COLLECTION).doc(id), { ...fields, seq, migratedAt });
+      lastSeq = Math.max(lastSeq, seq);
+    }
+    await batch.commit();
+  }
+
+  const lastMessage = messages[messages.length - 1].message;
+  const newerSeq = chat.exists ? chat.data().lastSeq || 0 : 0;
+  await chatRef.set(
+    {
+      ...participants,
+      lastSeq: Math.max(newerSeq, lastSeq),
+      ...(newerSeq > lastSeq ? {} : { lastMessageAt: lastMessage.timestamp || migratedAt }),
+      migratedAt,
+    },
+    { merge: true }
+  );
+  console.log(`Migrated ${messages.length} messages of ${chatId}`);
+  return messages.length;
+};
+
+const main = async () => {
+  const [files] = await bucket.getFiles({ prefix: 'chats/' });
+  const blobs = files.filter(({ name }) => {
+    const [, chatId, fileName] = name.split('/');
+    return fileName === 'messages.json' && (chatIds.length === 0 || chatIds.includes(chatId));
+  });
+  console.log(`Found ${blobs.length} chat histories${dryRun ? ' (dry run)' : ''}`);
+
+  let migrated = 0;
+  let failed = 0;
+  for (const file of blobs) {
+    try {
+      migrated += await migrateChat(file);
+    } catch (error) {
+      console.error(`Failed to migrate ${file.name}:`, error.message);
+      failed++;
+    }
+  }
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} messages; ${failed} chats failed`);
+  process.exitCode = failed ? 1 : 0;
+};
+
+main();
@@ -0,0 +1,124 @@
+// Adherence statistics over a patient's reminder documents, computed by the reminders API for
+// the doctor's adherence panel. Only settled doses (taken or missed) count towards a rate;
+// doses still pending or snoozed are reported separately.
+import { getCalendarParts, toDateKey } from './prescription.js';
+import { DEFAULT_TIME_ZONE } from './reminders.js';
+
+// Hour ranges (patient's local time) used for the time-of-day breakdown
+const TIME_OF_DAY_SLOTS = [
+  { key: 'morning', label: 'Morning (5–12)', from: 5, to: 12 },
+  { key: 'afternoon', label: 'Afternoon (12–17)', from: 12, to: 17 },
+  { key: 'evening', label: 'Evening (17–21)', from: 17, to: 21 },
+  { key: 'night', label: 'Night (21–5)', from: 21, to: 29 },
+];
+
+// Days shown in the calendar heatmap
+const CALENDAR_DAYS = 28;
+
+const emptyCounts = () => ({ taken: 0, missed: 0, open: 0, snoozes: 0 });
+
+const addTo = (counts, reminder) => {
+  if (reminder.status === 'taken') counts.taken++;
+  else if (reminder.status === 'missed') counts.missed++;
+  else counts.open++;
+  counts.snoozes += reminder.snoozeCount || 0;
+  return counts;
+};
+
+// Percentage of settled doses taken, or null when none are settled yet
+const rateOf = ({ taken, missed }) => (taken + missed === 0 ? null : Math.round((taken / (taken + missed)) * 1000) / 10);
+
+const withRate = (counts) => ({ ...counts, rate: rateOf(counts) });
+
+const slotOf = (hour) =>
+  TIME_OF_DAY_SLOTS.find(({ from, to }) => (hour >= from && hour < to) || (hour + 24 >= from && hour + 24 < to)).key;
+
+// Monday of the calendar week containing the date key
+const weekOf = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+const groupBy = (reminders, keyOf) =>
+  reminders.reduce((groups, reminder) => {
+    const key = keyOf(reminder);
+    groups.set(key, addTo(groups.get(key) || emptyCounts(), reminder));
+    return groups;
+  }, new Map());
+
+// Streaks count whole days on which every settled dose was taken
+const getStreaks = (days) => {
+  let current = 0;
+  let longest = 0;
+  days.forEach(({ taken, missed }) => {
+    if (taken + missed === 0) return;
+    current = missed === 0 ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return { current, longest };
+};
+
+/**
+ * Summarizes a patient's reminders for the doctor's adherence panel.
+ * @param {Array<Object>} reminders - Reminder documents (medicine, status, scheduledTime, snoozeCount, timeZone).
+ * @param {Object} [options]
+ * @param {string} [options.since] - Issuance timestamp of the latest prescription; doses from then on are compared with earlier ones.
+ * @param {Date} [options.now] - Defaults to the current time.
+ * @param {string} [options.timeZone] - Fallback zone for reminders that do not carry one.
+ * @returns {Object} overall, byMedication, byTimeOfDay, byWeek, calendar, streaks and trend.
+ */
+const summarizeAdherence = (reminders, { since = null, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const doses = reminders
+    .filter((reminder) => reminder.scheduledTime && new Date(reminder.scheduledTime) <= now)
+    .map((reminder) => {
+      const zone = reminder.timeZone || timeZone;
+      const scheduled = new Date(reminder.scheduledTime);
+      return { ...reminder, dateKey: toDateKey(scheduled, zone), hour: getCalendarParts(scheduled, zone).hour };
+    });
+
+  const byMedication = [...groupBy(doses, (dose) => dose.medicine || 'Unknown').entries()]
+    .map(([medicine, counts]) => ({ medicine, ...withRate(counts) }))
+    .sort((a, b) => (a.rate ?? 101) - (b.rate ?? 101));
+
+  const slots = groupBy(doses, (dose) => slotOf(dose.hour));
+  const byTimeOfDay = TIME_OF_DAY_SLOTS.map(({ key, label }) => ({ slot: key, label, ...withRate(slots.get(key) || emptyCounts()) }));
+
+  const byWeek = [...groupBy(doses, (dose) => weekOf(dose.dateKey)).entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, counts]) => ({ weekStart, ...withRate(counts) }));
+
+  const days = groupBy(doses, (dose) => dose.dateKey);
+  const sortedDays = [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, counts]) => ({ date, ...withRate(counts) }));
+  const calendar = Array.from({ length: CALENDAR_DAYS }, (_, index) => {
+    const date = toDateKey(new Date(now.getTime() - (CALENDAR_DAYS - 1 - index) * 24 * 60 * 60 * 1000), timeZone);
+    return { date, ...withRate(days.get(date) || emptyCounts()) };
+  });
+
+  let trend = null;
+  if (since) {
+    const sinceTime = new Date(since);
+    const before = doses.filter((dose) => new Date(dose.scheduledTime) < sinceTime).reduce(addTo, emptyCounts());
+    const after = doses.filter((dose) => new Date(dose.scheduledTime) >= sinceTime).reduce(addTo, emptyCounts());
+    const [previousRate, currentRate] = [rateOf(before), rateOf(after)];
+    trend = {
+      since,
+      previousRate,
+      currentRate,
+      change: previousRate === null || currentRate === null ? null : Math.round((currentRate - previousRate) * 10) / 10,
+    };
+  }
+
+  return {
+    overall: withRate(doses.reduce(addTo, emptyCounts())),
+    byMedication,
+    byTimeOfDay,
+    byWeek,
+    calendar,
+    streaks: getStreaks(sortedDays),
+    trend,
+  };
+};
+
+export { TIME_OF_DAY_SLOTS, summarizeAdherence };
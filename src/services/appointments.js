@@ -0,0 +1,206 @@
+// Doctor availability and consultation slots. A doctor publishes weekly opening hours and a slot
+// length (doctor_availability/{doctorId}); the bookable slots are generated from that on demand,
+// and api/appointments holds one appointment_slots/{doctorId}_{startMillis} lock per booked slot.
+// A booking is refused when it overlaps any lock, not just one with the same start, since slots
+// move when the doctor changes the slot length or hours. Pure functions only.
+import { getCalendarParts, zonedTime, addDays } from './prescription.js';
+import { DEFAULT_TIME_ZONE } from './reminders.js';
+
+// Ordered Monday first; `day` matches Date#getUTCDay
+const WEEKDAYS = [
+  { key: 'mon', label: 'Monday', day: 1 },
+  { key: 'tue', label: 'Tuesday', day: 2 },
+  { key: 'wed', label: 'Wednesday', day: 3 },
+  { key: 'thu', label: 'Thursday', day: 4 },
+  { key: 'fri', label: 'Friday', day: 5 },
+  { key: 'sat', label: 'Saturday', day: 6 },
+  { key: 'sun', label: 'Sunday', day: 0 },
+];
+
+const SLOT_LENGTHS = [10, 15, 20, 30, 45, 60];
+
+// How far ahead patients can book
+const BOOKING_WINDOW_DAYS = 30;
+
+// Pushes sent before each consultation by the reminder cron
+const APPOINTMENT_REMINDERS = [
+  { key: 'day', minutesBefore: 24 * 60, label: 'tomorrow' },
+  { key: 'hour', minutesBefore: 60, label: 'in an hour' },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Normalizes availability submitted from the doctor's profile.
+ * @param {Object} input - Raw availability ({timeZone, slotMinutes, weekly}).
+ * @returns {{timeZone: string, slotMinutes: number, weekly: Object<string, Array<{start: string, end: string}>>}}
+ */
+const normalizeAvailability = (input = {}) => ({
+  timeZone: input.timeZone || DEFAULT_TIME_ZONE,
+  slotMinutes: parseInt(input.slotMinutes, 10) || 15,
+  weekly: WEEKDAYS.reduce((weekly, { key }) => {
+    weekly[key] = (input.weekly?.[key] || [])
+      .filter((range) => range && (range.start || range.end))
+      .map((range) => ({ start: String(range.start || ''), end: String(range.end || '') }))
+      .sort((a, b) => a.start.localeCompare(b.start));
+    return weekly;
+  }, {}),
+});
+
+/**
+ * Checks availability before it is stored.
+ * @param {Object} input - Raw availability.
+ * @returns {string[]} Error messages; empty when the availability is acceptable.
+ */
+const validateAvailability = (input = {}) => {
+  const availability = normalizeAvailability(input);
+  const errors = [];
+  if (!isValidTimeZone(availability.timeZone)) errors.push(`Unknown time zone "${availability.timeZone}".`);
+  if (!SLOT_LENGTHS.includes(availability.slotMinutes)) {
+    errors.push(`Slot length must be one of ${SLOT_LENGTHS.join(', ')} minutes.`);
+  }
+  WEEKDAYS.forEach(({ key, label }) => {
+    const ranges = availability.weekly[key];
+    ranges.forEach((range, index) => {
+      if (!TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end)) {
+        errors.push(`${label}: hours must be given as HH:MM to HH:MM.`);
+      } else if (toMinutes(range.end) - toMinutes(range.start) < availability.slotMinutes) {
+        errors.push(`${label}: ${range.start}–${range.end} is shorter than one slot.`);
+      } else if (index > 0 && TIME_PATTERN.test(ranges[index - 1].end) && range.start < ranges[index - 1].end) {
+        errors.push(`${label}: ${range.start}–${range.end} overlaps the previous range.`);
+      }
+    });
+  });
+  return errors;
+};
+
+/**
+ * Lists the slots a doctor offers, in their own time zone.
+ * @param {Object} availability - Stored availability.
+ * @param {Object} [options]
+ * @param {Date} [options.from] - First instant to include; defaults to now.
+ * @param {number} [options.days] - Number of calendar days to cover from `from`.
+ * @param {Date} [options.now] - Slots starting before this are left out.
+ * @returns {Array<{start: string, end: string}>} ISO start and end times, in order.
+ */
+const generateSlots = (availability, { from, days = 7, now = new Date() } = {}) => {
+  const { timeZone, slotMinutes, weekly } = normalizeAvailability(availability);
+  const start = from && from > now ? from : now;
+  const horizon = now.getTime() + BOOKING_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const firstDay = getCalendarParts(start, timeZone);
+  const slots = [];
+
+  for (let offset = 0; offset < Math.min(days, BOOKING_WINDOW_DAYS + 1); offset++) {
+    const date = addDays(firstDay, offset);
+    const weekday = WEEKDAYS.find(({ day }) => day === new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay());
+    weekly[weekday.key]
+      .filter((range) => TIME_PATTERN.test(range.start) && TIME_PATTERN.test(range.end))
+      .forEach((range) => {
+        for (let minute = toMinutes(range.start); minute + slotMinutes <= toMinutes(range.end); minute += slotMinutes) {
+          const slotStart = zonedTime(date, Math.floor(minute / 60), minute % 60, timeZone);
+          if (slotStart < start || slotStart.getTime() > horizon) continue;
+          slots.push({
+            start: slotStart.toISOString(),
+            end: new Date(slotStart.getTime() + slotMinutes * 60 * 1000).toISOString(),
+          });
+        }
+      });
+  }
+  return slots;
+};
+
+/**
+ * Whether the availability offers a slot starting at exactly this time.
+ * @param {Object} availability - Stored availability.
+ * @param {string} start - ISO start time requested by the patient.
+ * @param {Date} [now]
+ * @returns {{start: string, end: string}|null} The slot, or null when it is not offered.
+ */
+const findSlot = (availability, start, now = new Date()) => {
+  const requested = new Date(start);
+  if (Number.isNaN(requested.getTime())) return null;
+  const dayBefore = new Date(requested.getTime() - 24 * 60 * 60 * 1000);
+  return generateSlots(availability, { from: dayBefore, days: 3, now })
+    .find((slot) => slot.start === requested.toISOString()) || null;
+};
+
+// ID of the lock document that keeps a slot to one booking
+const slotLockId = (doctorId, start) => `${doctorId}_${new Date(start).getTime()}`;
+
+/**
+ * Whether two slots share any time; one ending as the other starts does not count.
+ * @param {{start: string, end: string}} a
+ * @param {{start: string, end: string}} b
+ * @returns {boolean}
+ */
+const slotsOverlap = (a, b) =>
+  new Date(a.start).getTime() < new Date(b.end).getTime() && new Date(b.start).getTime() < new Date(a.end).getTime();
+
+/**
+ * The consultation reminders that have come due and not been sent yet; when several are due
+ * (a late booking) only the nearest is worth sending, the caller marks them all sent.
+ * @param {{start: string, remindersSent?: string[]}} appointment - The appointment document.
+ * @param {Date} [now]
+ * @returns {Array<Object>} Entries of APPOINTMENT_REMINDERS, furthest first.
+ */
+const getDueAppointmentReminders = (appointment, now = new Date()) => {
+  const start = new Date(appointment.start).getTime();
+  if (start <= now.getTime()) return [];
+  const sent = appointment.remindersSent || [];
+  return APPOINTMENT_REMINDERS.filter(
+    ({ key, minutesBefore }) => !sent.includes(key) && start - minutesBefore * 60 * 1000 <= now.getTime()
+  );
+};
+
+/**
+ * Text of a consultation reminder.
+ * @param {Object} appointment - The appointment document (start, timeZone, doctorName, patientName).
+ * @param {Object} reminder - Entry of APPOINTMENT_REMINDERS.
+ * @param {'patient'|'doctor'} audience - Who the push is for.
+ * @returns {{title: string, body: string}}
+ */
+const formatAppointmentReminder = (appointment, reminder, audience) => {
+  const time = new Date(appointment.start).toLocaleString('en-IN', {
+    timeZone: appointment.timeZone || DEFAULT_TIME_ZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  const other = audience === 'patient' ? appointment.doctorName || 'your doctor' : appointment.patientName || 'a patient';
+  return {
+    title: 'Upcoming consultation',
+    body: `Your consultation with ${other} is ${reminder.label} (${time}).`,
+  };
+};
+
+export {
+  WEEKDAYS,
+  SLOT_LENGTHS,
+  BOOKING_WINDOW_DAYS,
+  APPOINTMENT_REMINDERS,
+  isValidTimeZone,
+  normalizeAvailability,
+  validateAvailability,
+  generateSlots,
+  findSlot,
+  slotLockId,
+  slotsOverlap,
+  getDueAppointmentReminders,
+  formatAppointmentReminder,
+};
@@ -0,0 +1,166 @@
+import {
+  normalizeAvailability,
+  validateAvailability,
+  generateSlots,
+  findSlot,
+  slotLockId,
+  slotsOverlap,
+  getDueAppointmentReminders,
+  formatAppointmentReminder,
+} from './appointments.js';
+
+const availability = {
+  timeZone: 'Asia/Kolkata',
+  slotMinutes: 30,
+  weekly: { mon: [{ start: '09:00', end: '10:00' }], sun: [{ start: '09:00', end: '10:00' }] },
+};
+// Sunday 4 October 2026, midnight in Kolkata
+const now = new Date('2026-10-03T18:30:00.000Z');
+
+describe('normalizeAvailability', () => {
+  it('fills in defaults and sorts the ranges', () => {
+    expect(normalizeAvailability({ weekly: { tue: [{ start: '14:00', end: '16:00' }, { start: '09:00', end: '12:00' }, {}] } })).toEqual({
+      timeZone: 'Asia/Kolkata',
+      slotMinutes: 15,
+      weekly: {
+        mon: [],
+        tue: [
+          { start: '09:00', end: '12:00' },
+          { start: '14:00', end: '16:00' },
+        ],
+        wed: [],
+        thu: [],
+        fri: [],
+        sat: [],
+        sun: [],
+      },
+    });
+  });
+});
+
+describe('validateAvailability', () => {
+  it('accepts sensible hours', () => {
+    expect(validateAvailability(availability)).toEqual([]);
+  });
+
+  it('lists every problem', () => {
+    expect(
+      validateAvailability({
+        timeZone: 'Mars/Olympus',
+        slotMinutes: 25,
+        weekly: {
+          mon: [{ start: '9am', end: '10:00' }],
+          tue: [{ start: '09:00', end: '09:10' }],
+          wed: [
+            { start: '09:00', end: '12:00' },
+            { start: '11:00', end: '13:00' },
+          ],
+        },
+      })
+    ).toEqual([
+      'Unknown time zone "Mars/Olympus".',
+      'Slot length must be one of 10, 15, 20, 30, 45, 60 minutes.',
+      'Monday: hours must be given as HH:MM to HH:MM.',
+      'Tuesday: 09:00–09:10 is shorter than one slot.',
+      'Wednesday: 11:00–13:00 overlaps the previous range.',
+    ]);
+  });
+});
+
+describe('generateSlots', () => {
+  it('lists slots in the doctor time zone', () => {
+    expect(generateSlots(availability, { days: 2, now })).toEqual([
+      { start: '2026-10-04T03:30:00.000Z', end: '2026-10-04T04:00:00.000Z' },
+      { start: '2026-10-04T04:00:00.000Z', end: '2026-10-04T04:30:00.000Z' },
+      { start: '2026-10-05T03:30:00.000Z', end: '2026-10-05T04:00:00.000Z' },
+      { start: '2026-10-05T04:00:00.000Z', end: '2026-10-05T04:30:00.000Z' },
+    ]);
+  });
+
+  it('leaves out slots that have started', () => {
+    const slots = generateSlots(availability, { days: 1, now: new Date('2026-10-04T03:45:00.000Z') });
+    expect(slots.map(({ start }) => start)).toEqual(['2026-10-04T04:00:00.000Z']);
+  });
+
+  it('keeps wall-clock hours across a daylight-saving change', () => {
+    const newYork = { ...availability, timeZone: 'America/New_York', slotMinutes: 60 };
+    const slots = generateSlots(newYork, { from: new Date('2026-10-25T12:00:00.000Z'), days: 8, now });
+    expect(slots.map(({ start }) => start)).toEqual([
+      '2026-10-25T13:00:00.000Z',
+      '2026-10-26T13:00:00.000Z',
+      '2026-11-01T14:00:00.000Z',
+    ]);
+  });
+
+  it('stops at the end of the booking window', () => {
+    const slots = generateSlots(availability, { from: new Date('2026-11-01T00:00:00.000Z'), days: 14, now });
+    expect(slots.map(({ start }) => start)).toEqual([
+      '2026-11-01T03:30:00.000Z',
+      '2026-11-01T04:00:00.000Z',
+      '2026-11-02T03:30:00.000Z',
+      '2026-11-02T04:00:00.000Z',
+    ]);
+  });
+});
+
+describe('findSlot', () => {
+  it('finds an offered slot however the time is written', () => {
+    expect(findSlot(availability, '2026-10-05T09:30:00+05:30', now)).toEqual({
+      start: '2026-10-05T04:00:00.000Z',
+      end: '2026-10-05T04:30:00.000Z',
+    });
+  });
+
+  it('refuses times that are not offered', () => {
+    expect(findSlot(availability, '2026-10-05T04:15:00.000Z', now)).toBeNull();
+    expect(findSlot(availability, '2026-10-06T03:30:00.000Z', now)).toBeNull();
+    expect(findSlot(availability, 'soon', now)).toBeNull();
+  });
+});
+
+describe('slotLockId', () => {
+  it('names the doctor and the start', () => {
+    expect(slotLockId('doc-1', '2026-10-05T04:00:00.000Z')).toBe('doc-1_1791172800000');
+  });
+});
+
+describe('slotsOverlap', () => {
+  const booked = { start: '2026-10-05T04:00:00.000Z', end: '2026-10-05T04:30:00.000Z' };
+
+  it('finds slots of another length that share time', () => {
+    expect(slotsOverlap({ start: '2026-10-05T03:45:00.000Z', end: '2026-10-05T04:05:00.000Z' }, booked)).toBe(true);
+    expect(slotsOverlap({ start: '2026-10-05T04:10:00.000Z', end: '2026-10-05T04:20:00.000Z' }, booked)).toBe(true);
+    expect(slotsOverlap({ start: '2026-10-05T03:30:00.000Z', end: '2026-10-05T05:30:00.000Z' }, booked)).toBe(true);
+  });
+
+  it('lets slots touch', () => {
+    expect(slotsOverlap({ start: '2026-10-05T03:30:00.000Z', end: '2026-10-05T04:00:00.000Z' }, booked)).toBe(false);
+    expect(slotsOverlap({ start: '2026-10-05T04:30:00.000Z', end: '2026-10-05T05:00:00.000Z' }, booked)).toBe(false);
+  });
+});
+
+describe('getDueAppointmentReminders', () => {
+  const appointment = { start: '2026-10-05T04:00:00.000Z', remindersSent: [] };
+
+  it('sends each reminder once it is due', () => {
+    expect(getDueAppointmentReminders(appointment, new Date('2026-10-04T03:59:00.000Z'))).toEqual([]);
+    expect(getDueAppointmentReminders(appointment, new Date('2026-10-04T04:00:00.000Z')).map(({ key }) => key)).toEqual(['day']);
+    expect(
+      getDueAppointmentReminders({ ...appointment, remindersSent: ['day'] }, new Date('2026-10-05T03:00:00.000Z')).map(({ key }) => key)
+    ).toEqual(['hour']);
+  });
+
+  it('reports both for a late booking, and none once it has started', () => {
+    expect(getDueAppointmentReminders(appointment, new Date('2026-10-05T03:30:00.000Z')).map(({ key }) => key)).toEqual(['day', 'hour']);
+    expect(getDueAppointmentReminders(appointment, new Date('2026-10-05T04:00:00.000Z'))).toEqual([]);
+  });
+});
+
+describe('formatAppointmentReminder', () => {
+  it('gives the time in the appointment time zone', () => {
+    const appointment = { start: '2026-10-05T04:00:00.000Z', timeZone: 'Asia/Kolkata', doctorName: 'Dr. Rao', patientName: null };
+    const reminder = { key: 'hour', label: 'in an hour' };
+    expect(formatAppointmentReminder(appointment, reminder, 'patient').body).toMatch(/^Your consultation with Dr\. Rao is in an hour \(.*9:30.*\)\.$/);
+    expect(formatAppointmentReminder(appointment, reminder, 'doctor').body).toMatch(/^Your consultation with a patient is in an hour/);
+  });
+});
@@ -0,0 +1,126 @@
+// Client calls for api/appointments: doctors publish availability, patients book, reschedule
+// and cancel slots. Slot generation itself lives in appointments.js.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+async function appointmentsRequest(path, userId, idToken, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBaseUrl}/appointments${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      const parsed = JSON.parse(errorText).error;
+      message = [parsed?.message, parsed?.details].filter(Boolean).join(': ') || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(message);
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a doctor's published weekly availability.
+ * @param {string} doctorId - The doctor's ID.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{availability: Object|null}>}
+ */
+const fetchAvailability = (doctorId, userId, idToken) =>
+  appointmentsRequest(`/availability?doctorId=${encodeURIComponent(doctorId)}`, userId, idToken);
+
+/**
+ * Publishes the signed-in doctor's weekly availability.
+ * @param {Object} availability - {timeZone, slotMinutes, weekly}.
+ * @param {string} userId - The doctor's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{availability: Object}>}
+ */
+const saveAvailability = (availability, userId, idToken) =>
+  appointmentsRequest('/availability', userId, idToken, { method: 'POST', body: availability });
+
+/**
+ * Lists a doctor's free slots.
+ * @param {string} doctorId - The doctor's ID.
+ * @param {number} days - Days ahead to cover.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{slots: Array<{start: string, end: string}>, timeZone: string|null}>}
+ */
+const fetchSlots = (doctorId, days, userId, idToken) =>
+  appointmentsRequest(`/slots?doctorId=${encodeURIComponent(doctorId)}&days=${days}`, userId, idToken);
+
+/**
+ * Books a slot; fails with a conflict message when someone else took it first.
+ * @param {{doctorId: string, start: string, reason?: string}} booking - The slot to book.
+ * @param {string} userId - The patient's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{appointment: Object}>}
+ */
+const bookAppointment = (booking, userId, idToken) =>
+  appointmentsRequest('/book', userId, idToken, { method: 'POST', body: booking });
+
+/**
+ * Moves a booking to another free slot of the same doctor.
+ * @param {string} appointmentId - The appointment.
+ * @param {string} start - ISO start of the new slot.
+ * @param {string} userId - The patient's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{appointment: Object}>}
+ */
+const rescheduleAppointment = (appointmentId, start, userId, idToken) =>
+  appointmentsRequest('/reschedule', userId, idToken, { method: 'POST', body: { appointmentId, start } });
+
+/**
+ * Cancels a booking (patient or doctor).
+ * @param {string} appointmentId - The appointment.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{appointment: Object}>}
+ */
+const cancelAppointment = (appointmentId, userId, idToken) =>
+  appointmentsRequest('/cancel', userId, idToken, { method: 'POST', body: { appointmentId } });
+
+/**
+ * Lists the caller's upcoming appointments.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{appointments: Array<Object>}>}
+ */
+const fetchMyAppointments = (userId, idToken) => appointmentsRequest('/mine', userId, idToken);
+
+/**
+ * Formats an appointment time in the doctor's zone, e.g. "Mon, 20 Oct, 9:30 am".
+ * @param {string} iso - ISO time.
+ * @param {string} [timeZone] - IANA time zone of the doctor's availability.
+ * @returns {string}
+ */
+const formatAppointmentTime = (iso, timeZone) =>
+  new Date(iso).toLocaleString('en-IN', {
+    ...(timeZone ? { timeZone } : {}),
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+export {
+  fetchAvailability,
+  saveAvailability,
+  fetchSlots,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  fetchMyAppointments,
+  formatAppointmentTime,
+};
@@ -0,0 +1,77 @@
+// Audio/video call records (calls collection) shared by api/calls and the chat screens. The media
+// itself flows peer to peer over WebRTC; api/calls only relays signaling on the chat's Pusher
+// channel and keeps the call state that ends up in the chat history. Pure functions only.
+
+const ACTIVE_CALL_STATUSES = ['ringing', 'accepted'];
+
+// Signaling messages relayed between the two peers
+const SIGNAL_TYPES = ['offer', 'answer', 'candidate'];
+
+// An unanswered call is given up after this long
+const RING_TIMEOUT_SECONDS = 45;
+
+// Accepted calls older than this are assumed to have been dropped without a hang-up
+const MAX_CALL_HOURS = 4;
+
+/**
+ * Whether a call still blocks a new one between the same patient and doctor.
+ * @param {Object} call - The call document.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isCallActive = (call, now = new Date()) => {
+  if (!ACTIVE_CALL_STATUSES.includes(call.status)) return false;
+  const age = now.getTime() - new Date(call.acceptedAt || call.startedAt).getTime();
+  return call.status === 'ringing' ? age < RING_TIMEOUT_SECONDS * 1000 : age < MAX_CALL_HOURS * 60 * 60 * 1000;
+};
+
+/**
+ * The final state of a call that one side is leaving. An accepted call has ended; a ringing
+ * one was declined by the callee or missed when the caller gave up.
+ * @param {Object} call - The call document.
+ * @param {'patient'|'doctor'} endedBy - Who hung up.
+ * @param {Date} [now]
+ * @returns {{status: string, endedAt: string, endedBy: string, durationSeconds: number}}
+ */
+const getCallOutcome = (call, endedBy, now = new Date()) => {
+  const status = call.status === 'accepted' ? 'ended' : endedBy === call.startedBy ? 'missed' : 'declined';
+  const durationSeconds = call.status === 'accepted'
+    ? Math.max(0, Math.round((now.getTime() - new Date(call.acceptedAt).getTime()) / 1000))
+    : 0;
+  return { status, endedAt: now.toISOString(), endedBy, durationSeconds };
+};
+
+/**
+ * Formats a duration as m:ss or h:mm:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatCallDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * The text of the system message a finished call leaves in the chat.
+ * @param {Object} call - The call document, including its outcome.
+ * @returns {string}
+ */
+const formatCallSummary = (call) => {
+  const kind = call.video ? 'video call' : 'audio call';
+  const caller = call.startedBy === 'doctor' ? 'doctor' : 'patient';
+  if (call.status === 'ended') return `${kind.charAt(0).toUpperCase()}${kind.slice(1)} · ${formatCallDuration(call.durationSeconds || 0)}`;
+  if (call.status === 'declined') return `Declined ${kind} from the ${caller}`;
+  return `Missed ${kind} from the ${caller}`;
+};
+
+export {
+  ACTIVE_CALL_STATUSES,
+  SIGNAL_TYPES,
+  RING_TIMEOUT_SECONDS,
+  isCallActive,
+  getCallOutcome,
+  formatCallDuration,
+  formatCallSummary,
+};
@@ -0,0 +1,67 @@
+// Live captions for chat calls. Each side recognizes its own speech in the browser and posts
+// segments to api/calls/caption, which translates them into the listener's preferred language,
+// relays them on the chat channel and saves finalized segments into the chat history.
+// Pure functions only; shared by api/calls and CallPanel.
+import { getLanguage } from './languages.js';
+
+// In-progress captions are sent (and translated) at most this often per speaker
+const INTERIM_CAPTION_INTERVAL_MS = 1000;
+
+// Longest segment accepted by api/calls/caption
+const MAX_CAPTION_LENGTH = 1000;
+
+// Rolling caption lines kept on screen
+const MAX_CAPTION_LINES = 4;
+
+/**
+ * A registered preference code, falling back to English.
+ * @param {string} [preference] - e.g. 'kn' or 'kn-IN'.
+ * @returns {string}
+ */
+const normalizeCaptionLanguage = (preference) => getLanguage(preference).code;
+
+/**
+ * The BCP-47 code speech recognition should use for a preferred language.
+ * @param {string} [preference]
+ * @returns {string}
+ */
+const getRecognitionLanguage = (preference) => getLanguage(preference).sttCode;
+
+/**
+ * The speaker's and listener's caption languages for one side of a call.
+ * @param {{patient: string, doctor: string}} [languages] - Stored on the call when it is accepted.
+ * @param {'patient'|'doctor'} speaker
+ * @returns {{speaker: string, listener: string}}
+ */
+const getCaptionLanguages = (languages = {}, speaker) => ({
+  speaker: normalizeCaptionLanguage(languages[speaker]),
+  listener: normalizeCaptionLanguage(languages[speaker === 'patient' ? 'doctor' : 'patient']),
+});
+
+/**
+ * Adds or updates a caption in the rolling list shown during a call. A speaker's segment is
+ * replaced as its interim text grows, and only the latest lines are kept. Interim updates that
+ * arrive after their segment was finalized are dropped.
+ * @param {Object[]} lines - Current captions ({from, segmentId, text, final}).
+ * @param {Object} caption - The incoming caption.
+ * @param {number} [maxLines]
+ * @returns {Object[]} New list.
+ */
+const mergeCaption = (lines, caption, maxLines = MAX_CAPTION_LINES) => {
+  const index = lines.findIndex((line) => line.from === caption.from && line.segmentId === caption.segmentId);
+  if (index !== -1 && lines[index].final && !caption.final) return lines;
+  const next = index === -1
+    ? [...lines, caption]
+    : lines.map((line, i) => (i === index ? { ...line, ...caption } : line));
+  return next.slice(-maxLines);
+};
+
+export {
+  INTERIM_CAPTION_INTERVAL_MS,
+  MAX_CAPTION_LENGTH,
+  MAX_CAPTION_LINES,
+  normalizeCaptionLanguage,
+  getRecognitionLanguage,
+  getCaptionLanguages,
+  mergeCaption,
+};
@@ -0,0 +1,86 @@
+// Client calls for caregiver accounts (api/caregivers): linking to a patient with the patient's
+// consent, reading the patient's reminders and adherence, and confirming doses on their behalf.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+async function caregiverRequest(path, userId, idToken, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBaseUrl}/caregivers${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      message = JSON.parse(errorText).error?.message || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(`${response.status} - ${message}`);
+  }
+  return response.json();
+}
+
+/**
+ * Lists the caller's links: a caregiver's patients, or a patient's caregivers.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{success: boolean, role: string, links: Array<Object>}>}
+ */
+const fetchCaregiverLinks = (userId, idToken) => caregiverRequest('/links', userId, idToken);
+
+/**
+ * Asks to be linked to a patient; the link stays pending until the patient approves it.
+ * @param {string} patientId - The patient's ID.
+ * @param {string} relationship - How the caregiver is related to the patient.
+ * @param {string} userId - The caregiver's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<Object>}
+ */
+const requestCaregiverLink = (patientId, relationship, userId, idToken) =>
+  caregiverRequest('/link-request', userId, idToken, { method: 'POST', body: { patientId, relationship } });
+
+/**
+ * Approves a pending link (patients only) or declines/revokes one (patient or caregiver).
+ * @param {{patientId: string, caregiverId: string, approve: boolean}} response - The decision.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<Object>}
+ */
+const respondToCaregiverLink = ({ patientId, caregiverId, approve }, userId, idToken) =>
+  caregiverRequest('/link-response', userId, idToken, { method: 'POST', body: { patientId, caregiverId, approve } });
+
+/**
+ * Fetches a linked patient's reminders, adherence summary and the caregiver's missed-dose alerts.
+ * @param {string} patientId - The patient's ID.
+ * @param {string} userId - The caregiver's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{reminders: Array<Object>, adherence: Object, alerts: Array<Object>}>}
+ */
+const fetchPatientOverview = (patientId, userId, idToken) =>
+  caregiverRequest(`/patient-overview?patientId=${encodeURIComponent(patientId)}`, userId, idToken);
+
+/**
+ * Confirms a dose on the patient's behalf; the reminder records the caregiver as confirmer.
+ * @param {string} patientId - The patient's ID.
+ * @param {string} reminderId - The reminder to confirm.
+ * @param {string} userId - The caregiver's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<Object>}
+ */
+const confirmDoseForPatient = (patientId, reminderId, userId, idToken) =>
+  caregiverRequest('/confirm-dose', userId, idToken, { method: 'POST', body: { patientId, reminderId } });
+
+export {
+  fetchCaregiverLinks,
+  requestCaregiverLink,
+  respondToCaregiverLink,
+  fetchPatientOverview,
+  confirmDoseForPatient,
+};
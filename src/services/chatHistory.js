@@ -0,0 +1,76 @@
+// Chat history pages from /api/chats/:patientId/:doctorId. Messages are stored one per document
+// (lib/chatStore.js) under IDs that sort in the order they were saved, and a chat is read newest
+// page first: GET ?limit=n returns the latest messages, and ?before=<id> the ones older than
+// that message. Pure functions only, shared by the browser and the API.
+
+const CHAT_PAGE_SIZE = 50;
+const MAX_CHAT_PAGE_SIZE = 200;
+
+// Milliseconds since the epoch, zero-padded so IDs sort as strings
+const MESSAGE_ID_DIGITS = 15;
+const MESSAGE_ID_PATTERN = /^\d{15}$/;
+
+/**
+ * @param {number} seq - A message's position in its chat.
+ * @returns {string} The message ID.
+ */
+const toMessageId = (seq) => String(seq).padStart(MESSAGE_ID_DIGITS, '0');
+
+/**
+ * The position of a new message: when it was saved, or one past the chat's last message when the
+ * clock has not moved on since (or went back), so positions only ever increase.
+ * @param {number} lastSeq - Position of the chat's last message; 0 for an empty chat.
+ * @param {number} [now] - Milliseconds since the epoch.
+ * @returns {number}
+ */
+const nextMessageSeq = (lastSeq, now = Date.now()) => Math.max(now, lastSeq + 1);
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+const isValidMessageId = (id) => typeof id === 'string' && MESSAGE_ID_PATTERN.test(id);
+
+/**
+ * @param {string} id - A valid message ID.
+ * @returns {number} The position it encodes.
+ */
+const getMessageSeq = (id) => Number(id);
+
+/**
+ * Reads ?before= and ?limit= from a request query.
+ * @param {{before?: string, limit?: string}} query
+ * @returns {{before: string|null, limit: number}|{error: string}}
+ */
+const parsePageQuery = ({ before, limit } = {}) => {
+  if (before !== undefined && !isValidMessageId(before)) {
+    return { error: 'before must be a message ID' };
+  }
+  const size = limit === undefined ? CHAT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_CHAT_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_CHAT_PAGE_SIZE}` };
+  }
+  return { before: before || null, limit: size };
+};
+
+/**
+ * Puts an older page in front of the messages on screen, skipping any already shown.
+ * @param {Object[]} earlier - The older page, oldest first.
+ * @param {Object[]} current - Messages shown now.
+ * @returns {Object[]}
+ */
+const prependMessages = (earlier, current) => {
+  const shown = new Set(current.map((message) => message.id).filter(Boolean));
+  return [...earlier.filter((message) => !shown.has(message.id)), ...current];
+};
+
+export {
+  CHAT_PAGE_SIZE,
+  MAX_CHAT_PAGE_SIZE,
+  toMessageId,
+  nextMessageSeq,
+  isValidMessageId,
+  getMessageSeq,
+  parsePageQuery,
+  prependMessages,
+};
@@ -0,0 +1,47 @@
+import { MAX_CHAT_PAGE_SIZE, toMessageId, nextMessageSeq, isValidMessageId, getMessageSeq, parsePageQuery, prependMessages } from './chatHistory.js';
+
+describe('toMessageId', () => {
+  it('round-trips through getMessageSeq', () => {
+    expect(toMessageId(1791172800000)).toBe('001791172800000');
+    expect(getMessageSeq(toMessageId(1791172800000))).toBe(1791172800000);
+    expect(isValidMessageId(toMessageId(1))).toBe(true);
+    expect(isValidMessageId('1791172800000')).toBe(false);
+  });
+
+  it('sorts as strings in message order', () => {
+    const seqs = [1791172800001, 42, 1791172800000, 999];
+    const ids = seqs.map(toMessageId).sort();
+    expect(ids.map(getMessageSeq)).toEqual([42, 999, 1791172800000, 1791172800001]);
+  });
+});
+
+describe('nextMessageSeq', () => {
+  it('uses the clock unless it has not moved past the last message', () => {
+    expect(nextMessageSeq(0, 1791172800000)).toBe(1791172800000);
+    expect(nextMessageSeq(1791172800000, 1791172800000)).toBe(1791172800001);
+    expect(nextMessageSeq(1791172800500, 1791172800000)).toBe(1791172800501);
+  });
+});
+
+describe('parsePageQuery', () => {
+  it('defaults to the latest page', () => {
+    expect(parsePageQuery({})).toEqual({ before: null, limit: 50 });
+    expect(parsePageQuery({ before: '001791172800000', limit: '20' })).toEqual({ before: '001791172800000', limit: 20 });
+  });
+
+  it('rejects bad cursors and sizes', () => {
+    expect(parsePageQuery({ before: 'abc' })).toEqual({ error: 'before must be a message ID' });
+    expect(parsePageQuery({ limit: '0' })).toEqual({ error: `limit must be between 1 and ${MAX_CHAT_PAGE_SIZE}` });
+    expect(parsePageQuery({ limit: '2.5' })).toEqual({ error: `limit must be between 1 and ${MAX_CHAT_PAGE_SIZE}` });
+  });
+});
+
+describe('prependMessages', () => {
+  it('skips messages already on screen', () => {
+    const current = [{ id: '000000000000003' }, { id: '000000000000004' }, { text: 'sending' }];
+    expect(prependMessages([{ id: '000000000000002' }, { id: '000000000000003' }], current)).toEqual([
+      { id: '000000000000002' },
+      ...current,
+    ]);
+  });
+});
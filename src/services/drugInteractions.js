@@ -0,0 +1,161 @@
+// Interaction, duplicate-ingredient and same-class checks between a new prescription
+// and the patient's active prescriptions from every doctor. Pure functions only; the
+// prescriptions API gathers the active prescriptions and runs the check.
+import { BRAND_GENERICS, normalizeName, splitCombination } from './medicineMatcher.js';
+
+// Therapy class -> label and generic members (lowercase)
+const THERAPY_CLASSES = {
+  nsaid: {
+    label: 'NSAID',
+    members: ['ibuprofen', 'naproxen', 'diclofenac', 'aspirin', 'celecoxib', 'meloxicam', 'ketorolac', 'indomethacin', 'etoricoxib', 'aceclofenac'],
+  },
+  anticoagulant: { label: 'anticoagulant', members: ['warfarin', 'apixaban', 'rivaroxaban', 'dabigatran', 'heparin', 'enoxaparin'] },
+  antiplatelet: { label: 'antiplatelet', members: ['clopidogrel', 'prasugrel', 'ticagrelor', 'aspirin'] },
+  ssri: { label: 'SSRI', members: ['sertraline', 'fluoxetine', 'escitalopram', 'citalopram', 'paroxetine', 'fluvoxamine'] },
+  maoi: { label: 'MAO inhibitor', members: ['phenelzine', 'tranylcypromine', 'selegiline', 'isocarboxazid'] },
+  opioid: { label: 'opioid', members: ['tramadol', 'codeine', 'oxycodone', 'hydrocodone', 'morphine', 'tapentadol', 'fentanyl'] },
+  benzodiazepine: { label: 'benzodiazepine', members: ['alprazolam', 'lorazepam', 'diazepam', 'clonazepam', 'temazepam'] },
+  'ace-inhibitor': { label: 'ACE inhibitor', members: ['lisinopril', 'enalapril', 'ramipril', 'captopril', 'perindopril'] },
+  arb: { label: 'angiotensin receptor blocker', members: ['losartan', 'telmisartan', 'valsartan', 'olmesartan', 'irbesartan', 'candesartan'] },
+  'beta-blocker': { label: 'beta blocker', members: ['metoprolol', 'atenolol', 'propranolol', 'carvedilol', 'bisoprolol', 'nebivolol'] },
+  statin: { label: 'statin', members: ['atorvastatin', 'rosuvastatin', 'simvastatin', 'pravastatin', 'lovastatin'] },
+  ppi: { label: 'proton pump inhibitor', members: ['omeprazole', 'esomeprazole', 'pantoprazole', 'lansoprazole', 'rabeprazole'] },
+  antihistamine: {
+    label: 'antihistamine',
+    members: ['cetirizine', 'levocetirizine', 'loratadine', 'desloratadine', 'fexofenadine', 'diphenhydramine', 'chlorpheniramine'],
+  },
+  sulfonylurea: { label: 'sulfonylurea', members: ['glimepiride', 'glipizide', 'glyburide', 'gliclazide'] },
+  fluoroquinolone: { label: 'fluoroquinolone', members: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'moxifloxacin'] },
+  macrolide: { label: 'macrolide', members: ['azithromycin', 'clarithromycin', 'erythromycin'] },
+  triptan: { label: 'triptan', members: ['sumatriptan', 'rizatriptan', 'zolmitriptan'] },
+  nitrate: { label: 'nitrate', members: ['nitroglycerin', 'isosorbide mononitrate', 'isosorbide dinitrate'] },
+};
+
+// Prescribing despite warnings needs a reason the admin can review
+const MIN_OVERRIDE_REASON_LENGTH = 5;
+
+// Generic -> therapy classes it belongs to
+const CLASSES_BY_GENERIC = Object.entries(THERAPY_CLASSES).reduce((acc, [classKey, { members }]) => {
+  members.forEach((member) => (acc[member] = acc[member] || []).push(classKey));
+  return acc;
+}, {});
+
+// Known interactions; each side is a generic name or a "class:<key>" reference
+const INTERACTIONS = [
+  { between: ['class:anticoagulant', 'class:nsaid'], severity: 'major', message: 'Increased risk of serious bleeding.' },
+  { between: ['class:anticoagulant', 'class:antiplatelet'], severity: 'major', message: 'Increased risk of serious bleeding.' },
+  { between: ['warfarin', 'ciprofloxacin'], severity: 'major', message: 'Ciprofloxacin can raise INR and bleeding risk.' },
+  { between: ['warfarin', 'fluconazole'], severity: 'major', message: 'Fluconazole can raise INR and bleeding risk.' },
+  { between: ['warfarin', 'metronidazole'], severity: 'major', message: 'Metronidazole can raise INR and bleeding risk.' },
+  { between: ['class:ssri', 'tramadol'], severity: 'major', message: 'Risk of serotonin syndrome and seizures.' },
+  { between: ['class:ssri', 'class:maoi'], severity: 'major', message: 'Risk of life-threatening serotonin syndrome.' },
+  { between: ['class:ssri', 'class:triptan'], severity: 'moderate', message: 'Risk of serotonin syndrome.' },
+  { between: ['class:ssri', 'class:nsaid'], severity: 'moderate', message: 'Increased risk of gastrointestinal bleeding.' },
+  { between: ['class:opioid', 'class:benzodiazepine'], severity: 'major', message: 'Risk of profound sedation and respiratory depression.' },
+  { between: ['class:ace-inhibitor', 'class:arb'], severity: 'major', message: 'Dual RAAS blockade raises the risk of hyperkalaemia and kidney injury.' },
+  { between: ['class:ace-inhibitor', 'spironolactone'], severity: 'moderate', message: 'Risk of hyperkalaemia.' },
+  { between: ['class:ace-inhibitor', 'class:nsaid'], severity: 'moderate', message: 'NSAIDs reduce the blood-pressure effect and can impair kidney function.' },
+  { between: ['class:arb', 'class:nsaid'], severity: 'moderate', message: 'NSAIDs reduce the blood-pressure effect and can impair kidney function.' },
+  { between: ['simvastatin', 'clarithromycin'], severity: 'major', message: 'Risk of myopathy and rhabdomyolysis.' },
+  { between: ['simvastatin', 'erythromycin'], severity: 'major', message: 'Risk of myopathy and rhabdomyolysis.' },
+  { between: ['atorvastatin', 'clarithromycin'], severity: 'moderate', message: 'Raised statin levels; risk of myopathy.' },
+  { between: ['clopidogrel', 'omeprazole'], severity: 'moderate', message: 'Omeprazole reduces the antiplatelet effect of clopidogrel.' },
+  { between: ['clopidogrel', 'esomeprazole'], severity: 'moderate', message: 'Esomeprazole reduces the antiplatelet effect of clopidogrel.' },
+  { between: ['methotrexate', 'trimethoprim'], severity: 'major', message: 'Risk of methotrexate toxicity and bone-marrow suppression.' },
+  { between: ['lithium', 'class:nsaid'], severity: 'major', message: 'NSAIDs raise lithium levels; risk of toxicity.' },
+  { between: ['class:sulfonylurea', 'class:fluoroquinolone'], severity: 'moderate', message: 'Risk of severe blood-sugar changes.' },
+  { between: ['sildenafil', 'class:nitrate'], severity: 'major', message: 'Risk of severe low blood pressure.' },
+  { between: ['tizanidine', 'ciprofloxacin'], severity: 'major', message: 'Ciprofloxacin greatly raises tizanidine levels.' },
+];
+
+/**
+ * Resolves a drug name (brand, generic or combination) to its generic ingredients.
+ * @param {string} drug - The drug as entered.
+ * @returns {string[]} The lowercase generic ingredients.
+ */
+const getIngredients = (drug) => {
+  const name = normalizeName(drug);
+  if (!name) return [];
+  const ingredients = splitCombination(name).flatMap((part) => splitCombination(BRAND_GENERICS[part] || part));
+  return [...new Set(ingredients)];
+};
+
+const matchesSide = (side, ingredient) =>
+  side.startsWith('class:') ? (CLASSES_BY_GENERIC[ingredient] || []).includes(side.slice(6)) : side === ingredient;
+
+const findInteraction = (a, b) =>
+  INTERACTIONS.find(
+    ({ between: [left, right] }) =>
+      (matchesSide(left, a) && matchesSide(right, b)) || (matchesSide(left, b) && matchesSide(right, a))
+  );
+
+/**
+ * Compares a new drug against the patient's active prescriptions.
+ * @param {string} drug - The drug about to be prescribed.
+ * @param {Array<{drug: string, doctorId?: string, doctorName?: string, diagnosis?: string, timestamp?: string}>} activePrescriptions
+ *   The patient's active prescriptions across all doctors.
+ * @returns {Array<{type: 'interaction'|'duplicate'|'therapy-class', severity: 'major'|'moderate', drug: string,
+ *   withDrug: string, ingredients: string[], doctorId: string|null, doctorName: string|null, message: string}>}
+ *   One warning per conflicting pair, most severe first.
+ */
+const checkDrugInteractions = (drug, activePrescriptions) => {
+  const newIngredients = getIngredients(drug);
+  if (newIngredients.length === 0) return [];
+
+  const warnings = [];
+  activePrescriptions.forEach((active) => {
+    const activeIngredients = getIngredients(active.drug);
+    const base = {
+      drug,
+      withDrug: active.drug,
+      doctorId: active.doctorId || null,
+      doctorName: active.doctorName || null,
+    };
+    const prescribedBy = active.doctorName ? ` (prescribed by ${active.doctorName})` : '';
+
+    newIngredients.forEach((ingredient) => {
+      activeIngredients.forEach((other) => {
+        if (ingredient === other) {
+          warnings.push({
+            ...base,
+            type: 'duplicate',
+            severity: 'major',
+            ingredients: [ingredient],
+            message: `${drug} and ${active.drug}${prescribedBy} both contain ${ingredient}.`,
+          });
+          return;
+        }
+
+        const interaction = findInteraction(ingredient, other);
+        if (interaction) {
+          warnings.push({
+            ...base,
+            type: 'interaction',
+            severity: interaction.severity,
+            ingredients: [ingredient, other],
+            message: `${ingredient} + ${other}${prescribedBy}: ${interaction.message}`,
+          });
+          return;
+        }
+
+        const sharedClasses = (CLASSES_BY_GENERIC[ingredient] || []).filter((classKey) =>
+          (CLASSES_BY_GENERIC[other] || []).includes(classKey)
+        );
+        if (sharedClasses.length > 0) {
+          const labels = sharedClasses.map((classKey) => THERAPY_CLASSES[classKey].label).join(', ');
+          warnings.push({
+            ...base,
+            type: 'therapy-class',
+            severity: 'moderate',
+            ingredients: [ingredient, other],
+            message: `${ingredient} and ${other}${prescribedBy} are both ${labels} drugs; check for duplicate therapy.`,
+          });
+        }
+      });
+    });
+  });
+
+  return warnings.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'major' ? -1 : 1));
+};
+
+export { THERAPY_CLASSES, INTERACTIONS, MIN_OVERRIDE_REASON_LENGTH, getIngredients, checkDrugInteractions };
@@ -0,0 +1,71 @@
+import { getIngredients, checkDrugInteractions } from './drugInteractions.js';
+
+describe('getIngredients', () => {
+  it('resolves brands and combinations to generics', () => {
+    expect(getIngredients('Tylenol 500mg')).toEqual(['acetaminophen']);
+    expect(getIngredients('Augmentin')).toEqual(['amoxicillin', 'clavulanate']);
+    expect(getIngredients('Clavulanate + Amoxicillin')).toEqual(['amoxicillin', 'clavulanate']);
+    expect(getIngredients('')).toEqual([]);
+  });
+});
+
+describe('checkDrugInteractions', () => {
+  const warfarin = { drug: 'Warfarin', doctorId: 'doc-2', doctorName: 'Dr. Rao' };
+
+  it('finds nothing when no active prescription conflicts', () => {
+    expect(checkDrugInteractions('Amlodipine', [warfarin, { drug: 'Metformin' }])).toEqual([]);
+    expect(checkDrugInteractions('', [warfarin])).toEqual([]);
+  });
+
+  it('warns about an ingredient the patient already takes', () => {
+    expect(checkDrugInteractions('Crocin', [{ drug: 'Paracetamol' }])).toEqual([
+      {
+        drug: 'Crocin',
+        withDrug: 'Paracetamol',
+        doctorId: null,
+        doctorName: null,
+        type: 'duplicate',
+        severity: 'major',
+        ingredients: ['acetaminophen'],
+        message: 'Crocin and Paracetamol both contain acetaminophen.',
+      },
+    ]);
+  });
+
+  it('warns about known interactions, naming the other prescriber', () => {
+    expect(checkDrugInteractions('Ibuprofen', [warfarin])).toEqual([
+      expect.objectContaining({
+        type: 'interaction',
+        severity: 'major',
+        ingredients: ['ibuprofen', 'warfarin'],
+        doctorId: 'doc-2',
+        message: 'ibuprofen + warfarin (prescribed by Dr. Rao): Increased risk of serious bleeding.',
+      }),
+    ]);
+  });
+
+  it('checks each ingredient of a combination', () => {
+    const warnings = checkDrugInteractions('Bactrim', [{ drug: 'Methotrexate' }]);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ type: 'interaction', ingredients: ['trimethoprim', 'methotrexate'] });
+  });
+
+  it('warns about two drugs of the same class', () => {
+    expect(checkDrugInteractions('Atorvastatin', [{ drug: 'Crestor' }])).toEqual([
+      expect.objectContaining({
+        type: 'therapy-class',
+        severity: 'moderate',
+        message: 'atorvastatin and rosuvastatin are both statin drugs; check for duplicate therapy.',
+      }),
+    ]);
+  });
+
+  it('lists major warnings first', () => {
+    const warnings = checkDrugInteractions('Sertraline', [{ drug: 'Sumatriptan' }, { drug: 'Tramadol' }, { drug: 'Escitalopram' }]);
+    expect(warnings.map(({ type, severity }) => [type, severity])).toEqual([
+      ['interaction', 'major'],
+      ['interaction', 'moderate'],
+      ['therapy-class', 'moderate'],
+    ]);
+  });
+});
@@ -0,0 +1,166 @@
+// Missed-dose escalation policies. A policy matches reminders by drug (or therapy class) and/or
+// diagnosis, says how many consecutive missed doses start an escalation, and lists the steps
+// to run from then on. Policies live in the escalation_policies collection, are edited from the
+// admin dashboard and are evaluated by the reminder cron. Pure functions only.
+import { THERAPY_CLASSES, getIngredients } from './drugInteractions.js';
+import { getCalendarParts } from './prescription.js';
+
+const ESCALATION_TARGETS = {
+  patient: 'Nudge the patient',
+  caregiver: 'Contact the caregiver',
+  doctor: 'Alert the doctor',
+  admin: 'Alert the admin',
+};
+
+// Used when no stored policy matches: the old behaviour of alerting doctor and admin after three misses
+const DEFAULT_POLICY = {
+  id: 'default',
+  name: 'Default',
+  enabled: true,
+  priority: 0,
+  drugs: [],
+  diagnoses: [],
+  consecutiveMissed: 3,
+  quietHours: null,
+  steps: [
+    { target: 'doctor', delayMinutes: 0, respectQuietHours: false },
+    { target: 'admin', delayMinutes: 0, respectQuietHours: false },
+  ],
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Normalizes a policy submitted from the admin dashboard.
+ * @param {Object} input - Raw policy fields.
+ * @returns {Object} The policy as stored.
+ */
+const normalizePolicy = (input = {}) => ({
+  name: String(input.name || '').trim(),
+  enabled: input.enabled !== false,
+  priority: Number(input.priority) || 0,
+  drugs: toList(input.drugs),
+  diagnoses: toList(input.diagnoses),
+  consecutiveMissed: parseInt(input.consecutiveMissed, 10) || 0,
+  quietHours: input.quietHours?.start && input.quietHours?.end
+    ? { start: input.quietHours.start, end: input.quietHours.end }
+    : null,
+  steps: (input.steps || []).map((step) => ({
+    target: step.target,
+    delayMinutes: parseInt(step.delayMinutes, 10) || 0,
+    respectQuietHours: Boolean(step.respectQuietHours),
+  })),
+});
+
+/**
+ * Checks a policy before it is stored.
+ * @param {Object} input - Raw policy fields.
+ * @returns {string[]} Error messages; empty when the policy is acceptable.
+ */
+const validatePolicy = (input = {}) => {
+  const policy = normalizePolicy(input);
+  const errors = [];
+  if (!policy.name) errors.push('Name is required.');
+  if (policy.drugs.length === 0 && policy.diagnoses.length === 0) {
+    errors.push('Add at least one drug, drug class or diagnosis to match.');
+  }
+  policy.drugs
+    .filter((drug) => drug.startsWith('class:') && !THERAPY_CLASSES[drug.slice(6)])
+    .forEach((drug) => errors.push(`Unknown drug class "${drug.slice(6)}".`));
+  if (policy.consecutiveMissed < 1 || policy.consecutiveMissed > 20) {
+    errors.push('Consecutive missed doses must be between 1 and 20.');
+  }
+  if (input.quietHours && (input.quietHours.start || input.quietHours.end)) {
+    if (!TIME_PATTERN.test(input.quietHours.start || '') || !TIME_PATTERN.test(input.quietHours.end || '')) {
+      errors.push('Quiet hours must be given as HH:MM to HH:MM.');
+    }
+  }
+  if (policy.steps.length === 0) errors.push('Add at least one escalation step.');
+  policy.steps.forEach((step, index) => {
+    if (!ESCALATION_TARGETS[step.target]) errors.push(`Step ${index + 1}: unknown target "${step.target}".`);
+    if (step.delayMinutes < 0 || step.delayMinutes > 7 * 24 * 60) {
+      errors.push(`Step ${index + 1}: delay must be between 0 and 10080 minutes.`);
+    }
+  });
+  return errors;
+};
+
+const matchesDrug = (entry, ingredients) =>
+  entry.startsWith('class:')
+    ? ingredients.some((ingredient) => (THERAPY_CLASSES[entry.slice(6)]?.members || []).includes(ingredient))
+    : ingredients.includes(entry) || getIngredients(entry).some((ingredient) => ingredients.includes(ingredient));
+
+/**
+ * Picks the policy for a medicine and diagnosis: the enabled matching policy with the highest
+ * priority, then the lowest missed-dose threshold, else the default policy.
+ * @param {Array<Object>} policies - Stored policies (with id).
+ * @param {{medicine: string, diagnosis?: string}} reminder - The missed dose.
+ * @returns {Object} The policy to apply.
+ */
+const findPolicy = (policies, { medicine, diagnosis }) => {
+  const ingredients = getIngredients(medicine);
+  const diagnosisText = String(diagnosis || '').toLowerCase();
+  const matching = policies.filter(
+    (policy) =>
+      policy.enabled &&
+      (policy.drugs.some((entry) => matchesDrug(entry, ingredients)) ||
+        policy.diagnoses.some((keyword) => diagnosisText.includes(keyword)))
+  );
+  matching.sort((a, b) => b.priority - a.priority || a.consecutiveMissed - b.consecutiveMissed);
+  return matching[0] || DEFAULT_POLICY;
+};
+
+/**
+ * Whether the time falls inside the quiet hours (which may wrap past midnight).
+ * @param {{start: string, end: string}|null} quietHours - "HH:MM" bounds in the patient's zone.
+ * @param {Date} date - The instant to check.
+ * @param {string} [timeZone] - The patient's IANA time zone.
+ * @returns {boolean}
+ */
+const isQuietTime = (quietHours, date, timeZone) => {
+  if (!quietHours) return false;
+  const { hour, minute } = getCalendarParts(date, timeZone);
+  const minutes = hour * 60 + minute;
+  const [start, end] = [quietHours.start, quietHours.end].map((time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+  });
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+/**
+ * The steps of an open escalation that should run now.
+ * @param {Object} policy - The escalation's policy.
+ * @param {{startedAt: string, completedSteps: number[]}} escalation - The escalation record.
+ * @param {Date} [now]
+ * @param {string} [timeZone] - The patient's IANA time zone, for quiet hours.
+ * @returns {number[]} Indexes into policy.steps.
+ */
+const getDueSteps = (policy, escalation, now = new Date(), timeZone) => {
+  const startedAt = new Date(escalation.startedAt).getTime();
+  const completed = escalation.completedSteps || [];
+  const quiet = isQuietTime(policy.quietHours, now, timeZone);
+  return policy.steps
+    .map((step, index) => ({ step, index }))
+    .filter(({ step, index }) =>
+      !completed.includes(index) &&
+      startedAt + step.delayMinutes * 60 * 1000 <= now.getTime() &&
+      !(quiet && step.respectQuietHours)
+    )
+    .map(({ index }) => index);
+};
+
+export {
+  ESCALATION_TARGETS,
+  DEFAULT_POLICY,
+  normalizePolicy,
+  validatePolicy,
+  findPolicy,
+  isQuietTime,
+  getDueSteps,
+};
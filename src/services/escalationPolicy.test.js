@@ -0,0 +1,129 @@
+import { DEFAULT_POLICY, normalizePolicy, validatePolicy, findPolicy, isQuietTime, getDueSteps } from './escalationPolicy.js';
+
+const policy = (fields) => ({ id: fields.name, ...normalizePolicy({ consecutiveMissed: 2, steps: [{ target: 'doctor' }], ...fields }) });
+
+describe('normalizePolicy', () => {
+  it('cleans up the dashboard fields', () => {
+    expect(
+      normalizePolicy({
+        name: ' Insulin ',
+        drugs: 'Insulin glargine, class:SULFONYLUREA',
+        diagnoses: ['Diabetes'],
+        consecutiveMissed: '2',
+        quietHours: { start: '22:00', end: '' },
+        steps: [{ target: 'caregiver', delayMinutes: '30', respectQuietHours: 1 }],
+      })
+    ).toEqual({
+      name: 'Insulin',
+      enabled: true,
+      priority: 0,
+      drugs: ['insulin glargine', 'class:sulfonylurea'],
+      diagnoses: ['diabetes'],
+      consecutiveMissed: 2,
+      quietHours: null,
+      steps: [{ target: 'caregiver', delayMinutes: 30, respectQuietHours: true }],
+    });
+  });
+});
+
+describe('validatePolicy', () => {
+  it('accepts a complete policy', () => {
+    expect(validatePolicy({ name: 'Anticoagulants', drugs: 'class:anticoagulant', consecutiveMissed: 1, steps: [{ target: 'doctor' }] })).toEqual([]);
+  });
+
+  it('lists every problem', () => {
+    expect(
+      validatePolicy({
+        drugs: 'class:vitamins',
+        consecutiveMissed: 0,
+        quietHours: { start: '22:00', end: '7am' },
+        steps: [{ target: 'neighbour', delayMinutes: 20000 }],
+      })
+    ).toEqual([
+      'Name is required.',
+      'Unknown drug class "vitamins".',
+      'Consecutive missed doses must be between 1 and 20.',
+      'Quiet hours must be given as HH:MM to HH:MM.',
+      'Step 1: unknown target "neighbour".',
+      'Step 1: delay must be between 0 and 10080 minutes.',
+    ]);
+    expect(validatePolicy({ name: 'Empty', consecutiveMissed: 3 })).toEqual([
+      'Add at least one drug, drug class or diagnosis to match.',
+      'Add at least one escalation step.',
+    ]);
+  });
+});
+
+describe('findPolicy', () => {
+  const anticoagulants = policy({ name: 'anticoagulants', drugs: 'class:anticoagulant', priority: 5 });
+  const warfarin = policy({ name: 'warfarin', drugs: 'warfarin', priority: 5, consecutiveMissed: 1 });
+  const epilepsy = policy({ name: 'epilepsy', diagnoses: 'epilepsy', priority: 10 });
+  const disabled = policy({ name: 'disabled', drugs: 'amoxicillin', enabled: false });
+  const augmentin = policy({ name: 'augmentin', drugs: 'Augmentin' });
+  const policies = [anticoagulants, warfarin, epilepsy, disabled, augmentin];
+
+  it('matches by drug, brand, ingredient or class', () => {
+    expect(findPolicy(policies, { medicine: 'Apixaban' }).id).toBe('anticoagulants');
+    expect(findPolicy(policies, { medicine: 'Amoxicillin/Clavulanate' }).id).toBe('augmentin');
+    expect(findPolicy(policies, { medicine: 'Amoxicillin', diagnosis: 'Pneumonia' }).id).toBe('augmentin');
+  });
+
+  it('prefers priority, then the lower threshold', () => {
+    expect(findPolicy(policies, { medicine: 'Warfarin' }).id).toBe('warfarin');
+    expect(findPolicy(policies, { medicine: 'Warfarin', diagnosis: 'Epilepsy with AF' }).id).toBe('epilepsy');
+  });
+
+  it('falls back to the default policy', () => {
+    expect(findPolicy(policies, { medicine: 'Metformin', diagnosis: 'Diabetes' })).toBe(DEFAULT_POLICY);
+    expect(findPolicy([], { medicine: 'Warfarin' })).toBe(DEFAULT_POLICY);
+  });
+});
+
+describe('isQuietTime', () => {
+  const night = { start: '22:00', end: '07:00' };
+
+  it('handles quiet hours that wrap past midnight, in the patient zone', () => {
+    expect(isQuietTime(night, new Date('2026-10-02T17:00:00.000Z'), 'Asia/Kolkata')).toBe(true);
+    expect(isQuietTime(night, new Date('2026-10-02T01:00:00.000Z'), 'Asia/Kolkata')).toBe(true);
+    expect(isQuietTime(night, new Date('2026-10-02T01:30:00.000Z'), 'Asia/Kolkata')).toBe(false);
+    expect(isQuietTime(night, new Date('2026-10-02T17:00:00.000Z'), 'UTC')).toBe(false);
+  });
+
+  it('handles quiet hours within a day', () => {
+    const afternoon = { start: '13:00', end: '15:00' };
+    expect(isQuietTime(afternoon, new Date('2026-10-02T13:00:00.000Z'), 'UTC')).toBe(true);
+    expect(isQuietTime(afternoon, new Date('2026-10-02T15:00:00.000Z'), 'UTC')).toBe(false);
+    expect(isQuietTime(null, new Date(), 'UTC')).toBe(false);
+  });
+});
+
+describe('getDueSteps', () => {
+  const escalating = policy({
+    name: 'escalating',
+    drugs: 'warfarin',
+    quietHours: { start: '22:00', end: '07:00' },
+    steps: [
+      { target: 'patient', delayMinutes: 0 },
+      { target: 'caregiver', delayMinutes: 30, respectQuietHours: true },
+      { target: 'doctor', delayMinutes: 120 },
+    ],
+  });
+  const escalation = { startedAt: '2026-10-02T12:00:00.000Z', completedSteps: [0] };
+
+  it('runs the steps whose delay has passed and that have not run yet', () => {
+    expect(getDueSteps(escalating, { ...escalation, completedSteps: [] }, new Date('2026-10-02T12:00:00.000Z'), 'UTC')).toEqual([0]);
+    expect(getDueSteps(escalating, escalation, new Date('2026-10-02T12:29:00.000Z'), 'UTC')).toEqual([]);
+    expect(getDueSteps(escalating, escalation, new Date('2026-10-02T14:00:00.000Z'), 'UTC')).toEqual([1, 2]);
+  });
+
+  it('holds back quiet steps during quiet hours', () => {
+    const lateEscalation = { startedAt: '2026-10-02T21:00:00.000Z', completedSteps: [0] };
+    expect(getDueSteps(escalating, lateEscalation, new Date('2026-10-02T23:00:00.000Z'), 'UTC')).toEqual([2]);
+    expect(getDueSteps(escalating, { ...lateEscalation, completedSteps: [0, 2] }, new Date('2026-10-03T07:00:00.000Z'), 'UTC')).toEqual([1]);
+  });
+
+  it('runs the default policy at once after three misses', () => {
+    expect(DEFAULT_POLICY.consecutiveMissed).toBe(3);
+    expect(getDueSteps(DEFAULT_POLICY, { startedAt: '2026-10-02T23:00:00.000Z' }, new Date('2026-10-02T23:00:00.000Z'))).toEqual([0, 1]);
+  });
+});
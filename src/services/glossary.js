@@ -0,0 +1,130 @@
+// Do-not-translate layer for machine translation. Drug names, dosages, times and numbers are
+// swapped for placeholders before text goes to the translator and put back afterwards, so
+// "Metformin 500mg at 8:00 AM" keeps "Metformin", "500mg" and "8:00 AM" intact in Kannada.
+// Drug names come from the medicine table; admins add clinic-specific entries (kept as-is, or
+// with a fixed translation per language) in the translation_glossary collection. Pure functions only.
+import { getLanguage } from './languages.js';
+
+// Drug names in the medicine table that are also everyday English words; masking them would
+// leave ordinary sentences untranslated
+const AMBIGUOUS_DRUG_NAMES = ['acne treatment', 'cope', 'muse', 'sleep aid'];
+
+const MAX_TERM_LENGTH = 100;
+
+// Units doctors write after doses; translated units ("ಮಿಲಿಗ್ರಾಂ") confuse patients reading labels
+const DOSAGE_UNITS = ['mg', 'mcg', 'µg', 'ug', 'g', 'kg', 'ml', 'l', 'iu', 'units?', 'meq', 'mmol', '%'];
+
+const NUMBER = '\\d+(?:[.,/]\\d+)*';
+const TIME_PATTERN = `\\d{1,2}:\\d{2}(?:\\s*[ap]\\.?\\s?m\\.?)?|\\d{1,2}\\s*[ap]\\.?\\s?m\\.?`;
+const NUMBER_RANGE = `${NUMBER}(?:\\s*-\\s*${NUMBER})?`;
+const DOSAGE_PATTERN = `${NUMBER_RANGE}\\s*(?:${DOSAGE_UNITS.join('|')})`;
+
+// Placeholders survive translation as-is; the restore pattern tolerates the spacing some
+// translators add inside brackets
+const placeholder = (index) => `[[${index}]]`;
+const PLACEHOLDER_PATTERN = /\[\[\s*(\d+)\s*\]\]/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalizes a glossary entry submitted from the admin dashboard.
+ * @param {Object} input - Raw entry fields.
+ * @returns {{term: string, translations: Object<string, string>, note: string}} The entry as stored;
+ *   translations is keyed by language code and empty for do-not-translate terms.
+ */
+const normalizeGlossaryEntry = (input = {}) => ({
+  term: String(input.term || '').trim().replace(/\s+/g, ' '),
+  translations: Object.fromEntries(
+    Object.entries(input.translations || {})
+      .map(([code, text]) => [getLanguage(code).code, String(text || '').trim()])
+      .filter(([, text]) => text)
+  ),
+  note: String(input.note || '').trim(),
+});
+
+/**
+ * Checks a normalized glossary entry.
+ * @param {Object} entry - Output of normalizeGlossaryEntry.
+ * @returns {string[]} Validation errors; empty when the entry is valid.
+ */
+const validateGlossaryEntry = (entry) => {
+  const errors = [];
+  if (!entry.term) {
+    errors.push('Term is required.');
+  } else if (entry.term.length > MAX_TERM_LENGTH) {
+    errors.push(`Term must be at most ${MAX_TERM_LENGTH} characters.`);
+  } else if (new RegExp(PLACEHOLDER_PATTERN.source).test(entry.term)) {
+    errors.push('Term cannot contain [[n]] placeholders.');
+  }
+  return errors;
+};
+
+/**
+ * Builds a glossary over the given drug names and admin entries.
+ * @param {Object} params
+ * @param {string[]} [params.drugNames] - Names from the medicine table, kept untranslated.
+ * @param {Object[]} [params.entries] - Admin entries; they win over drug names with the same term.
+ * @returns {{size: number, protect: Function, restore: Function}}
+ */
+const createGlossary = ({ drugNames = [], entries = [] } = {}) => {
+  const terms = new Map();
+  drugNames.forEach((name) => {
+    const term = String(name || '').trim().replace(/\s+/g, ' ');
+    if (term && !AMBIGUOUS_DRUG_NAMES.includes(term.toLowerCase())) {
+      terms.set(term.toLowerCase(), { term, translations: {} });
+    }
+  });
+  entries.map(normalizeGlossaryEntry).forEach((entry) => {
+    if (entry.term) terms.set(entry.term.toLowerCase(), entry);
+  });
+
+  // Longest terms first so "Bactrim DS" wins over "Bactrim"
+  const termPattern = [...terms.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => escapeRegExp(term).replace(/ /g, '\\s+'))
+    .join('|');
+  const alternatives = [termPattern, DOSAGE_PATTERN, TIME_PATTERN, NUMBER_RANGE].filter(Boolean);
+  // Terms are tried before dosages, times and plain numbers at each position
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alternatives.map((alternative) => `(${alternative})`).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+
+  /**
+   * Replaces protected spans with placeholders.
+   * @param {string} text - Text about to be translated.
+   * @param {string} to - Target language code; picks admin translations for the restore step.
+   * @returns {{text: string, tokens: string[]}} Masked text and the text each placeholder restores to.
+   */
+  const protect = (text, to) => {
+    const target = getLanguage(to).code;
+    const tokens = [];
+    const masked = text.replace(pattern, (match, term) => {
+      const entry = term ? terms.get(term.toLowerCase().replace(/\s+/g, ' ')) : null;
+      tokens.push(entry?.translations[target] || match);
+      return placeholder(tokens.length - 1);
+    });
+    return { text: masked, tokens };
+  };
+
+  /**
+   * Puts the protected spans back into translated text.
+   * @param {string} text - Translated, masked text.
+   * @param {string[]} tokens - From protect.
+   * @returns {{text: string, complete: boolean}} complete is false when the translator dropped
+   *   or garbled a placeholder, in which case callers should not trust the result.
+   */
+  const restore = (text, tokens) => {
+    const seen = new Set();
+    const restored = text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+      if (tokens[index] === undefined) return match;
+      seen.add(Number(index));
+      return tokens[index];
+    });
+    return { text: restored, complete: seen.size === tokens.length };
+  };
+
+  return { size: terms.size, protect, restore };
+};
+
+export { AMBIGUOUS_DRUG_NAMES, normalizeGlossaryEntry, validateGlossaryEntry, createGlossary };
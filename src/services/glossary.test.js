@@ -0,0 +1,71 @@
+import { AMBIGUOUS_DRUG_NAMES, normalizeGlossaryEntry, validateGlossaryEntry, createGlossary } from './glossary.js';
+
+const glossary = createGlossary({
+  drugNames: ['Metformin', 'Bactrim', 'Bactrim DS', 'Cope', 'Sleep Aid'],
+  entries: [{ term: 'Dolo', translations: { kn: 'ಡೋಲೋ', 'hi-IN': 'डोलो' } }],
+});
+
+describe('normalizeGlossaryEntry', () => {
+  it('tidies the term and keys translations by language code', () => {
+    expect(normalizeGlossaryEntry({ term: '  Bactrim   DS ', translations: { 'kn-IN': ' ಬ್ಯಾಕ್ಟ್ರಿಮ್ ', hi: '' }, note: ' Brand ' })).toEqual({
+      term: 'Bactrim DS',
+      translations: { kn: 'ಬ್ಯಾಕ್ಟ್ರಿಮ್' },
+      note: 'Brand',
+    });
+  });
+});
+
+describe('validateGlossaryEntry', () => {
+  it('needs a term without placeholders', () => {
+    expect(validateGlossaryEntry(normalizeGlossaryEntry({ term: 'Dolo 650' }))).toEqual([]);
+    expect(validateGlossaryEntry(normalizeGlossaryEntry({ term: ' ' }))).toEqual(['Term is required.']);
+    expect(validateGlossaryEntry(normalizeGlossaryEntry({ term: 'x'.repeat(101) }))).toEqual(['Term must be at most 100 characters.']);
+    expect(validateGlossaryEntry(normalizeGlossaryEntry({ term: 'Take [[ 0 ]]' }))).toEqual(['Term cannot contain [[n]] placeholders.']);
+  });
+});
+
+describe('createGlossary', () => {
+  it('masks drug names, dosages and times', () => {
+    expect(glossary.protect('Metformin 500mg at 8:00 AM', 'kn')).toEqual({
+      text: '[[0]] [[1]] at [[2]]',
+      tokens: ['Metformin', '500mg', '8:00 AM'],
+    });
+    expect(glossary.protect('Take 1-2 tablets, 5 ml syrup at 9 pm', 'kn')).toEqual({
+      text: 'Take [[0]] tablets, [[1]] syrup at [[2]]',
+      tokens: ['1-2', '5 ml', '9 pm'],
+    });
+  });
+
+  it('prefers the longest term and only matches whole words', () => {
+    expect(glossary.protect('Bactrim  DS twice daily', 'kn').tokens).toEqual(['Bactrim  DS']);
+    expect(glossary.protect('Bactrim or metformin', 'kn').tokens).toEqual(['Bactrim', 'metformin']);
+    expect(glossary.protect('Metformins', 'kn').tokens).toEqual([]);
+  });
+
+  it('leaves drug names that are everyday words alone', () => {
+    expect(AMBIGUOUS_DRUG_NAMES).toContain('cope');
+    expect(glossary.protect('How do you cope with a sleep aid?', 'kn').tokens).toEqual([]);
+    expect(glossary.size).toBe(4);
+  });
+
+  it('uses the admin translation for the target language', () => {
+    expect(glossary.protect('Dolo after food', 'kn').tokens).toEqual(['ಡೋಲೋ']);
+    expect(glossary.protect('Dolo after food', 'hi').tokens).toEqual(['डोलो']);
+    expect(glossary.protect('Dolo after food', 'ta').tokens).toEqual(['Dolo']);
+  });
+
+  it('restores placeholders, tolerating added spaces', () => {
+    const { tokens } = glossary.protect('Metformin 500mg at 8:00 AM', 'kn');
+    expect(glossary.restore('[[ 0 ]] [[1]] ಬೆಳಿಗ್ಗೆ [[2 ]] ಕ್ಕೆ', tokens)).toEqual({
+      text: 'Metformin 500mg ಬೆಳಿಗ್ಗೆ 8:00 AM ಕ್ಕೆ',
+      complete: true,
+    });
+  });
+
+  it('reports a dropped or garbled placeholder', () => {
+    const { tokens } = glossary.protect('Metformin 500mg at 8:00 AM', 'kn');
+    expect(glossary.restore('[[0]] [[1]] ಬೆಳಿಗ್ಗೆ', tokens).complete).toBe(false);
+    expect(glossary.restore('[[0]] [1] ಬೆಳಿಗ್ಗೆ [[2]]', tokens)).toEqual({ text: 'Metformin [1] ಬೆಳಿಗ್ಗೆ 8:00 AM', complete: false });
+    expect(glossary.restore('[[0]] [[7]] [[2]]', tokens)).toEqual({ text: 'Metformin [[7]] 8:00 AM', complete: false });
+  });
+});
@@ -0,0 +1,10 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+describe('functions/languages.mjs', () => {
+  it('is an up-to-date copy of languages.js', () => {
+    const source = readFileSync(join(__dirname, 'languages.js'), 'utf8');
+    const copy = readFileSync(join(__dirname, '../../functions/languages.mjs'), 'utf8');
+    expect(copy).toBe(source);
+  });
+});
@@ -0,0 +1,222 @@
+// A patient's medications: each prescription in doctor_patient_records, identified by the
+// record's timestamp, is a medication that is active until its course ends or the doctor
+// discontinues it. Doctors change an active medication by discontinuing it, changing its dose or
+// frequency, or extending it; api/prescriptions applies the change to the record, replaces the
+// doses still to come in the patient's reminders and keeps the change in
+// patients/{patientId}/medication_changes. Pure functions only, shared by the browser and the API.
+import {
+  FREQUENCIES,
+  describeTimings,
+  normalizePrescription,
+  validatePrescriptionFields,
+  formatPrescription,
+  isPrescriptionActive,
+} from './prescription.js';
+
+const MEDICATION_CHANGES = {
+  discontinue: 'Discontinued',
+  dose: 'Dose changed',
+  frequency: 'Frequency changed',
+  extend: 'Extended',
+};
+
+const MEDICATION_STATUSES = {
+  active: 'Active',
+  completed: 'Completed',
+  discontinued: 'Discontinued',
+  retracted: 'Retracted',
+};
+
+const MIN_CHANGE_REASON_LENGTH = 5;
+const MAX_EXTENSION_DAYS = 365;
+
+/**
+ * @param {Object} record - A doctor_patient_records entry with a prescription.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timeZone] - The patient's IANA time zone.
+ * @returns {string} A key of MEDICATION_STATUSES.
+ */
+const getMedicationStatus = (record, { now = new Date(), timeZone } = {}) => {
+  if (record.retractedAt) return 'retracted';
+  if (record.discontinuedAt) return 'discontinued';
+  return isPrescriptionActive(record.prescription, record.timestamp, { now, timeZone }) ? 'active' : 'completed';
+};
+
+/**
+ * The medications among a doctor's records for a patient, newest first.
+ * @param {Object[]} records - The records array of a doctor_patient_records document.
+ * @param {Object} [options] - As for getMedicationStatus.
+ * @returns {Array<{id: string, drug: string, prescription: Object, prescriptionText: string, diagnosis: string|null,
+ *   status: string, prescribedAt: string, discontinuedAt: string|null, lastChangedAt: string|null}>}
+ */
+const listMedications = (records, options = {}) =>
+  records
+    .filter((record) => normalizePrescription(record.prescription)?.drug && record.timestamp)
+    .map((record) => {
+      const prescription = normalizePrescription(record.prescription);
+      return {
+        id: record.timestamp,
+        drug: prescription.drug,
+        prescription,
+        prescriptionText: formatPrescription(prescription),
+        diagnosis: record.diagnosis || null,
+        status: getMedicationStatus(record, options),
+        prescribedAt: record.timestamp,
+        discontinuedAt: record.discontinuedAt || null,
+        lastChangedAt: record.lastChangedAt || null,
+      };
+    })
+    .sort((a, b) => b.prescribedAt.localeCompare(a.prescribedAt));
+
+const describeSchedule = (prescription) => {
+  if (prescription.frequency === 'CUSTOM') return `at ${prescription.times.join(', ')}`;
+  if (prescription.frequency === 'ROUTINE') return describeTimings(prescription.timings).toLowerCase();
+  return FREQUENCIES[prescription.frequency].label.toLowerCase();
+};
+
+const describeDose = (prescription) => `${prescription.strength} ${prescription.unit}`;
+
+// The prescription after a change; the course is extended at its last step
+const changePrescription = (prescription, change) => {
+  switch (change.type) {
+    case 'dose':
+      return { ...prescription, strength: String(change.strength).trim() };
+    case 'frequency': {
+      const times = change.frequency === 'CUSTOM' ? change.times || [] : [...FREQUENCIES[change.frequency].times];
+      return normalizePrescription({ ...prescription, frequency: change.frequency, times, timings: change.timings || [] });
+    }
+    case 'extend': {
+      const days = Number(change.days);
+      if (prescription.taper.length === 0) return { ...prescription, durationDays: prescription.durationDays + days };
+      const taper = prescription.taper.map((step, index) =>
+        index === prescription.taper.length - 1 ? { ...step, durationDays: Number(step.durationDays) + days } : step
+      );
+      return { ...prescription, taper };
+    }
+    default:
+      return prescription;
+  }
+};
+
+/**
+ * Checks a change against the medication it applies to.
+ * @param {Object} record - The doctor_patient_records entry.
+ * @param {{type: string, reason: string, strength?: string|number, frequency?: string, times?: string[], timings?: string[],
+ *   days?: number}} change
+ * @param {Object} [options] - As for getMedicationStatus.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+const validateMedicationChange = (record, change, options = {}) => {
+  const prescription = normalizePrescription(record?.prescription);
+  if (!prescription?.drug) return 'This record has no prescription.';
+  const status = getMedicationStatus(record, options);
+  if (status !== 'active') return `${prescription.drug} is no longer active (${MEDICATION_STATUSES[status].toLowerCase()}).`;
+  if (!MEDICATION_CHANGES[change?.type]) return `type must be one of ${Object.keys(MEDICATION_CHANGES).join(', ')}.`;
+  if (typeof change.reason !== 'string' || change.reason.trim().length < MIN_CHANGE_REASON_LENGTH) {
+    return `A reason of at least ${MIN_CHANGE_REASON_LENGTH} characters is required.`;
+  }
+
+  switch (change.type) {
+    case 'dose':
+      if (!(Number(change.strength) > 0)) return 'The new strength must be a positive number.';
+      if (Number(change.strength) === Number(prescription.strength)) return `${prescription.drug} is already ${describeDose(prescription)}.`;
+      break;
+    case 'frequency':
+      if (prescription.prn) return 'As-needed medicines have no schedule to change.';
+      if (!FREQUENCIES[change.frequency]) return `frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}.`;
+      if (change.frequency === 'CUSTOM' && !(Array.isArray(change.times) && change.times.length > 0)) return 'Dose times are required.';
+      if (change.frequency === 'ROUTINE' && !(Array.isArray(change.timings) && change.timings.length > 0)) {
+        return 'Choose when in the day each dose is taken.';
+      }
+      break;
+    case 'extend':
+      if (!Number.isInteger(Number(change.days)) || Number(change.days) < 1 || Number(change.days) > MAX_EXTENSION_DAYS) {
+        return `The extension must be between 1 and ${MAX_EXTENSION_DAYS} days.`;
+      }
+      break;
+    default:
+  }
+
+  if (change.type !== 'discontinue') {
+    const changed = changePrescription(prescription, change);
+    const errors = validatePrescriptionFields(changed);
+    if (errors.length > 0) return errors.join(' ');
+    if (change.type === 'frequency' && formatPrescription(changed) === formatPrescription(prescription)) {
+      return `${prescription.drug} is already taken ${describeSchedule(prescription)}.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Applies a checked change to a medication's record.
+ * @param {Object} record - The doctor_patient_records entry.
+ * @param {Object} change - Checked by validateMedicationChange.
+ * @param {{at: string, by: string}} meta - When and by whom (Firebase UID).
+ * @returns {{record: Object, entry: Object}} The updated record, and the entry for the
+ *   medication's change history.
+ */
+const applyMedicationChange = (record, change, { at, by }) => {
+  const before = normalizePrescription(record.prescription);
+  const after = change.type === 'discontinue' ? before : changePrescription(before, change);
+
+  let summary;
+  switch (change.type) {
+    case 'discontinue':
+      summary = `${before.drug} discontinued`;
+      break;
+    case 'dose':
+      summary = `${before.drug} dose changed from ${describeDose(before)} to ${describeDose(after)}`;
+      break;
+    case 'frequency':
+      summary = `${before.drug} changed from ${describeSchedule(before)} to ${describeSchedule(after)}`;
+      break;
+    default:
+      summary = `${before.drug} extended by ${change.days} day${Number(change.days) === 1 ? '' : 's'}`;
+  }
+
+  const entry = {
+    medicationId: record.timestamp,
+    drug: before.drug,
+    type: change.type,
+    summary,
+    before: formatPrescription(before),
+    after: change.type === 'discontinue' ? null : formatPrescription(after),
+    reason: change.reason.trim(),
+    changedAt: at,
+    changedBy: by,
+  };
+  const updated = {
+    ...record,
+    prescription: after,
+    lastChangedAt: at,
+    ...(change.type === 'discontinue' ? { discontinuedAt: at, discontinueReason: entry.reason } : {}),
+  };
+  return { record: updated, entry };
+};
+
+/**
+ * The English notice the patient gets about a change; the doctor's screen translates it like
+ * any other message.
+ * @param {Object} entry - From applyMedicationChange.
+ * @returns {string}
+ */
+const buildMedicationNotice = (entry) => {
+  const reminders = entry.type === 'discontinue'
+    ? 'Its remaining reminders have been cancelled; please stop taking it.'
+    : `Your reminders have been updated. Now: ${entry.after}.`;
+  return `Your doctor has changed your medicine: ${entry.summary}. ${reminders} Reason: ${entry.reason}`;
+};
+
+export {
+  MEDICATION_CHANGES,
+  MEDICATION_STATUSES,
+  MIN_CHANGE_REASON_LENGTH,
+  MAX_EXTENSION_DAYS,
+  getMedicationStatus,
+  listMedications,
+  validateMedicationChange,
+  applyMedicationChange,
+  buildMedicationNotice,
+};
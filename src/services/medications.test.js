@@ -0,0 +1,130 @@
+import {
+  MAX_EXTENSION_DAYS,
+  getMedicationStatus,
+  listMedications,
+  validateMedicationChange,
+  applyMedicationChange,
+  buildMedicationNotice,
+} from './medications.js';
+
+const options = { now: new Date('2026-10-03T12:00:00.000Z'), timeZone: 'UTC' };
+const record = {
+  timestamp: '2026-10-01T10:00:00.000Z',
+  diagnosis: 'Pneumonia',
+  prescription: { drug: 'Amoxicillin', strength: '500', frequency: 'BID', durationDays: 7 },
+};
+const reason = 'Rash on day two';
+
+describe('getMedicationStatus', () => {
+  it('is active during the course and completed after it', () => {
+    expect(getMedicationStatus(record, options)).toBe('active');
+    expect(getMedicationStatus(record, { ...options, now: new Date('2026-10-09T00:00:00.000Z') })).toBe('completed');
+  });
+
+  it('prefers retraction and discontinuation', () => {
+    expect(getMedicationStatus({ ...record, discontinuedAt: '2026-10-02T00:00:00.000Z' }, options)).toBe('discontinued');
+    expect(getMedicationStatus({ ...record, discontinuedAt: '2026-10-02T00:00:00.000Z', retractedAt: '2026-10-02T00:00:00.000Z' }, options)).toBe(
+      'retracted'
+    );
+  });
+});
+
+describe('listMedications', () => {
+  it('lists prescriptions newest first and skips diagnosis-only records', () => {
+    const older = { timestamp: '2026-09-01T10:00:00.000Z', prescription: 'Paracetamol, 500mg, 08:00 AM, 3 days' };
+    const medications = listMedications([older, { timestamp: '2026-10-02T10:00:00.000Z', diagnosis: 'Cough' }, record], options);
+    expect(medications.map(({ id, drug, status }) => [id, drug, status])).toEqual([
+      ['2026-10-01T10:00:00.000Z', 'Amoxicillin', 'active'],
+      ['2026-09-01T10:00:00.000Z', 'Paracetamol', 'completed'],
+    ]);
+    expect(medications[0]).toMatchObject({
+      prescriptionText: 'Amoxicillin 500 mg oral, Twice daily (8:00 AM, 8:00 PM), for 7 days',
+      diagnosis: 'Pneumonia',
+      discontinuedAt: null,
+    });
+  });
+});
+
+describe('validateMedicationChange', () => {
+  it('accepts each kind of change', () => {
+    expect(validateMedicationChange(record, { type: 'discontinue', reason }, options)).toBeNull();
+    expect(validateMedicationChange(record, { type: 'dose', strength: '250', reason }, options)).toBeNull();
+    expect(validateMedicationChange(record, { type: 'frequency', frequency: 'TID', reason }, options)).toBeNull();
+    expect(validateMedicationChange(record, { type: 'extend', days: 3, reason }, options)).toBeNull();
+  });
+
+  it('only changes active medications', () => {
+    expect(validateMedicationChange({ ...record, discontinuedAt: '2026-10-02T00:00:00.000Z' }, { type: 'extend', days: 3, reason }, options)).toBe(
+      'Amoxicillin is no longer active (discontinued).'
+    );
+    expect(validateMedicationChange({ timestamp: record.timestamp }, { type: 'extend', days: 3, reason }, options)).toBe(
+      'This record has no prescription.'
+    );
+  });
+
+  it('needs a known type and a reason', () => {
+    expect(validateMedicationChange(record, { type: 'swap', reason }, options)).toBe('type must be one of discontinue, dose, frequency, extend.');
+    expect(validateMedicationChange(record, { type: 'discontinue', reason: ' ok ' }, options)).toBe('A reason of at least 5 characters is required.');
+  });
+
+  it('refuses changes that change nothing or make no sense', () => {
+    expect(validateMedicationChange(record, { type: 'dose', strength: '500', reason }, options)).toBe('Amoxicillin is already 500 mg.');
+    expect(validateMedicationChange(record, { type: 'dose', strength: '-5', reason }, options)).toBe('The new strength must be a positive number.');
+    expect(validateMedicationChange(record, { type: 'frequency', frequency: 'BID', reason }, options)).toBe('Amoxicillin is already taken twice daily.');
+    expect(validateMedicationChange(record, { type: 'frequency', frequency: 'CUSTOM', times: [], reason }, options)).toBe('Dose times are required.');
+    expect(validateMedicationChange(record, { type: 'extend', days: MAX_EXTENSION_DAYS + 1, reason }, options)).toBe(
+      'The extension must be between 1 and 365 days.'
+    );
+  });
+});
+
+describe('applyMedicationChange', () => {
+  const meta = { at: '2026-10-03T12:00:00.000Z', by: 'doc-uid' };
+
+  it('discontinues a medication', () => {
+    const { record: updated, entry } = applyMedicationChange(record, { type: 'discontinue', reason: ` ${reason} ` }, meta);
+    expect(updated).toMatchObject({ discontinuedAt: meta.at, discontinueReason: reason, lastChangedAt: meta.at });
+    expect(entry).toEqual({
+      medicationId: record.timestamp,
+      drug: 'Amoxicillin',
+      type: 'discontinue',
+      summary: 'Amoxicillin discontinued',
+      before: 'Amoxicillin 500 mg oral, Twice daily (8:00 AM, 8:00 PM), for 7 days',
+      after: null,
+      reason,
+      changedAt: meta.at,
+      changedBy: 'doc-uid',
+    });
+  });
+
+  it('changes the dose and the schedule', () => {
+    expect(applyMedicationChange(record, { type: 'dose', strength: 250, reason }, meta).entry.summary).toBe(
+      'Amoxicillin dose changed from 500 mg to 250 mg'
+    );
+    const { record: updated, entry } = applyMedicationChange(record, { type: 'frequency', frequency: 'ROUTINE', timings: ['after-breakfast'], reason }, meta);
+    expect(updated.prescription).toMatchObject({ frequency: 'ROUTINE', timings: ['after-breakfast'] });
+    expect(updated.discontinuedAt).toBeUndefined();
+    expect(entry.summary).toBe('Amoxicillin changed from twice daily to after breakfast');
+  });
+
+  it('extends the last step of a tapered course', () => {
+    const tapered = { ...record, prescription: { ...record.prescription, taper: [{ strength: '250', frequency: 'QD', durationDays: 2 }] } };
+    const { record: updated, entry } = applyMedicationChange(tapered, { type: 'extend', days: 1, reason }, meta);
+    expect(updated.prescription.durationDays).toBe(7);
+    expect(updated.prescription.taper[0].durationDays).toBe(3);
+    expect(entry.summary).toBe('Amoxicillin extended by 1 day');
+  });
+});
+
+describe('buildMedicationNotice', () => {
+  it('tells the patient what changed and why', () => {
+    const meta = { at: '2026-10-03T12:00:00.000Z', by: 'doc-uid' };
+    expect(buildMedicationNotice(applyMedicationChange(record, { type: 'discontinue', reason }, meta).entry)).toBe(
+      'Your doctor has changed your medicine: Amoxicillin discontinued. Its remaining reminders have been cancelled; please stop taking it. Reason: Rash on day two'
+    );
+    expect(buildMedicationNotice(applyMedicationChange(record, { type: 'extend', days: 3, reason }, meta).entry)).toBe(
+      'Your doctor has changed your medicine: Amoxicillin extended by 3 days. Your reminders have been updated. ' +
+        'Now: Amoxicillin 500 mg oral, Twice daily (8:00 AM, 8:00 PM), for 10 days. Reason: Rash on day two'
+    );
+  });
+});
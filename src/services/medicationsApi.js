@@ -0,0 +1,53 @@
+// Client calls for a patient's medications (api/prescriptions/medications). Medication-side
+// helpers live in medications.js.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+async function medicationsRequest(query, userId, idToken, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBaseUrl}/prescriptions/medications${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      const parsed = JSON.parse(errorText).error;
+      message = [parsed?.message, parsed?.details].filter(Boolean).join(': ') || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(message);
+  }
+  return response.json();
+}
+
+/**
+ * Lists a patient's medications and every change made to them, newest first.
+ * @param {{patientId: string, doctorId?: string}} filter - Only one doctor's when doctorId is given.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{medications: Object[], history: Object[]}>}
+ */
+const fetchMedications = ({ patientId, doctorId }, userId, idToken) =>
+  medicationsRequest(`?${new URLSearchParams({ patientId, ...(doctorId ? { doctorId } : {}) })}`, userId, idToken);
+
+/**
+ * Discontinues or changes one of the doctor's medications for a patient. The server replaces the
+ * doses still to come and posts translatedNotice (the translation of buildMedicationNotice) to
+ * the patient.
+ * @param {{patientId: string, doctorId: string, medicationId: string, change: Object, translatedNotice?: string}} request
+ * @param {string} userId - The doctor's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{medication: Object, change: Object, remindersCancelled: number, remindersScheduled: number}>}
+ */
+const changeMedication = (request, userId, idToken) =>
+  medicationsRequest('', userId, idToken, { method: 'POST', body: request });
+
+export { fetchMedications, changeMedication };
@@ -0,0 +1,372 @@
+// Synonym- and typo-tolerant matching of diagnoses and drugs against the
+// disease -> drug table in medicine_validation.csv. Pure functions only, so the
+// same matcher runs in the API routes and, if needed, in the browser.
+
+// Results at or above this confidence are accepted without asking the doctor, unless the
+// diagnosis or drug only matched fuzzily ("hyperthyroidism" is one letter from "hypothyroidism")
+const MATCH_THRESHOLD = 0.85;
+
+// Candidates below this similarity are not worth suggesting
+const SUGGESTION_THRESHOLD = 0.6;
+
+// A drug only listed for a condition inside combination products is accepted, but just barely
+const COMPONENT_CONFIDENCE = 0.85;
+
+// Canonical CSV condition -> other names doctors use for it. Only true synonyms: symptoms and
+// broad classes ("chest pain", "fever", "diabetes", "arthritis") can mean several conditions,
+// so they go through fuzzy matching and the doctor's confirmation instead.
+const DISEASE_ALIASES = {
+  acne: ['acne vulgaris', 'pimples'],
+  adhd: ['attention deficit hyperactivity disorder', 'attention deficit disorder', 'add'],
+  'aids/hiv': ['hiv', 'aids', 'hiv infection', 'hiv/aids'],
+  allergies: ['allergy', 'allergic rhinitis', 'urticaria', 'hives'],
+  "alzheimer's": ['alzheimers', 'alzheimer disease', "alzheimer's disease"],
+  angina: ['angina pectoris'],
+  anxiety: ['anxiety disorder', 'generalized anxiety disorder', 'gad', 'panic disorder'],
+  asthma: ['bronchial asthma', 'wheezing'],
+  'bipolar disorder': ['bipolar', 'manic depression'],
+  bronchitis: ['acute bronchitis', 'chronic bronchitis'],
+  cholesterol: ['high cholesterol', 'hypercholesterolemia', 'hyperlipidemia', 'dyslipidemia'],
+  'colds & flu': ['cold', 'common cold', 'flu', 'influenza', 'cold and flu', 'colds and flu'],
+  constipation: ['chronic constipation'],
+  copd: ['chronic obstructive pulmonary disease', 'emphysema'],
+  depression: ['major depressive disorder', 'mdd', 'clinical depression'],
+  'diabetes (type 1)': ['type 1 diabetes', 'diabetes type 1', 't1dm', 'iddm', 'juvenile diabetes'],
+  'diabetes (type 2)': ['type 2 diabetes', 'diabetes type 2', 't2dm', 'niddm'],
+  diarrhea: ['diarrhoea', 'loose motions', 'acute diarrhea'],
+  eczema: ['atopic dermatitis', 'dermatitis'],
+  'erectile dysfunction': ['ed', 'impotence'],
+  gastrointestinal: ['gastritis', 'indigestion', 'dyspepsia', 'nausea', 'vomiting', 'stomach upset'],
+  'gerd (heartburn)': ['gerd', 'heartburn', 'acid reflux', 'acidity', 'gastroesophageal reflux disease'],
+  gout: ['gouty arthritis', 'hyperuricemia'],
+  'hair loss': ['alopecia', 'androgenetic alopecia'],
+  hayfever: ['hay fever', 'seasonal allergic rhinitis'],
+  herpes: ['herpes simplex', 'cold sores', 'genital herpes', 'shingles'],
+  hypertension: ['high blood pressure', 'htn', 'high bp', 'elevated blood pressure'],
+  hypothyroidism: ['underactive thyroid', 'low thyroid'],
+  'ibd (bowel)': ['ibd', 'inflammatory bowel disease', "crohn's disease", 'crohns disease', 'ulcerative colitis'],
+  insomnia: ['sleeplessness', 'sleep disorder', 'trouble sleeping'],
+  migraine: ['migraines', 'migraine headache'],
+  osteoarthritis: ['oa', 'degenerative joint disease'],
+  pain: ['body pain', 'back pain', 'joint pain', 'muscle pain', 'toothache'],
+  pneumonia: ['community acquired pneumonia', 'lung infection'],
+  psoriasis: ['plaque psoriasis'],
+  'rheumatoid arthritis': ['ra'],
+  schizophrenia: ['psychosis'],
+  seizures: ['seizure', 'epilepsy', 'convulsions'],
+  stroke: ['cva', 'cerebrovascular accident', 'brain attack'],
+  'swine flu': ['h1n1', 'h1n1 influenza'],
+  uti: ['urinary tract infection', 'bladder infection', 'cystitis'],
+  'weight loss': ['obesity', 'overweight'],
+};
+
+// Brand (or regional) name -> generic name, both lowercase
+const BRAND_GENERICS = {
+  tylenol: 'acetaminophen',
+  panadol: 'acetaminophen',
+  crocin: 'acetaminophen',
+  calpol: 'acetaminophen',
+  dolo: 'acetaminophen',
+  'dolo 650': 'acetaminophen',
+  paracetamol: 'acetaminophen',
+  advil: 'ibuprofen',
+  motrin: 'ibuprofen',
+  brufen: 'ibuprofen',
+  aleve: 'naproxen',
+  naprosyn: 'naproxen',
+  voveran: 'diclofenac',
+  voltaren: 'diclofenac',
+  disprin: 'aspirin',
+  ecosprin: 'aspirin',
+  glucophage: 'metformin',
+  glycomet: 'metformin',
+  amaryl: 'glimepiride',
+  lantus: 'insulin glargine',
+  januvia: 'sitagliptin',
+  norvasc: 'amlodipine',
+  amlong: 'amlodipine',
+  zestril: 'lisinopril',
+  prinivil: 'lisinopril',
+  cozaar: 'losartan',
+  telma: 'telmisartan',
+  micardis: 'telmisartan',
+  lopressor: 'metoprolol',
+  toprol: 'metoprolol',
+  lipitor: 'atorvastatin',
+  crestor: 'rosuvastatin',
+  zocor: 'simvastatin',
+  plavix: 'clopidogrel',
+  prilosec: 'omeprazole',
+  omez: 'omeprazole',
+  nexium: 'esomeprazole',
+  pan: 'pantoprazole',
+  protonix: 'pantoprazole',
+  pepcid: 'famotidine',
+  augmentin: 'amoxicillin / clavulanate',
+  amoxil: 'amoxicillin',
+  mox: 'amoxicillin',
+  zithromax: 'azithromycin',
+  azithral: 'azithromycin',
+  cipro: 'ciprofloxacin',
+  ciplox: 'ciprofloxacin',
+  macrobid: 'nitrofurantoin',
+  bactrim: 'sulfamethoxazole / trimethoprim',
+  septra: 'sulfamethoxazole / trimethoprim',
+  'co-trimoxazole': 'sulfamethoxazole / trimethoprim',
+  cotrimoxazole: 'sulfamethoxazole / trimethoprim',
+  zyrtec: 'cetirizine',
+  cetzine: 'cetirizine',
+  claritin: 'loratadine',
+  allegra: 'fexofenadine',
+  singulair: 'montelukast',
+  montair: 'montelukast',
+  ventolin: 'salbutamol',
+  asthalin: 'salbutamol',
+  albuterol: 'salbutamol',
+  proventil: 'salbutamol',
+  synthroid: 'levothyroxine',
+  thyronorm: 'levothyroxine',
+  eltroxin: 'levothyroxine',
+  zoloft: 'sertraline',
+  prozac: 'fluoxetine',
+  lexapro: 'escitalopram',
+  imitrex: 'sumatriptan',
+  zyloprim: 'allopurinol',
+  keppra: 'levetiracetam',
+  tamiflu: 'oseltamivir',
+  imodium: 'loperamide',
+  ultram: 'tramadol',
+};
+
+// Generic -> brands, derived once so lookups work in both directions
+const GENERIC_BRANDS = Object.entries(BRAND_GENERICS).reduce((acc, [brand, generic]) => {
+  (acc[generic] = acc[generic] || []).push(brand);
+  return acc;
+}, {});
+
+/**
+ * Lowercases, trims and collapses whitespace; strips dosage text and punctuation that
+ * doctors add around names ("Tylenol 500mg." -> "tylenol").
+ * @param {string} value - The raw name.
+ * @returns {string} The normalized name.
+ */
+const normalizeName = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/\b\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%)\b/g, ' ')
+    .replace(/[^a-z0-9'&/+\-\s()]/g, ' ')
+    .replace(/\s*([/+])\s*/g, ' $1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Splits a combination product ("sulfamethoxazole / trimethoprim", "amoxicillin + clavulanate")
+ * into its sorted components.
+ * @param {string} name - A normalized drug name.
+ * @returns {string[]} The components; a single-element array for single-ingredient drugs.
+ */
+const splitCombination = (name) =>
+  name
+    .split(/\s*[/+]\s*/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .sort();
+
+// Levenshtein distance with a two-row table
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity in [0, 1] based on edit distance relative to the longer string.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 for identical strings, 0 for nothing in common.
+ */
+const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+// Every name a single ingredient may appear under: itself, its generic and the generic's brands
+const ingredientNames = (name) => {
+  const generic = BRAND_GENERICS[name] || name;
+  return [...new Set([name, generic, ...(GENERIC_BRANDS[generic] || [])])];
+};
+
+// Stable key for a drug so brand, generic and reordered combinations compare equal
+const drugKey = (name) => splitCombination(name).map((part) => BRAND_GENERICS[part] || part).sort().join(' / ');
+
+const rankSuggestions = (input, candidates) =>
+  candidates
+    .map((candidate) => ({ name: candidate, similarity: similarity(input, candidate) }))
+    .filter(({ similarity: score }) => score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 3)
+    .map(({ name, similarity: score }) => ({ name, confidence: Number(score.toFixed(2)) }));
+
+/**
+ * Builds a matcher over a parsed disease -> drug table.
+ * @param {Map<string, Set<string>>} table - Lowercase condition names mapped to lowercase drug names.
+ * @returns {{ matchDisease: Function, matchDrug: Function, match: Function }} The matcher.
+ */
+const createMedicineMatcher = (table) => {
+  const diseases = [...table.keys()];
+  const aliasToDisease = new Map();
+  diseases.forEach((disease) => {
+    aliasToDisease.set(disease, disease);
+    (DISEASE_ALIASES[disease] || []).forEach((alias) => aliasToDisease.set(alias, disease));
+  });
+
+  // Per condition: drug key -> the name as listed, plus every ingredient that appears in it
+  const drugIndex = new Map();
+  table.forEach((drugs, disease) => {
+    const byKey = new Map();
+    const ingredients = new Set();
+    drugs.forEach((drug) => {
+      const normalized = normalizeName(drug);
+      const key = drugKey(normalized);
+      // Prefer the generic listing when a brand maps to the same key
+      if (!byKey.has(key) || normalized === key) byKey.set(key, drug);
+      splitCombination(normalized).forEach((part) => ingredients.add(BRAND_GENERICS[part] || part));
+    });
+    drugIndex.set(disease, { byKey, ingredients, names: [...drugs] });
+  });
+
+  /**
+   * Resolves a free-text diagnosis to a condition from the table.
+   * @param {string} input - The diagnosis as entered.
+   * @returns {{ input: string, canonical: string|null, confidence: number, method: string, suggestions: Array }}
+   */
+  const matchDisease = (input) => {
+    const name = normalizeName(input);
+    if (!name) return { input, canonical: null, confidence: 0, method: 'none', suggestions: [] };
+
+    if (table.has(name)) return { input, canonical: name, confidence: 1, method: 'exact', suggestions: [] };
+    if (aliasToDisease.has(name)) {
+      return { input, canonical: aliasToDisease.get(name), confidence: 0.95, method: 'alias', suggestions: [] };
+    }
+
+    // Fuzzy match against names and aliases, but suggest the canonical condition
+    const scored = [...aliasToDisease.entries()]
+      .map(([alias, disease]) => ({ disease, score: similarity(name, alias) }))
+      .sort((a, b) => b.score - a.score);
+    const suggestions = [];
+    scored.forEach(({ disease, score }) => {
+      if (score >= SUGGESTION_THRESHOLD && suggestions.length < 3 && !suggestions.some((s) => s.name === disease)) {
+        suggestions.push({ name: disease, confidence: Number(score.toFixed(2)) });
+      }
+    });
+
+    const best = scored[0];
+    if (!best || best.score < SUGGESTION_THRESHOLD) {
+      return { input, canonical: null, confidence: 0, method: 'none', suggestions };
+    }
+    return { input, canonical: best.disease, confidence: Number(best.score.toFixed(2)), method: 'fuzzy', suggestions };
+  };
+
+  /**
+   * Resolves a drug against the drugs listed for a condition.
+   * @param {string} input - The drug as entered.
+   * @param {string} disease - A canonical condition name.
+   * @returns {{ input: string, canonical: string|null, generic: string, components: string[], confidence: number, method: string, suggestions: Array }}
+   */
+  const matchDrug = (input, disease) => {
+    const name = normalizeName(input);
+    const components = splitCombination(name).map((part) => BRAND_GENERICS[part] || part);
+    const result = { input, canonical: null, generic: components.join(' / '), components, confidence: 0, method: 'none', suggestions: [] };
+    const index = drugIndex.get(disease);
+    if (!name || !index) return result;
+
+    const exact = index.names.find((drug) => normalizeName(drug) === name);
+    if (exact) return { ...result, canonical: exact, confidence: 1, method: 'exact' };
+
+    // Brand <-> generic, including combinations listed in a different order
+    const byKey = index.byKey.get(drugKey(name));
+    if (byKey) return { ...result, canonical: byKey, confidence: 0.95, method: 'synonym' };
+    if (components.length === 1) {
+      const synonym = ingredientNames(name)
+        .map((alias) => index.byKey.get(drugKey(alias)))
+        .find(Boolean);
+      if (synonym) return { ...result, canonical: synonym, confidence: 0.95, method: 'synonym' };
+    }
+
+    // Every ingredient of a combination is listed for the condition on its own or in another product
+    if (components.length > 1 && components.every((part) => index.ingredients.has(part))) {
+      return { ...result, canonical: result.generic, confidence: 0.9, method: 'combination' };
+    }
+
+    // A single ingredient that is only listed as part of a combination for the condition
+    if (components.length === 1 && index.ingredients.has(components[0])) {
+      return { ...result, canonical: components[0], confidence: COMPONENT_CONFIDENCE, method: 'component' };
+    }
+
+    // Typos: compare against listed products and their individual ingredients
+    const suggestions = rankSuggestions(name, [...new Set([...index.names, ...index.ingredients])]).map((suggestion) =>
+      index.names.includes(suggestion.name)
+        ? suggestion
+        : { ...suggestion, confidence: Math.min(suggestion.confidence, COMPONENT_CONFIDENCE) }
+    );
+    if (suggestions.length === 0) return result;
+    return {
+      ...result,
+      canonical: suggestions[0].name,
+      confidence: suggestions[0].confidence,
+      method: 'fuzzy',
+      suggestions,
+    };
+  };
+
+  /**
+   * Matches a diagnosis and drug together.
+   * @param {string} diagnosis - The diagnosis as entered.
+   * @param {string} drug - The drug as entered.
+   * @returns {{ valid: boolean, confidence: number, needsConfirmation: boolean, disease: Object, drug: Object }}
+   *   valid when the combined confidence reaches MATCH_THRESHOLD and neither the diagnosis nor the drug
+   *   matched fuzzily; needsConfirmation when it is not valid but there is something to suggest.
+   */
+  const match = (diagnosis, drug) => {
+    const diseaseMatch = matchDisease(diagnosis);
+    const drugMatch = diseaseMatch.canonical
+      ? matchDrug(drug, diseaseMatch.canonical)
+      : { input: drug, canonical: null, generic: normalizeName(drug), components: [], confidence: 0, method: 'none', suggestions: [] };
+    // The weaker of the two matches bounds how sure we are about the pair
+    const confidence = Number(Math.min(diseaseMatch.confidence, drugMatch.confidence).toFixed(2));
+    const valid = confidence >= MATCH_THRESHOLD && diseaseMatch.method !== 'fuzzy' && drugMatch.method !== 'fuzzy';
+    return {
+      valid,
+      confidence,
+      needsConfirmation: !valid && (diseaseMatch.suggestions.length > 0 || drugMatch.suggestions.length > 0),
+      disease: diseaseMatch,
+      drug: drugMatch,
+    };
+  };
+
+  return { matchDisease, matchDrug, match };
+};
+
+export {
+  MATCH_THRESHOLD,
+  SUGGESTION_THRESHOLD,
+  DISEASE_ALIASES,
+  BRAND_GENERICS,
+  normalizeName,
+  splitCombination,
+  similarity,
+  createMedicineMatcher,
+};
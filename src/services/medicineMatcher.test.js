@@ -0,0 +1,112 @@
+import { MATCH_THRESHOLD, normalizeName, splitCombination, similarity, createMedicineMatcher } from './medicineMatcher.js';
+
+const table = new Map([
+  ['hypothyroidism', new Set(['levothyroxine', 'synthroid'])],
+  ['hypertension', new Set(['amlodipine', 'lisinopril', 'losartan / hydrochlorothiazide', 'hydrochlorothiazide'])],
+  ['diabetes (type 2)', new Set(['metformin', 'sitagliptin / metformin'])],
+  ['uti', new Set(['nitrofurantoin', 'sulfamethoxazole / trimethoprim'])],
+  ['pneumonia', new Set(['amoxicillin / clavulanate', 'azithromycin'])],
+]);
+
+const matcher = createMedicineMatcher(table);
+
+describe('normalizeName', () => {
+  it('strips strengths and punctuation', () => {
+    expect(normalizeName('  Tylenol 500mg. ')).toBe('tylenol');
+    expect(normalizeName('Amoxicillin+Clavulanate')).toBe('amoxicillin + clavulanate');
+  });
+});
+
+describe('splitCombination', () => {
+  it('sorts the components of a combination', () => {
+    expect(splitCombination('trimethoprim / sulfamethoxazole')).toEqual(['sulfamethoxazole', 'trimethoprim']);
+    expect(splitCombination('metformin')).toEqual(['metformin']);
+  });
+});
+
+describe('similarity', () => {
+  it('is 1 for equal names and lower for typos', () => {
+    expect(similarity('metformin', 'metformin')).toBe(1);
+    expect(similarity('metformin', 'metfromin')).toBeCloseTo(7 / 9);
+  });
+});
+
+describe('matchDisease', () => {
+  it('matches exactly and by alias', () => {
+    expect(matcher.matchDisease('Hypertension')).toMatchObject({ canonical: 'hypertension', confidence: 1, method: 'exact' });
+    expect(matcher.matchDisease('high blood pressure')).toMatchObject({ canonical: 'hypertension', confidence: 0.95, method: 'alias' });
+    expect(matcher.matchDisease('T2DM')).toMatchObject({ canonical: 'diabetes (type 2)', method: 'alias' });
+  });
+
+  it('does not treat symptoms or broad classes as aliases', () => {
+    expect(matcher.matchDisease('diabetes').method).not.toBe('alias');
+    expect(matcher.matchDisease('chest pain').method).not.toBe('alias');
+  });
+
+  it('only suggests conditions that are close enough', () => {
+    expect(matcher.matchDisease('broken leg')).toMatchObject({ canonical: null, method: 'none' });
+    expect(matcher.matchDisease('')).toMatchObject({ canonical: null, method: 'none' });
+  });
+});
+
+describe('matchDrug', () => {
+  it('matches brands to generics', () => {
+    expect(matcher.matchDrug('Norvasc', 'hypertension')).toMatchObject({ canonical: 'amlodipine', method: 'synonym' });
+    expect(matcher.matchDrug('Eltroxin', 'hypothyroidism')).toMatchObject({ canonical: 'levothyroxine', method: 'synonym' });
+  });
+
+  it('matches combinations whatever their order or brand', () => {
+    expect(matcher.matchDrug('Trimethoprim/Sulfamethoxazole', 'uti')).toMatchObject({
+      canonical: 'sulfamethoxazole / trimethoprim',
+      confidence: 0.95,
+      method: 'synonym',
+    });
+    expect(matcher.matchDrug('Augmentin', 'pneumonia')).toMatchObject({ canonical: 'amoxicillin / clavulanate', method: 'synonym' });
+    expect(matcher.matchDrug('Lisinopril + Amlodipine', 'hypertension')).toMatchObject({ confidence: 0.9, method: 'combination' });
+  });
+
+  it('barely accepts a drug only listed inside a combination', () => {
+    expect(matcher.matchDrug('Losartan', 'hypertension')).toMatchObject({ canonical: 'losartan', confidence: MATCH_THRESHOLD, method: 'component' });
+  });
+
+  it('suggests listed drugs for typos', () => {
+    const result = matcher.matchDrug('metfromin', 'diabetes (type 2)');
+    expect(result).toMatchObject({ canonical: 'metformin', method: 'fuzzy' });
+    expect(result.confidence).toBeLessThan(MATCH_THRESHOLD);
+  });
+});
+
+describe('match', () => {
+  it('accepts a drug listed for the diagnosis', () => {
+    expect(matcher.match('Hypothyroidism', 'Levothyroxine')).toMatchObject({ valid: true, confidence: 1, needsConfirmation: false });
+    expect(matcher.match('type 2 diabetes', 'Glucophage')).toMatchObject({ valid: true, confidence: 0.95 });
+  });
+
+  it('never accepts a diagnosis that only matched fuzzily', () => {
+    const result = matcher.match('hyperthyroidism', 'levothyroxine');
+    expect(result.disease).toMatchObject({ canonical: 'hypothyroidism', method: 'fuzzy' });
+    expect(result.confidence).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(result.valid).toBe(false);
+    expect(result.needsConfirmation).toBe(true);
+    expect(result.disease.suggestions[0].name).toBe('hypothyroidism');
+  });
+
+  it('never accepts a drug that only matched fuzzily', () => {
+    const result = matcher.match('hypertension', 'amlodipin');
+    expect(result.drug).toMatchObject({ canonical: 'amlodipine', method: 'fuzzy' });
+    expect(result.confidence).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    expect(result).toMatchObject({ valid: false, needsConfirmation: true });
+  });
+
+  it('asks before accepting a bare "diabetes"', () => {
+    expect(matcher.match('diabetes', 'metformin').valid).toBe(false);
+  });
+
+  it('rejects a drug not listed for the diagnosis', () => {
+    expect(matcher.match('uti', 'amlodipine')).toMatchObject({ valid: false, confidence: 0 });
+  });
+
+  it('rejects an unknown diagnosis', () => {
+    expect(matcher.match('broken leg', 'amlodipine')).toMatchObject({ valid: false, confidence: 0, needsConfirmation: false });
+  });
+});
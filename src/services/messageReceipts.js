@@ -0,0 +1,124 @@
+// Delivery states of chat messages and the "typing…" indicator. A message is sent once it is
+// saved, delivered once the other party's app has received it and read once they have had the
+// chat open on screen. Receipts cover every message up to an ID (see chatHistory.js), are kept
+// on the messages and pushed as 'message-status'; activity is only pushed, as 'chat-activity',
+// and fades on its own when it stops being repeated. Pure functions only, shared by the
+// browser and the API.
+import { isValidMessageId } from './chatHistory.js';
+
+// In the order a message goes through them
+const MESSAGE_STATUSES = {
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+};
+const STATUS_ORDER = Object.keys(MESSAGE_STATUSES);
+const RECEIPT_STATUSES = ['delivered', 'read'];
+
+const CHAT_ACTIVITIES = {
+  typing: 'typing…',
+  recording: 'recording voice note…',
+  idle: '',
+};
+
+// The sender repeats an ongoing activity this often; the receiver hides it after the timeout
+const ACTIVITY_REPEAT_MS = 3000;
+const ACTIVITY_TIMEOUT_MS = 8000;
+
+/**
+ * @param {'patient'|'doctor'} role
+ * @returns {'patient'|'doctor'} The other party of a chat.
+ */
+const getOtherParty = (role) => (role === 'patient' ? 'doctor' : 'patient');
+
+/**
+ * Whether a message counts towards the other party's receipts and unread count. System
+ * messages such as call summaries are seen by both sides and don't.
+ * @param {Object} message
+ * @param {'patient'|'doctor'} reader
+ * @returns {boolean}
+ */
+const isAddressedTo = (message, reader) => message.sender === getOtherParty(reader);
+
+/**
+ * @param {Object} message
+ * @returns {string} A key of MESSAGE_STATUSES; messages saved before receipts existed are 'sent'.
+ */
+const getMessageStatus = (message) => (STATUS_ORDER.includes(message.status) ? message.status : 'sent');
+
+/**
+ * @param {string} status
+ * @param {string} current
+ * @returns {boolean} Whether status is further along than current.
+ */
+const isStatusAfter = (status, current) => STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(current);
+
+/**
+ * Checks a receipt posted to the chat API.
+ * @param {{status?: string, upTo?: string}} receipt
+ * @returns {string|null} What is wrong with it, or null.
+ */
+const validateReceipt = (receipt) => {
+  if (!receipt || typeof receipt !== 'object') return 'receipt must be an object';
+  if (!RECEIPT_STATUSES.includes(receipt.status)) return `status must be one of ${RECEIPT_STATUSES.join(', ')}`;
+  if (!isValidMessageId(receipt.upTo)) return 'upTo must be a message ID';
+  return null;
+};
+
+/**
+ * The fields a receipt sets on a message, or null when the message is already past it.
+ * Reading a message also delivers it.
+ * @param {Object} message
+ * @param {'delivered'|'read'} status
+ * @param {string} at - ISO time of the receipt.
+ * @returns {Object|null}
+ */
+const getReceiptChanges = (message, status, at) => {
+  if (!isStatusAfter(status, getMessageStatus(message))) return null;
+  return {
+    status,
+    deliveredAt: message.deliveredAt || at,
+    ...(status === 'read' ? { readAt: at } : {}),
+  };
+};
+
+/**
+ * Applies a 'message-status' event to the messages on screen.
+ * @param {Object[]} messages
+ * @param {{reader: string, status: string, upTo: string, at: string}} receipt
+ * @returns {Object[]}
+ */
+const applyReceipt = (messages, { reader, status, upTo, at }) =>
+  messages.map((message) => {
+    if (!message.id || message.id > upTo || !isAddressedTo(message, reader)) return message;
+    const changes = getReceiptChanges(message, status, at);
+    return changes ? { ...message, ...changes } : message;
+  });
+
+/**
+ * The newest message a reader has to acknowledge.
+ * @param {Object[]} messages - Messages on screen.
+ * @param {'patient'|'doctor'} reader
+ * @returns {string|null} Its ID, or null when there is none.
+ */
+const getReceiptTarget = (messages, reader) =>
+  messages.reduce(
+    (latest, message) => (message.id && isAddressedTo(message, reader) && (!latest || message.id > latest) ? message.id : latest),
+    null
+  );
+
+export {
+  MESSAGE_STATUSES,
+  RECEIPT_STATUSES,
+  CHAT_ACTIVITIES,
+  ACTIVITY_REPEAT_MS,
+  ACTIVITY_TIMEOUT_MS,
+  getOtherParty,
+  isAddressedTo,
+  getMessageStatus,
+  isStatusAfter,
+  validateReceipt,
+  getReceiptChanges,
+  applyReceipt,
+  getReceiptTarget,
+};
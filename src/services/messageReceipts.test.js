@@ -0,0 +1,81 @@
+import {
+  isAddressedTo,
+  getMessageStatus,
+  isStatusAfter,
+  validateReceipt,
+  getReceiptChanges,
+  applyReceipt,
+  getReceiptTarget,
+} from './messageReceipts.js';
+
+const at = '2026-10-03T12:00:00.000Z';
+const messages = [
+  { id: '000000000000001', sender: 'doctor', status: 'read', deliveredAt: '2026-10-03T11:00:00.000Z', readAt: '2026-10-03T11:00:00.000Z' },
+  { id: '000000000000002', sender: 'patient' },
+  { id: '000000000000003', sender: 'doctor', status: 'sent' },
+  { id: '000000000000004', sender: 'system', status: 'sent' },
+  { id: '000000000000005', sender: 'doctor', status: 'delivered', deliveredAt: '2026-10-03T11:30:00.000Z' },
+  { sender: 'doctor', text: 'still sending' },
+];
+
+describe('isAddressedTo', () => {
+  it('only counts messages from the other party', () => {
+    expect(isAddressedTo(messages[2], 'patient')).toBe(true);
+    expect(isAddressedTo(messages[2], 'doctor')).toBe(false);
+    expect(isAddressedTo(messages[3], 'patient')).toBe(false);
+    expect(isAddressedTo(messages[3], 'doctor')).toBe(false);
+  });
+});
+
+describe('getMessageStatus', () => {
+  it('treats messages from before receipts as sent', () => {
+    expect(getMessageStatus(messages[1])).toBe('sent');
+    expect(getMessageStatus({ status: 'lost' })).toBe('sent');
+    expect(getMessageStatus(messages[0])).toBe('read');
+  });
+
+  it('only moves forward', () => {
+    expect(isStatusAfter('read', 'delivered')).toBe(true);
+    expect(isStatusAfter('delivered', 'delivered')).toBe(false);
+    expect(isStatusAfter('delivered', 'read')).toBe(false);
+  });
+});
+
+describe('validateReceipt', () => {
+  it('needs a receipt status and a message ID', () => {
+    expect(validateReceipt({ status: 'read', upTo: '000000000000003' })).toBeNull();
+    expect(validateReceipt(null)).toBe('receipt must be an object');
+    expect(validateReceipt({ status: 'sent', upTo: '000000000000003' })).toBe('status must be one of delivered, read');
+    expect(validateReceipt({ status: 'read', upTo: '3' })).toBe('upTo must be a message ID');
+  });
+});
+
+describe('getReceiptChanges', () => {
+  it('delivers a message when it is read', () => {
+    expect(getReceiptChanges(messages[2], 'delivered', at)).toEqual({ status: 'delivered', deliveredAt: at });
+    expect(getReceiptChanges(messages[2], 'read', at)).toEqual({ status: 'read', deliveredAt: at, readAt: at });
+  });
+
+  it('keeps the first delivery time and never goes back', () => {
+    expect(getReceiptChanges(messages[4], 'read', at)).toEqual({ status: 'read', deliveredAt: '2026-10-03T11:30:00.000Z', readAt: at });
+    expect(getReceiptChanges(messages[4], 'delivered', at)).toBeNull();
+    expect(getReceiptChanges(messages[0], 'read', at)).toBeNull();
+  });
+});
+
+describe('applyReceipt', () => {
+  it('marks messages to the reader up to the receipt', () => {
+    const updated = applyReceipt(messages, { reader: 'patient', status: 'read', upTo: '000000000000003', at });
+    expect(updated.map((message) => getMessageStatus(message))).toEqual(['read', 'sent', 'read', 'sent', 'delivered', 'sent']);
+    expect(updated[0]).toBe(messages[0]);
+    expect(updated[2].readAt).toBe(at);
+  });
+});
+
+describe('getReceiptTarget', () => {
+  it('is the newest saved message from the other party', () => {
+    expect(getReceiptTarget(messages, 'patient')).toBe('000000000000005');
+    expect(getReceiptTarget(messages, 'doctor')).toBe('000000000000002');
+    expect(getReceiptTarget([messages[3]], 'doctor')).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+// Client calls for receipts and typing activity in a chat (api/chats). Message-side helpers live
+// in messageReceipts.js.
+import { ACTIVITY_REPEAT_MS } from './messageReceipts.js';
+
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+async function chatStatusRequest(patientId, doctorId, userId, idToken, body) {
+  const response = await fetch(`${apiBaseUrl}/chats/${patientId}/${doctorId}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    body: JSON.stringify(body),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      message = JSON.parse(errorText).error || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(`${response.status} - ${message}`);
+  }
+  return response.json();
+}
+
+/**
+ * Marks the other party's messages up to a message as delivered or read.
+ * @param {{patientId: string, doctorId: string, status: 'delivered'|'read', upTo: string}} receipt
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{receipt: {upTo: string, at: string, updated: number}|null}>}
+ */
+const sendReceipt = ({ patientId, doctorId, status, upTo }, userId, idToken) =>
+  chatStatusRequest(patientId, doctorId, userId, idToken, { receipt: { status, upTo } });
+
+/**
+ * Tells the other party what the user is doing; repeat it every ACTIVITY_REPEAT_MS while it lasts.
+ * @param {{patientId: string, doctorId: string, activity: string}} update - activity is a key of CHAT_ACTIVITIES.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{activity: string}>}
+ */
+const sendActivity = ({ patientId, doctorId, activity }, userId, idToken) =>
+  chatStatusRequest(patientId, doctorId, userId, idToken, { activity });
+
+/**
+ * Sends activity as it happens without flooding the channel: a change is sent at once and an
+ * unchanged activity at most every ACTIVITY_REPEAT_MS. Failures are only logged.
+ * @param {{patientId: string, doctorId: string, userId: string, getIdToken: () => Promise<string>}} chat
+ * @returns {(activity: string) => void}
+ */
+const createActivitySender = ({ patientId, doctorId, userId, getIdToken }) => {
+  let lastActivity = 'idle';
+  let lastSentAt = 0;
+  return (activity) => {
+    if (activity === lastActivity && (activity === 'idle' || Date.now() - lastSentAt < ACTIVITY_REPEAT_MS)) return;
+    lastActivity = activity;
+    lastSentAt = Date.now();
+    getIdToken()
+      .then((idToken) => sendActivity({ patientId, doctorId, activity }, userId, idToken))
+      .catch((error) => console.warn('messageReceiptsApi.js: Failed to send activity:', error.message));
+  };
+};
+
+export { sendReceipt, sendActivity, createActivitySender };
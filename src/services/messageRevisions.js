@@ -0,0 +1,184 @@
+// Amending and retracting a diagnosis or prescription after the doctor sent it. The chat message
+// shows the current wording; what it said before each change is kept as an immutable version
+// with the reason it was replaced (see reviseMessage in lib/chatStore.js), and the patient gets
+// a notice in the chat. Changing a prescription also replaces the future reminders of its
+// doctor_patient_records entry (api/prescriptions). Pure functions only, shared by the browser
+// and the API.
+import { normalizePrescription, validatePrescriptionFields, formatPrescription } from './prescription.js';
+
+const REVISION_ACTIONS = {
+  amend: 'Amended',
+  retract: 'Retracted',
+};
+
+const MIN_REVISION_REASON_LENGTH = 5;
+
+// Message fields a version keeps
+const VERSIONED_FIELDS = ['diagnosis', 'prescription', 'translatedDiagnosis', 'translatedPrescription', 'translationReviews'];
+
+/**
+ * @param {Object} message
+ * @returns {boolean} Whether the message carries a diagnosis or prescription from the doctor.
+ */
+const isClinicalMessage = (message) => message?.sender === 'doctor' && !!(message.diagnosis || message.prescription);
+
+/**
+ * @param {Object} message
+ * @returns {boolean}
+ */
+const isRetracted = (message) => !!message?.retractedAt;
+
+/**
+ * @param {Object} message
+ * @returns {number} The message's version; 1 until it is first revised.
+ */
+const getMessageVersion = (message) => message?.version || 1;
+
+/**
+ * @param {Object} message
+ * @returns {string} What the message prescribes or diagnoses, for notices and headings.
+ */
+const describeClinicalContent = (message) => {
+  if (message.diagnosis && message.prescription) return 'diagnosis and prescription';
+  return message.prescription ? 'prescription' : 'diagnosis';
+};
+
+const sameContent = (message, revision) =>
+  (message.diagnosis || '') === (revision.diagnosis || '') &&
+  JSON.stringify(normalizePrescription(message.prescription)) === JSON.stringify(normalizePrescription(revision.prescription));
+
+/**
+ * Checks an amendment or retraction against the message it changes. An amendment keeps the
+ * message's kind: a prescription stays a prescription.
+ * @param {Object} message - The stored message.
+ * @param {{action: string, reason: string, diagnosis?: string, prescription?: Object}} revision
+ * @returns {string|null} What is wrong with it, or null.
+ */
+const validateRevision = (message, revision) => {
+  if (!isClinicalMessage(message)) return 'Only a diagnosis or prescription can be amended or retracted.';
+  if (isRetracted(message)) return 'This message was already retracted.';
+  if (!REVISION_ACTIONS[revision?.action]) return `action must be one of ${Object.keys(REVISION_ACTIONS).join(', ')}.`;
+  if (typeof revision.reason !== 'string' || revision.reason.trim().length < MIN_REVISION_REASON_LENGTH) {
+    return `A reason of at least ${MIN_REVISION_REASON_LENGTH} characters is required.`;
+  }
+  if (revision.action === 'retract') return null;
+
+  if (message.diagnosis && !(typeof revision.diagnosis === 'string' && revision.diagnosis.trim())) {
+    return 'The diagnosis is required.';
+  }
+  if (message.prescription) {
+    const errors = validatePrescriptionFields(normalizePrescription(revision.prescription));
+    if (errors.length > 0) return `Please fix the prescription: ${errors.join(' ')}`;
+  }
+  if (sameContent(message, revision)) return 'Nothing was changed.';
+  return null;
+};
+
+/**
+ * Works out a revision: the version that keeps what the message said until now, and the
+ * changes to the message.
+ * @param {Object} message - The stored message.
+ * @param {Object} revision - Checked by validateRevision.
+ * @param {{at: string, by: string}} meta - When and by whom (Firebase UID).
+ * @returns {{version: Object, changes: Object}}
+ */
+const buildRevision = (message, revision, { at, by }) => {
+  const current = getMessageVersion(message);
+  const version = {
+    version: current,
+    ...Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, message[field] ?? null])),
+    action: revision.action,
+    reason: revision.reason.trim(),
+    replacedAt: at,
+    replacedBy: by,
+  };
+
+  const changes = { version: current + 1, revisionReason: version.reason };
+  if (revision.action === 'retract') {
+    changes.retractedAt = at;
+  } else {
+    changes.amendedAt = at;
+    if (message.diagnosis) {
+      changes.diagnosis = revision.diagnosis.trim();
+      changes.translatedDiagnosis = revision.translatedDiagnosis || null;
+    }
+    if (message.prescription) {
+      changes.prescription = normalizePrescription(revision.prescription);
+      changes.translatedPrescription = revision.translatedPrescription || null;
+    }
+    // Reviews of the old translations stay with the version they were about
+    if (message.translationReviews) {
+      const { translatedDiagnosis, translatedPrescription, ...otherReviews } = message.translationReviews;
+      changes.translationReviews = otherReviews;
+    }
+  }
+  return { version, changes };
+};
+
+/**
+ * The English notice the patient gets about a revision; the doctor's screen translates it like
+ * any other message.
+ * @param {Object} message - The message as it was before the revision.
+ * @param {Object} revision
+ * @returns {string}
+ */
+const buildRevisionNotice = (message, revision) => {
+  const content = describeClinicalContent(message);
+  const reason = `Reason: ${revision.reason.trim()}`;
+  if (revision.action === 'retract') {
+    const reminders = message.prescription ? ' Its remaining medicine reminders have been cancelled.' : '';
+    return `Your doctor has withdrawn an earlier ${content}. Please do not follow it any more.${reminders} ${reason}`;
+  }
+
+  const details = [
+    message.diagnosis ? `Diagnosis: ${revision.diagnosis.trim()}.` : null,
+    message.prescription ? `Prescription: ${formatPrescription(normalizePrescription(revision.prescription))}.` : null,
+  ].filter(Boolean);
+  const reminders = message.prescription ? ' Your medicine reminders have been updated.' : '';
+  return `Your doctor has corrected an earlier ${content}. ${details.join(' ')}${reminders} ${reason}`;
+};
+
+/**
+ * Finds the doctor_patient_records entry a chat message was stored as: the one saved with its
+ * message ID, or for older entries the first one with the same diagnosis and drug saved after it.
+ * @param {Object[]} records
+ * @param {Object} message
+ * @returns {number} Its index, or -1.
+ */
+const findRecordIndex = (records, message) => {
+  const linked = records.findIndex((record) => record.messageId && record.messageId === message.id);
+  if (linked !== -1) return linked;
+
+  const drug = normalizePrescription(message.prescription)?.drug?.trim().toLowerCase() || '';
+  const diagnosis = (message.diagnosis || '').trim().toLowerCase();
+  let found = -1;
+  records.forEach((record, index) => {
+    if (record.messageId || record.timestamp < message.timestamp) return;
+    if ((record.diagnosis || '').trim().toLowerCase() !== diagnosis) return;
+    if ((normalizePrescription(record.prescription)?.drug?.trim().toLowerCase() || '') !== drug) return;
+    if (found === -1 || record.timestamp < records[found].timestamp) found = index;
+  });
+  return found;
+};
+
+/**
+ * Applies a 'message-revised' event to a message on screen.
+ * @param {Object} message
+ * @param {{id: string, changes: Object}} update
+ * @returns {Object}
+ */
+const mergeRevision = (message, update) => (message.id && message.id === update.id ? { ...message, ...update.changes } : message);
+
+export {
+  REVISION_ACTIONS,
+  MIN_REVISION_REASON_LENGTH,
+  isClinicalMessage,
+  isRetracted,
+  getMessageVersion,
+  describeClinicalContent,
+  validateRevision,
+  buildRevision,
+  buildRevisionNotice,
+  findRecordIndex,
+  mergeRevision,
+};
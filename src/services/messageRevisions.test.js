@@ -0,0 +1,137 @@
+import {
+  isClinicalMessage,
+  getMessageVersion,
+  validateRevision,
+  buildRevision,
+  buildRevisionNotice,
+  findRecordIndex,
+  mergeRevision,
+} from './messageRevisions.js';
+
+const prescription = { drug: 'Amoxicillin', strength: '500', frequency: 'BID', durationDays: 7 };
+const message = {
+  id: '001791000000000',
+  sender: 'doctor',
+  timestamp: '2026-10-01T10:00:00.000Z',
+  diagnosis: 'Pneumonia',
+  prescription,
+  translatedDiagnosis: 'ನ್ಯುಮೋನಿಯಾ',
+  translationReviews: { translatedDiagnosis: { status: 'flagged' }, note: { status: 'ok' } },
+};
+const reason = 'Wrong strength';
+const amend = { action: 'amend', reason, diagnosis: 'Pneumonia', prescription: { ...prescription, strength: '250' } };
+const meta = { at: '2026-10-02T09:00:00.000Z', by: 'doc-uid' };
+
+describe('isClinicalMessage', () => {
+  it('only counts diagnoses and prescriptions from the doctor', () => {
+    expect(isClinicalMessage(message)).toBe(true);
+    expect(isClinicalMessage({ sender: 'doctor', text: 'Hello' })).toBe(false);
+    expect(isClinicalMessage({ sender: 'patient', diagnosis: 'Flu' })).toBe(false);
+  });
+});
+
+describe('validateRevision', () => {
+  it('accepts an amendment that changes something and any retraction', () => {
+    expect(validateRevision(message, amend)).toBeNull();
+    expect(validateRevision(message, { action: 'retract', reason })).toBeNull();
+  });
+
+  it('refuses messages that cannot be revised', () => {
+    expect(validateRevision({ sender: 'doctor', text: 'Hello' }, amend)).toBe('Only a diagnosis or prescription can be amended or retracted.');
+    expect(validateRevision({ ...message, retractedAt: meta.at }, amend)).toBe('This message was already retracted.');
+  });
+
+  it('needs an action, a reason and a changed, complete message', () => {
+    expect(validateRevision(message, { ...amend, action: 'edit' })).toBe('action must be one of amend, retract.');
+    expect(validateRevision(message, { action: 'retract', reason: 'oops' })).toBe('A reason of at least 5 characters is required.');
+    expect(validateRevision(message, { ...amend, diagnosis: ' ' })).toBe('The diagnosis is required.');
+    expect(validateRevision(message, { ...amend, prescription: { ...prescription, drug: '' } })).toMatch(/^Please fix the prescription: /);
+    expect(validateRevision(message, { ...amend, prescription })).toBe('Nothing was changed.');
+  });
+});
+
+describe('buildRevision', () => {
+  it('keeps the old wording as a version and clears stale translations', () => {
+    const { version, changes } = buildRevision(message, { ...amend, reason: ` ${reason} ` }, meta);
+    expect(version).toMatchObject({
+      version: 1,
+      diagnosis: 'Pneumonia',
+      prescription,
+      translatedDiagnosis: 'ನ್ಯುಮೋನಿಯಾ',
+      translatedPrescription: null,
+      action: 'amend',
+      reason,
+      replacedAt: meta.at,
+      replacedBy: 'doc-uid',
+    });
+    expect(changes).toMatchObject({
+      version: 2,
+      revisionReason: reason,
+      amendedAt: meta.at,
+      diagnosis: 'Pneumonia',
+      translatedDiagnosis: null,
+      translatedPrescription: null,
+      translationReviews: { note: { status: 'ok' } },
+    });
+    expect(changes.prescription.strength).toBe('250');
+  });
+
+  it('only marks a retraction', () => {
+    expect(buildRevision({ ...message, version: 3 }, { action: 'retract', reason }, meta).changes).toEqual({
+      version: 4,
+      revisionReason: reason,
+      retractedAt: meta.at,
+    });
+    expect(getMessageVersion({ ...message, version: 3 })).toBe(3);
+  });
+});
+
+describe('buildRevisionNotice', () => {
+  it('tells the patient what to stop following', () => {
+    expect(buildRevisionNotice(message, { action: 'retract', reason })).toBe(
+      'Your doctor has withdrawn an earlier diagnosis and prescription. Please do not follow it any more. ' +
+        'Its remaining medicine reminders have been cancelled. Reason: Wrong strength'
+    );
+    expect(buildRevisionNotice({ sender: 'doctor', diagnosis: 'Flu' }, { action: 'retract', reason })).toBe(
+      'Your doctor has withdrawn an earlier diagnosis. Please do not follow it any more. Reason: Wrong strength'
+    );
+  });
+
+  it('gives the corrected wording', () => {
+    expect(buildRevisionNotice(message, amend)).toBe(
+      'Your doctor has corrected an earlier diagnosis and prescription. Diagnosis: Pneumonia. ' +
+        'Prescription: Amoxicillin 250 mg oral, Twice daily (8:00 AM, 8:00 PM), for 7 days. ' +
+        'Your medicine reminders have been updated. Reason: Wrong strength'
+    );
+  });
+});
+
+describe('findRecordIndex', () => {
+  it('prefers the record saved with the message ID', () => {
+    const records = [
+      { timestamp: '2026-10-01T10:00:01.000Z', diagnosis: 'Pneumonia', prescription },
+      { timestamp: '2026-10-01T10:00:02.000Z', messageId: message.id },
+    ];
+    expect(findRecordIndex(records, message)).toBe(1);
+  });
+
+  it('falls back to the first matching record saved after the message', () => {
+    const records = [
+      { timestamp: '2026-09-30T10:00:00.000Z', diagnosis: 'Pneumonia', prescription },
+      { timestamp: '2026-10-01T10:00:05.000Z', diagnosis: 'pneumonia ', prescription: { ...prescription, drug: 'amoxicillin' } },
+      { timestamp: '2026-10-01T10:00:01.000Z', diagnosis: 'Pneumonia', prescription: { ...prescription, drug: 'Azithromycin' } },
+      { timestamp: '2026-10-01T10:00:03.000Z', messageId: '001790000000000', diagnosis: 'Pneumonia', prescription },
+    ];
+    expect(findRecordIndex(records, message)).toBe(1);
+    expect(findRecordIndex(records.slice(2), message)).toBe(-1);
+  });
+});
+
+describe('mergeRevision', () => {
+  it('only changes the revised message', () => {
+    const update = { id: message.id, changes: { version: 2, retractedAt: meta.at } };
+    expect(mergeRevision(message, update)).toMatchObject({ version: 2, retractedAt: meta.at, diagnosis: 'Pneumonia' });
+    const other = { ...message, id: '001791000000001' };
+    expect(mergeRevision(other, update)).toBe(other);
+  });
+});
@@ -0,0 +1,64 @@
+// Client calls for amending and retracting a diagnosis or prescription already sent in a chat
+// (api/prescriptions/revisions). Message-side helpers live in messageRevisions.js.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+async function revisionsRequest(query, userId, idToken, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBaseUrl}/prescriptions/revisions${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    let warnings = null;
+    try {
+      const parsed = JSON.parse(errorText).error;
+      message = [parsed?.message, parsed?.details].filter(Boolean).join(': ') || message;
+      warnings = parsed?.warnings || null;
+    } catch {
+      // Plain-text error body
+    }
+    const error = new Error(message);
+    error.status = response.status;
+    // Interaction warnings an amendment needs an override reason for (409)
+    error.warnings = warnings;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Amends or retracts a message. The server keeps the previous wording as a version, updates the
+ * patient's record and reminders, and posts translatedNotice (the translation of
+ * buildRevisionNotice) to the patient.
+ * @param {{patientId: string, doctorId: string, messageId: string, action: 'amend'|'retract', reason: string,
+ *   diagnosis?: string, prescription?: Object, translatedDiagnosis?: string, translatedPrescription?: string,
+ *   translatedNotice?: string, overrideReason?: string}} revision - overrideReason is required when the amended
+ *   prescription conflicts with the patient's other prescriptions; without it the call fails with status 409 and
+ *   the error carries the warnings.
+ * @param {string} userId - The doctor's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{message: Object, notice: Object, remindersCancelled: number, remindersScheduled: number,
+ *   valid: boolean|null, validationMessage: string|null}>}
+ */
+const reviseMessage = (revision, userId, idToken) =>
+  revisionsRequest('', userId, idToken, { method: 'POST', body: revision });
+
+/**
+ * Lists what a message said before each of its revisions.
+ * @param {{patientId: string, doctorId: string, messageId: string}} message
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{versions: Object[]}>} Oldest first.
+ */
+const fetchMessageVersions = ({ patientId, doctorId, messageId }, userId, idToken) =>
+  revisionsRequest(`?${new URLSearchParams({ patientId, doctorId, messageId })}`, userId, idToken);
+
+export { reviseMessage, fetchMessageVersions };
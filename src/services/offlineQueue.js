@@ -0,0 +1,182 @@
+// Outbox for what a patient does without a connection. Chat messages and dose confirmations or
+// snoozes are stored in IndexedDB (offlineStore.js) and sent in the order they were made by
+// syncOutbox once the connection is back. Messages carry a clientMessageId the chat API
+// deduplicates on, so a resend never posts twice; reminder actions go to api/reminders/actions,
+// which checks them against the stored reminder and refuses those that conflict (see
+// resolveReminderAction). Browser only.
+import { v4 as uuidv4 } from 'uuid';
+import { STORES, withStore } from './offlineStore.js';
+import { REMINDER_CONFLICTS } from './reminders.js';
+
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+const withOutbox = (mode, operation) => withStore(STORES.outbox, mode, operation);
+
+/**
+ * Whether an error means the request never got an answer, so it is worth sending again later.
+ * @param {Error} error - From fetch or Firestore.
+ * @returns {boolean}
+ */
+const isOfflineError = (error) =>
+  !navigator.onLine ||
+  error instanceof TypeError ||
+  error?.code === 'unavailable' ||
+  error?.code === 'auth/network-request-failed' ||
+  error?.status >= 500 ||
+  [401, 408, 429].includes(error?.status);
+
+/**
+ * Queues a chat message.
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {string} params.doctorId
+ * @param {string} params.userId - The sender's Firebase UID.
+ * @param {Object} params.message - The message as it would be posted.
+ * @returns {Promise<Object>} The outbox entry; its message has a clientMessageId.
+ */
+const queueMessage = async ({ patientId, doctorId, userId, message }) => {
+  const clientMessageId = message.clientMessageId || uuidv4();
+  const { tempMessageId, ...rest } = message;
+  const entry = {
+    id: clientMessageId,
+    kind: 'message',
+    patientId,
+    doctorId,
+    userId,
+    message: { ...rest, clientMessageId, queuedAt: new Date().toISOString() },
+    createdAt: new Date().toISOString(),
+  };
+  await withOutbox('readwrite', (store) => store.put(entry));
+  return entry;
+};
+
+/**
+ * Queues a confirm or snooze of a dose.
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {string} params.userId
+ * @param {Object} params.action - From buildReminderAction.
+ * @returns {Promise<Object>} The outbox entry.
+ */
+const queueReminderAction = async ({ patientId, userId, action }) => {
+  const entry = { id: uuidv4(), kind: 'reminder', patientId, userId, action, createdAt: action.createdAt };
+  await withOutbox('readwrite', (store) => store.put(entry));
+  return entry;
+};
+
+/**
+ * @param {string} patientId
+ * @returns {Promise<Object[]>} The patient's queued entries, oldest first.
+ */
+const listOutbox = async (patientId) => {
+  const entries = await withOutbox('readonly', (store) => store.getAll());
+  return (entries || [])
+    .filter((entry) => entry.patientId === patientId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+const removeOutboxEntry = (id) => withOutbox('readwrite', (store) => store.delete(id));
+
+const sendMessage = async (entry, idToken) => {
+  const response = await fetch(`${apiBaseUrl}/chats/${entry.patientId}/${entry.doctorId}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-user-uid': entry.userId,
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify({ message: entry.message }),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Failed to send message: ${response.status} - ${errorText || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  const { newMessage } = await response.json();
+  return newMessage;
+};
+
+const sendReminderAction = async (entry, idToken) => {
+  const response = await fetch(`${apiBaseUrl}/reminders/actions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-user-uid': entry.userId,
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify({ patientId: entry.patientId, action: entry.action }),
+    credentials: 'include',
+  });
+  if (response.status === 409) {
+    const { error } = await response.json();
+    return { conflict: error?.conflict };
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Failed to update reminder: ${response.status} - ${errorText || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  const { reminder } = await response.json();
+  return { reminder };
+};
+
+let syncing = null;
+let queuedSync = null;
+
+/**
+ * Sends a patient's queued entries in order. A run stops at the first entry that fails for lack
+ * of a connection, so later entries never overtake it; an entry the server refuses, or a reminder
+ * action that conflicts, is dropped and reported. A call made during a run starts another run
+ * once it finishes.
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {string} params.userId - The patient's Firebase UID.
+ * @param {() => Promise<string>} params.getIdToken
+ * @param {(entry: Object, message: Object) => void} [params.onMessageSent] - With the saved message.
+ * @param {(entry: Object, reason: string) => void} [params.onDropped]
+ * @param {() => void} [params.onChange] - Called whenever the outbox changes.
+ * @returns {Promise<void>}
+ */
+const syncOutbox = (params) => {
+  if (syncing) {
+    queuedSync = params;
+    return syncing;
+  }
+  const { patientId, userId, getIdToken, onMessageSent = () => {}, onDropped = () => {}, onChange = () => {} } = params;
+  syncing = (async () => {
+    if (!navigator.onLine) return;
+    const entries = (await listOutbox(patientId)).filter((entry) => entry.userId === userId);
+    for (const entry of entries) {
+      try {
+        if (entry.kind === 'message') {
+          onMessageSent(entry, await sendMessage(entry, await getIdToken()));
+        } else {
+          const result = await sendReminderAction(entry, await getIdToken());
+          if (result.conflict) onDropped(entry, REMINDER_CONFLICTS[result.conflict] || 'The reminder could not be updated.');
+        }
+      } catch (error) {
+        if (isOfflineError(error)) {
+          console.warn(`offlineQueue.js: Still offline, keeping ${entry.kind} ${entry.id}:`, error.message);
+          break;
+        }
+        console.error(`offlineQueue.js: Dropping ${entry.kind} ${entry.id}:`, error.message);
+        onDropped(entry, error.message);
+      }
+      await removeOutboxEntry(entry.id);
+      onChange();
+    }
+  })().finally(() => {
+    syncing = null;
+    if (queuedSync) {
+      const next = queuedSync;
+      queuedSync = null;
+      syncOutbox(next).catch((error) => console.error('offlineQueue.js: Sync failed:', error.message));
+    }
+  });
+  return syncing;
+};
+
+export { isOfflineError, queueMessage, queueReminderAction, listOutbox, syncOutbox };
@@ -0,0 +1,120 @@
+// The app's IndexedDB database. Holds what the patient app needs without a connection: recordings
+// waiting to upload (voiceNoteQueue.js), chat messages and reminder actions waiting to sync
+// (offlineQueue.js), and the last copy of data read from the server so the chat and reminders
+// still show when offline. Browser only.
+
+const DB_NAME = 'healthcare-app';
+const DB_VERSION = 2;
+
+const STORES = {
+  voiceNotes: 'voiceNotes',
+  outbox: 'outbox',
+  cache: 'cache',
+};
+
+// Messages kept per chat for offline reading
+const CACHED_MESSAGE_LIMIT = 50;
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.voiceNotes)) db.createObjectStore(STORES.voiceNotes, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(STORES.outbox)) db.createObjectStore(STORES.outbox, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(STORES.cache)) db.createObjectStore(STORES.cache, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Runs one request against a store and resolves to its result.
+ * @param {string} storeName - One of STORES.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<*>}
+ */
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * @param {string} key - e.g. `messages:${patientId}-${doctorId}`.
+ * @returns {Promise<*>} The cached value, or null. Never rejects; a missing cache isn't an error.
+ */
+const readCache = async (key) => {
+  try {
+    const entry = await withStore(STORES.cache, 'readonly', (store) => store.get(key));
+    return entry ? entry.value : null;
+  } catch (error) {
+    console.warn(`offlineStore.js: Failed to read ${key}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Replaces a cached value. Failures are logged only.
+ * @param {string} key
+ * @param {*} value - Anything structured-clonable.
+ * @returns {Promise<void>}
+ */
+const writeCache = async (key, value) => {
+  try {
+    await withStore(STORES.cache, 'readwrite', (store) => store.put({ key, value, savedAt: new Date().toISOString() }));
+  } catch (error) {
+    console.warn(`offlineStore.js: Failed to cache ${key}:`, error.message);
+  }
+};
+
+/**
+ * Caches the latest messages of a chat.
+ * @param {string} patientId
+ * @param {string} doctorId
+ * @param {Object[]} messages - Sorted oldest first.
+ * @returns {Promise<void>}
+ */
+const cacheMessages = (patientId, doctorId, messages) =>
+  writeCache(`messages:${patientId}-${doctorId}`, messages.filter((msg) => !msg.tempMessageId).slice(-CACHED_MESSAGE_LIMIT));
+
+/**
+ * @param {string} patientId
+ * @param {string} doctorId
+ * @returns {Promise<Object[]|null>}
+ */
+const readCachedMessages = (patientId, doctorId) => readCache(`messages:${patientId}-${doctorId}`);
+
+/**
+ * Drops everything read from the server, e.g. on logout. Queued recordings and actions are kept
+ * until they are sent.
+ * @returns {Promise<void>}
+ */
+const clearCache = async () => {
+  try {
+    await withStore(STORES.cache, 'readwrite', (store) => store.clear());
+  } catch (error) {
+    console.warn('offlineStore.js: Failed to clear the offline cache:', error.message);
+  }
+};
+
+export {
+  STORES,
+  CACHED_MESSAGE_LIMIT,
+  withStore,
+  readCache,
+  writeCache,
+  cacheMessages,
+  readCachedMessages,
+  clearCache,
+};
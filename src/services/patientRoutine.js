@@ -0,0 +1,46 @@
+// A patient's time zone and daily routine (patients/{patientId}.timeZone and .routine). Dose
+// times of ROUTINE prescriptions ("after breakfast", "at bedtime") are resolved from the routine,
+// and every reminder is scheduled in the time zone; api/reminders recomputes the doses still to
+// come when either changes. Pure functions only, shared by the browser and the API.
+import { ROUTINE_SLOTS, DEFAULT_ROUTINE, toClockTime } from './prescription.js';
+import { DEFAULT_TIME_ZONE } from './reminders.js';
+import { isValidTimeZone } from './appointments.js';
+
+/**
+ * Fills in the defaults for a patient who has not set (all of) their schedule.
+ * @param {Object} [patient] - The patient document, or the {timeZone, routine} submitted.
+ * @param {string} [defaultTimeZone] - Used when the patient has no time zone.
+ * @returns {{timeZone: string, routine: Object}} The routine as "HH:mm" per ROUTINE_SLOTS key.
+ */
+const normalizePatientSchedule = (patient = {}, defaultTimeZone = DEFAULT_TIME_ZONE) => ({
+  timeZone: typeof patient?.timeZone === 'string' && patient.timeZone.trim() ? patient.timeZone.trim() : defaultTimeZone,
+  routine: ROUTINE_SLOTS.reduce((routine, { key }) => {
+    routine[key] = toClockTime(patient?.routine?.[key]) || DEFAULT_ROUTINE[key];
+    return routine;
+  }, {}),
+});
+
+/**
+ * Checks a schedule a patient submits. The routine must run in ROUTINE_SLOTS order within one
+ * day, so bedtime doses stay on the day they belong to.
+ * @param {{timeZone: string, routine: Object}} input
+ * @returns {string[]} Error messages; empty when the schedule is acceptable.
+ */
+const validatePatientSchedule = (input = {}) => {
+  const errors = [];
+  if (!input.timeZone || !isValidTimeZone(input.timeZone)) errors.push(`Unknown time zone "${input.timeZone || ''}".`);
+
+  const missing = ROUTINE_SLOTS.filter(({ key }) => !toClockTime(input.routine?.[key]));
+  if (missing.length > 0) {
+    errors.push(`${missing.map(({ label }) => label).join(', ')}: times must be given as HH:MM.`);
+    return errors;
+  }
+  const { routine } = normalizePatientSchedule(input);
+  ROUTINE_SLOTS.slice(1).forEach(({ key, label }, index) => {
+    const previous = ROUTINE_SLOTS[index];
+    if (routine[key] <= routine[previous.key]) errors.push(`${label} must come after ${previous.label.toLowerCase()}.`);
+  });
+  return errors;
+};
+
+export { normalizePatientSchedule, validatePatientSchedule };
@@ -0,0 +1,40 @@
+import { normalizePatientSchedule, validatePatientSchedule } from './patientRoutine.js';
+
+const routine = { wake: '06:30', breakfast: '07:15', lunch: '12:30', dinner: '19:00', bed: '22:30' };
+
+describe('normalizePatientSchedule', () => {
+  it('fills in the defaults', () => {
+    expect(normalizePatientSchedule()).toEqual({
+      timeZone: 'Asia/Kolkata',
+      routine: { wake: '07:00', breakfast: '08:00', lunch: '13:00', dinner: '20:00', bed: '22:00' },
+    });
+    expect(normalizePatientSchedule({ timeZone: ' ' }, 'Europe/London').timeZone).toBe('Europe/London');
+  });
+
+  it('keeps what the patient set', () => {
+    expect(normalizePatientSchedule({ timeZone: 'America/New_York', routine: { breakfast: '9:30 AM', bed: 'late' } })).toEqual({
+      timeZone: 'America/New_York',
+      routine: { wake: '07:00', breakfast: '09:30', lunch: '13:00', dinner: '20:00', bed: '22:00' },
+    });
+  });
+});
+
+describe('validatePatientSchedule', () => {
+  it('accepts a routine in day order', () => {
+    expect(validatePatientSchedule({ timeZone: 'Europe/Berlin', routine })).toEqual([]);
+  });
+
+  it('rejects unknown time zones and missing times', () => {
+    expect(validatePatientSchedule({ timeZone: 'Mars/Olympus', routine: { ...routine, lunch: '', bed: 'late' } })).toEqual([
+      'Unknown time zone "Mars/Olympus".',
+      'Lunch, Bedtime: times must be given as HH:MM.',
+    ]);
+  });
+
+  it('keeps the routine within one day', () => {
+    expect(validatePatientSchedule({ timeZone: 'UTC', routine: { ...routine, dinner: '12:30', bed: '01:00' } })).toEqual([
+      'Dinner must come after lunch.',
+      'Bedtime must come after dinner.',
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+// Client call for a patient setting their time zone and daily routine (api/reminders/routine).
+// Routine-side helpers live in patientRoutine.js.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+/**
+ * Saves the patient's time zone and routine. The server moves the doses still to come of their
+ * current prescriptions to match.
+ * @param {{patientId: string, timeZone: string, routine: Object}} schedule
+ * @param {string} userId - The patient's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{timeZone: string, routine: Object, remindersCancelled: number, remindersScheduled: number}>}
+ */
+async function savePatientRoutine(schedule, userId, idToken) {
+  const response = await fetch(`${apiBaseUrl}/reminders/routine`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    body: JSON.stringify(schedule),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      const parsed = JSON.parse(errorText).error;
+      message = [parsed?.message, parsed?.details].filter(Boolean).join(': ') || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(message);
+  }
+  return response.json();
+}
+
+export { savePatientRoutine };
@@ -0,0 +1,185 @@
+// Allergy, chronic-condition, pregnancy and weight fields on the patient profile, and the
+// checks run against them when a doctor prescribes. Allergies are hard blocks; everything
+// else is a warning the doctor can send through. Pure functions only, shared by the
+// registration/profile forms and the API routes.
+import { THERAPY_CLASSES, getIngredients } from './drugInteractions.js';
+import { normalizeName } from './medicineMatcher.js';
+
+const PREGNANCY_STATUSES = {
+  'not-pregnant': 'Not pregnant',
+  pregnant: 'Pregnant',
+  breastfeeding: 'Breastfeeding',
+  unknown: 'Unknown / not applicable',
+};
+
+// Allergy groups patients commonly report that are not therapy classes of their own
+const ALLERGY_GROUPS = {
+  penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'piperacillin', 'cloxacillin', 'dicloxacillin'],
+  cephalosporin: ['cephalexin', 'cefuroxime', 'ceftriaxone', 'cefixime', 'cefdinir', 'cefpodoxime', 'cefadroxil'],
+  sulfa: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine'],
+  sulfonamide: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine'],
+  tetracycline: ['tetracycline', 'doxycycline', 'minocycline'],
+};
+
+// Weight below which a dose check is suggested
+const LOW_WEIGHT_KG = 40;
+
+// Condition keywords (matched against the patient's chronic conditions) -> drugs to be careful with
+const CONDITION_CONTRAINDICATIONS = [
+  { conditions: ['kidney', 'renal', 'ckd'], drugs: ['class:nsaid', 'metformin', 'nitrofurantoin'], message: 'Use with caution in kidney disease; adjust or avoid.' },
+  { conditions: ['liver', 'hepatic', 'cirrhosis', 'hepatitis'], drugs: ['acetaminophen', 'class:statin', 'methotrexate'], message: 'Use with caution in liver disease.' },
+  { conditions: ['asthma', 'copd'], drugs: ['propranolol', 'class:nsaid'], message: 'May trigger bronchospasm.' },
+  { conditions: ['ulcer', 'gastrointestinal bleed', 'gi bleed'], drugs: ['class:nsaid', 'class:anticoagulant'], message: 'Raises the risk of gastrointestinal bleeding.' },
+  { conditions: ['heart failure'], drugs: ['class:nsaid', 'pioglitazone'], message: 'May cause fluid retention and worsen heart failure.' },
+  { conditions: ['hypertension', 'high blood pressure'], drugs: ['pseudoephedrine', 'phenylephrine'], message: 'May raise blood pressure.' },
+  { conditions: ['diabetes'], drugs: ['prednisone', 'prednisolone', 'dexamethasone'], message: 'Corticosteroids raise blood sugar.' },
+  { conditions: ['epilepsy', 'seizure'], drugs: ['tramadol', 'bupropion', 'class:fluoroquinolone'], message: 'Lowers the seizure threshold.' },
+  { conditions: ['glaucoma'], drugs: ['diphenhydramine', 'chlorpheniramine'], message: 'Anticholinergic effects may worsen angle-closure glaucoma.' },
+  { conditions: ['myasthenia'], drugs: ['class:fluoroquinolone', 'class:macrolide'], message: 'May worsen myasthenia gravis.' },
+];
+
+// Drugs to avoid in pregnancy (and, where listed, while breastfeeding)
+const PREGNANCY_CONTRAINDICATIONS = [
+  { drugs: ['warfarin', 'isotretinoin', 'methotrexate', 'misoprostol', 'valproate', 'thalidomide'], message: 'Contraindicated in pregnancy (risk of fetal harm).', breastfeeding: false },
+  { drugs: ['class:ace-inhibitor', 'class:arb'], message: 'Contraindicated in pregnancy (fetal kidney toxicity).', breastfeeding: false },
+  { drugs: ['class:statin'], message: 'Avoid in pregnancy and while breastfeeding.', breastfeeding: true },
+  { drugs: ['doxycycline', 'tetracycline', 'minocycline'], message: 'Avoid in pregnancy and while breastfeeding (tooth and bone effects).', breastfeeding: true },
+  { drugs: ['class:nsaid'], message: 'Avoid in late pregnancy.', breastfeeding: false },
+  { drugs: ['class:fluoroquinolone'], message: 'Generally avoided in pregnancy.', breastfeeding: false },
+];
+
+/**
+ * Splits a comma- or newline-separated list entered in a form into trimmed, unique entries.
+ * @param {string|string[]} value - Free text or an existing list.
+ * @returns {string[]} The entries, lowercase.
+ */
+const parseList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n;]/);
+  return [...new Set(items.map((item) => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Normalizes the health fields of a patient profile.
+ * @param {Object} input - Any object carrying allergies, chronicConditions, pregnancyStatus and weightKg.
+ * @returns {{allergies: string[], chronicConditions: string[], pregnancyStatus: string, weightKg: number|null}}
+ */
+const normalizeHealthProfile = (input = {}) => {
+  const weight = parseFloat(input.weightKg);
+  return {
+    allergies: parseList(input.allergies),
+    chronicConditions: parseList(input.chronicConditions),
+    pregnancyStatus: PREGNANCY_STATUSES[input.pregnancyStatus] ? input.pregnancyStatus : 'unknown',
+    weightKg: isNaN(weight) ? null : Math.round(weight * 10) / 10,
+  };
+};
+
+/**
+ * Checks the health fields entered on a form.
+ * @param {Object} input - The raw form values.
+ * @returns {string[]} Error messages; empty when the fields are acceptable.
+ */
+const validateHealthProfile = (input = {}) => {
+  const errors = [];
+  if (input.weightKg !== undefined && input.weightKg !== null && String(input.weightKg).trim() !== '') {
+    const weight = parseFloat(input.weightKg);
+    if (isNaN(weight) || weight <= 0 || weight > 500) {
+      errors.push('Weight must be between 1 and 500 kg.');
+    }
+  }
+  if (input.pregnancyStatus && !PREGNANCY_STATUSES[input.pregnancyStatus]) {
+    errors.push('Pregnancy status is not recognized.');
+  }
+  return errors;
+};
+
+// Generic names an allergy entry covers: the drug itself (via brand lookup), a therapy class or an allergy group
+const expandAllergen = (allergen) => {
+  const name = normalizeName(allergen)
+    .replace(/\b(drugs?|antibiotics?|medicines?|medications?|allergy|class)\b/g, '')
+    .trim()
+    .replace(/s$/, '');
+  const group = ALLERGY_GROUPS[name];
+  if (group) return group;
+  const therapyClass = Object.entries(THERAPY_CLASSES).find(
+    ([key, { label }]) => key === name || label.toLowerCase() === name
+  );
+  if (therapyClass) return therapyClass[1].members;
+  return getIngredients(allergen);
+};
+
+const matchesDrug = (entry, ingredient) =>
+  entry.startsWith('class:') ? (THERAPY_CLASSES[entry.slice(6)]?.members || []).includes(ingredient) : entry === ingredient;
+
+/**
+ * Checks a drug against the patient's allergies, chronic conditions, pregnancy status and weight.
+ * @param {string} drug - The drug about to be prescribed.
+ * @param {Object} profile - The patient's (normalized or raw) health fields.
+ * @returns {{blocks: Array<{type: string, message: string}>, warnings: Array<{type: string, message: string}>}}
+ *   Blocks must stop the prescription; warnings are shown to the doctor and recorded.
+ */
+const checkPatientSafety = (drug, profile) => {
+  const { allergies, chronicConditions, pregnancyStatus, weightKg } = normalizeHealthProfile(profile);
+  const ingredients = getIngredients(drug);
+  const blocks = [];
+  const warnings = [];
+  if (ingredients.length === 0) return { blocks, warnings };
+
+  allergies.forEach((allergen) => {
+    const covered = expandAllergen(allergen);
+    const hit = ingredients.find((ingredient) => covered.includes(ingredient));
+    if (hit) {
+      blocks.push({ type: 'allergy', allergen, message: `Patient has a documented allergy to ${allergen} (${drug} contains ${hit}).` });
+    }
+  });
+
+  CONDITION_CONTRAINDICATIONS.forEach(({ conditions, drugs, message }) => {
+    const condition = chronicConditions.find((item) => conditions.some((keyword) => item.includes(keyword)));
+    const hit = condition && ingredients.find((ingredient) => drugs.some((entry) => matchesDrug(entry, ingredient)));
+    if (hit) {
+      warnings.push({ type: 'contraindication', condition, message: `${hit} with ${condition}: ${message}` });
+    }
+  });
+
+  if (pregnancyStatus === 'pregnant' || pregnancyStatus === 'breastfeeding') {
+    PREGNANCY_CONTRAINDICATIONS.forEach(({ drugs, message, breastfeeding }) => {
+      if (pregnancyStatus === 'breastfeeding' && !breastfeeding) return;
+      const hit = ingredients.find((ingredient) => drugs.some((entry) => matchesDrug(entry, ingredient)));
+      if (hit) {
+        warnings.push({ type: 'pregnancy', condition: pregnancyStatus, message: `${hit}: ${message}` });
+      }
+    });
+  }
+
+  if (weightKg !== null && weightKg < LOW_WEIGHT_KG) {
+    warnings.push({ type: 'weight', condition: `${weightKg} kg`, message: `Patient weighs ${weightKg} kg; check weight-based dosing.` });
+  }
+
+  return { blocks, warnings };
+};
+
+/**
+ * One-line summary of the health fields for display next to the patient's name.
+ * @param {Object} profile - The patient's health fields.
+ * @returns {string} e.g. "Allergies: penicillin · Conditions: asthma · Pregnant · 52 kg"
+ */
+const formatHealthSummary = (profile) => {
+  const { allergies, chronicConditions, pregnancyStatus, weightKg } = normalizeHealthProfile(profile);
+  return [
+    `Allergies: ${allergies.length ? allergies.join(', ') : 'none recorded'}`,
+    chronicConditions.length ? `Conditions: ${chronicConditions.join(', ')}` : '',
+    ['pregnant', 'breastfeeding'].includes(pregnancyStatus) ? PREGNANCY_STATUSES[pregnancyStatus] : '',
+    weightKg !== null ? `${weightKg} kg` : '',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+export {
+  PREGNANCY_STATUSES,
+  ALLERGY_GROUPS,
+  parseList,
+  normalizeHealthProfile,
+  validateHealthProfile,
+  checkPatientSafety,
+  formatHealthSummary,
+};
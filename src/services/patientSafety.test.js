@@ -0,0 +1,84 @@
+import { parseList, normalizeHealthProfile, validateHealthProfile, checkPatientSafety, formatHealthSummary } from './patientSafety.js';
+
+describe('normalizeHealthProfile', () => {
+  it('splits lists and rounds the weight', () => {
+    expect(
+      normalizeHealthProfile({ allergies: 'Penicillin, sulfa;\npenicillin', chronicConditions: ['Asthma '], pregnancyStatus: 'pregnant', weightKg: '52.46' })
+    ).toEqual({ allergies: ['penicillin', 'sulfa'], chronicConditions: ['asthma'], pregnancyStatus: 'pregnant', weightKg: 52.5 });
+  });
+
+  it('defaults what is missing or unknown', () => {
+    expect(normalizeHealthProfile({ pregnancyStatus: 'maybe' })).toEqual({
+      allergies: [],
+      chronicConditions: [],
+      pregnancyStatus: 'unknown',
+      weightKg: null,
+    });
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('validateHealthProfile', () => {
+  it('accepts empty and sensible values', () => {
+    expect(validateHealthProfile({})).toEqual([]);
+    expect(validateHealthProfile({ weightKg: '', pregnancyStatus: 'breastfeeding' })).toEqual([]);
+    expect(validateHealthProfile({ weightKg: '70' })).toEqual([]);
+  });
+
+  it('rejects impossible values', () => {
+    expect(validateHealthProfile({ weightKg: '0', pregnancyStatus: 'maybe' })).toEqual([
+      'Weight must be between 1 and 500 kg.',
+      'Pregnancy status is not recognized.',
+    ]);
+  });
+});
+
+describe('checkPatientSafety', () => {
+  it('blocks drugs the patient is allergic to, through brands, groups and classes', () => {
+    expect(checkPatientSafety('Augmentin', { allergies: 'Penicillin allergy' }).blocks).toEqual([
+      { type: 'allergy', allergen: 'penicillin allergy', message: 'Patient has a documented allergy to penicillin allergy (Augmentin contains amoxicillin).' },
+    ]);
+    expect(checkPatientSafety('Bactrim', { allergies: 'sulfa drugs' }).blocks).toHaveLength(1);
+    expect(checkPatientSafety('Advil', { allergies: 'NSAIDs' }).blocks).toHaveLength(1);
+    expect(checkPatientSafety('Tylenol', { allergies: 'paracetamol' }).blocks).toHaveLength(1);
+  });
+
+  it('does not block unrelated drugs', () => {
+    expect(checkPatientSafety('Azithromycin', { allergies: 'penicillin, sulfa' })).toEqual({ blocks: [], warnings: [] });
+    expect(checkPatientSafety('', { allergies: 'penicillin' })).toEqual({ blocks: [], warnings: [] });
+  });
+
+  it('warns about chronic conditions', () => {
+    expect(checkPatientSafety('Ibuprofen', { chronicConditions: 'chronic kidney disease' }).warnings).toEqual([
+      {
+        type: 'contraindication',
+        condition: 'chronic kidney disease',
+        message: 'ibuprofen with chronic kidney disease: Use with caution in kidney disease; adjust or avoid.',
+      },
+    ]);
+  });
+
+  it('warns about pregnancy, and only some drugs while breastfeeding', () => {
+    expect(checkPatientSafety('Lisinopril', { pregnancyStatus: 'pregnant' }).warnings).toEqual([
+      { type: 'pregnancy', condition: 'pregnant', message: 'lisinopril: Contraindicated in pregnancy (fetal kidney toxicity).' },
+    ]);
+    expect(checkPatientSafety('Lisinopril', { pregnancyStatus: 'breastfeeding' }).warnings).toEqual([]);
+    expect(checkPatientSafety('Atorvastatin', { pregnancyStatus: 'breastfeeding' }).warnings).toHaveLength(1);
+    expect(checkPatientSafety('Atorvastatin', { pregnancyStatus: 'not-pregnant' }).warnings).toEqual([]);
+  });
+
+  it('suggests a dose check for low body weight', () => {
+    expect(checkPatientSafety('Amoxicillin', { weightKg: 32 }).warnings).toEqual([
+      { type: 'weight', condition: '32 kg', message: 'Patient weighs 32 kg; check weight-based dosing.' },
+    ]);
+  });
+});
+
+describe('formatHealthSummary', () => {
+  it('summarizes the profile on one line', () => {
+    expect(formatHealthSummary({ allergies: 'penicillin', chronicConditions: 'asthma', pregnancyStatus: 'pregnant', weightKg: 52 })).toBe(
+      'Allergies: penicillin · Conditions: asthma · Pregnant · 52 kg'
+    );
+    expect(formatHealthSummary({})).toBe('Allergies: none recorded');
+  });
+});
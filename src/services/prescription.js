@@ -0,0 +1,522 @@
+// Structured prescription model shared by the chat components and the API routes.
+// A prescription is stored as a plain object on the chat message and in
+// doctor_patient_records, so everything here must stay free of browser/Node APIs.
+
+const FREQUENCIES = {
+  QD: { label: 'Once daily', times: ['08:00'] },
+  BID: { label: 'Twice daily', times: ['08:00', '20:00'] },
+  TID: { label: 'Three times daily', times: ['08:00', '14:00', '20:00'] },
+  QID: { label: 'Four times daily', times: ['08:00', '12:00', '16:00', '20:00'] },
+  Q4H: { label: 'Every 4 hours', times: ['06:00', '10:00', '14:00', '18:00', '22:00'] },
+  Q6H: { label: 'Every 6 hours', times: ['00:00', '06:00', '12:00', '18:00'] },
+  Q8H: { label: 'Every 8 hours', times: ['06:00', '14:00', '22:00'] },
+  Q12H: { label: 'Every 12 hours', times: ['08:00', '20:00'] },
+  QHS: { label: 'At bedtime', times: ['21:00'] },
+  ROUTINE: { label: 'Around daily routine', times: [] },
+  CUSTOM: { label: 'At set times', times: [] },
+};
+
+// The parts of a patient's day that ROUTINE doses are timed from, in the order they happen.
+// Patients set their own (patients/{patientId}.routine, see patientRoutine.js); these stand in
+// until they do.
+const ROUTINE_SLOTS = [
+  { key: 'wake', label: 'Wake up' },
+  { key: 'breakfast', label: 'Breakfast' },
+  { key: 'lunch', label: 'Lunch' },
+  { key: 'dinner', label: 'Dinner' },
+  { key: 'bed', label: 'Bedtime' },
+];
+
+const DEFAULT_ROUTINE = { wake: '07:00', breakfast: '08:00', lunch: '13:00', dinner: '20:00', bed: '22:00' };
+
+// Dose timings relative to the routine; a dose before or after a meal is taken half an hour from it
+const DOSE_TIMINGS = {
+  'on-waking': { label: 'On waking', slot: 'wake', offsetMinutes: 0 },
+  'before-breakfast': { label: 'Before breakfast', slot: 'breakfast', offsetMinutes: -30 },
+  'after-breakfast': { label: 'After breakfast', slot: 'breakfast', offsetMinutes: 30 },
+  'before-lunch': { label: 'Before lunch', slot: 'lunch', offsetMinutes: -30 },
+  'after-lunch': { label: 'After lunch', slot: 'lunch', offsetMinutes: 30 },
+  'before-dinner': { label: 'Before dinner', slot: 'dinner', offsetMinutes: -30 },
+  'after-dinner': { label: 'After dinner', slot: 'dinner', offsetMinutes: 30 },
+  bedtime: { label: 'At bedtime', slot: 'bed', offsetMinutes: 0 },
+};
+
+const ROUTES = ['oral', 'sublingual', 'topical', 'inhaled', 'nasal', 'ophthalmic', 'otic', 'rectal', 'transdermal', 'subcutaneous', 'intramuscular', 'intravenous'];
+
+const UNITS = ['mg', 'mcg', 'g', 'ml', 'IU', 'units', 'drops', 'puffs', 'tablet', 'capsule'];
+
+// Free-text phrases doctors used before the structured form, mapped to frequency codes.
+const FREQUENCY_PHRASES = [
+  [/^(once|one time)( a| per)? day$|^once daily$|^daily$|^od$|^qd$/, 'QD'],
+  [/^(twice|two times)( a| per)? day$|^twice daily$|^bd$|^bid$/, 'BID'],
+  [/^(thrice|three times)( a| per)? day$|^thrice daily$|^three times daily$|^tds$|^tid$/, 'TID'],
+  [/^four times( a| per)? day$|^four times daily$|^qds$|^qid$/, 'QID'],
+  [/^(every|q) ?4 ?(hours|hrs|h)$|^q4h$/, 'Q4H'],
+  [/^(every|q) ?6 ?(hours|hrs|h)$|^q6h$/, 'Q6H'],
+  [/^(every|q) ?8 ?(hours|hrs|h)$|^q8h$/, 'Q8H'],
+  [/^(every|q) ?12 ?(hours|hrs|h)$|^q12h$/, 'Q12H'],
+  [/^(at )?night$|^hs$|^qhs$/, 'QHS'],
+];
+
+// Phrases for DOSE_TIMINGS, matched one at a time in "after breakfast and at bedtime"
+const TIMING_PHRASES = [
+  [/^(on waking|on waking up|when you wake up|first thing in the morning)$/, 'on-waking'],
+  [/^(before|empty stomach before) (breakfast)$|^ac breakfast$/, 'before-breakfast'],
+  [/^after breakfast$|^pc breakfast$/, 'after-breakfast'],
+  [/^before lunch$/, 'before-lunch'],
+  [/^after lunch$/, 'after-lunch'],
+  [/^before (dinner|supper)$/, 'before-dinner'],
+  [/^after (dinner|supper)$/, 'after-dinner'],
+  [/^(at )?bed ?time$|^before (bed|sleep)$/, 'bedtime'],
+];
+
+const CLOCK_TIME = /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i;
+
+/**
+ * Converts a clock time such as "8:00 AM", "18.30" or "20:00" to 24-hour "HH:mm".
+ * @param {string} value - The time as typed by a doctor.
+ * @returns {string|null} The normalized time, or null when it cannot be parsed.
+ */
+const toClockTime = (value) => {
+  const match = String(value || '').trim().match(CLOCK_TIME);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  const period = match[3]?.toLowerCase();
+  if (period === 'pm' && hours !== 12) hours += 12;
+  if (period === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const orderTimings = (timings) => Object.keys(DOSE_TIMINGS).filter((timing) => timings.includes(timing));
+
+/**
+ * The clock times of routine-relative doses for a patient's day. Times that would fall outside
+ * the day are kept at its edges, so a dose never moves to another date.
+ * @param {string[]} timings - Keys of DOSE_TIMINGS.
+ * @param {Object} [routine] - "HH:mm" per ROUTINE_SLOTS key; DEFAULT_ROUTINE fills any gaps.
+ * @returns {string[]} Distinct "HH:mm" times in order.
+ */
+const resolveDoseTimes = (timings, routine = DEFAULT_ROUTINE) => {
+  const times = orderTimings(timings || []).map((timing) => {
+    const { slot, offsetMinutes } = DOSE_TIMINGS[timing];
+    const slotTime = toClockTime(routine?.[slot]) || DEFAULT_ROUTINE[slot];
+    const minute = Math.min(Math.max(toMinutes(slotTime) + offsetMinutes, 0), 24 * 60 - 1);
+    return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+  });
+  return [...new Set(times)].sort();
+};
+
+// "After breakfast and at bedtime" for the given timings
+const describeTimings = (timings) =>
+  orderTimings(timings)
+    .map((timing, index) => (index === 0 ? DOSE_TIMINGS[timing].label : DOSE_TIMINGS[timing].label.toLowerCase()))
+    .join(' and ');
+
+/**
+ * Interprets a frequency given either as a code (BID, q8h), a phrase ("twice daily",
+ * "every 8 hours", "as needed"), routine timings ("after breakfast and at bedtime") or explicit
+ * times ("08:00 AM and 06:00 PM").
+ * @param {string} value - The frequency to interpret.
+ * @returns {{frequency: string, times: string[], timings: string[], prn: boolean}|null} The parsed
+ *   frequency, or null if unrecognized. Routine timings come with their times on DEFAULT_ROUTINE.
+ */
+const parseFrequency = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  let text = value.trim().toLowerCase().replace(/\s+/g, ' ');
+  let prn = false;
+
+  if (/\b(as needed|as required|when required|prn|sos)\b/.test(text)) {
+    prn = true;
+    text = text.replace(/\b(as needed|as required|when required|prn|sos)\b/, '').replace(/[,\s]+$/, '').trim();
+    if (!text) return { frequency: 'CUSTOM', times: [], timings: [], prn };
+  }
+
+  const code = text.toUpperCase();
+  if (FREQUENCIES[code] && code !== 'CUSTOM' && code !== 'ROUTINE') {
+    return { frequency: code, times: [...FREQUENCIES[code].times], timings: [], prn };
+  }
+
+  const phrase = FREQUENCY_PHRASES.find(([pattern]) => pattern.test(text));
+  if (phrase) {
+    return { frequency: phrase[1], times: [...FREQUENCIES[phrase[1]].times], timings: [], prn };
+  }
+
+  const timings = text
+    .split(/\s*(?:,|\band\b|&|\/)\s*/)
+    .filter(Boolean)
+    .map((part) => TIMING_PHRASES.find(([pattern]) => pattern.test(part))?.[1]);
+  if (timings.length > 0 && timings.every(Boolean)) {
+    return { frequency: 'ROUTINE', times: resolveDoseTimes(timings), timings: orderTimings(timings), prn };
+  }
+
+  const times = text
+    .split(/\s*(?:,|and|&|\/)\s*/)
+    .filter(Boolean)
+    .map(toClockTime);
+  if (times.length > 0 && times.every(Boolean)) {
+    return { frequency: 'CUSTOM', times: [...new Set(times)].sort(), timings: [], prn };
+  }
+
+  return null;
+};
+
+/**
+ * Converts any prescription shape the app has stored over time into the structured model:
+ * the structured object itself, the legacy { medicine, dosage, frequency, duration } object,
+ * or the legacy "Medicine, 500mg, 08:00 AM and 06:00 PM, 5 days" string.
+ * @param {Object|string} input - The prescription to normalize.
+ * @returns {Object|null} The structured prescription, or null if the input is empty.
+ */
+const normalizePrescription = (input) => {
+  if (!input) return null;
+
+  let source = input;
+  if (typeof input === 'string') {
+    const [medicine = '', dosage = '', ...rest] = input.split(',').map((part) => part.trim());
+    const durationPart = rest.length > 1 ? rest.pop() : '';
+    source = { medicine, dosage, frequency: rest.join(', '), duration: durationPart };
+  }
+  if (typeof source !== 'object') return null;
+
+  // Already structured: only fill in defaults.
+  if (source.drug !== undefined) {
+    const frequency = FREQUENCIES[source.frequency] ? source.frequency : 'CUSTOM';
+    const timings = frequency === 'ROUTINE' && Array.isArray(source.timings) ? orderTimings(source.timings) : [];
+    return {
+      drug: String(source.drug || '').trim(),
+      strength: source.strength !== undefined && source.strength !== '' ? String(source.strength).trim() : '',
+      unit: source.unit || 'mg',
+      route: source.route || 'oral',
+      frequency,
+      // Routine doses are shown on DEFAULT_ROUTINE until scheduled against the patient's own
+      times: frequency === 'ROUTINE'
+        ? resolveDoseTimes(timings)
+        : Array.isArray(source.times) && source.times.length > 0
+          ? source.times.map(toClockTime).filter(Boolean)
+          : [...FREQUENCIES[frequency].times],
+      timings,
+      prn: Boolean(source.prn),
+      withFood: Boolean(source.withFood),
+      startDate: source.startDate || null,
+      durationDays: parseInt(source.durationDays, 10) || 0,
+      taper: Array.isArray(source.taper)
+        ? source.taper.map((step) => ({
+          strength: step.strength !== undefined ? String(step.strength).trim() : '',
+          frequency: FREQUENCIES[step.frequency] ? step.frequency : frequency,
+          durationDays: parseInt(step.durationDays, 10) || 0,
+        }))
+        : [],
+    };
+  }
+
+  const dosageMatch = String(source.dosage || '').trim().match(/^([\d.]+)\s*([a-zA-Z]*)$/);
+  const parsedFrequency = parseFrequency(String(source.frequency || '')) || { frequency: 'CUSTOM', times: [], timings: [], prn: false };
+  return {
+    drug: String(source.medicine || '').trim(),
+    strength: dosageMatch ? dosageMatch[1] : String(source.dosage || '').trim(),
+    unit: dosageMatch && dosageMatch[2] ? dosageMatch[2] : 'mg',
+    route: 'oral',
+    frequency: parsedFrequency.frequency,
+    times: parsedFrequency.times,
+    timings: parsedFrequency.timings,
+    prn: parsedFrequency.prn,
+    withFood: false,
+    startDate: null,
+    durationDays: parseInt(String(source.duration || '').replace(/[^\d]/g, ''), 10) || 0,
+    taper: [],
+  };
+};
+
+/**
+ * Checks a prescription for the fields needed to send it and build reminders.
+ * @param {Object|string} input - The prescription to validate.
+ * @returns {string[]} Human-readable problems; empty when the prescription is complete.
+ */
+const validatePrescriptionFields = (input) => {
+  const prescription = normalizePrescription(input);
+  if (!prescription) return ['Prescription is missing.'];
+
+  const errors = [];
+  if (!prescription.drug) errors.push('Drug name is required.');
+  if (!prescription.strength || isNaN(Number(prescription.strength)) || Number(prescription.strength) <= 0) {
+    errors.push('Strength must be a positive number.');
+  }
+  if (!UNITS.includes(prescription.unit)) errors.push(`Unit must be one of: ${UNITS.join(', ')}.`);
+  if (!ROUTES.includes(prescription.route)) errors.push(`Route must be one of: ${ROUTES.join(', ')}.`);
+  if (!prescription.prn && prescription.frequency === 'ROUTINE' && prescription.timings.length === 0) {
+    errors.push('Choose when in the day each dose is taken.');
+  } else if (!prescription.prn && prescription.times.length === 0) {
+    errors.push('Frequency or dose times are required.');
+  }
+  if (prescription.durationDays <= 0) errors.push('Duration must be at least one day.');
+  if (prescription.startDate && !/^\d{4}-\d{2}-\d{2}$/.test(prescription.startDate)) {
+    errors.push('Start date must be in YYYY-MM-DD format.');
+  }
+  prescription.taper.forEach((step, index) => {
+    if (!step.strength || isNaN(Number(step.strength)) || Number(step.strength) <= 0 || step.durationDays <= 0) {
+      errors.push(`Taper step ${index + 1} needs a positive strength and duration.`);
+    }
+    if (FREQUENCIES[step.frequency].times.length === 0 && step.frequency !== prescription.frequency) {
+      errors.push(`Taper step ${index + 1} can only use "${FREQUENCIES[step.frequency].label}" when the course does too.`);
+    }
+  });
+  return errors;
+};
+
+const formatTime12h = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${period}`;
+};
+
+/**
+ * Formats a prescription as a single English line for display, notifications and translation.
+ * @param {Object|string} input - The prescription to format.
+ * @returns {string} e.g. "Paracetamol 500 mg oral, Twice daily (8:00 AM, 8:00 PM), with food, for 5 days".
+ */
+const formatPrescription = (input) => {
+  const prescription = normalizePrescription(input);
+  if (!prescription) return '';
+
+  let frequencyText;
+  if (prescription.frequency === 'CUSTOM') {
+    frequencyText = prescription.times.length > 0 ? `at ${prescription.times.map(formatTime12h).join(' and ')}` : '';
+  } else if (prescription.frequency === 'ROUTINE') {
+    frequencyText = describeTimings(prescription.timings);
+  } else {
+    frequencyText = `${FREQUENCIES[prescription.frequency].label} (${prescription.times.map(formatTime12h).join(', ')})`;
+  }
+  const parts = [
+    `${prescription.drug} ${prescription.strength} ${prescription.unit} ${prescription.route}`.replace(/\s+/g, ' ').trim(),
+    frequencyText,
+    prescription.prn ? 'as needed' : '',
+    prescription.withFood ? 'with food' : '',
+    prescription.durationDays ? `for ${prescription.durationDays} day${prescription.durationDays === 1 ? '' : 's'}` : '',
+    prescription.startDate ? `starting ${prescription.startDate}` : '',
+  ];
+  const taperText = prescription.taper
+    .map((step) => {
+      const schedule = step.frequency === 'ROUTINE' ? describeTimings(prescription.timings) : FREQUENCIES[step.frequency].label;
+      return `then ${step.strength} ${prescription.unit} ${schedule.toLowerCase()} for ${step.durationDays} days`;
+    })
+    .join(', ');
+
+  return [...parts, taperText].filter(Boolean).join(', ');
+};
+
+/**
+ * Calendar fields of an instant in the given IANA time zone, or in the runtime's zone when none is given.
+ * @param {Date} date - The instant.
+ * @param {string} [timeZone] - IANA time zone, e.g. "Asia/Kolkata".
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} Month is 1-based.
+ */
+const getCalendarParts = (date, timeZone) => {
+  if (!timeZone) {
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes() };
+  }
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(date);
+  const field = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: field('year'), month: field('month'), day: field('day'), hour: field('hour'), minute: field('minute') };
+};
+
+/**
+ * The instant a wall-clock time occurs in the given zone (the runtime's zone when none is given).
+ * @param {{year: number, month: number, day: number}} date - Calendar day, month 1-based.
+ * @param {number} hour - Hour, 0-23.
+ * @param {number} minute - Minute, 0-59.
+ * @param {string} [timeZone] - IANA time zone, e.g. "Asia/Kolkata".
+ * @returns {Date}
+ */
+const zonedTime = ({ year, month, day }, hour, minute, timeZone) => {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const local = getCalendarParts(new Date(instant), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - instant;
+  };
+  // A second pass settles times next to a daylight-saving change
+  const firstGuess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(firstGuess));
+};
+
+// Calendar arithmetic on {year, month, day}, independent of any zone
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const formatDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Formats a Date as a "YYYY-MM-DD" key in the given time zone (local time when omitted).
+ * toISOString() would shift the day for timezones ahead of UTC, so calendar fields are used instead.
+ * @param {Date} date - The date to format.
+ * @param {string} [timeZone] - IANA time zone, e.g. "Asia/Kolkata".
+ * @returns {string} The date key.
+ */
+const toDateKey = (date, timeZone) => formatDateKey(getCalendarParts(date, timeZone));
+
+// First calendar day of the course: startDate, or the day after issuance
+const getCourseStartDate = (prescription, issuanceTimestamp, timeZone) => {
+  if (prescription.startDate) {
+    const [year, month, day] = prescription.startDate.split('-').map(Number);
+    return [year, month, day].some(isNaN) ? null : { year, month, day };
+  }
+  const issued = new Date(issuanceTimestamp);
+  if (isNaN(issued.getTime())) return null;
+  return addDays(getCalendarParts(issued, timeZone), 1);
+};
+
+const totalCourseDays = (prescription) =>
+  [prescription, ...prescription.taper].reduce((sum, step) => sum + (Number(step.durationDays) || 0), 0);
+
+/**
+ * Returns the course window of a prescription, taper steps included. PRN prescriptions
+ * cover durationDays from the start as well.
+ * @param {Object|string} input - The prescription.
+ * @param {string|Date} issuanceTimestamp - When the prescription was issued.
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - The patient's IANA time zone; the runtime's zone when omitted.
+ * @returns {{start: Date, end: Date}|null} Start (inclusive) and end (exclusive) at midnight, or null if unknown.
+ */
+const getCourseWindow = (input, issuanceTimestamp, { timeZone } = {}) => {
+  const prescription = normalizePrescription(input);
+  if (!prescription || !prescription.drug) return null;
+  const startDate = getCourseStartDate(prescription, issuanceTimestamp, timeZone);
+  if (!startDate) return null;
+
+  return {
+    start: zonedTime(startDate, 0, 0, timeZone),
+    end: zonedTime(addDays(startDate, totalCourseDays(prescription)), 0, 0, timeZone),
+  };
+};
+
+/**
+ * Whether a prescription is still being taken (or has not started yet) at the given time.
+ * @param {Object|string} input - The prescription.
+ * @param {string|Date} issuanceTimestamp - When the prescription was issued.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Defaults to the current time.
+ * @param {string} [options.timeZone] - The patient's IANA time zone.
+ * @returns {boolean}
+ */
+const isPrescriptionActive = (input, issuanceTimestamp, { now = new Date(), timeZone } = {}) => {
+  const course = getCourseWindow(input, issuanceTimestamp, { timeZone });
+  return !!course && course.end > now;
+};
+
+/**
+ * Expands a prescription into individual doses. The course starts on the prescription's
+ * startDate, or the day after issuance when none is given; taper steps follow the main course.
+ * PRN prescriptions have no fixed schedule and produce no doses.
+ * @param {Object|string} input - The prescription to expand.
+ * @param {string|Date} issuanceTimestamp - When the prescription was issued.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Doses at or before this instant are skipped; defaults to the current time.
+ * @param {string} [options.timeZone] - IANA zone the dose times are meant in; the runtime's zone when omitted.
+ *   Servers must pass it, since they usually run in UTC.
+ * @param {Object} [options.routine] - The patient's routine, which ROUTINE doses are timed from.
+ * @returns {Array<{medicine: string, dosage: string, scheduledTime: string, dateKey: string, time: string}>} The doses in order;
+ *   reminders get their IDs from getReminderId in reminders.js.
+ */
+const generateDoseSchedule = (input, issuanceTimestamp, { now = new Date(), timeZone, routine } = {}) => {
+  const prescription = normalizePrescription(input);
+  if (!prescription || prescription.prn || !prescription.drug) return [];
+
+  const startDate = getCourseStartDate(prescription, issuanceTimestamp, timeZone);
+  if (!startDate) return [];
+
+  const times = prescription.frequency === 'ROUTINE' ? resolveDoseTimes(prescription.timings, routine) : prescription.times;
+  const steps = [
+    { strength: prescription.strength, times, durationDays: prescription.durationDays },
+    ...prescription.taper.map((step) => ({
+      strength: step.strength,
+      times: step.frequency === prescription.frequency ? times : FREQUENCIES[step.frequency].times,
+      durationDays: step.durationDays,
+    })),
+  ];
+
+  const doses = [];
+  let dayOffset = 0;
+  steps.forEach((step) => {
+    for (let i = 0; i < step.durationDays; i++, dayOffset++) {
+      const day = addDays(startDate, dayOffset);
+      const dateKey = formatDateKey(day);
+
+      step.times.forEach((time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        const scheduled = zonedTime(day, hours, minutes, timeZone);
+        if (scheduled <= now) return;
+
+        doses.push({
+          medicine: prescription.drug,
+          dosage: `${step.strength}${prescription.unit}`,
+          scheduledTime: scheduled.toISOString(),
+          dateKey,
+          time,
+        });
+      });
+    }
+  });
+
+  return doses;
+};
+
+/**
+ * Returns an empty prescription for the doctor's form.
+ * @returns {Object} A structured prescription with default values.
+ */
+const emptyPrescription = () => ({
+  drug: '',
+  strength: '',
+  unit: 'mg',
+  route: 'oral',
+  frequency: 'BID',
+  times: [...FREQUENCIES.BID.times],
+  timings: [],
+  prn: false,
+  withFood: false,
+  startDate: '',
+  durationDays: '',
+  taper: [],
+});
+
+export {
+  FREQUENCIES,
+  ROUTINE_SLOTS,
+  DEFAULT_ROUTINE,
+  DOSE_TIMINGS,
+  ROUTES,
+  UNITS,
+  toClockTime,
+  parseFrequency,
+  resolveDoseTimes,
+  describeTimings,
+  normalizePrescription,
+  validatePrescriptionFields,
+  formatPrescription,
+  generateDoseSchedule,
+  getCourseWindow,
+  isPrescriptionActive,
+  emptyPrescription,
+  toDateKey,
+  getCalendarParts,
+  zonedTime,
+  addDays,
+};
@@ -0,0 +1,259 @@
+import {
+  parseFrequency,
+  toClockTime,
+  resolveDoseTimes,
+  normalizePrescription,
+  validatePrescriptionFields,
+  formatPrescription,
+  generateDoseSchedule,
+  getCourseWindow,
+  isPrescriptionActive,
+} from './prescription.js';
+
+const amoxicillin = {
+  drug: 'Amoxicillin',
+  strength: '500',
+  unit: 'mg',
+  route: 'oral',
+  frequency: 'BID',
+  durationDays: 2,
+};
+
+describe('toClockTime', () => {
+  it('reads 12- and 24-hour times', () => {
+    expect(toClockTime('8:00 AM')).toBe('08:00');
+    expect(toClockTime('12 am')).toBe('00:00');
+    expect(toClockTime('12:30 PM')).toBe('12:30');
+    expect(toClockTime('18.30')).toBe('18:30');
+  });
+
+  it('rejects times that do not exist', () => {
+    expect(toClockTime('24:00')).toBeNull();
+    expect(toClockTime('7:60')).toBeNull();
+    expect(toClockTime('noon')).toBeNull();
+  });
+});
+
+describe('parseFrequency', () => {
+  it('reads codes and phrases', () => {
+    expect(parseFrequency('BID')).toEqual({ frequency: 'BID', times: ['08:00', '20:00'], timings: [], prn: false });
+    expect(parseFrequency('q8h').frequency).toBe('Q8H');
+    expect(parseFrequency('every 6 hours').frequency).toBe('Q6H');
+    expect(parseFrequency('Three times a day').frequency).toBe('TID');
+    expect(parseFrequency('at night').frequency).toBe('QHS');
+  });
+
+  it('marks as-needed doses', () => {
+    expect(parseFrequency('as needed')).toEqual({ frequency: 'CUSTOM', times: [], timings: [], prn: true });
+    expect(parseFrequency('twice daily as needed')).toMatchObject({ frequency: 'BID', prn: true });
+  });
+
+  it('reads routine timings in day order', () => {
+    expect(parseFrequency('at bedtime and after breakfast')).toEqual({
+      frequency: 'ROUTINE',
+      times: ['08:30', '22:00'],
+      timings: ['after-breakfast', 'bedtime'],
+      prn: false,
+    });
+  });
+
+  it('reads explicit times, sorted and without repeats', () => {
+    expect(parseFrequency('06:00 PM and 08:00 AM, 18:00')).toEqual({
+      frequency: 'CUSTOM',
+      times: ['08:00', '18:00'],
+      timings: [],
+      prn: false,
+    });
+  });
+
+  it('returns null for text it does not understand', () => {
+    expect(parseFrequency('whenever')).toBeNull();
+    expect(parseFrequency('')).toBeNull();
+  });
+});
+
+describe('resolveDoseTimes', () => {
+  it('times doses from the patient routine', () => {
+    expect(resolveDoseTimes(['before-breakfast', 'after-dinner'], { breakfast: '09:00', dinner: '19:30' })).toEqual(['08:30', '20:00']);
+  });
+
+  it('keeps doses inside the day', () => {
+    expect(resolveDoseTimes(['before-breakfast'], { breakfast: '00:10' })).toEqual(['00:00']);
+    expect(resolveDoseTimes(['after-dinner'], { dinner: '23:50' })).toEqual(['23:59']);
+  });
+});
+
+describe('normalizePrescription', () => {
+  it('reads the legacy string form', () => {
+    expect(normalizePrescription('Paracetamol, 500mg, 08:00 AM and 06:00 PM, 5 days')).toMatchObject({
+      drug: 'Paracetamol',
+      strength: '500',
+      unit: 'mg',
+      frequency: 'CUSTOM',
+      times: ['08:00', '18:00'],
+      durationDays: 5,
+    });
+  });
+
+  it('reads the legacy object form', () => {
+    expect(normalizePrescription({ medicine: 'Metformin', dosage: '500 mg', frequency: 'twice daily', duration: '30 days' })).toMatchObject({
+      drug: 'Metformin',
+      strength: '500',
+      frequency: 'BID',
+      times: ['08:00', '20:00'],
+      durationDays: 30,
+    });
+  });
+
+  it('fills in defaults on a structured prescription', () => {
+    expect(normalizePrescription({ drug: ' Amoxicillin ', strength: 500, frequency: 'TID', durationDays: '7' })).toMatchObject({
+      drug: 'Amoxicillin',
+      strength: '500',
+      unit: 'mg',
+      route: 'oral',
+      times: ['08:00', '14:00', '20:00'],
+      durationDays: 7,
+      taper: [],
+    });
+  });
+
+  it('returns null for nothing', () => {
+    expect(normalizePrescription(null)).toBeNull();
+    expect(normalizePrescription('')).toBeNull();
+  });
+});
+
+describe('validatePrescriptionFields', () => {
+  it('accepts a complete prescription', () => {
+    expect(validatePrescriptionFields(amoxicillin)).toEqual([]);
+  });
+
+  it('lists every missing field', () => {
+    expect(validatePrescriptionFields({ drug: '', strength: '0', frequency: 'CUSTOM', durationDays: 0 })).toEqual([
+      'Drug name is required.',
+      'Strength must be a positive number.',
+      'Frequency or dose times are required.',
+      'Duration must be at least one day.',
+    ]);
+  });
+
+  it('needs timings for routine doses', () => {
+    expect(validatePrescriptionFields({ ...amoxicillin, frequency: 'ROUTINE', timings: [] })).toEqual([
+      'Choose when in the day each dose is taken.',
+    ]);
+  });
+
+  it('does not need times for as-needed doses', () => {
+    expect(validatePrescriptionFields({ ...amoxicillin, frequency: 'CUSTOM', times: [], prn: true })).toEqual([]);
+  });
+});
+
+describe('formatPrescription', () => {
+  it('writes one line', () => {
+    expect(formatPrescription({ ...amoxicillin, withFood: true, durationDays: 5 })).toBe(
+      'Amoxicillin 500 mg oral, Twice daily (8:00 AM, 8:00 PM), with food, for 5 days'
+    );
+  });
+
+  it('describes routine timings and tapers', () => {
+    expect(
+      formatPrescription({
+        drug: 'Prednisolone',
+        strength: '40',
+        frequency: 'ROUTINE',
+        timings: ['after-breakfast'],
+        durationDays: 3,
+        taper: [{ strength: '20', frequency: 'ROUTINE', durationDays: 3 }],
+      })
+    ).toBe('Prednisolone 40 mg oral, After breakfast, for 3 days, then 20 mg after breakfast for 3 days');
+  });
+});
+
+describe('generateDoseSchedule', () => {
+  const issued = '2026-10-01T10:00:00.000Z';
+  const before = { now: new Date('2026-01-01T00:00:00.000Z') };
+
+  it('starts the day after issuance, in the patient time zone', () => {
+    const doses = generateDoseSchedule(amoxicillin, issued, { ...before, timeZone: 'Asia/Kolkata' });
+    expect(doses.map((dose) => [dose.dateKey, dose.time, dose.scheduledTime])).toEqual([
+      ['2026-10-02', '08:00', '2026-10-02T02:30:00.000Z'],
+      ['2026-10-02', '20:00', '2026-10-02T14:30:00.000Z'],
+      ['2026-10-03', '08:00', '2026-10-03T02:30:00.000Z'],
+      ['2026-10-03', '20:00', '2026-10-03T14:30:00.000Z'],
+    ]);
+    expect(doses[0]).toMatchObject({ medicine: 'Amoxicillin', dosage: '500mg' });
+  });
+
+  it('gives the same wall-clock times in another zone', () => {
+    const doses = generateDoseSchedule(amoxicillin, issued, { ...before, timeZone: 'America/New_York' });
+    expect(doses.map((dose) => dose.scheduledTime)).toEqual([
+      '2026-10-02T12:00:00.000Z',
+      '2026-10-03T00:00:00.000Z',
+      '2026-10-03T12:00:00.000Z',
+      '2026-10-04T00:00:00.000Z',
+    ]);
+  });
+
+  it('uses the issuing day of the patient zone, not of UTC', () => {
+    // 20:00 UTC on 1 October is already 2 October in Kolkata
+    const doses = generateDoseSchedule({ ...amoxicillin, durationDays: 1 }, '2026-10-01T20:00:00.000Z', { ...before, timeZone: 'Asia/Kolkata' });
+    expect(doses.map((dose) => dose.dateKey)).toEqual(['2026-10-03', '2026-10-03']);
+  });
+
+  it('keeps wall-clock times across a daylight-saving change', () => {
+    const doses = generateDoseSchedule({ ...amoxicillin, frequency: 'QD', startDate: '2026-03-07' }, issued, {
+      ...before,
+      timeZone: 'America/New_York',
+    });
+    expect(doses.map((dose) => dose.scheduledTime)).toEqual(['2026-03-07T13:00:00.000Z', '2026-03-08T12:00:00.000Z']);
+  });
+
+  it('follows the course with its taper steps', () => {
+    const doses = generateDoseSchedule(
+      { ...amoxicillin, frequency: 'QD', durationDays: 1, startDate: '2026-10-05', taper: [{ strength: '250', frequency: 'QD', durationDays: 1 }] },
+      issued,
+      { ...before, timeZone: 'UTC' }
+    );
+    expect(doses.map((dose) => [dose.dateKey, dose.dosage])).toEqual([
+      ['2026-10-05', '500mg'],
+      ['2026-10-06', '250mg'],
+    ]);
+  });
+
+  it('times routine doses from the patient routine', () => {
+    const doses = generateDoseSchedule(
+      { ...amoxicillin, frequency: 'ROUTINE', timings: ['after-breakfast', 'bedtime'], durationDays: 1 },
+      issued,
+      { ...before, timeZone: 'UTC', routine: { breakfast: '09:00', bed: '23:00' } }
+    );
+    expect(doses.map((dose) => dose.time)).toEqual(['09:30', '23:00']);
+  });
+
+  it('skips doses that are already past', () => {
+    const doses = generateDoseSchedule(amoxicillin, issued, { now: new Date('2026-10-02T12:00:00.000Z'), timeZone: 'UTC' });
+    expect(doses.map((dose) => dose.scheduledTime)).toEqual([
+      '2026-10-02T20:00:00.000Z',
+      '2026-10-03T08:00:00.000Z',
+      '2026-10-03T20:00:00.000Z',
+    ]);
+  });
+
+  it('schedules nothing for as-needed prescriptions', () => {
+    expect(generateDoseSchedule({ ...amoxicillin, prn: true }, issued, before)).toEqual([]);
+  });
+});
+
+describe('getCourseWindow and isPrescriptionActive', () => {
+  const issued = '2026-10-01T10:00:00.000Z';
+
+  it('covers the course and its taper', () => {
+    const window = getCourseWindow({ ...amoxicillin, taper: [{ strength: '250', durationDays: 1 }] }, issued, { timeZone: 'UTC' });
+    expect(window).toEqual({ start: new Date('2026-10-02T00:00:00.000Z'), end: new Date('2026-10-05T00:00:00.000Z') });
+  });
+
+  it('is active until the course ends', () => {
+    expect(isPrescriptionActive(amoxicillin, issued, { now: new Date('2026-10-01T12:00:00.000Z'), timeZone: 'UTC' })).toBe(true);
+    expect(isPrescriptionActive(amoxicillin, issued, { now: new Date('2026-10-03T23:59:00.000Z'), timeZone: 'UTC' })).toBe(true);
+    expect(isPrescriptionActive(amoxicillin, issued, { now: new Date('2026-10-04T00:00:00.000Z'), timeZone: 'UTC' })).toBe(false);
+  });
+});
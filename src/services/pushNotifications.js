@@ -0,0 +1,86 @@
+// Registers the browser for pushes sent by api/reminders: medication reminders for patients,
+// missed-dose escalations for caregivers.
+import { getMessaging, getToken, isSupported, onMessage } from 'firebase/messaging';
+import app from './firebase.js';
+import { registerServiceWorker } from './serviceWorker.js';
+
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+// Asks for notification permission, gets an FCM token and posts it to the given endpoint
+async function registerPushToken(endpoint, body, userId, idToken) {
+  try {
+    if (!(await isSupported()) || !('serviceWorker' in navigator)) {
+      return { success: false, message: 'Push notifications are not supported in this browser.' };
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return { success: false, message: 'Notification permission denied. Alerts will only show in the app.' };
+    }
+
+    const registration = await registerServiceWorker();
+    if (!registration) {
+      return { success: false, message: 'Could not register the service worker for notifications.' };
+    }
+    const token = await getToken(getMessaging(app), {
+      vapidKey: process.env.REACT_APP_FIREBASE_VAPID_KEY,
+      serviceWorkerRegistration: registration,
+    });
+    if (!token) {
+      return { success: false, message: 'Could not get a push token.' };
+    }
+
+    const response = await fetch(`${apiBaseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`,
+        'x-user-uid': userId,
+      },
+      body: JSON.stringify({ ...body, token }),
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token registration failed: ${response.status} - ${errorText || response.statusText}`);
+    }
+
+    console.log(`pushNotifications.js: Registered for pushes via ${endpoint}`);
+    return { success: true };
+  } catch (error) {
+    console.error('pushNotifications.js: Error registering for pushes:', error.message);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Registers the patient's browser for medication reminder pushes.
+ * @param {string} patientId - The patient's ID.
+ * @param {string} userId - The patient's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const registerForReminderPush = (patientId, userId, idToken) =>
+  registerPushToken('/reminders/register-token', { patientId }, userId, idToken);
+
+/**
+ * Registers a caregiver's browser for missed-dose escalation pushes.
+ * @param {string} userId - The caregiver's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const registerForCaregiverPush = (userId, idToken) =>
+  registerPushToken('/caregivers/register-token', {}, userId, idToken);
+
+/**
+ * Calls back with pushes that arrive while the app is in the foreground, where the
+ * service worker does not show them.
+ * @param {Function} callback - Receives the FCM payload.
+ * @returns {Promise<Function>} Unsubscribe function.
+ */
+async function onReminderPush(callback) {
+  if (!(await isSupported())) return () => {};
+  return onMessage(getMessaging(app), callback);
+}
+
+export { registerForReminderPush, registerForCaregiverPush, onReminderPush };
@@ -0,0 +1,223 @@
+// Medication reminder documents (patients/{patientId}/reminders) and the rules the reminder
+// cron applies to them. Pure functions only; api/reminders owns the collection, and the patient
+// app confirms or snoozes doses through it, queueing those while offline (see offlineQueue.js).
+import { normalizePrescription, generateDoseSchedule } from './prescription.js';
+
+// Minutes after the scheduled time before an unconfirmed dose counts as missed
+const MISSED_GRACE_MINUTES = 60;
+
+const SNOOZE_MINUTES = 10;
+
+// How long before its scheduled time a caregiver may already confirm a dose
+const EARLY_CONFIRM_MINUTES = 15;
+
+// Zone dose times are meant in for patients who have not set their own (see patientRoutine.js)
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const OPEN_STATUSES = ['pending', 'snoozed'];
+
+// Reminder IDs: {doctorId}_{record time in ms}_{drug}_{date key}_{HH-mm} (see getReminderId)
+const REMINDER_ID_PATTERN = /^[A-Za-z0-9-]+_\d+_[a-z0-9-]+_(\d{4}-\d{2}-\d{2})_\d{2}-\d{2}$/;
+
+// Firestore document IDs may not contain "/"; drug names such as "amoxicillin/clavulanate" do
+const toIdPart = (value) => String(value).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'x';
+
+/**
+ * The document ID of one dose. It names the prescribing doctor and record, so the same drug
+ * prescribed twice, by one doctor or two, gets separate reminders.
+ * @param {string} doctorId
+ * @param {string} recordTimestamp - The doctor_patient_records entry's timestamp.
+ * @param {{medicine: string, dateKey: string, time: string}} dose - From generateDoseSchedule.
+ * @returns {string}
+ */
+const getReminderId = (doctorId, recordTimestamp, { medicine, dateKey, time }) =>
+  [toIdPart(doctorId), Date.parse(recordTimestamp), toIdPart(medicine).toLowerCase(), dateKey, time.replace(':', '-')].join('_');
+
+/**
+ * Builds the reminder documents for one prescription record. When doses are rescheduled, the
+ * record's reminders that stay (taken, skipped, missed or already due) count towards their day,
+ * so a dose moved to a later time is not taken twice.
+ * @param {Object} params
+ * @param {string} params.doctorId - The prescribing doctor.
+ * @param {string} params.patientId - The patient.
+ * @param {Object} params.record - The doctor_patient_records entry ({prescription, diagnosis, timestamp}).
+ * @param {string} [params.timeZone] - The patient's IANA time zone.
+ * @param {Object} [params.routine] - The patient's routine (see patientRoutine.js).
+ * @param {Date} [params.now] - Doses before this instant are skipped.
+ * @param {Array<{id: string}>} [params.kept] - The record's reminders that stay.
+ * @returns {Array<{id: string, data: Object}>} Reminder IDs and documents, in schedule order.
+ */
+const buildReminders = ({ doctorId, patientId, record, timeZone = DEFAULT_TIME_ZONE, routine, now = new Date(), kept = [] }) => {
+  const prescription = normalizePrescription(record.prescription);
+  if (!prescription) return [];
+
+  const keptPerDay = kept.reduce((counts, reminder) => {
+    const dateKey = reminder.id.match(REMINDER_ID_PATTERN)?.[1];
+    if (dateKey) counts[dateKey] = (counts[dateKey] || 0) + 1;
+    return counts;
+  }, {});
+  const allDoses = generateDoseSchedule(prescription, record.timestamp, { now: new Date(0), timeZone, routine });
+  const duePerDay = allDoses.reduce((counts, dose) => {
+    counts[dose.dateKey] = (counts[dose.dateKey] || 0) + 1;
+    return counts;
+  }, {});
+  Object.keys(keptPerDay).forEach((dateKey) => {
+    if (duePerDay[dateKey]) duePerDay[dateKey] -= keptPerDay[dateKey];
+  });
+  // A day with kept reminders only gets its latest doses, up to the day's total
+  const doses = allDoses
+    .filter((dose) => new Date(dose.scheduledTime) > now)
+    .reverse()
+    .filter((dose) => duePerDay[dose.dateKey]-- > 0)
+    .reverse();
+
+  const createdAt = now.toISOString();
+  return doses.map((dose) => ({
+    id: getReminderId(doctorId, record.timestamp, dose),
+    data: {
+      medicine: dose.medicine,
+      dosage: dose.dosage,
+      route: prescription.route,
+      withFood: prescription.withFood,
+      scheduledTime: dose.scheduledTime,
+      status: 'pending',
+      snoozeCount: 0,
+      notifiedAt: null,
+      createdAt,
+      patientId,
+      doctorId,
+      recordTimestamp: record.timestamp,
+      diagnosis: record.diagnosis || 'Not specified',
+      timeZone,
+    },
+  }));
+};
+
+/**
+ * Whether a pending or snoozed dose is past its grace window.
+ * @param {Object} reminder - The reminder document.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isPastGrace = (reminder, now = new Date()) =>
+  OPEN_STATUSES.includes(reminder.status) &&
+  new Date(reminder.scheduledTime).getTime() + MISSED_GRACE_MINUTES * 60 * 1000 <= now.getTime();
+
+/**
+ * Finds the latest run of consecutive missed doses (escalation policies decide what to do about it).
+ * @param {Array<Object>} reminders - Reminder documents with id, status and scheduledTime.
+ * @returns {{count: number, firstId: string|null}} The streak length and the ID of its first dose.
+ */
+const getMissedStreak = (reminders) => {
+  const settled = reminders
+    .filter((reminder) => !OPEN_STATUSES.includes(reminder.status))
+    .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
+
+  let count = 0;
+  let firstId = null;
+  settled.forEach((reminder) => {
+    if (reminder.status === 'missed') {
+      if (count === 0) firstId = reminder.id;
+      count++;
+    } else {
+      count = 0;
+      firstId = null;
+    }
+  });
+  return { count, firstId };
+};
+
+/**
+ * Text of the dose-time notification.
+ * @param {Object} reminder - The reminder document.
+ * @returns {{title: string, body: string}}
+ */
+const formatReminderNotification = (reminder) => ({
+  title: 'Medication Reminder',
+  body: `Time to take ${reminder.dosage} of ${reminder.medicine}${reminder.withFood ? ' with food' : ''}. Open the app to confirm or snooze.`,
+});
+
+// Why a queued confirm or snooze was dropped when it reached the server
+const REMINDER_CONFLICTS = {
+  deleted: 'The reminder no longer exists.',
+  taken: 'The dose had already been confirmed.',
+  missed: 'The dose was already marked as missed.',
+  rescheduled: 'The reminder had already been moved to another time.',
+};
+
+/**
+ * A patient's confirm or snooze of a dose, computed against the reminder as the patient saw it so
+ * it can be queued while offline and checked against the stored reminder later.
+ * @param {'taken'|'snoozed'} type
+ * @param {Object} reminder - The reminder as shown, with id.
+ * @param {Object} confirmedBy - Who confirms ({role, uid}); used for 'taken'.
+ * @param {Date} [now] - When the patient acted.
+ * @returns {{type: string, reminderId: string, baseline: Object, changes: Object, createdAt: string}}
+ */
+const buildReminderAction = (type, reminder, confirmedBy, now = new Date()) => ({
+  type,
+  reminderId: reminder.id,
+  baseline: { status: reminder.status, scheduledTime: reminder.scheduledTime },
+  changes:
+    type === 'taken'
+      ? { status: 'taken', confirmedAt: now.toISOString(), confirmedBy }
+      : {
+          status: 'snoozed',
+          snoozeCount: (reminder.snoozeCount || 0) + 1,
+          scheduledTime: new Date(new Date(reminder.scheduledTime).getTime() + SNOOZE_MINUTES * 60 * 1000).toISOString(),
+          notifiedAt: null,
+        },
+  createdAt: now.toISOString(),
+});
+
+/**
+ * Decides what a queued action does to the reminder as stored now. A confirmation still applies
+ * to a dose the cron has since marked missed, since the patient took it; a snooze only applies
+ * while the dose is open and still at the time the patient snoozed it from.
+ * @param {Object} action - From buildReminderAction.
+ * @param {Object|null} current - The stored reminder, or null if it is gone.
+ * @returns {{changes: Object}|{conflict: string}} The update to write, or a REMINDER_CONFLICTS key.
+ */
+const resolveReminderAction = (action, current) => {
+  if (!current) return { conflict: 'deleted' };
+  if (current.status === 'taken') return { conflict: 'taken' };
+  if (action.type === 'taken') return { changes: action.changes };
+  if (current.status === 'missed') return { conflict: 'missed' };
+  if (current.scheduledTime !== action.baseline.scheduledTime) return { conflict: 'rescheduled' };
+  return { changes: action.changes };
+};
+
+/**
+ * Shows queued actions on top of the reminders last read, oldest action first.
+ * @param {Array<Object>} reminders
+ * @param {Array<Object>} actions - From buildReminderAction.
+ * @returns {Array<Object>}
+ */
+const applyReminderActions = (reminders, actions) =>
+  actions.reduce(
+    (list, action) =>
+      list.map((reminder) =>
+        reminder.id === action.reminderId && !('conflict' in resolveReminderAction(action, reminder))
+          ? { ...reminder, ...action.changes, queued: true }
+          : reminder
+      ),
+    reminders
+  );
+
+export {
+  MISSED_GRACE_MINUTES,
+  SNOOZE_MINUTES,
+  EARLY_CONFIRM_MINUTES,
+  DEFAULT_TIME_ZONE,
+  OPEN_STATUSES,
+  REMINDER_CONFLICTS,
+  REMINDER_ID_PATTERN,
+  getReminderId,
+  buildReminders,
+  isPastGrace,
+  getMissedStreak,
+  formatReminderNotification,
+  buildReminderAction,
+  resolveReminderAction,
+  applyReminderActions,
+};
@@ -0,0 +1,196 @@
+import {
+  MISSED_GRACE_MINUTES,
+  REMINDER_ID_PATTERN,
+  getReminderId,
+  buildReminders,
+  isPastGrace,
+  getMissedStreak,
+  formatReminderNotification,
+  buildReminderAction,
+  resolveReminderAction,
+  applyReminderActions,
+} from './reminders.js';
+
+const recordTimestamp = '2026-10-01T10:00:00.000Z';
+const record = {
+  timestamp: recordTimestamp,
+  diagnosis: 'Pneumonia',
+  prescription: { drug: 'Amoxicillin/Clavulanate', strength: '625', frequency: 'BID', durationDays: 2, withFood: true },
+};
+const before = new Date('2026-01-01T00:00:00.000Z');
+
+describe('getReminderId', () => {
+  it('keeps combination drug names usable as document IDs', () => {
+    const id = getReminderId('doc-1', recordTimestamp, { medicine: 'Amoxicillin/Clavulanate', dateKey: '2026-10-02', time: '08:00' });
+    expect(id).toBe('doc-1_1790848800000_amoxicillin-clavulanate_2026-10-02_08-00');
+    expect(id).toMatch(REMINDER_ID_PATTERN);
+    expect(id).not.toContain('/');
+  });
+
+  it('cleans up other punctuation', () => {
+    const id = getReminderId('doc/1', recordTimestamp, { medicine: ' Sulfamethoxazole + Trimethoprim (DS) ', dateKey: '2026-10-02', time: '20:00' });
+    expect(id).toBe('doc-1_1790848800000_sulfamethoxazole-trimethoprim-ds_2026-10-02_20-00');
+    expect(id.match(REMINDER_ID_PATTERN)[1]).toBe('2026-10-02');
+  });
+
+  it('tells records and doctors apart', () => {
+    const dose = { medicine: 'Amoxicillin', dateKey: '2026-10-02', time: '08:00' };
+    const ids = new Set([
+      getReminderId('doc-1', recordTimestamp, dose),
+      getReminderId('doc-1', '2026-10-01T11:00:00.000Z', dose),
+      getReminderId('doc-2', recordTimestamp, dose),
+    ]);
+    expect(ids.size).toBe(3);
+  });
+});
+
+describe('buildReminders', () => {
+  it('builds one pending reminder per dose', () => {
+    const reminders = buildReminders({ doctorId: 'doc-1', patientId: 'pat-1', record, timeZone: 'UTC', now: before });
+    expect(reminders.map(({ id }) => id)).toEqual([
+      'doc-1_1790848800000_amoxicillin-clavulanate_2026-10-02_08-00',
+      'doc-1_1790848800000_amoxicillin-clavulanate_2026-10-02_20-00',
+      'doc-1_1790848800000_amoxicillin-clavulanate_2026-10-03_08-00',
+      'doc-1_1790848800000_amoxicillin-clavulanate_2026-10-03_20-00',
+    ]);
+    expect(reminders[0].data).toEqual({
+      medicine: 'Amoxicillin/Clavulanate',
+      dosage: '625mg',
+      route: 'oral',
+      withFood: true,
+      scheduledTime: '2026-10-02T08:00:00.000Z',
+      status: 'pending',
+      snoozeCount: 0,
+      notifiedAt: null,
+      createdAt: before.toISOString(),
+      patientId: 'pat-1',
+      doctorId: 'doc-1',
+      recordTimestamp,
+      diagnosis: 'Pneumonia',
+      timeZone: 'UTC',
+    });
+  });
+
+  it('schedules in the patient time zone, defaulting to India', () => {
+    const reminders = buildReminders({ doctorId: 'doc-1', patientId: 'pat-1', record, now: before });
+    expect(reminders[0].data).toMatchObject({ scheduledTime: '2026-10-02T02:30:00.000Z', timeZone: 'Asia/Kolkata' });
+  });
+
+  it('does not give back a day dose that was already kept', () => {
+    // The 08:00 dose was taken, then the doctor moved the doses to 12:00 and 20:00
+    const kept = [{ id: 'doc-1_1790848800000_amoxicillin-clavulanate_2026-10-02_08-00' }];
+    const rescheduled = { ...record, prescription: { ...record.prescription, frequency: 'CUSTOM', times: ['12:00', '20:00'] } };
+    const reminders = buildReminders({
+      doctorId: 'doc-1',
+      patientId: 'pat-1',
+      record: rescheduled,
+      timeZone: 'UTC',
+      now: new Date('2026-10-02T09:00:00.000Z'),
+      kept,
+    });
+    expect(reminders.map(({ data }) => data.scheduledTime)).toEqual([
+      '2026-10-02T20:00:00.000Z',
+      '2026-10-03T12:00:00.000Z',
+      '2026-10-03T20:00:00.000Z',
+    ]);
+  });
+
+  it('builds nothing without a prescription', () => {
+    expect(buildReminders({ doctorId: 'doc-1', patientId: 'pat-1', record: { timestamp: recordTimestamp }, now: before })).toEqual([]);
+  });
+});
+
+describe('isPastGrace', () => {
+  const reminder = { status: 'pending', scheduledTime: '2026-10-02T08:00:00.000Z' };
+  const graceEnd = new Date(Date.parse(reminder.scheduledTime) + MISSED_GRACE_MINUTES * 60 * 1000);
+
+  it('is true once the grace window has passed', () => {
+    expect(isPastGrace(reminder, new Date(graceEnd.getTime() - 1))).toBe(false);
+    expect(isPastGrace(reminder, graceEnd)).toBe(true);
+    expect(isPastGrace({ ...reminder, status: 'snoozed' }, graceEnd)).toBe(true);
+  });
+
+  it('ignores doses that are settled', () => {
+    expect(isPastGrace({ ...reminder, status: 'taken' }, graceEnd)).toBe(false);
+    expect(isPastGrace({ ...reminder, status: 'missed' }, graceEnd)).toBe(false);
+  });
+});
+
+describe('getMissedStreak', () => {
+  const dose = (id, status, day) => ({ id, status, scheduledTime: `2026-10-0${day}T08:00:00.000Z` });
+
+  it('counts the latest run of missed doses in schedule order', () => {
+    expect(
+      getMissedStreak([dose('d4', 'missed', 4), dose('d1', 'missed', 1), dose('d3', 'missed', 3), dose('d2', 'taken', 2)])
+    ).toEqual({ count: 2, firstId: 'd3' });
+  });
+
+  it('ends the streak at a taken or skipped dose', () => {
+    expect(getMissedStreak([dose('d1', 'missed', 1), dose('d2', 'missed', 2), dose('d3', 'skipped', 3)])).toEqual({ count: 0, firstId: null });
+  });
+
+  it('ignores doses that are still open', () => {
+    expect(getMissedStreak([dose('d1', 'missed', 1), dose('d2', 'pending', 2), dose('d3', 'snoozed', 3)])).toEqual({ count: 1, firstId: 'd1' });
+    expect(getMissedStreak([])).toEqual({ count: 0, firstId: null });
+  });
+});
+
+describe('formatReminderNotification', () => {
+  it('mentions food when the dose is taken with it', () => {
+    expect(formatReminderNotification({ medicine: 'Metformin', dosage: '500mg', withFood: true })).toEqual({
+      title: 'Medication Reminder',
+      body: 'Time to take 500mg of Metformin with food. Open the app to confirm or snooze.',
+    });
+  });
+});
+
+describe('reminder actions', () => {
+  const reminder = { id: 'r1', status: 'pending', scheduledTime: '2026-10-02T08:00:00.000Z', snoozeCount: 1 };
+  const actedAt = new Date('2026-10-02T08:05:00.000Z');
+  const patient = { role: 'patient', uid: 'pat-1' };
+  const taken = buildReminderAction('taken', reminder, patient, actedAt);
+  const snoozed = buildReminderAction('snoozed', reminder, patient, actedAt);
+
+  it('records what the patient saw and what changes', () => {
+    expect(taken).toEqual({
+      type: 'taken',
+      reminderId: 'r1',
+      baseline: { status: 'pending', scheduledTime: '2026-10-02T08:00:00.000Z' },
+      changes: { status: 'taken', confirmedAt: actedAt.toISOString(), confirmedBy: patient },
+      createdAt: actedAt.toISOString(),
+    });
+    expect(snoozed.changes).toEqual({ status: 'snoozed', snoozeCount: 2, scheduledTime: '2026-10-02T08:10:00.000Z', notifiedAt: null });
+  });
+
+  it('applies to the reminder as the patient saw it', () => {
+    expect(resolveReminderAction(taken, reminder)).toEqual({ changes: taken.changes });
+    expect(resolveReminderAction(snoozed, reminder)).toEqual({ changes: snoozed.changes });
+  });
+
+  it('conflicts with a deleted or already confirmed reminder', () => {
+    expect(resolveReminderAction(taken, null)).toEqual({ conflict: 'deleted' });
+    expect(resolveReminderAction(taken, { ...reminder, status: 'taken' })).toEqual({ conflict: 'taken' });
+    expect(resolveReminderAction(snoozed, { ...reminder, status: 'taken' })).toEqual({ conflict: 'taken' });
+  });
+
+  it('still confirms a dose marked missed, but does not snooze it', () => {
+    const missed = { ...reminder, status: 'missed' };
+    expect(resolveReminderAction(taken, missed)).toEqual({ changes: taken.changes });
+    expect(resolveReminderAction(snoozed, missed)).toEqual({ conflict: 'missed' });
+  });
+
+  it('does not snooze a reminder moved since', () => {
+    const moved = { ...reminder, status: 'snoozed', scheduledTime: '2026-10-02T08:10:00.000Z' };
+    expect(resolveReminderAction(snoozed, moved)).toEqual({ conflict: 'rescheduled' });
+    expect(resolveReminderAction(taken, moved)).toEqual({ changes: taken.changes });
+  });
+
+  it('shows queued actions on top of the reminders, skipping conflicts', () => {
+    const other = { id: 'r2', status: 'missed', scheduledTime: '2026-10-01T20:00:00.000Z' };
+    const snoozeOther = buildReminderAction('snoozed', { ...other, status: 'pending' }, patient, actedAt);
+    expect(applyReminderActions([reminder, other], [snoozed, taken, snoozeOther])).toEqual([
+      { ...reminder, ...taken.changes, snoozeCount: 2, scheduledTime: '2026-10-02T08:10:00.000Z', notifiedAt: null, queued: true },
+      other,
+    ]);
+  });
+});
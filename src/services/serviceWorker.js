@@ -0,0 +1,35 @@
+// Registers public/service-worker.js, which caches the app shell for offline use and shows
+// reminder pushes (see pushNotifications.js). Only one worker can control the app's scope, so
+// both features share this registration.
+import app from './firebase.js';
+
+let registration = null;
+
+// The service worker cannot read REACT_APP_* variables, so the config travels in its URL
+const serviceWorkerUrl = () => {
+  const params = new URLSearchParams({
+    apiKey: app.options.apiKey || '',
+    projectId: app.options.projectId || '',
+    messagingSenderId: app.options.messagingSenderId || '',
+    appId: app.options.appId || '',
+  });
+  return `/service-worker.js?${params.toString()}`;
+};
+
+/**
+ * Registers the service worker once per page load.
+ * @returns {Promise<ServiceWorkerRegistration|null>} Null where service workers aren't supported.
+ */
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+  if (!registration) {
+    registration = navigator.serviceWorker.register(serviceWorkerUrl(), { scope: '/' }).catch((error) => {
+      console.error('serviceWorker.js: Registration failed:', error.message);
+      registration = null;
+      return null;
+    });
+  }
+  return registration;
+};
+
+export { registerServiceWorker };
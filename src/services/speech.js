@@ -1,3 +1,5 @@
+import { findLanguage, getLanguage, isDefaultLanguage } from './languages.js';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
 const isProduction = process.env.NODE_ENV === 'production';
 
@@ -46,25 +48,18 @@ const fetchWithRetry = async (url, options, maxRetries = 3, backoff = 1000) => {
   }
 };
 
-// Normalize language codes to a consistent format (en-US or kn-IN)
+// Normalize language codes to the registry's BCP-47 tags (e.g. kn → kn-IN)
 const normalizeLanguageCode = (code) => {
   if (!code || typeof code !== 'string') {
-    !isProduction && console.warn('normalizeLanguageCode: Invalid code received, defaulting to en-US');
-    return 'en-US';
+    !isProduction && console.warn('normalizeLanguageCode: Invalid code received, defaulting to English');
+    return getLanguage().bcp47;
   }
-  const lowerCode = code.toLowerCase();
-  switch (lowerCode) {
-    case 'kn':
-    case 'kn-in':
-      return 'kn-IN';
-    case 'en':
-    case 'en-us':
-    case 'en-gb':
-      return 'en-US';
-    default:
-      !isProduction && console.warn(`normalizeLanguageCode: Unrecognized code "${code}", defaulting to en-US`);
-      return 'en-US'; // Default to English if invalid
+  const language = findLanguage(code);
+  if (!language) {
+    !isProduction && console.warn(`normalizeLanguageCode: Unrecognized code "${code}", defaulting to English`);
+    return getLanguage().bcp47; // Default to English if invalid
   }
+  return language.bcp47;
 };
 
 async function transcribeAudio(audioBlob, languageCode = 'en-US', userId, idToken) {
@@ -119,9 +114,9 @@ async function transcribeAudio(audioBlob, languageCode = 'en-US', userId, idToke
       };
     }
 
-    // Translate to English if source is Kannada, or keep original if English
+    // Use the English translation for any other language, or keep the original if English
     const finalTranslatedText =
-      normalizedLanguageCode === 'kn-IN' && translatedText
+      !isDefaultLanguage(normalizedLanguageCode) && translatedText
         ? translatedText
         : transcription;
 
@@ -237,6 +232,11 @@ async function translateText(text, sourceLanguageCode, targetLanguageCode, userI
   }
 }
 
+// Read-aloud audio is content-addressed on the server, so a URL stays valid for the same text
+// and language; repeated clicks are played without another request
+const TTS_URL_CACHE_SIZE = 200;
+const ttsUrlCache = new Map();
+
 async function textToSpeechConvert(text, languageCode = 'en-US', userId, idToken) {
   if (!text || typeof text !== 'string' || text.trim() === '') {
     throw new Error('Invalid text: Must be a non-empty string.');
@@ -253,6 +253,10 @@ async function textToSpeechConvert(text, languageCode = 'en-US', userId, idToken
   }
 
   const normalizedLanguageCode = normalizeLanguageCode(languageCode);
+  const cacheKey = `${normalizedLanguageCode}|${text.trim()}`;
+  if (ttsUrlCache.has(cacheKey)) {
+    return ttsUrlCache.get(cacheKey);
+  }
   !isProduction &&
     console.log(
       `textToSpeechConvert: Converting text="${truncate(text)}" with languageCode=${normalizedLanguageCode}, uid=${truncate(userId)}`
@@ -281,6 +285,10 @@ async function textToSpeechConvert(text, languageCode = 'en-US', userId, idToken
       !isProduction && console.warn('textToSpeechConvert: Unexpected audio URL format:', data.audioUrl);
     }
 
+    if (ttsUrlCache.size >= TTS_URL_CACHE_SIZE) {
+      ttsUrlCache.delete(ttsUrlCache.keys().next().value);
+    }
+    ttsUrlCache.set(cacheKey, data.audioUrl);
     return data.audioUrl;
   } catch (error) {
     !isProduction && console.error(`textToSpeechConvert: Error - ${error.message}`);
@@ -325,4 +333,70 @@ async function playAudio(audioUrl) {
   });
 }
 
-export { transcribeAudio, detectLanguage, translateText, textToSpeechConvert, playAudio };
\ No newline at end of file
+const getSpeechRecognition = () =>
+  (typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition)) || null;
+
+// Whether the browser can stream speech recognition (used for live call captions)
+const isStreamingRecognitionSupported = () => Boolean(getSpeechRecognition());
+
+// Streams speech recognition from the microphone until the returned function is called.
+// onResult receives {segmentId, text, final}: interim results repeat a segmentId with growing
+// text until the browser finalizes it, then the next segment starts.
+function startStreamingRecognition(languageCode, onResult, onError) {
+  const Recognition = getSpeechRecognition();
+  if (!Recognition) {
+    throw new Error('Live speech recognition is not supported in this browser.');
+  }
+
+  const recognition = new Recognition();
+  recognition.lang = getLanguage(languageCode).sttCode;
+  recognition.continuous = true;
+  recognition.interimResults = true;
+  let segmentId = 0;
+  let stopped = false;
+
+  recognition.onresult = (event) => {
+    let interim = '';
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
+      if (result.isFinal) {
+        const text = result[0].transcript.trim();
+        if (text) onResult({ segmentId, text, final: true });
+        segmentId += 1;
+      } else {
+        interim += result[0].transcript;
+      }
+    }
+    if (interim.trim()) onResult({ segmentId, text: interim.trim(), final: false });
+  };
+
+  recognition.onerror = (event) => {
+    if (event.error === 'no-speech' || event.error === 'aborted') return;
+    !isProduction && console.error(`startStreamingRecognition: Error - ${event.error}`);
+    if (event.error === 'not-allowed' || event.error === 'service-not-allowed') stopped = true;
+    onError?.(new Error(`Speech recognition failed: ${event.error}`));
+  };
+
+  // Browsers end continuous sessions after a pause or a minute of audio; keep listening
+  recognition.onend = () => {
+    if (!stopped) recognition.start();
+  };
+
+  recognition.start();
+  !isProduction && console.log(`startStreamingRecognition: Listening in ${recognition.lang}`);
+
+  return () => {
+    stopped = true;
+    recognition.stop();
+  };
+}
+
+export {
+  transcribeAudio,
+  detectLanguage,
+  translateText,
+  textToSpeechConvert,
+  playAudio,
+  isStreamingRecognitionSupported,
+  startStreamingRecognition,
+};
\ No newline at end of file
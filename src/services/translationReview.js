@@ -0,0 +1,139 @@
+// Clinician review of machine translations in the chat. Anyone in a chat can flag a translated
+// bubble; a bilingual doctor or an admin can submit a corrected translation, which replaces the
+// displayed one while the machine output is kept on the message. Once an admin accepts a
+// correction it goes into the translation memory (lib/translationMemory.js) and is reused
+// instead of calling the translation API for the same phrase. Pure functions only.
+import { DEFAULT_LANGUAGE, getLanguage } from './languages.js';
+import { formatPrescription } from './prescription.js';
+
+// Translated message field -> the field it was translated from
+const TRANSLATED_FIELDS = {
+  translatedText: 'text',
+  translatedDiagnosis: 'diagnosis',
+  translatedPrescription: 'prescription',
+};
+
+const REVIEW_STATUSES = {
+  flagged: 'Flagged as wrong',
+  corrected: 'Corrected, awaiting review',
+  accepted: 'Accepted into translation memory',
+  rejected: 'Correction rejected',
+};
+
+const MAX_CORRECTION_LENGTH = 2000;
+
+/**
+ * The text a translated field was produced from, as it was sent to the translator.
+ * @param {Object} message - Chat message.
+ * @param {string} field - One of TRANSLATED_FIELDS.
+ * @returns {string|null}
+ */
+const getTranslationSource = (message, field) => {
+  const sourceField = TRANSLATED_FIELDS[field];
+  const source = sourceField ? message[sourceField] : null;
+  if (!source) return null;
+  return sourceField === 'prescription' ? formatPrescription(source) : String(source);
+};
+
+/**
+ * Direction of a translated field: patients' messages are translated to English for the
+ * doctor, everything the doctor sends to the patient's language.
+ * @param {Object} message - Chat message.
+ * @param {string} field - One of TRANSLATED_FIELDS.
+ * @param {string} patientLanguage - The patient's language preference.
+ * @returns {{from: string, to: string}} Registry language codes.
+ */
+const getTranslationLanguages = (message, field, patientLanguage) =>
+  message.sender === 'patient' && field === 'translatedText'
+    ? { from: getLanguage(message.recordingLanguage).code, to: DEFAULT_LANGUAGE }
+    : { from: DEFAULT_LANGUAGE, to: getLanguage(patientLanguage).code };
+
+/**
+ * @param {Object} message - Chat message.
+ * @param {string} field - One of TRANSLATED_FIELDS.
+ * @returns {Object|null} The review recorded for the field, if any.
+ */
+const getTranslationReview = (message, field) => message.translationReviews?.[field] || null;
+
+/**
+ * Whether a review's corrected text is what the chat shows.
+ * @param {Object|null} review
+ * @returns {boolean}
+ */
+const isCorrectionShown = (review) => review?.status === 'corrected' || review?.status === 'accepted';
+
+/**
+ * Records a review on a message. A shown correction replaces the field, a rejected one puts
+ * the machine output back and a flag leaves it as it is. The first machine output seen is kept
+ * on the review.
+ * @param {Object} message - Chat message.
+ * @param {string} field - One of TRANSLATED_FIELDS.
+ * @param {Object} review - {status, correctedText?, machineText?, ...who and when}.
+ * @returns {Object} The updated message.
+ */
+const applyTranslationReview = (message, field, review) => {
+  const machineText = getTranslationReview(message, field)?.machineText ?? review.machineText ?? message[field] ?? null;
+  const stored = { ...review, machineText };
+  let displayed = message[field] ?? machineText;
+  if (isCorrectionShown(stored)) displayed = stored.correctedText;
+  else if (stored.status === 'rejected') displayed = machineText;
+  return {
+    ...message,
+    [field]: displayed,
+    translationReviews: { ...(message.translationReviews || {}), [field]: stored },
+  };
+};
+
+/**
+ * Applies a 'message-updated' chat event ({timestamp, field, value, review}) to a message.
+ * @param {Object} message - Chat message as held by the chat screen.
+ * @param {Object} update - The event payload.
+ * @returns {Object} The message, updated if the event is about it.
+ */
+const mergeTranslationUpdate = (message, update) =>
+  message.timestamp === update.timestamp && TRANSLATED_FIELDS[update.field]
+    ? {
+        ...message,
+        [update.field]: update.value,
+        translationReviews: { ...(message.translationReviews || {}), [update.field]: update.review },
+      }
+    : message;
+
+/**
+ * Checks a submitted correction.
+ * @param {string} correctedText
+ * @returns {string[]} Validation errors; empty when the correction is valid.
+ */
+const validateCorrection = (correctedText) => {
+  const text = typeof correctedText === 'string' ? correctedText.trim() : '';
+  if (!text) return ['The corrected translation is required.'];
+  if (text.length > MAX_CORRECTION_LENGTH) {
+    return [`The corrected translation must be at most ${MAX_CORRECTION_LENGTH} characters.`];
+  }
+  return [];
+};
+
+/**
+ * Document ID of the review for one translated field of one message.
+ * @param {string} patientId
+ * @param {string} doctorId
+ * @param {string} timestamp - The message's ISO timestamp.
+ * @param {string} field - One of TRANSLATED_FIELDS.
+ * @returns {string}
+ */
+const getReviewId = (patientId, doctorId, timestamp, field) =>
+  `${patientId}-${doctorId}_${timestamp}_${field}`.replace(/[^A-Za-z0-9_-]/g, '-');
+
+export {
+  TRANSLATED_FIELDS,
+  REVIEW_STATUSES,
+  MAX_CORRECTION_LENGTH,
+  getTranslationSource,
+  getTranslationLanguages,
+  getTranslationReview,
+  isCorrectionShown,
+  applyTranslationReview,
+  mergeTranslationUpdate,
+  validateCorrection,
+  getReviewId,
+};
@@ -0,0 +1,88 @@
+// Client calls for api/translations: flagging and correcting translated chat messages, and the
+// admin's review queue. Message-side helpers live in translationReview.js.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+async function translationsRequest(path, userId, idToken, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBaseUrl}/translations${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      const parsed = JSON.parse(errorText).error;
+      message = [parsed?.message, parsed?.details].filter(Boolean).join(': ') || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(message);
+  }
+  return response.json();
+}
+
+/**
+ * Flags a translated field of a chat message as looking wrong.
+ * @param {{patientId: string, doctorId: string, timestamp: string, field: string, reason?: string, machineText?: string}} flag
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<{review: Object}>}
+ */
+const flagTranslation = (flag, userId, idToken) =>
+  translationsRequest('/flag', userId, idToken, { method: 'POST', body: flag });
+
+/**
+ * Replaces a translated field with a clinician's correction.
+ * @param {{patientId: string, doctorId: string, timestamp: string, field: string, correctedText: string, machineText?: string}} correction
+ * @param {string} userId - The doctor's or admin's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{review: Object}>}
+ */
+const correctTranslation = (correction, userId, idToken) =>
+  translationsRequest('/correct', userId, idToken, { method: 'POST', body: correction });
+
+/**
+ * Lists translation reviews for the admin, newest first.
+ * @param {string} [status] - One of REVIEW_STATUSES; all when omitted.
+ * @param {string} userId - The admin's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{reviews: Object[]}>}
+ */
+const fetchTranslationReviews = (status, userId, idToken) =>
+  translationsRequest(`/reviews${status ? `?status=${encodeURIComponent(status)}` : ''}`, userId, idToken);
+
+/**
+ * Accepts a correction into the translation memory, optionally with the admin's own wording.
+ * @param {string} reviewId - The review.
+ * @param {string} [correctedText] - Replaces the submitted correction.
+ * @param {string} userId - The admin's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{review: Object}>}
+ */
+const acceptTranslationReview = (reviewId, correctedText, userId, idToken) =>
+  translationsRequest('/accept', userId, idToken, { method: 'POST', body: { reviewId, correctedText } });
+
+/**
+ * Rejects a correction; the chat shows the machine translation again.
+ * @param {string} reviewId - The review.
+ * @param {string} userId - The admin's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<{review: Object}>}
+ */
+const rejectTranslationReview = (reviewId, userId, idToken) =>
+  translationsRequest('/reject', userId, idToken, { method: 'POST', body: { reviewId } });
+
+export {
+  flagTranslation,
+  correctTranslation,
+  fetchTranslationReviews,
+  acceptTranslationReview,
+  rejectTranslationReview,
+};
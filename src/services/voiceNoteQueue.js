@@ -0,0 +1,173 @@
+// Outbox for patients' voice notes. A recording is written to IndexedDB before anything is sent,
+// so a failed upload or a page reload doesn't lose it, and processVoiceNotes sends whatever is
+// waiting for the open chat in resumable chunks (see voiceNoteUpload.js). Browser only.
+import { v4 as uuidv4 } from 'uuid';
+import { getChunkRange, getMissingChunks, getRetryDelay } from './voiceNoteUpload.js';
+import { STORES, withStore } from './offlineStore.js';
+
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+// Runs one request against the voice-note store
+const withVoiceNotes = (mode, operation) => withStore(STORES.voiceNotes, mode, operation);
+
+/**
+ * Stores a new recording for sending.
+ * @param {Object} note
+ * @param {string} note.patientId
+ * @param {string} note.doctorId
+ * @param {Blob} note.blob - The WebM recording.
+ * @param {string} note.recordingLanguage - BCP-47 tag the patient spoke in.
+ * @param {string|null} [note.translateTo] - BCP-47 tag to translate the transcript into.
+ * @returns {Promise<Object>} The stored note.
+ */
+const saveVoiceNote = async ({ patientId, doctorId, blob, recordingLanguage, translateTo = null }) => {
+  const note = {
+    id: uuidv4(),
+    patientId,
+    doctorId,
+    blob,
+    mimeType: blob.type || 'audio/webm',
+    size: blob.size,
+    recordingLanguage,
+    translateTo,
+    status: 'sending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+  };
+  await withVoiceNotes('readwrite', (store) => store.put(note));
+  return note;
+};
+
+/**
+ * @param {string} patientId
+ * @param {string} doctorId
+ * @returns {Promise<Object[]>} Notes waiting in that chat, oldest first.
+ */
+const listVoiceNotes = async (patientId, doctorId) => {
+  const notes = await withVoiceNotes('readonly', (store) => store.getAll());
+  return (notes || [])
+    .filter((note) => note.patientId === patientId && note.doctorId === doctorId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+const updateVoiceNote = async (id, changes) => {
+  const note = await withVoiceNotes('readonly', (store) => store.get(id));
+  if (!note) return null;
+  const updated = { ...note, ...changes };
+  await withVoiceNotes('readwrite', (store) => store.put(updated));
+  return updated;
+};
+
+const deleteVoiceNote = (id) => withVoiceNotes('readwrite', (store) => store.delete(id));
+
+const chatRequest = async (note, query, userId, idToken, options = {}) => {
+  const response = await fetch(`${apiBaseUrl}/chats/${note.patientId}/${note.doctorId}?uploadId=${note.id}${query}`, {
+    ...options,
+    headers: { 'x-user-uid': userId, Authorization: `Bearer ${idToken}`, ...(options.headers || {}) },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      const { error, details } = JSON.parse(errorText);
+      message = [error?.message || error, details].filter(Boolean).join(': ') || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(`${message} (Status: ${response.status})`);
+  }
+  return response.json();
+};
+
+/**
+ * Sends the chunks the server doesn't have yet and completes the upload.
+ * @param {Object} note - A stored note.
+ * @param {string} userId - The patient's Firebase UID.
+ * @param {string} idToken - The Firebase ID token.
+ * @returns {Promise<Object>} The saved chat message.
+ */
+const uploadVoiceNote = async (note, userId, idToken) => {
+  const status = await chatRequest(note, '', userId, idToken);
+  if (status.message) return status.message;
+
+  for (const index of getMissingChunks(note.size, status.received)) {
+    const { start, end } = getChunkRange(index, note.size);
+    const formData = new FormData();
+    formData.append('chunk', note.blob.slice(start, end), `${note.id}-${index}`);
+    await chatRequest(note, `&chunk=${index}`, userId, idToken, { method: 'POST', body: formData });
+  }
+
+  const { newMessage } = await chatRequest(note, '&complete=true', userId, idToken, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      size: note.size,
+      mimeType: note.mimeType,
+      recordingLanguage: note.recordingLanguage,
+      translateTo: note.translateTo,
+      recordedAt: note.createdAt,
+    }),
+  });
+  return newMessage;
+};
+
+let processing = null;
+let queuedRun = null;
+
+/**
+ * Sends the voice notes waiting in a chat, one at a time. A failed note is marked 'failed' and
+ * tried again after a growing delay, or straight away with force. A call made while a run is in
+ * progress starts another run once it finishes, so notes saved meanwhile aren't left waiting.
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {string} params.doctorId
+ * @param {string} params.userId - The patient's Firebase UID.
+ * @param {() => Promise<string>} params.getIdToken
+ * @param {() => void} [params.onChange] - Called whenever a note's state changes.
+ * @param {(note: Object, message: Object) => void} [params.onSent]
+ * @param {boolean} [params.force] - Ignore the retry delay.
+ * @returns {Promise<void>}
+ */
+const processVoiceNotes = (params) => {
+  if (processing) {
+    queuedRun = params;
+    return processing;
+  }
+  const { patientId, doctorId, userId, getIdToken, onChange = () => {}, onSent = () => {}, force = false } = params;
+  processing = (async () => {
+    const notes = await listVoiceNotes(patientId, doctorId);
+    for (const note of notes) {
+      if (!force && note.nextAttemptAt && new Date(note.nextAttemptAt) > new Date()) continue;
+      await updateVoiceNote(note.id, { status: 'sending' });
+      onChange();
+      try {
+        const message = await uploadVoiceNote(note, userId, await getIdToken());
+        await deleteVoiceNote(note.id);
+        onSent(note, message);
+      } catch (error) {
+        console.error(`Voice note ${note.id} failed to send:`, error.message);
+        const attempts = note.attempts + 1;
+        await updateVoiceNote(note.id, {
+          status: 'failed',
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)).toISOString(),
+        });
+      }
+      onChange();
+    }
+  })().finally(() => {
+    processing = null;
+    if (queuedRun) {
+      const next = queuedRun;
+      queuedRun = null;
+      processVoiceNotes(next).catch((error) => console.error('Voice note queue failed:', error.message));
+    }
+  });
+  return processing;
+};
+
+export { saveVoiceNote, listVoiceNotes, deleteVoiceNote, processVoiceNotes };
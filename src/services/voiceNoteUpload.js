@@ -0,0 +1,72 @@
+// Resumable voice-note uploads to /api/chats/:patientId/:doctorId. A recording is kept in
+// IndexedDB (voiceNoteQueue.js) and sent in fixed-size chunks under an ID chosen by the
+// browser; the server keeps the chunks it has received, so an interrupted upload resumes where
+// it stopped, and completing the same ID twice returns the message saved the first time.
+// Pure functions only, shared by the browser and the API.
+
+// Same limit as other audio uploads
+const MAX_VOICE_NOTE_BYTES = 5 * 1024 * 1024;
+
+// Small enough to fit comfortably in one serverless request on a slow connection
+const VOICE_NOTE_CHUNK_SIZE = 512 * 1024;
+
+// How a voice note is shown in the chat until the saved message replaces it
+const VOICE_NOTE_STATUSES = {
+  sending: 'Sending...',
+  failed: 'Not sent',
+  sent: 'Sent',
+};
+
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * @param {number} size - Recording size in bytes.
+ * @returns {number} Number of chunks the recording is sent in.
+ */
+const getChunkCount = (size) => Math.max(1, Math.ceil(size / VOICE_NOTE_CHUNK_SIZE));
+
+/**
+ * Byte range of one chunk.
+ * @param {number} index - Chunk index, from 0.
+ * @param {number} size - Recording size in bytes.
+ * @returns {{start: number, end: number}} end is exclusive.
+ */
+const getChunkRange = (index, size) => ({
+  start: index * VOICE_NOTE_CHUNK_SIZE,
+  end: Math.min(size, (index + 1) * VOICE_NOTE_CHUNK_SIZE),
+});
+
+/**
+ * @param {string} uploadId
+ * @returns {boolean} Whether the ID is safe to use in object paths.
+ */
+const isValidUploadId = (uploadId) => typeof uploadId === 'string' && UPLOAD_ID_PATTERN.test(uploadId);
+
+/**
+ * Chunks still to send.
+ * @param {number} size - Recording size in bytes.
+ * @param {number[]} received - Chunk indexes the server has.
+ * @returns {number[]}
+ */
+const getMissingChunks = (size, received = []) => {
+  const have = new Set(received);
+  return Array.from({ length: getChunkCount(size) }, (_, index) => index).filter((index) => !have.has(index));
+};
+
+/**
+ * Waiting time before the queue tries a failed note again: 5 seconds, doubling up to 5 minutes.
+ * @param {number} attempts - Failed attempts so far.
+ * @returns {number} Milliseconds.
+ */
+const getRetryDelay = (attempts) => Math.min(5 * 60 * 1000, 5000 * Math.pow(2, Math.max(0, attempts - 1)));
+
+export {
+  MAX_VOICE_NOTE_BYTES,
+  VOICE_NOTE_CHUNK_SIZE,
+  VOICE_NOTE_STATUSES,
+  getChunkCount,
+  getChunkRange,
+  isValidUploadId,
+  getMissingChunks,
+  getRetryDelay,
+};
@@ -0,0 +1,160 @@
+import { getVoiceProviders, withGlossary, withTranslationMemory } from '../../lib/voice/index.js';
+import { createDictionaryTranslator } from '../../lib/voice/local.js';
+import { createStubProviders } from '../../lib/voice/stub.js';
+import { createGlossary } from './glossary.js';
+
+const dictionary = {
+  'kn:en': { ' ನಮಸ್ಕಾರ ': 'Hello' },
+  'hi:en': { 'नमस्ते': 'Hello' },
+  'en:kn': { 'Metformin 500mg': 'ಮೆಟ್‌ಫಾರ್ಮಿನ್ 500mg' },
+};
+
+// Translator that records what it was asked and answers with `reply(text)`
+const fakeTranslator = (reply) => {
+  const calls = [];
+  return {
+    calls,
+    name: 'fake',
+    async translate(request) {
+      calls.push(request.text);
+      return { translatedText: reply(request.text), detectedSourceLanguage: 'en' };
+    },
+  };
+};
+
+const glossary = createGlossary({ drugNames: ['Metformin'] });
+const getGlossary = async () => glossary;
+
+describe('getVoiceProviders', () => {
+  it('uses Google unless told otherwise', () => {
+    expect(getVoiceProviders({ env: {} }).names).toEqual({ transcriber: 'google', translator: 'google', synthesizer: 'google' });
+  });
+
+  it('lets each capability override VOICE_PROVIDER', () => {
+    const providers = getVoiceProviders({ env: { VOICE_PROVIDER: 'stub', STT_PROVIDER: 'local', TTS_PROVIDER: 'google' } });
+    expect(providers.names).toEqual({ transcriber: 'local', translator: 'stub', synthesizer: 'google' });
+    expect([providers.transcriber.name, providers.translator.name]).toEqual(['whisper.cpp', 'dictionary']);
+  });
+
+  it('refuses unknown providers', () => {
+    expect(() => getVoiceProviders({ env: { TRANSLATE_PROVIDER: 'babelfish' } })).toThrow(
+      'Unknown voice provider "babelfish". Use one of: google, local, stub'
+    );
+  });
+
+  it('checks the translation memory first and skips the glossary for the dictionary', async () => {
+    const memory = { lookup: async ({ text }) => (text === 'Take with food' ? 'ಊಟದೊಂದಿಗೆ ತೆಗೆದುಕೊಳ್ಳಿ' : null) };
+    const { translator } = getVoiceProviders({ env: { VOICE_PROVIDER: 'stub' }, stub: { dictionary }, glossary: getGlossary, memory });
+    await expect(translator.translate({ text: 'Take with food', from: 'en', to: 'kn' })).resolves.toEqual({
+      translatedText: 'ಊಟದೊಂದಿಗೆ ತೆಗೆದುಕೊಳ್ಳಿ',
+      detectedSourceLanguage: null,
+      fromMemory: true,
+    });
+    await expect(translator.translate({ text: 'Metformin 500mg', from: 'en', to: 'kn' })).resolves.toEqual({
+      translatedText: 'ಮೆಟ್‌ಫಾರ್ಮಿನ್ 500mg',
+      detectedSourceLanguage: 'en',
+    });
+  });
+});
+
+describe('withGlossary', () => {
+  it('keeps drug names, doses and times out of the translator', async () => {
+    const translator = fakeTranslator((text) => text.replace('Take', 'ತೆಗೆದುಕೊಳ್ಳಿ').replace('at', 'ಗೆ'));
+    const result = await withGlossary(translator, getGlossary).translate({ text: 'Take Metformin 500mg at 8:00 AM', from: 'en', to: 'kn' });
+    expect(translator.calls).toEqual(['Take [[0]] [[1]] at [[2]]']);
+    expect(result.translatedText).toBe('ತೆಗೆದುಕೊಳ್ಳಿ Metformin 500mg ಗೆ 8:00 AM');
+  });
+
+  it('translates again without masking when a placeholder is lost', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const translator = fakeTranslator((text) => text.replace('[[1]]', '[1]'));
+      const result = await withGlossary(translator, getGlossary).translate({ text: 'Metformin 500mg', from: 'en', to: 'kn' });
+      expect(translator.calls).toEqual(['[[0]] [[1]]', 'Metformin 500mg']);
+      expect(result.translatedText).toBe('Metformin 500mg');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('passes text with nothing to protect straight through', async () => {
+    const translator = fakeTranslator((text) => text);
+    await withGlossary(translator, getGlossary).translate({ text: 'Drink water', from: 'en', to: 'kn' });
+    expect(translator.calls).toEqual(['Drink water']);
+  });
+});
+
+describe('withTranslationMemory', () => {
+  it('falls back to the translator on a miss or a failed lookup', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const translator = fakeTranslator(() => 'translated');
+      await expect(withTranslationMemory(translator, { lookup: async () => null }).translate({ text: 'a', to: 'kn' })).resolves.toMatchObject({
+        translatedText: 'translated',
+      });
+      const failing = {
+        lookup: async () => {
+          throw new Error('offline');
+        },
+      };
+      await expect(withTranslationMemory(translator, failing).translate({ text: 'b', to: 'kn' })).resolves.toMatchObject({
+        translatedText: 'translated',
+      });
+      expect(translator.calls).toEqual(['a', 'b']);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+describe('createDictionaryTranslator', () => {
+  const translator = createDictionaryTranslator(dictionary);
+
+  it('matches whole phrases, ignoring case and surrounding space', async () => {
+    await expect(translator.translate({ text: ' ನಮಸ್ಕಾರ ', from: 'kn', to: 'en' })).resolves.toEqual({
+      translatedText: 'Hello',
+      detectedSourceLanguage: 'kn',
+    });
+  });
+
+  it('detects the source language from the phrase', async () => {
+    await expect(translator.translate({ text: 'नमस्ते', from: 'auto', to: 'en' })).resolves.toEqual({
+      translatedText: 'Hello',
+      detectedSourceLanguage: 'hi',
+    });
+  });
+
+  it('returns unknown phrases unchanged', async () => {
+    await expect(translator.translate({ text: 'Good morning', from: 'en', to: 'kn' })).resolves.toEqual({
+      translatedText: 'Good morning',
+      detectedSourceLanguage: 'en',
+    });
+    await expect(translator.translate({ text: 'Good morning', to: 'kn' })).resolves.toEqual({
+      translatedText: 'Good morning',
+      detectedSourceLanguage: null,
+    });
+  });
+});
+
+describe('createStubProviders', () => {
+  it('hears the canned transcript and speaks silence', async () => {
+    const { transcriber, synthesizer } = createStubProviders({ transcript: 'I have a headache' });
+    await expect(transcriber.transcribe({ audio: new Uint8Array(10), languageCode: 'kn-IN' })).resolves.toEqual({
+      transcript: 'I have a headache',
+      languageCode: 'kn',
+    });
+    const { audioContent, contentType } = await synthesizer.synthesize({ text: 'Hello', languageCode: 'en' });
+    expect(contentType).toBe('audio/wav');
+    expect(audioContent.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(audioContent.length).toBe(44 + 6400);
+  });
+
+  it('describes the audio when no transcript is set', async () => {
+    const { transcriber } = createStubProviders({ transcript: null });
+    await expect(transcriber.transcribe({ audio: new Uint8Array(10), languageCode: 'en' })).resolves.toMatchObject({
+      transcript: '[10 bytes of audio]',
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Browser side of chat calls: ICE server configuration, the api/calls signaling requests and a
+// small relay from the chat screens' Pusher channel to the call panel.
+const apiBaseUrl = process.env.REACT_APP_API_URL || 'https://healthcare-app-vercel.vercel.app/api';
+
+// REACT_APP_ICE_PRESET=local points at the coturn stand-in in server/turnserver.conf, so calls
+// can be tested without internet access. REACT_APP_ICE_SERVERS (JSON) overrides both presets.
+const ICE_PRESETS = {
+  public: [{ urls: 'stun:stun.l.google.com:19302' }],
+  local: [
+    { urls: 'stun:localhost:3478' },
+    { urls: 'turn:localhost:3478', username: 'healthcare', credential: 'healthcare' },
+  ],
+};
+
+/**
+ * ICE servers for new peer connections.
+ * @returns {RTCIceServer[]}
+ */
+const getIceServers = () => {
+  if (process.env.REACT_APP_ICE_SERVERS) {
+    try {
+      return JSON.parse(process.env.REACT_APP_ICE_SERVERS);
+    } catch (error) {
+      console.error('webrtc.js: REACT_APP_ICE_SERVERS is not valid JSON, using defaults:', error.message);
+    }
+  }
+  return ICE_PRESETS[process.env.REACT_APP_ICE_PRESET] || ICE_PRESETS.public;
+};
+
+/**
+ * Posts to api/calls.
+ * @param {'start'|'accept'|'signal'|'caption'|'end'} action - The calls route.
+ * @param {Object} body - Request body.
+ * @param {string} userId - The user ID for authentication.
+ * @param {string} idToken - The Firebase ID token for authentication.
+ * @returns {Promise<Object>} The response body.
+ */
+async function sendCallRequest(action, body, userId, idToken) {
+  const response = await fetch(`${apiBaseUrl}/calls/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`,
+      'x-user-uid': userId,
+    },
+    body: JSON.stringify(body),
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = errorText || response.statusText;
+    try {
+      message = JSON.parse(errorText).error?.message || message;
+    } catch {
+      // Plain-text error body
+    }
+    throw new Error(message);
+  }
+  return response.json();
+}
+
+// The chat screens own the Pusher subscription and forward 'call-signal' events here; a
+// listener (rather than props) keeps bursts of ICE candidates from being batched away.
+const signalListeners = new Set();
+
+/**
+ * Forwards a 'call-signal' event received on the chat channel.
+ * @param {Object} signal - {callId, type, from, ...}; see api/calls for each type's fields.
+ */
+const dispatchCallSignal = (signal) => {
+  signalListeners.forEach((listener) => listener(signal));
+};
+
+/**
+ * Subscribes to forwarded call signals.
+ * @param {Function} listener - Receives each signal.
+ * @returns {Function} Unsubscribe function.
+ */
+const onCallSignal = (listener) => {
+  signalListeners.add(listener);
+  return () => signalListeners.delete(listener);
+};
+
+export { getIceServers, sendCallRequest, dispatchCallSignal, onCallSignal };
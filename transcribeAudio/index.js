@@ -1,13 +1,25 @@
 const functions = require('@google-cloud/functions-framework');
 const { Storage } = require('@google-cloud/storage');
-const speech = require('@google-cloud/speech').v1;
 const { v4: uuidv4 } = require('uuid');
 
-// Initialize Google Cloud Storage and Speech-to-Text clients
+// Initialize Google Cloud Storage
 const storage = new Storage();
-const speechClient = new speech.SpeechClient();
 const bucketName = 'healthcare-app-audio-files';
 
+// Transcription goes through the shared voice providers (lib/voice, VOICE_PROVIDER=google|local|stub).
+// They are ES modules outside this function's source, so `npm run copy-voice` copies them into
+// voice/ before starting or deploying.
+let voicePromise = null;
+const loadVoice = () => {
+  if (!voicePromise) {
+    voicePromise = Promise.all([
+      import('./voice/lib/voice/index.js'),
+      import('./voice/src/services/languages.js'),
+    ]).then(([{ getVoiceProviders }, { getLanguage }]) => ({ ...getVoiceProviders(), getLanguage }));
+  }
+  return voicePromise;
+};
+
 functions.http('transcribeAudio', async (req, res) => {
   try {
     if (req.method !== 'POST') {
@@ -35,20 +47,10 @@ functions.http('transcribeAudio', async (req, res) => {
     const gcsUri = `gs://${bucketName}/${fileName}`;
     console.log(`GCS URI: ${gcsUri}`);
 
-    const languageCode = language === 'kn' ? 'kn-IN' : 'en-US';
-    const audio = { uri: gcsUri };
-    const config = {
-      encoding: 'WEBM_OPUS',
-      sampleRateHertz: 48000,
-      languageCode: languageCode,
-    };
-    const request = { audio, config };
-
-    const [response] = await speechClient.recognize(request);
-    let transcription = 'No transcription available';
-    if (response.results && response.results.length > 0) {
-      transcription = response.results[0].alternatives[0].transcript;
-    }
+    const { transcriber, getLanguage } = await loadVoice();
+    const languageCode = getLanguage(language).sttCode;
+    const result = await transcriber.transcribe({ audio: audioBuffer, mimeType: 'audio/webm', languageCode });
+    const transcription = result.transcript || 'No transcription available';
     console.log(`Transcription: ${transcription}`);
 
     const [signedUrl] = await file.getSignedUrl({